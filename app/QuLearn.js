@@ -96,6 +96,43 @@ class QuLearnApp {
         return null
     }
 
+    checkCircuit(reference, options = {}) {
+        // Auto-grading: compare the Circuit Simulator's circuit with a reference solution
+        // (a QuantumCircuit, OpenQASM code, circuit JSON or a state exported by getState)
+        if (!window.mainCircuitComponent) {
+            console.error('Circuit Simulator is not ready')
+            return null
+        }
+
+        try {
+            const circuit = window.mainCircuitComponent.buildCircuit()
+            let expected = this._toCircuit(reference)
+
+            // Unused extra wires in the editor are left idle
+            if (expected.numQubits < circuit.numQubits) {
+                expected = new window.QuantumCircuit(circuit.numQubits, expected.numClbits).compose(expected)
+            }
+
+            return window.CircuitEquivalence.areEquivalent(expected, circuit, options)
+        } catch (error) {
+            console.error('Failed to check circuit:', error)
+            return { equivalent: false, message: error.message }
+        }
+    }
+
+    _toCircuit(reference) {
+        if (reference instanceof window.QuantumCircuit) {
+            return reference
+        }
+        if (typeof reference === 'string') {
+            return window.QuantumCircuit.fromQASM(reference)
+        }
+        if (reference && reference.circuit) {
+            return window.QuantumCircuit.fromJSON(reference.circuit)
+        }
+        return window.QuantumCircuit.fromJSON(reference)
+    }
+
     getValidTabs() {
         return this.validTabs
     }
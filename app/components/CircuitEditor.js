@@ -8,6 +8,8 @@ import { CircuitBuilder } from '../../lib/utils/CircuitBuilder.js';
 import { CircuitSerializer } from '../../lib/utils/CircuitSerializer.js';
 import { FileExporter } from '../utils/FileExporter.js';
 import { FileImporter } from '../utils/FileImporter.js';
+import { SimulationService } from '../utils/SimulationService.js';
+import { SimulationStatus } from '../utils/SimulationStatus.js';
 
 class CircuitComponent {
     constructor(containerId, options = {}) {
@@ -30,6 +32,7 @@ class CircuitComponent {
         // State management
         this.gateGrid = []; // 2D array: gateGrid[qubit][column]
         this.selectedGate = null;
+        this.customGates = {}; // name -> definition, as in QuantumCircuit.customGates
 
         // Initialize utility modules
         this.gatePlacementManager = new GatePlacementManager();
@@ -37,6 +40,8 @@ class CircuitComponent {
         this.circuitSerializer = new CircuitSerializer();
         this.fileExporter = new FileExporter();
         this.fileImporter = new FileImporter();
+        this.simulationService = new SimulationService();
+        this.simulationStatus = null;
 
         // Initialize component
         this.initialize();
@@ -122,13 +127,23 @@ class CircuitComponent {
                 { name: 'CCX', label: 'Toffoli', class: 'control' }
             ],
             'Measurement': [
-                { name: 'M', label: 'Measure', class: 'pauli' }
+                { name: 'M', label: 'Measure', class: 'pauli' },
+                { name: 'Reset', label: 'Reset |0⟩', class: 'pauli' }
             ],
             'Directives': [
                 { name: 'B', label: 'Barrier', class: 'barrier' }
             ]
         };
 
+        const customGates = Object.values(this.customGates);
+        if (customGates.length > 0) {
+            gates['Custom Gates'] = customGates.map(gate => ({
+                name: gate.name,
+                label: `${gate.numQubits}-qubit ${gate.circuit ? 'subcircuit' : 'matrix'}`,
+                class: 'custom'
+            }));
+        }
+
         let paletteHtml = '<div class="gate-palette"><h3>Gate Palette</h3>';
 
         for (const [category, gateList] of Object.entries(gates)) {
@@ -194,11 +209,7 @@ class CircuitComponent {
         const container = this.container;
 
         // Gate palette drag events
-        const gateButtons = container.querySelectorAll('.gate-button');
-        gateButtons.forEach(btn => {
-            btn.addEventListener('dragstart', (e) => this.handleGateDragStart(e));
-            btn.addEventListener('click', (e) => this.handleGateClick(e));
-        });
+        this.attachPaletteListeners();
 
         // Gate slot events
         const gateSlots = container.querySelectorAll('.gate-slot');
@@ -219,7 +230,10 @@ class CircuitComponent {
             const qubitInput = container.querySelector('.qubit-count-input');
             const depthInput = container.querySelector('.depth-input');
 
-            if (runBtn) runBtn.addEventListener('click', () => this.runSimulation());
+            if (runBtn) {
+                runBtn.addEventListener('click', () => this.runSimulation());
+                this.simulationStatus = new SimulationStatus(runBtn, () => this.simulationService.cancel());
+            }
             if (clearBtn) clearBtn.addEventListener('click', () => this.clearCircuit());
             if (exportBtn) exportBtn.addEventListener('click', () => this.exportQASM());
             if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => this.exportCircuitJSON());
@@ -230,6 +244,51 @@ class CircuitComponent {
 
     }
 
+    attachPaletteListeners() {
+        const gateButtons = this.container.querySelectorAll('.gate-button');
+        gateButtons.forEach(btn => {
+            btn.addEventListener('dragstart', (e) => this.handleGateDragStart(e));
+            btn.addEventListener('click', (e) => this.handleGateClick(e));
+        });
+    }
+
+    /**
+     * Define a custom gate and add it to the palette
+     * @param {string} name - Gate name
+     * @param {QuantumCircuit|Array} definition - Subcircuit or unitary matrix (see QuantumCircuit.defineGate)
+     */
+    defineGate(name, definition) {
+        if (this.customGates[name]) {
+            throw new Error(`Gate ${name} is already defined`);
+        }
+
+        // Validates the definition and computes its matrix
+        const scratch = new QuantumCircuit(1);
+        scratch.defineGate(name, definition);
+        this.importCustomGates(scratch);
+    }
+
+    /**
+     * Add the custom gates of a circuit to the palette (replacing gates with the same name)
+     * @param {QuantumCircuit} circuit - Circuit whose customGates are imported
+     */
+    importCustomGates(circuit) {
+        const customGates = Object.values(circuit.customGates || {});
+        if (customGates.length === 0) return;
+
+        customGates.forEach(gate => {
+            this.customGates[gate.name] = gate;
+            this.gatePlacementManager.registerCustomGate(gate.name, gate.numQubits);
+        });
+
+        // Re-render only the palette; the grid keeps its gates
+        const palette = this.container.querySelector('.gate-palette');
+        if (palette) {
+            palette.outerHTML = this.renderGatePalette();
+            this.attachPaletteListeners();
+        }
+    }
+
     handleGateDragStart(e) {
         const gateName = e.target.dataset.gate;
         e.dataTransfer.setData('gate', gateName);
@@ -318,6 +377,12 @@ class CircuitComponent {
         if (!gate) return;
 
         // Remove multi-qubit gate from all qubits
+        if (gate.custom) {
+            gate.qubits.forEach(q => {
+                this.gateGrid[q][column] = null;
+                this.updateSlot(q, column);
+            });
+        }
         if (gate.target !== undefined) {
             this.gateGrid[gate.target][column] = null;
             this.updateSlot(gate.target, column);
@@ -359,6 +424,17 @@ class CircuitComponent {
             if (gate.isBarrier) {
                 slot.textContent = '║';
                 slot.classList.add('barrier-gate');
+            } else if (gate.custom) {
+                // Label the topmost wire; number each wire by its position in the gate's arguments
+                slot.textContent = qubit === Math.min(...gate.qubits) ? gate.name : '';
+                slot.classList.add('custom-gate');
+                if (gate.qubits.length > 1) {
+                    const arg = document.createElement('span');
+                    arg.className = 'custom-gate-arg';
+                    arg.textContent = gate.index;
+                    slot.appendChild(arg);
+                }
+                slot.title = `${gate.name} on q${gate.qubits.join(', q')}`;
             } else if (gate.control) {
                 slot.textContent = '●';
                 slot.classList.add('cnot-control');
@@ -368,14 +444,34 @@ class CircuitComponent {
             } else {
                 slot.textContent = gate.name;
             }
+
+            if (gate.condition) {
+                const label = this.formatCondition(gate.condition);
+                const badge = document.createElement('span');
+                badge.className = 'gate-condition';
+                badge.textContent = label;
+                slot.appendChild(badge);
+                slot.classList.add('conditional-gate');
+                slot.title = `Applied only if ${label}`;
+            }
         } else {
             slot.className = 'gate-slot';
             slot.textContent = '';
+            slot.removeAttribute('title');
             slot.setAttribute('data-qubit', qubit);
             slot.setAttribute('data-column', column);
         }
     }
 
+    formatCondition(condition) {
+        // Register conditions read "c==3", single bits "c[0]==1"
+        const isRegister = condition.bits.length > 1 && condition.bits.every((bit, i) => bit === i);
+        if (isRegister) {
+            return `${condition.creg}==${condition.value}`;
+        }
+        return condition.bits.map((bit, i) => `${condition.creg}[${bit}]==${(condition.value >> i) & 1}`).join(' & ');
+    }
+
     drawConnection(qubit1, qubit2, column) {
         // Remove existing connection
         this.removeConnection(column);
@@ -420,24 +516,36 @@ class CircuitComponent {
         const circuit = this.circuitBuilder.buildCircuitFromGrid(
             this.gateGrid,
             this.options.qubits,
-            this.options.depth
+            this.options.depth,
+            this.customGates
         );
 
         this.circuit = circuit;
         return circuit;
     }
 
-    runSimulation() {
+    async runSimulation() {
+        if (this.simulationService.busy) return;
+
+        this.simulationStatus?.show();
         try {
             const circuit = this.buildCircuit();
-            const results = circuit.run();
+            const results = await this.simulationService.runCircuit(circuit, { unitary: false }, {
+                onProgress: progress => this.simulationStatus?.update(progress)
+            });
 
             this.displayResults(results, circuit);
 
             this.showNotification('Simulation completed successfully', 'success');
         } catch (error) {
-            this.showNotification(`Simulation error: ${error.message}`, 'error');
-            console.error(error);
+            if (error.cancelled) {
+                this.showNotification('Simulation cancelled', 'warning');
+            } else {
+                this.showNotification(`Simulation error: ${error.message}`, 'error');
+                console.error(error);
+            }
+        } finally {
+            this.simulationStatus?.hide();
         }
     }
 
@@ -542,6 +650,11 @@ class CircuitComponent {
                     });
                 }
 
+                // Custom gates used by the grid are defined in the circuit data
+                if (circuitData.circuit && circuitData.circuit.customGates) {
+                    this.importCustomGates(window.QuantumCircuit.fromJSON(circuitData.circuit));
+                }
+
                 // NOW set the gate grid after render
                 this.gateGrid = savedGateGrid;
                 console.log('Gate grid set after render:', this.gateGrid);
@@ -597,7 +710,12 @@ class CircuitComponent {
                 this.importCircuitJSON(result.content);
             } else {
                 // QASM file
-                this.showNotification('QASM import not yet fully implemented. Please use JSON export/import.', 'warning');
+                const circuit = this.circuitSerializer.fromQASM(result.content);
+                this.importCircuitJSON({
+                    qubits: circuit.numQubits,
+                    depth: Math.max(this.options.depth, circuit.numCols()),
+                    circuit: circuit.toJSON()
+                });
             }
         } catch (error) {
             // User cancelled or error occurred
@@ -663,7 +781,9 @@ class CircuitComponent {
         for (let col = 0; col < this.options.depth; col++) {
             for (let q = 0; q < this.options.qubits; q++) {
                 const gate = this.gateGrid[q] && this.gateGrid[q][col];
-                if (gate && gate.control === true && gate.target !== undefined) {
+                if (gate && gate.custom && gate.index === 0 && gate.qubits.length > 1) {
+                    this.drawConnection(Math.min(...gate.qubits), Math.max(...gate.qubits), col);
+                } else if (gate && gate.control === true && gate.target !== undefined) {
                     // Draw connection for this multi-qubit gate
                     if (gate.control2 !== undefined) {
                         // Three-qubit gate
@@ -690,91 +810,12 @@ class CircuitComponent {
 
         console.log('Loading circuit with gates (2D array):', this.circuit.gates);
 
-        // Clear existing grid
-        this.initializeGrid();
-
-        // The circuit.gates is a 2D array: gates[qubit][column]
-        // Each gate object has: { name, id, options }
-        // We need to process column by column to handle multi-qubit gates correctly
-        const numCols = Math.max(...this.circuit.gates.map(row => row.length));
-
-        for (let col = 0; col < numCols && col < this.options.depth; col++) {
-            const processedGates = new Set(); // Track already processed gate IDs
-
-            for (let qubit = 0; qubit < this.circuit.gates.length && qubit < this.options.qubits; qubit++) {
-                const gate = this.circuit.gates[qubit][col];
-
-                // Skip null/empty slots
-                if (!gate) continue;
+        // Make the circuit's custom gates available in the palette
+        this.importCustomGates(this.circuit);
 
-                // Skip gates without a name
-                if (!gate.name) {
-                    console.warn(`Skipping gate without name at qubit ${qubit}, column ${col}:`, gate);
-                    continue;
-                }
-
-                // Skip if we already processed this gate (multi-qubit gates appear on multiple rows)
-                if (processedGates.has(gate.id)) {
-                    continue;
-                }
-                processedGates.add(gate.id);
-
-                const gateName = gate.name.toUpperCase();
-
-                // Find all qubits this gate is on (for multi-qubit gates)
-                const involvedQubits = [];
-                for (let q = 0; q < this.circuit.gates.length; q++) {
-                    if (this.circuit.gates[q][col] && this.circuit.gates[q][col].id === gate.id) {
-                        involvedQubits.push(q);
-                    }
-                }
-
-                // Handle different gate types based on number of qubits
-                if (involvedQubits.length === 1) {
-                    // Single qubit gate
-                    const q = involvedQubits[0];
-                    if (q < this.options.qubits && col < this.options.depth) {
-                        // Check for parameterized gates
-                        if (gate.options && gate.options.params) {
-                            const paramKeys = Object.keys(gate.options.params);
-                            const paramValue = paramKeys.length > 0 ? gate.options.params[paramKeys[0]] : null;
-                            this.gateGrid[q][col] = { name: gateName, param: paramValue };
-                        } else {
-                            this.gateGrid[q][col] = { name: gateName };
-                        }
-                        this.updateSlot(q, col);
-                    }
-                } else if (involvedQubits.length === 2) {
-                    // Two qubit gate (CNOT, CZ, SWAP, etc.)
-                    const control = involvedQubits[0];
-                    const target = involvedQubits[1];
-
-                    if (control < this.options.qubits && target < this.options.qubits && col < this.options.depth) {
-                        this.gateGrid[control][col] = { name: gateName, control: true, target: target };
-                        this.gateGrid[target][col] = { name: gateName, control: false, source: control };
-                        this.updateSlot(control, col);
-                        this.updateSlot(target, col);
-                        this.drawConnection(control, target, col);
-                    }
-                } else if (involvedQubits.length === 3) {
-                    // Three qubit gate (Toffoli CCX)
-                    const control1 = involvedQubits[0];
-                    const control2 = involvedQubits[1];
-                    const target = involvedQubits[2];
-
-                    if (control1 < this.options.qubits && control2 < this.options.qubits &&
-                        target < this.options.qubits && col < this.options.depth) {
-                        this.gateGrid[control1][col] = { name: gateName, control: true, control2: control2, target: target };
-                        this.gateGrid[control2][col] = { name: gateName, control: true, source: control1, target: target };
-                        this.gateGrid[target][col] = { name: gateName, control: false, sources: [control1, control2] };
-                        this.updateSlot(control1, col);
-                        this.updateSlot(control2, col);
-                        this.updateSlot(target, col);
-                        this.drawConnection(Math.min(control1, control2, target), Math.max(control1, control2, target), col);
-                    }
-                }
-            }
-        }
+        // Convert to the editor grid (names, parameters and conditions are kept), then draw it
+        this.gateGrid = this.circuitBuilder.buildGridFromCircuit(this.circuit, this.options.qubits, this.options.depth);
+        this.loadCircuitFromGrid();
 
         console.log('Circuit loaded successfully with gate grid:', this.gateGrid);
         this.showNotification('Circuit loaded from instance', 'success');
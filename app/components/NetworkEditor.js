@@ -7,21 +7,29 @@
 import { CircuitSerializer } from '../../lib/utils/CircuitSerializer.js';
 import { FileExporter } from '../utils/FileExporter.js';
 import { FileImporter } from '../utils/FileImporter.js';
+import { SimulationService } from '../utils/SimulationService.js';
+import { SimulationStatus } from '../utils/SimulationStatus.js';
 
 class NetworkSimulator {
     constructor() {
         this.network = new QuantumNetwork('QCNS Network');
         this.nodes = []; // Array of {id, name, qubits, circuit, position, component}
         this.entanglements = [];
+        this.pendingEndpoints = []; // Parties of the multi-party resource being built
         this.canvas = document.getElementById('network-canvas');
         this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
         this.selectedNodeId = null;
         this.nodeEditorComponents = {}; // Map of nodeId -> CircuitComponent
+        this.timeline = null; // NetworkTimeline of the last run, for replay
+        this.replayTime = null;
+        this.replayTimer = null;
 
         // Initialize utility modules
         this.circuitSerializer = new CircuitSerializer();
         this.fileExporter = new FileExporter();
         this.fileImporter = new FileImporter();
+        this.simulationService = new SimulationService();
+        this.simulationStatus = null;
 
         this.initialize();
     }
@@ -55,11 +63,25 @@ class NetworkSimulator {
         if (addNodeBtn) addNodeBtn.addEventListener('click', () => this.addNode());
 
         const runNetworkBtn = document.getElementById('run-network-btn');
-        if (runNetworkBtn) runNetworkBtn.addEventListener('click', () => this.runSimulation());
+        if (runNetworkBtn) {
+            runNetworkBtn.addEventListener('click', () => this.runSimulation());
+            this.simulationStatus = new SimulationStatus(runNetworkBtn, () => this.simulationService.cancel());
+        }
 
         const clearNetworkBtn = document.getElementById('clear-network-btn');
         if (clearNetworkBtn) clearNetworkBtn.addEventListener('click', () => this.clearNetwork());
 
+        const timelineSlider = document.getElementById('timeline-slider');
+        if (timelineSlider) {
+            timelineSlider.addEventListener('input', () => {
+                this.stopReplay();
+                this.setReplayTime(parseFloat(timelineSlider.value));
+            });
+        }
+
+        const timelinePlayBtn = document.getElementById('timeline-play-btn');
+        if (timelinePlayBtn) timelinePlayBtn.addEventListener('click', () => this.toggleReplay());
+
         const exportNetworkQasmBtn = document.getElementById('export-network-qasm-btn');
         if (exportNetworkQasmBtn) exportNetworkQasmBtn.addEventListener('click', () => this.exportQASM());
 
@@ -72,6 +94,23 @@ class NetworkSimulator {
         const addEntanglementBtn = document.getElementById('add-entanglement-btn');
         if (addEntanglementBtn) addEntanglementBtn.addEventListener('click', () => this.addEntanglement());
 
+        const addEndpointBtn = document.getElementById('add-multiparty-endpoint-btn');
+        if (addEndpointBtn) addEndpointBtn.addEventListener('click', () => this.addMultipartyEndpoint());
+
+        const addMultipartyBtn = document.getElementById('add-multiparty-btn');
+        if (addMultipartyBtn) addMultipartyBtn.addEventListener('click', () => this.addMultipartyEntanglement());
+
+        const endpointList = document.getElementById('multiparty-endpoints');
+        if (endpointList) {
+            endpointList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-endpoint-index]');
+                if (button) {
+                    this.pendingEndpoints.splice(parseInt(button.dataset.endpointIndex), 1);
+                    this.updatePendingEndpoints();
+                }
+            });
+        }
+
         const closeNodeEditorBtn = document.getElementById('close-node-editor-btn');
         if (closeNodeEditorBtn) closeNodeEditorBtn.addEventListener('click', () => this.closeNodeEditor());
 
@@ -339,8 +378,10 @@ class NetworkSimulator {
 
         // Remove any entanglements involving this node - use string comparison
         this.entanglements = this.entanglements.filter(e =>
-            String(e.node1Id) !== String(nodeId) && String(e.node2Id) !== String(nodeId)
+            !this.getEndpoints(e).some(endpoint => String(endpoint.nodeId) === String(nodeId))
         );
+        this.pendingEndpoints = this.pendingEndpoints.filter(endpoint => String(endpoint.nodeId) !== String(nodeId));
+        this.updatePendingEndpoints();
 
         // Clean up component if exists
         if (this.nodeEditorComponents[nodeId]) {
@@ -361,6 +402,9 @@ class NetworkSimulator {
         const qubit1Input = document.getElementById('entangle-qubit1');
         const node2Select = document.getElementById('entangle-node2');
         const qubit2Input = document.getElementById('entangle-qubit2');
+        const typeSelect = document.getElementById('entangle-type');
+        const fidelityInput = document.getElementById('entangle-fidelity');
+        const lengthInput = document.getElementById('entangle-length');
 
         if (!node1Select || !node2Select) return;
 
@@ -368,6 +412,10 @@ class NetworkSimulator {
         const node2Id = node2Select.value;
         const qubit1 = parseInt(qubit1Input.value);
         const qubit2 = parseInt(qubit2Input.value);
+        const type = typeSelect ? typeSelect.value : 'EPR';
+        const fidelity = fidelityInput && fidelityInput.value !== '' ? parseFloat(fidelityInput.value) : null;
+        const length = lengthInput && lengthInput.value !== '' ? parseFloat(lengthInput.value) : null;
+        const channel = length !== null ? { length } : null;
 
         console.log('addEntanglement called:', { node1Id, node2Id, qubit1, qubit2 });
 
@@ -404,7 +452,13 @@ class NetworkSimulator {
 
         console.log('Adding entanglement with numeric IDs:', numericNode1Id, numericNode2Id);
 
-        const entanglement = this.network.addEntanglement(numericNode1Id, qubit1, numericNode2Id, qubit2, 'EPR');
+        let entanglement;
+        try {
+            entanglement = this.network.addEntanglement(numericNode1Id, qubit1, numericNode2Id, qubit2, type, fidelity, { channel });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
         const entanglementId = entanglement.id;
 
         // Store locally - use numeric IDs for consistency
@@ -414,7 +468,9 @@ class NetworkSimulator {
             qubit1,
             node2Id: numericNode2Id,
             qubit2,
-            type: 'EPR'
+            type,
+            fidelity,
+            channel
         });
 
         this.updateEntanglementList();
@@ -423,9 +479,95 @@ class NetworkSimulator {
         this.showNotification('Entanglement added', 'success');
     }
 
+    addMultipartyEndpoint() {
+        const nodeSelect = document.getElementById('multiparty-node');
+        const qubitInput = document.getElementById('multiparty-qubit');
+        if (!nodeSelect || !nodeSelect.value) {
+            this.showNotification('Please select a node', 'error');
+            return;
+        }
+
+        const nodeId = parseInt(nodeSelect.value);
+        const qubit = parseInt(qubitInput.value);
+        const node = this.nodes.find(n => n.id === nodeId);
+
+        if (!node || !(qubit >= 0 && qubit < node.qubits)) {
+            this.showNotification('Invalid qubit index', 'error');
+            return;
+        }
+        if (this.pendingEndpoints.some(endpoint => endpoint.nodeId === nodeId && endpoint.qubit === qubit)) {
+            this.showNotification('Qubit is already a party', 'error');
+            return;
+        }
+
+        this.pendingEndpoints.push({ nodeId, qubit });
+        this.updatePendingEndpoints();
+    }
+
+    addMultipartyEntanglement() {
+        if (this.pendingEndpoints.length < 3) {
+            this.showNotification('Add at least three parties', 'error');
+            return;
+        }
+
+        const typeSelect = document.getElementById('multiparty-type');
+        const type = typeSelect ? typeSelect.value : 'GHZ';
+
+        let entanglement;
+        try {
+            entanglement = this.network.addMultipartyEntanglement(this.pendingEndpoints, type);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const [first, second, ...parties] = this.pendingEndpoints;
+        this.entanglements.push({
+            id: entanglement.id,
+            node1Id: first.nodeId,
+            qubit1: first.qubit,
+            node2Id: second.nodeId,
+            qubit2: second.qubit,
+            parties,
+            type,
+            fidelity: null
+        });
+
+        this.pendingEndpoints = [];
+        this.updatePendingEndpoints();
+        this.updateEntanglementList();
+        this.redrawCanvas();
+
+        this.showNotification('Multi-party entanglement added', 'success');
+    }
+
+    updatePendingEndpoints() {
+        const endpointList = document.getElementById('multiparty-endpoints');
+        if (!endpointList) return;
+
+        endpointList.innerHTML = this.pendingEndpoints.map((endpoint, index) => {
+            const node = this.nodes.find(n => n.id === endpoint.nodeId);
+            return `
+                <span class="multiparty-endpoint">
+                    ${node ? node.name : endpoint.nodeId}[q${endpoint.qubit}]
+                    <button class="btn btn-error btn-tiny" data-endpoint-index="${index}">×</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    getEndpoints(ent) {
+        return [
+            { nodeId: ent.node1Id, qubit: ent.qubit1 },
+            { nodeId: ent.node2Id, qubit: ent.qubit2 },
+            ...(ent.parties || [])
+        ];
+    }
+
     updateEntanglementSelects() {
         const node1Select = document.getElementById('entangle-node1');
         const node2Select = document.getElementById('entangle-node2');
+        const multipartySelect = document.getElementById('multiparty-node');
 
         if (!node1Select || !node2Select) return;
 
@@ -435,6 +577,9 @@ class NetworkSimulator {
 
         node1Select.innerHTML = '<option value="">Select node</option>' + options;
         node2Select.innerHTML = '<option value="">Select node</option>' + options;
+        if (multipartySelect) {
+            multipartySelect.innerHTML = '<option value="">Select node</option>' + options;
+        }
     }
 
     updateEntanglementList() {
@@ -446,15 +591,28 @@ class NetworkSimulator {
             return;
         }
 
+        // Delivered fidelity and success rate of two-party links
+        const linkStats = new Map(this.network.getNetworkStats().links.map(link => [link.id, link]));
+
         entanglementList.innerHTML = this.entanglements.map(ent => {
-            const node1 = this.nodes.find(n => n.id === ent.node1Id);
-            const node2 = this.nodes.find(n => n.id === ent.node2Id);
+            const endpoints = this.getEndpoints(ent).map(endpoint => {
+                const node = this.nodes.find(n => n.id === endpoint.nodeId);
+                return `<strong>${node.name}</strong>[q${endpoint.qubit}]`;
+            });
+
+            const link = linkStats.get(ent.id);
+            let details = ent.type;
+            if (ent.channel && link) {
+                details += `, ${ent.channel.length} km, F = ${link.fidelity.toFixed(3)}, success ${(100 * link.successRate).toFixed(1)}%`;
+            } else if (ent.fidelity != null) {
+                details += `, F = ${ent.fidelity}`;
+            }
 
             return `
                 <div class="entanglement-pair">
                     <span style="flex: 1;">
-                        <strong>${node1.name}</strong>[q${ent.qubit1}] ⟷ <strong>${node2.name}</strong>[q${ent.qubit2}]
-                        <span style="color: var(--text-secondary); font-size: 0.85rem;">(${ent.type})</span>
+                        ${endpoints.join(' ⟷ ')}
+                        <span style="color: var(--text-secondary); font-size: 0.85rem;">(${details})</span>
                     </span>
                     <button class="btn btn-error btn-tiny" data-ent-id="${ent.id}">
                         Remove
@@ -481,34 +639,61 @@ class NetworkSimulator {
         // Clear canvas
         this.ctx.clearRect(0, 0, width, height);
 
+        // While replaying a run, fade entanglements that are not distributed yet
+        const snapshot = this.timeline && this.replayTime !== null ? this.timeline.snapshot(this.replayTime) : null;
+
         // Draw entanglements first (behind nodes)
         this.entanglements.forEach(ent => {
+            this.ctx.globalAlpha = snapshot && !snapshot.entanglements.includes(ent.id) ? 0.25 : 1;
+            if (ent.parties?.length) {
+                // One position per node, even when several of its qubits take part
+                const nodeIds = [...new Set(this.getEndpoints(ent).map(endpoint => endpoint.nodeId))];
+                const positions = nodeIds.map(id => this.nodes.find(n => n.id === id)?.position).filter(Boolean);
+                this.drawEntanglementHyperedge(positions, ent.type);
+                return;
+            }
+
             const node1 = this.nodes.find(n => n.id === ent.node1Id);
             const node2 = this.nodes.find(n => n.id === ent.node2Id);
 
             if (node1 && node2) {
-                this.drawEntanglementLine(node1.position, node2.position);
+                this.drawEntanglementLine(node1.position, node2.position, ent.type);
             }
         });
+        this.ctx.globalAlpha = 1;
 
         // Draw nodes
         this.nodes.forEach(node => {
-            this.drawNode(node);
+            this.drawNode(node, snapshot);
         });
+
+        // Draw messages on their way
+        snapshot?.messages.forEach(message => this.drawMessage(message));
     }
 
-    drawNode(node) {
+    drawNode(node, snapshot = null) {
         const ctx = this.ctx;
         const pos = node.position;
         const radius = 30;
         const isSelected = String(node.id) === String(this.selectedNodeId);
 
+        // During replay, busy nodes are orange and waiting nodes grey
+        let fill = isSelected ? '#2196F3' : '#4CAF50';
+        let stroke = isSelected ? '#1976D2' : '#388E3C';
+        if (snapshot?.busyNodes.includes(node.id)) {
+            fill = '#FF9800';
+            stroke = '#F57C00';
+        } else if (snapshot?.waitingNodes.includes(node.id)) {
+            fill = '#9E9E9E';
+            stroke = '#757575';
+        }
+
         // Draw circle
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, radius, 0, 2 * Math.PI);
-        ctx.fillStyle = isSelected ? '#2196F3' : '#4CAF50';
+        ctx.fillStyle = fill;
         ctx.fill();
-        ctx.strokeStyle = isSelected ? '#1976D2' : '#388E3C';
+        ctx.strokeStyle = stroke;
         ctx.lineWidth = 3;
         ctx.stroke();
 
@@ -524,7 +709,28 @@ class NetworkSimulator {
         ctx.fillText(`${node.qubits}q`, pos.x, pos.y + 8);
     }
 
-    drawEntanglementLine(pos1, pos2) {
+    drawMessage(message) {
+        const from = this.nodes.find(n => n.id === message.from);
+        const to = this.nodes.find(n => n.id === message.to);
+        if (!from || !to) return;
+
+        const x = from.position.x + (to.position.x - from.position.x) * message.progress;
+        const y = from.position.y + (to.position.y - from.position.y) * message.progress;
+
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.arc(x, y, 7, 0, 2 * Math.PI);
+        ctx.fillStyle = '#673AB7';
+        ctx.fill();
+
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 8px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(message.bits.length, x, y);
+    }
+
+    drawEntanglementLine(pos1, pos2, type = 'EPR') {
         const ctx = this.ctx;
 
         ctx.beginPath();
@@ -545,6 +751,43 @@ class NetworkSimulator {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText('⟷', midX, midY);
+
+        // Label states other than the default EPR pair
+        if (type !== 'EPR') {
+            ctx.font = '10px sans-serif';
+            ctx.fillText(type, midX, midY + 14);
+        }
+    }
+
+    drawEntanglementHyperedge(positions, type) {
+        if (positions.length === 0) return;
+        const ctx = this.ctx;
+
+        // Join every node to a hub at the centroid
+        const hubX = positions.reduce((sum, pos) => sum + pos.x, 0) / positions.length;
+        const hubY = positions.reduce((sum, pos) => sum + pos.y, 0) / positions.length;
+
+        ctx.strokeStyle = '#FF9800';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        positions.forEach(pos => {
+            ctx.beginPath();
+            ctx.moveTo(hubX, hubY);
+            ctx.lineTo(pos.x, pos.y);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.arc(hubX, hubY, 12, 0, 2 * Math.PI);
+        ctx.fillStyle = '#FF9800';
+        ctx.fill();
+
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(type === 'graph' ? 'G' : type, hubX, hubY);
     }
 
     handleCanvasClick(e) {
@@ -581,26 +824,37 @@ class NetworkSimulator {
         }
     }
 
-    runSimulation() {
+    async runSimulation() {
         if (this.nodes.length === 0) {
             this.showNotification('Add at least one node to simulate', 'warning');
             return;
         }
+        if (this.simulationService.busy) return;
 
+        this.simulationStatus?.show();
         try {
-            // Convert network to a single global circuit
-            const globalCircuit = this.network.toCircuit();
+            // Simulate the network over time; the events become a single global circuit
+            const { circuit: globalCircuit, timeline } = new NetworkEventSimulator(this.network).compile();
 
-            // Run simulation
-            const results = globalCircuit.run();
+            // Run simulation in the worker; Clifford-only networks use the stabilizer backend
+            const results = await this.simulationService.runCircuit(globalCircuit, { unitary: false, backend: 'auto' }, {
+                onProgress: progress => this.simulationStatus?.update(progress)
+            });
 
             // Display results
             this.displayNetworkResults(results, globalCircuit);
+            this.showTimeline(timeline);
 
             this.showNotification('Network simulation completed', 'success');
         } catch (error) {
-            this.showNotification(`Simulation error: ${error.message}`, 'error');
-            console.error(error);
+            if (error.cancelled) {
+                this.showNotification('Simulation cancelled', 'warning');
+            } else {
+                this.showNotification(`Simulation error: ${error.message}`, 'error');
+                console.error(error);
+            }
+        } finally {
+            this.simulationStatus?.hide();
         }
     }
 
@@ -611,17 +865,114 @@ class NetworkSimulator {
         }
     }
 
+    showTimeline(timeline) {
+        this.stopReplay();
+        this.timeline = timeline;
+
+        const panel = document.getElementById('network-timeline');
+        const slider = document.getElementById('timeline-slider');
+        if (panel) panel.style.display = 'block';
+        if (slider) slider.max = timeline.duration;
+
+        this.setReplayTime(timeline.duration);
+    }
+
+    hideTimeline() {
+        this.stopReplay();
+        this.timeline = null;
+        this.replayTime = null;
+
+        const panel = document.getElementById('network-timeline');
+        if (panel) panel.style.display = 'none';
+    }
+
+    setReplayTime(time) {
+        if (!this.timeline) return;
+        this.replayTime = Math.min(time, this.timeline.duration);
+
+        const slider = document.getElementById('timeline-slider');
+        const label = document.getElementById('timeline-time');
+        if (slider) slider.value = this.replayTime;
+        if (label) label.textContent = `t = ${+this.replayTime.toFixed(2)} / ${this.timeline.duration}`;
+
+        // Latest events first
+        const eventList = document.getElementById('timeline-events');
+        if (eventList) {
+            eventList.innerHTML = this.timeline.eventsUntil(this.replayTime).slice(-8).reverse()
+                .map(event => `<div class="network-timeline-event">t = ${event.time}: ${this.describeTimelineEvent(event)}</div>`)
+                .join('');
+        }
+
+        this.redrawCanvas();
+    }
+
+    toggleReplay() {
+        if (this.replayTimer) {
+            this.stopReplay();
+            return;
+        }
+        if (!this.timeline) return;
+
+        // Replay the whole run in about five seconds
+        const step = Math.max(this.timeline.duration / 50, 0.1);
+        if (this.replayTime >= this.timeline.duration) {
+            this.setReplayTime(0);
+        }
+
+        const playBtn = document.getElementById('timeline-play-btn');
+        if (playBtn) playBtn.textContent = 'Pause';
+        this.replayTimer = setInterval(() => {
+            this.setReplayTime(this.replayTime + step);
+            if (this.replayTime >= this.timeline.duration) {
+                this.stopReplay();
+            }
+        }, 100);
+    }
+
+    stopReplay() {
+        if (this.replayTimer) {
+            clearInterval(this.replayTimer);
+            this.replayTimer = null;
+        }
+        const playBtn = document.getElementById('timeline-play-btn');
+        if (playBtn) playBtn.textContent = 'Play';
+    }
+
+    describeTimelineEvent(event) {
+        const name = id => this.nodes.find(n => n.id === id)?.name ?? `Node ${id}`;
+        switch (event.type) {
+            case 'entanglement':
+                return `entanglement shared by ${event.nodes.map(name).join(', ')}` +
+                    (event.attempts > 1 ? ` after ${event.attempts} attempts` : '');
+            case 'gates':
+                return `${name(event.nodeId)} runs ${event.gates.join(', ')}`;
+            case 'wait':
+                return `${name(event.nodeId)} waits for ${event.reason === 'message' ? 'a message' : 'entanglement'}`;
+            case 'send':
+                return `${name(event.nodeId)} sends bits ${event.bits.join(', ')} to ${name(event.to)} (arrives at t = ${event.arrival})`;
+            case 'receive':
+                return `${name(event.nodeId)} receives bits ${event.bits.join(', ')} from ${name(event.from)}`;
+            case 'done':
+                return `${name(event.nodeId)} is done`;
+            default:
+                return event.type;
+        }
+    }
+
     clearNetwork() {
         //if (!confirm('Clear all nodes and entanglements?')) return;
 
         this.network = new QuantumNetwork('QCNS Network');
         this.nodes = [];
         this.entanglements = [];
+        this.pendingEndpoints = [];
         this.selectedNodeId = null;
         this.nodeEditorComponents = {};
+        this.hideTimeline();
 
         this.updateNodeList();
         this.updateEntanglementSelects();
+        this.updatePendingEndpoints();
         this.updateEntanglementList();
         this.redrawCanvas();
 
@@ -674,10 +1025,12 @@ class NetworkSimulator {
                         qubits: node.qubits,
                         position: node.position,
                         gateGrid: component ? component.gateGrid : null,
-                        circuit: node.circuit.toJSON ? node.circuit.toJSON() : null
+                        circuit: node.circuit.toJSON ? node.circuit.toJSON() : null,
+                        messages: this.network.getNode(node.id)?.messages || []
                     };
                 }),
                 entanglements: this.entanglements,
+                classicalLinks: this.network.getClassicalLinks().map(link => link.toJSON()),
                 selectedNodeId: this.selectedNodeId
             };
 
@@ -704,8 +1057,10 @@ class NetworkSimulator {
                     this.network = new QuantumNetwork(networkData.name || 'Imported Network');
                     this.nodes = [];
                     this.entanglements = [];
+                    this.pendingEndpoints = [];
                     this.selectedNodeId = null;
                     this.nodeEditorComponents = {};
+                    this.hideTimeline();
 
                     // Restore nodes
                     if (networkData.nodes) {
@@ -722,6 +1077,7 @@ class NetworkSimulator {
                             if (this.network.nodes.has(networkNode.id)) {
                                 this.network.nodes.get(networkNode.id).circuit = circuit;
                             }
+                            networkNode.messages = (nodeData.messages || []).map(message => ({ ...message, from: networkNode.id }));
 
                             // Store node data locally
                             this.nodes.push({
@@ -745,7 +1101,9 @@ class NetworkSimulator {
                                     ent.qubit1,
                                     ent.node2Id,
                                     ent.qubit2,
-                                    ent.type || 'EPR'
+                                    ent.type || 'EPR',
+                                    ent.fidelity ?? null,
+                                    { parties: ent.parties || [], edges: ent.edges || null, channel: ent.channel || null }
                                 );
                                 this.entanglements.push({
                                     id: entanglement.id,
@@ -753,7 +1111,10 @@ class NetworkSimulator {
                                     qubit1: ent.qubit1,
                                     node2Id: ent.node2Id,
                                     qubit2: ent.qubit2,
-                                    type: ent.type || 'EPR'
+                                    parties: ent.parties || [],
+                                    type: ent.type || 'EPR',
+                                    fidelity: ent.fidelity ?? null,
+                                    channel: ent.channel || null
                                 });
                             } catch (err) {
                                 console.warn('Failed to restore entanglement:', err.message);
@@ -761,11 +1122,24 @@ class NetworkSimulator {
                         });
                     }
 
+                    // Restore classical links
+                    (networkData.classicalLinks || []).forEach(link => {
+                        try {
+                            this.network.addClassicalLink(link.node1Id, link.node2Id, {
+                                messageTypes: link.messageTypes ?? null,
+                                bidirectional: link.bidirectional ?? true
+                            });
+                        } catch (err) {
+                            console.warn('Failed to restore classical link:', err.message);
+                        }
+                    });
+
                     this.selectedNodeId = networkData.selectedNodeId;
 
             // Update UI
             this.updateNodeList();
             this.updateEntanglementSelects();
+            this.updatePendingEndpoints();
             this.updateEntanglementList();
             this.redrawCanvas();
 
@@ -821,7 +1195,8 @@ class NetworkSimulator {
         // Restore entanglements
         if (state.entanglements) {
             state.entanglements.forEach(ent => {
-                this.network.addEntanglement(ent.node1Id, ent.qubit1, ent.node2Id, ent.qubit2, ent.type);
+                this.network.addEntanglement(ent.node1Id, ent.qubit1, ent.node2Id, ent.qubit2, ent.type,
+                    ent.fidelity ?? null, { parties: ent.parties || [], edges: ent.edges || null, channel: ent.channel || null });
                 this.entanglements.push(ent);
             });
         }
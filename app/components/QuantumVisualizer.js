@@ -1,12 +1,19 @@
 /**
  * Unified Quantum Visualization Component
- * Displays: Probability graphs, State vector, Unitary matrix, QASM code, Bloch spheres, Circuit metrics
+ * Displays: Probability graphs, State vector, Unitary matrix, QASM code, Bloch spheres, Circuit metrics,
+ * Optimization convergence (VQE / QAOA)
  * Can be instantiated in Circuit Simulator, Network Simulator, and JS Sandbox
  */
 
 import { BlochSphereCalculator } from '../../lib/utils/BlochSphereCalculator.js';
 import { CircuitMetrics } from '../../lib/utils/CircuitMetrics.js';
 
+// Largest circuit whose unitary is calculated on demand (a 2^n × 2^n matrix)
+const MAX_UNITARY_QUBITS = 10;
+
+// Most basis states drawn as bars (the most likely ones) or listed as amplitudes (the first ones)
+const MAX_DISPLAYED_STATES = 256;
+
 class QuantumVisualizer {
     constructor(containerId, options = {}) {
         this.containerId = containerId;
@@ -21,12 +28,16 @@ class QuantumVisualizer {
         this.options = {
             chartColor: options.chartColor || 'rgba(59, 130, 246, 0.6)',
             chartBorderColor: options.chartBorderColor || 'rgba(59, 130, 246, 1)',
+            countsColor: options.countsColor || 'rgba(16, 185, 129, 0.6)',
+            countsBorderColor: options.countsBorderColor || 'rgba(16, 185, 129, 1)',
             showToggle: options.showToggle !== false,
             ...options
         };
 
         this.showAllBases = false;
+        this.showCounts = false;
         this.chartInstance = null;
+        this.convergenceChart = null;
 
         // Initialize utility modules
         this.blochSphereCalculator = new BlochSphereCalculator();
@@ -50,6 +61,7 @@ class QuantumVisualizer {
                     <button class="visualizer-tab" data-viz-tab="bloch">Bloch Spheres</button>
                     <button class="visualizer-tab" data-viz-tab="qasm">QASM Code</button>
                     <button class="visualizer-tab" data-viz-tab="metrics">Circuit Metrics</button>
+                    <button class="visualizer-tab" data-viz-tab="optimization">Optimization</button>
                 </div>
 
                 <!-- Tab Content -->
@@ -62,6 +74,9 @@ class QuantumVisualizer {
                                 <button class="btn btn-secondary btn-small toggle-prob-btn">
                                     Show All Bases
                                 </button>
+                                <button class="btn btn-secondary btn-small toggle-counts-btn">
+                                    Show Counts
+                                </button>
                             ` : ''}
                         </div>
                         <div class="chart-container">
@@ -114,6 +129,16 @@ class QuantumVisualizer {
                             <!-- Metrics will be dynamically populated -->
                         </div>
                     </div>
+
+                    <!-- Optimization Tab -->
+                    <div id="${this.containerId}-optimization" class="viz-content">
+                        <div class="viz-header">
+                            <h4>Energy vs. Iteration</h4>
+                        </div>
+                        <div class="chart-container">
+                            <canvas id="${this.containerId}-convergence-chart"></canvas>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
@@ -144,6 +169,16 @@ class QuantumVisualizer {
             });
         }
 
+        // Counts vs. ideal probabilities toggle button
+        const countsBtn = this.container.querySelector('.toggle-counts-btn');
+        if (countsBtn) {
+            countsBtn.addEventListener('click', () => {
+                this.showCounts = !this.showCounts;
+                countsBtn.textContent = this.showCounts ? 'Show Probabilities' : 'Show Counts';
+                this.updateProbabilityChart();
+            });
+        }
+
         // Copy QASM button
         const copyBtn = this.container.querySelector('.copy-qasm-btn');
         if (copyBtn) {
@@ -179,6 +214,11 @@ class QuantumVisualizer {
                 content.classList.remove('active');
             }
         });
+
+        // The unitary is only calculated once its tab is opened
+        if (tabName === 'state-vector') {
+            this.displayPendingUnitary();
+        }
     }
 
     /**
@@ -197,10 +237,21 @@ class QuantumVisualizer {
         this.container.style.display = 'block';
 
         // Update all visualizations
-        this.displayProbabilities(results.probabilities);
-        this.displayStateVector(results.stateVector, results.numQubits);
-        this.displayUnitaryMatrix(results.unitaryMatrix);
-        this.displayBlochSpheres(results.stateVector, results.numQubits);
+        this.updateProbabilityChart();
+        if (results.densityMatrix) {
+            this.displayDensityMatrix(results.densityMatrix, results.purity);
+        } else if (results.stabilizers) {
+            this.displayStabilizers(results.stabilizers);
+        } else {
+            this.displayStateVector(results.stateVector, results.numQubits);
+        }
+        this.unitaryPending = !results.unitaryMatrix && circuit !== null;
+        if (this.unitaryPending) {
+            this.displayPendingUnitary();
+        } else {
+            this.displayUnitaryMatrix(results.unitaryMatrix);
+        }
+        this.displayBlochSpheres(results.densityMatrix || results.stateVector || results.blochVectors, results.numQubits);
         this.displayQASM(circuit);
         this.displayMetrics(circuit, results);
     }
@@ -220,17 +271,22 @@ class QuantumVisualizer {
 
         // Prepare labels and data
         let labels, data;
-        if (this.showAllBases) {
+        if (this.showAllBases && numStates <= MAX_DISPLAYED_STATES) {
             // Show all possible basis states
             const decimalLabels = Object.keys(probabilities).map(Number).sort((a, b) => a - b);
             labels = decimalLabels.map(decimal => '|' + decimal.toString(2).padStart(numQubits, '0') + '⟩');
             data = decimalLabels.map(decimal => probabilities[decimal] || 0);
         } else {
             // Show only non-zero probabilities
-            const decimalLabels = Object.keys(probabilities)
+            let decimalLabels = Object.keys(probabilities)
                 .map(Number)
-                .filter(key => probabilities[key] > 1e-10)
-                .sort((a, b) => a - b);
+                .filter(key => probabilities[key] > 1e-10);
+            if (decimalLabels.length > MAX_DISPLAYED_STATES) {
+                decimalLabels = decimalLabels
+                    .sort((a, b) => probabilities[b] - probabilities[a])
+                    .slice(0, MAX_DISPLAYED_STATES);
+            }
+            decimalLabels.sort((a, b) => a - b);
             labels = decimalLabels.map(decimal => '|' + decimal.toString(2).padStart(numQubits, '0') + '⟩');
             data = decimalLabels.map(decimal => probabilities[decimal]);
         }
@@ -300,11 +356,183 @@ class QuantumVisualizer {
      * Update probability chart (for toggle)
      */
     updateProbabilityChart() {
-        if (this.currentResults && this.currentResults.probabilities) {
+        if (!this.currentResults) return;
+
+        // Stabilizer runs of more than 16 qubits only have counts
+        if ((this.showCounts || !this.currentResults.probabilities) && this.currentResults.counts) {
+            this.displayCounts(this.currentResults);
+        } else if (this.currentResults.probabilities) {
             this.displayProbabilities(this.currentResults.probabilities);
         }
     }
 
+    /**
+     * Display sampled counts side by side with ideal outcome probabilities
+     */
+    displayCounts(results) {
+        const canvas = document.getElementById(`${this.containerId}-prob-chart`);
+        if (!canvas) return;
+
+        const counts = results.counts;
+        const ideal = results.idealProbabilities || {};
+        const shots = results.shots || Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+        // Collect outcome labels from both distributions
+        let outcomes = [...new Set([...Object.keys(ideal), ...Object.keys(counts)])];
+        const width = outcomes.length > 0 ? outcomes[0].length : 0;
+        if (this.showAllBases && width > 0 && (1 << width) <= MAX_DISPLAYED_STATES) {
+            outcomes = Array.from({ length: 1 << width }, (_, i) => i.toString(2).padStart(width, '0'));
+        } else if (outcomes.length > MAX_DISPLAYED_STATES) {
+            const weight = outcome => (ideal[outcome] || 0) + (counts[outcome] || 0) / shots;
+            outcomes = outcomes.sort((a, b) => weight(b) - weight(a)).slice(0, MAX_DISPLAYED_STATES);
+        }
+        outcomes.sort((a, b) => parseInt(a, 2) - parseInt(b, 2));
+
+        const idealData = outcomes.map(outcome => ideal[outcome] || 0);
+        const countsData = outcomes.map(outcome => (counts[outcome] || 0) / shots);
+
+        // Destroy previous chart
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+        this.chartInstance = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: outcomes,
+                datasets: [{
+                    label: 'Ideal',
+                    data: idealData,
+                    backgroundColor: this.options.chartColor,
+                    borderColor: this.options.chartBorderColor,
+                    borderWidth: 2
+                }, {
+                    label: `Counts (${shots} shots)`,
+                    data: countsData,
+                    backgroundColor: this.options.countsColor,
+                    borderColor: this.options.countsBorderColor,
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 1,
+                        title: {
+                            display: true,
+                            text: 'Frequency',
+                            color: '#d4d4d4',
+                            font: { size: 14 }
+                        },
+                        ticks: { color: '#d4d4d4' },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Classical Outcome',
+                            color: '#d4d4d4',
+                            font: { size: 14 }
+                        },
+                        ticks: { color: '#d4d4d4', font: { size: 11 } },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    }
+                },
+                plugins: {
+                    legend: { display: true, labels: { color: '#d4d4d4' } },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        callbacks: {
+                            label: (context) => context.datasetIndex === 0
+                                ? `Ideal: ${context.parsed.y.toFixed(4)}`
+                                : `Counts: ${counts[outcomes[context.dataIndex]] || 0} (${context.parsed.y.toFixed(4)})`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Plot the convergence history of a variational algorithm (VQE / QAOA)
+     * @param {Array} history - Entries {iteration, energy} (or {iteration, value} from an optimizer)
+     */
+    displayConvergence(history) {
+        const canvas = document.getElementById(`${this.containerId}-convergence-chart`);
+        if (!canvas || !history) return;
+
+        this.container.style.display = 'block';
+        this.switchTab('optimization');
+
+        const labels = history.map(entry => entry.iteration);
+        const data = history.map(entry => entry.energy ?? entry.value);
+
+        // Destroy previous chart
+        if (this.convergenceChart) {
+            this.convergenceChart.destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+        this.convergenceChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Energy',
+                    data: data,
+                    backgroundColor: this.options.chartColor,
+                    borderColor: this.options.chartBorderColor,
+                    borderWidth: 2,
+                    pointRadius: history.length > 50 ? 0 : 3,
+                    tension: 0.1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Energy',
+                            color: '#d4d4d4',
+                            font: { size: 14 }
+                        },
+                        ticks: { color: '#d4d4d4' },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Iteration',
+                            color: '#d4d4d4',
+                            font: { size: 14 }
+                        },
+                        ticks: { color: '#d4d4d4', font: { size: 11 } },
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        callbacks: {
+                            label: (context) => `Energy: ${context.parsed.y.toFixed(6)}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Display state vector
      */
@@ -313,13 +541,17 @@ class QuantumVisualizer {
         if (!display || !stateVector) return;
 
         let html = '<div class="state-vector-list">';
+        let listed = 0, hidden = 0;
 
         stateVector.forEach((amplitude, index) => {
             const binaryState = index.toString(2).padStart(numQubits, '0');
             const magnitude = Math.sqrt(amplitude.re * amplitude.re + amplitude.im * amplitude.im);
             const phase = Math.atan2(amplitude.im, amplitude.re);
 
-            if (magnitude > 1e-10) {
+            if (magnitude > 1e-10 && listed === MAX_DISPLAYED_STATES) {
+                hidden++;
+            } else if (magnitude > 1e-10) {
+                listed++;
                 html += `
                     <div class="state-vector-item">
                         <span class="state-label">|${binaryState}⟩:</span>
@@ -334,6 +566,10 @@ class QuantumVisualizer {
             }
         });
 
+        if (hidden > 0) {
+            html += `<p class="no-data">... and ${hidden} more non-zero amplitudes</p>`;
+        }
+
         html += '</div>';
         display.innerHTML = html;
     }
@@ -350,7 +586,81 @@ class QuantumVisualizer {
             return;
         }
 
-        const dim = unitaryMatrix.length;
+        display.innerHTML = this.renderMatrixTable(unitaryMatrix);
+    }
+
+    /**
+     * Calculate and display the unitary of the current circuit when results were run with
+     * { unitary: false }. Waits until the State & Unitary tab is active and caches the matrix
+     * in the current results.
+     */
+    displayPendingUnitary() {
+        if (!this.unitaryPending || !this.currentCircuit) return;
+
+        const display = document.getElementById(`${this.containerId}-unitary-display`);
+        const tab = document.getElementById(`${this.containerId}-state-vector`);
+        if (!display || !tab?.classList.contains('active')) {
+            if (display) display.innerHTML = '<p class="no-data">Unitary matrix is calculated when this tab is opened</p>';
+            return;
+        }
+
+        this.unitaryPending = false;
+        if (this.currentCircuit.numQubits > MAX_UNITARY_QUBITS) {
+            display.innerHTML = `<p class="no-data">Unitary matrix not shown for more than ${MAX_UNITARY_QUBITS} qubits</p>`;
+            return;
+        }
+
+        try {
+            this.currentResults.unitaryMatrix = this.currentCircuit.getUnitary();
+            this.displayUnitaryMatrix(this.currentResults.unitaryMatrix);
+        } catch (error) {
+            display.innerHTML = `<p class="no-data">Unitary matrix not available: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Display the stabilizer generators of a stabilizer-backend simulation
+     */
+    displayStabilizers(stabilizers) {
+        const display = document.getElementById(`${this.containerId}-state-display`);
+        if (!display || !stabilizers) return;
+
+        let html = '<p class="matrix-info">Stabilizer generators — the state is the +1 eigenstate of each (rightmost Pauli acts on q0)</p>';
+        html += '<div class="state-vector-list">';
+        stabilizers.slice(0, MAX_DISPLAYED_STATES).forEach((generator, i) => {
+            html += `
+                <div class="state-vector-item">
+                    <span class="state-label">g${i}:</span>
+                    <span class="state-value stabilizer-generator">${generator}</span>
+                </div>
+            `;
+        });
+        if (stabilizers.length > MAX_DISPLAYED_STATES) {
+            html += `<p class="no-data">... and ${stabilizers.length - MAX_DISPLAYED_STATES} more generators</p>`;
+        }
+
+        html += '</div>';
+        display.innerHTML = html;
+    }
+
+    /**
+     * Display the density matrix of a mixed-state (noisy) simulation
+     */
+    displayDensityMatrix(densityMatrix, purity) {
+        const display = document.getElementById(`${this.containerId}-state-display`);
+        if (!display || !densityMatrix) return;
+
+        display.innerHTML = `
+            <p class="matrix-info">Density matrix ρ — purity Tr(ρ²) = ${purity.toFixed(4)}${purity < 1 - 1e-6 ? ' (mixed state)' : ''}</p>
+            ${this.renderMatrixTable(densityMatrix)}
+        `;
+    }
+
+    /**
+     * Render a complex matrix as an HTML table (limited to 8x8)
+     */
+    renderMatrixTable(matrix) {
+        const dim = matrix.length;
         let html = '<div class="unitary-matrix-table"><table class="matrix-table">';
 
         // Header row
@@ -365,7 +675,7 @@ class QuantumVisualizer {
         for (let i = 0; i < Math.min(dim, 8); i++) {
             html += `<tr><th>${i}</th>`;
             for (let j = 0; j < Math.min(dim, 8); j++) {
-                const element = unitaryMatrix[i][j];
+                const element = matrix[i][j];
                 html += `<td>${this.formatComplex(element.re, element.im, true)}</td>`;
             }
             if (dim > 8) html += '<td>...</td>';
@@ -383,11 +693,12 @@ class QuantumVisualizer {
         html += '</tbody></table></div>';
         html += `<p class="matrix-info">Matrix dimension: ${dim}×${dim}</p>`;
 
-        display.innerHTML = html;
+        return html;
     }
 
     /**
-     * Display Bloch spheres using partial trace
+     * Display Bloch spheres using partial trace (stateVector may also be a density matrix or
+     * the Bloch vectors of stabilizer results; mixed qubits are drawn inside the sphere)
      */
     displayBlochSpheres(stateVector, numQubits) {
         const canvas = document.getElementById(`${this.containerId}-bloch-canvas`);
@@ -430,11 +741,11 @@ class QuantumVisualizer {
      * Render a single Bloch sphere for one qubit
      */
     renderSingleBlochSphere(ctx, stateVector, qubitIndex, centerX, centerY, radius, totalQubits = 1) {
-        // Extract single qubit state using partial trace (reduced density matrix)
-        const reducedState = this.computeReducedDensityMatrix(stateVector, qubitIndex, totalQubits);
-
-        // Calculate Bloch vector from reduced density matrix
-        const blochVector = this.densityMatrixToBlochVector(reducedState);
+        // Stabilizer results list the Bloch vectors themselves; otherwise extract the single
+        // qubit state using partial trace (reduced density matrix)
+        const blochVector = stateVector[0]?.z !== undefined
+            ? stateVector[qubitIndex]
+            : this.densityMatrixToBlochVector(this.computeReducedDensityMatrix(stateVector, qubitIndex, totalQubits));
 
         // Draw sphere components
         this.draw3DSphere(ctx, centerX, centerY, radius);
@@ -450,8 +761,8 @@ class QuantumVisualizer {
      * This is the CORRECT way to extract individual qubit states from multi-qubit systems
      */
     computeReducedDensityMatrix(stateVector, qubitIndex, totalQubits) {
-        // Delegate to BlochSphereCalculator
-        return this.blochSphereCalculator.computeReducedDensityMatrix(stateVector, qubitIndex, totalQubits);
+        // Delegate to BlochSphereCalculator (handles both state vectors and density matrices)
+        return this.blochSphereCalculator.reduceToQubit(stateVector, qubitIndex, totalQubits);
     }
 
     /**
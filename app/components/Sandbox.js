@@ -1,13 +1,19 @@
 /**
  * JS Sandbox - Programmatic QCNS API Access
  * Allows users to write and execute JavaScript code using the QCNS library
+ * Code runs in the simulation worker; its console output and visualize calls come back as events.
  */
 
+import { SimulationService } from '../utils/SimulationService.js';
+import { SimulationStatus } from '../utils/SimulationStatus.js';
+
 class Sandbox {
     constructor() {
         this.codeEditor = document.getElementById('sandbox-code');
         this.consoleOutput = document.getElementById('sandbox-console');
         this.consoleHistory = [];
+        this.simulationService = new SimulationService();
+        this.simulationStatus = null;
 
         this.initialize();
     }
@@ -29,7 +35,10 @@ class Sandbox {
 
     setupEventListeners() {
         const executeBtn = document.getElementById('execute-sandbox-btn');
-        if (executeBtn) executeBtn.addEventListener('click', () => this.executeCode());
+        if (executeBtn) {
+            executeBtn.addEventListener('click', () => this.executeCode());
+            this.simulationStatus = new SimulationStatus(executeBtn, () => this.simulationService.cancel());
+        }
 
         const clearCodeBtn = document.getElementById('clear-sandbox-code-btn');
         if (clearCodeBtn) clearCodeBtn.addEventListener('click', () => this.clearCode());
@@ -43,7 +52,7 @@ class Sandbox {
 
     setupConsoleOverride() {
         // Store original console methods but don't override them globally
-        // Instead, we'll create a custom console object for sandbox execution
+        // Sandbox code gets its own console in the worker; its output is mirrored here
         this.originalLog = console.log;
         this.originalError = console.error;
         this.originalWarn = console.warn;
@@ -51,40 +60,28 @@ class Sandbox {
         this.captureConsole = false; // Flag to control console capture
     }
 
-    createSandboxConsole() {
-        // Create a custom console object that captures output only during sandbox execution
-        const self = this;
-        return {
-            log: function(...args) {
-                self.originalLog.apply(console, args);
-                self.appendToConsole(args.map(arg => self.formatValue(arg)).join(' '), 'log');
-            },
-            error: function(...args) {
-                self.originalError.apply(console, args);
-                self.appendToConsole(args.map(arg => self.formatValue(arg)).join(' '), 'error');
-            },
-            warn: function(...args) {
-                self.originalWarn.apply(console, args);
-                self.appendToConsole(args.map(arg => self.formatValue(arg)).join(' '), 'warning');
-            },
-            info: function(...args) {
-                self.originalInfo.apply(console, args);
-                self.appendToConsole(args.map(arg => self.formatValue(arg)).join(' '), 'info');
-            }
-        };
-    }
-
-    formatValue(value) {
-        if (value === null) return 'null';
-        if (value === undefined) return 'undefined';
-        if (typeof value === 'object') {
-            try {
-                return JSON.stringify(value, null, 2);
-            } catch (e) {
-                return value.toString();
+    handleSandboxEvent(type, payload) {
+        switch (type) {
+            case 'console': {
+                // Mirror sandbox output to the browser console
+                const level = payload.level;
+                const original = { log: this.originalLog, error: this.originalError, warn: this.originalWarn, info: this.originalInfo }[level];
+                original.call(console, payload.message);
+                this.appendToConsole(payload.message, level === 'warn' ? 'warning' : level);
+                break;
             }
+            case 'visualize':
+                this.visualizeResults(payload.results, payload.circuit);
+                break;
+            case 'probabilities':
+                if (this.visualizer) {
+                    this.visualizer.displayProbabilities(payload.probabilities);
+                }
+                break;
+            case 'convergence':
+                this.plotConvergence(payload.history);
+                break;
         }
-        return String(value);
     }
 
     appendToConsole(message, type = 'log') {
@@ -128,7 +125,7 @@ class Sandbox {
         return div.innerHTML;
     }
 
-    executeCode() {
+    async executeCode() {
         if (!this.codeEditor) return;
 
         const code = this.codeEditor.value.trim();
@@ -137,74 +134,50 @@ class Sandbox {
             this.showNotification('Please write some code to execute', 'warning');
             return;
         }
+        if (this.simulationService.busy) return;
 
         this.appendToConsole('─'.repeat(50), 'info');
         this.appendToConsole('Executing code...', 'info');
 
+        this.simulationStatus?.show('Running...');
         try {
-            // Create execution function with QCNS API in scope
-            const executeFunction = new Function(
-                'QuantumCircuit',
-                'QuantumRegister',
-                'ClassicalRegister',
-                'QuantumNetwork',
-                'QuantumNetworkNode',
-                'QuantumSimulator',
-                'QasmTranspiler',
-                'ComplexMath',
-                'QuantumGates',
-                'visualize',
-                'visualizeCircuit',
-                'displayProbabilities',
-                'Math',
-                'console',
-                code
-            );
-
-            // Execute with proper context - use custom console
-            const sandboxConsole = this.createSandboxConsole();
-            const result = executeFunction(
-                window.QuantumCircuit,
-                window.QuantumRegister,
-                window.ClassicalRegister,
-                window.QuantumNetwork,
-                window.QuantumNetworkNode,
-                window.QuantumSimulator,
-                window.QasmTranspiler,
-                window.ComplexMath,
-                window.QuantumGates,
-                (results) => this.visualizeResults(results),
-                (circuit) => this.visualizeCircuit(circuit),
-                (probs) => this.displayProbabilities(probs),
-                Math,
-                sandboxConsole  // Use custom console instead of global console
-            );
+            // Run in the worker with the QCNS API in scope
+            const result = await this.simulationService.runCode(code, {
+                onEvent: (type, payload) => this.handleSandboxEvent(type, payload)
+            });
 
             // If result is a circuit simulation, visualize it
-            if (result && result.probabilities) {
-                this.visualizeResults(result);
-            } else if (result !== undefined) {
-                console.log('Result:', result);
+            if (result.results) {
+                this.visualizeResults(result.results);
+            } else if (result.message !== undefined) {
+                console.log('Result:', result.message);
             }
 
             this.appendToConsole('Execution completed successfully', 'info');
             this.showNotification('Code executed successfully', 'success');
 
         } catch (error) {
-            console.error('Execution error:', error.message);
-            this.appendToConsole(`Error: ${error.stack || error.message}`, 'error');
-            this.showNotification(`Execution error: ${error.message}`, 'error');
+            if (error.cancelled) {
+                this.appendToConsole('Execution cancelled', 'warning');
+                this.showNotification('Execution cancelled', 'warning');
+            } else {
+                console.error('Execution error:', error.message);
+                this.appendToConsole(`Error: ${error.stack || error.message}`, 'error');
+                this.showNotification(`Execution error: ${error.message}`, 'error');
+            }
+        } finally {
+            this.simulationStatus?.hide();
         }
     }
 
-    visualizeResults(results) {
-        if (!results || !results.probabilities) {
+    visualizeResults(results, circuit = null) {
+        if (!results || !(results.probabilities || results.counts)) {
             console.warn('No probabilities to visualize');
             return;
         }
 
         // Extract circuit if available from results
-        const circuit = results.circuit || null;
+        circuit = circuit || results.circuit || null;
 
         // Use the new quantum visualizer for all results display
         if (this.visualizer) {
@@ -214,18 +187,18 @@ class Sandbox {
         console.log('Results visualized');
     }
 
-    visualizeCircuit(circuit) {
-        if (!circuit || typeof circuit.run !== 'function') {
-            console.error('Invalid circuit object');
+    plotConvergence(result) {
+        const history = Array.isArray(result) ? result : result?.history;
+        if (!history || history.length === 0) {
+            console.warn('No optimization history to plot');
             return;
         }
 
-        try {
-            const results = circuit.run();
-            this.visualizeResults(results);
-        } catch (error) {
-            console.error('Circuit execution error:', error.message);
+        if (this.visualizer) {
+            this.visualizer.displayConvergence(history);
         }
+
+        console.log('Convergence plotted');
     }
 
     clearCode() {
@@ -308,6 +281,51 @@ circuit.measure_all();
 const results = circuit.run();
 console.log('GHZ State Results:', results);
 console.log('Expected: 50% |000⟩ and 50% |111⟩');
+visualize(results);`
+            },
+            {
+                id: 'large-ghz',
+                name: 'Large Circuits (20 Qubits)',
+                code: `// A 20-qubit GHZ state: the simulator keeps 2^20 amplitudes in a typed array
+const n = 20;
+const circuit = new QuantumCircuit(n);
+circuit.h(0);
+for (let i = 0; i < n - 1; i++) {
+    circuit.cx(i, i + 1);
+}
+
+// run() does not build the 2^20 × 2^20 unitary, which is far too large
+const start = performance.now();
+const results = circuit.run({ shots: 1000 });
+console.log('Simulated in', Math.round(performance.now() - start), 'ms');
+console.log('Counts:', results.counts);
+console.log('Expected: only all zeros and all ones');
+visualize(results);`
+            },
+            {
+                id: 'stabilizer',
+                name: 'Stabilizer Backend (200 Qubits)',
+                code: `// EPR pairs between 100 node pairs: a Clifford circuit, so the stabilizer
+// backend tracks 200 qubits with a tableau instead of 2^200 amplitudes
+const pairs = 100;
+const circuit = new QuantumCircuit(2 * pairs, 2 * pairs);
+for (let i = 0; i < pairs; i++) {
+    circuit.h(2 * i).cx(2 * i, 2 * i + 1);
+}
+for (let q = 0; q < 2 * pairs; q++) {
+    circuit.measure(q, q);
+}
+
+// 'auto' picks the stabilizer backend because the circuit only uses Clifford gates
+console.log('Clifford circuit:', circuit.isClifford());
+const results = circuit.run({ backend: 'auto', shots: 100 });
+console.log('Backend:', results.backend);
+console.log('First stabilizer generators:', results.stabilizers.slice(0, 2).map(g => g.slice(0, 1) + '...' + g.slice(-4)));
+
+// Both qubits of every pair always agree
+const agree = results.memory.every(shot =>
+    Array.from({ length: pairs }, (_, i) => shot[shot.length - 1 - 2 * i] === shot[shot.length - 2 - 2 * i]).every(Boolean));
+console.log('All pairs agree in every shot:', agree);
 visualize(results);`
             },
             {
@@ -334,36 +352,154 @@ circuit.measure(1, 1);
 const results = circuit.run();
 console.log('Teleportation Results:', results);
 visualize(results);`
+            },
+            {
+                id: 'network-teleportation',
+                name: 'Network Teleportation',
+                code: `// Teleport a qubit from Alice to Bob over an EPR pair and a classical link
+const network = new QuantumNetwork('Teleportation');
+const alice = network.addNode('Alice', 2);
+const bob = network.addNode('Bob', 1, { x: 0, y: 0 }, 3);
+
+network.addEntanglement(alice.id, 1, bob.id, 0);
+network.addClassicalLink(alice.id, bob.id);
+
+// Alice prepares RY(θ)|0⟩, makes a Bell measurement and sends both bits
+const theta = 1.1;
+alice.circuit.ry(theta, 0).cx(0, 1).h(0).measure(0, 0).measure(1, 1);
+alice.send([0, 1], bob.id);
+
+// Bob corrects with the received bits, then undoes the preparation
+bob.ifReceived(1, 1, circuit => circuit.x(0));
+bob.ifReceived(0, 1, circuit => circuit.z(0));
+bob.circuit.ry(-theta, 0).measure(0, 2);
+
+const circuit = network.toCircuit();
+const results = circuit.run({ shots: 1000 });
+
+// Bob's bit is the leftmost one; it is 0 in every shot if the state arrived intact
+const ones = Object.entries(results.counts)
+    .filter(([bits]) => bits[0] === '1')
+    .reduce((sum, [, count]) => sum + count, 0);
+console.log('Counts:', results.counts);
+console.log('Shots where Bob measured 1:', ones);
+visualize(results, circuit);`
             },
             {
                 id: 'grover',
                 name: "Grover's Search Algorithm",
-                code: `// Grover's algorithm for 2 qubits
-// Searches for state |11⟩
-const circuit = new QuantumCircuit(2, 2);
+                code: `// Grover's algorithm for 3 qubits
+// Searches for state |101⟩
+const oracle = phaseOracle(['101']);
 
-// Initialize superposition
-circuit.h(0);
-circuit.h(1);
+// One Grover iteration: oracle, then reflection about the uniform superposition
+const grover = groverOperator(oracle);
 
-// Oracle (marks |11⟩)
-circuit.cz(0, 1);
+// Superposition and the optimal number of iterations (2)
+let circuit = new QuantumCircuit(3, 3).h(0).h(1).h(2);
+circuit = circuit.compose(grover).compose(grover);
+circuit.measure_all();
 
-// Diffusion operator
-circuit.h(0);
-circuit.h(1);
-circuit.z(0);
-circuit.z(1);
-circuit.cz(0, 1);
-circuit.h(0);
-circuit.h(1);
+// amplitudeAmplification(['101']) builds the same circuit
 
-circuit.measure_all();
+const results = circuit.run();
+console.log("Grover's Results:", results.counts);
+console.log('Expected: High probability of finding |101⟩');
+visualize(results);`
+            },
+            {
+                id: 'bernstein-vazirani',
+                name: 'Bernstein-Vazirani',
+                code: `// Recover a secret bitstring with a single oracle query
+const circuit = bernsteinVazirani('1011');
+console.log(circuit.qasm());
 
 const results = circuit.run();
-console.log("Grover's Results:", results);
-console.log('Expected: High probability of finding |11⟩');
+console.log('Counts:', results.counts);
+console.log('Expected: 1011');
 visualize(results);`
+            },
+            {
+                id: 'phase-estimation',
+                name: 'Quantum Phase Estimation',
+                code: `// Estimate the phase of T|1⟩ = e^(2πi·φ)|1⟩ (φ = 1/8)
+// using circuit composition: power, control, inverse and compose
+const u = new QuantumCircuit(1);
+u.t(0);
+
+// Counting qubits 0-2, eigenstate |1⟩ on qubit 3
+let circuit = new QuantumCircuit(4, 3);
+circuit.x(3);
+for (let q = 0; q < 3; q++) {
+    circuit.h(q);
+}
+
+// Controlled U^(2^q) on each counting qubit
+for (let q = 0; q < 3; q++) {
+    circuit = circuit.compose(u.power(Math.pow(2, q)).control(1), [q, 3]);
+}
+
+// Inverse QFT reads the phase out of the counting qubits
+circuit = circuit.compose(qft(3, { inverse: true }), [0, 1, 2]);
+for (let q = 0; q < 3; q++) {
+    circuit.measure(q, q);
+}
+
+const results = circuit.run();
+console.log('Counts:', results.counts);
+console.log('Expected: 001, i.e. φ = 1/8');
+console.log('Same circuit from the library:', phaseEstimation(u, 3, { statePreparation: new QuantumCircuit(1).x(0) }).run().counts);
+visualize(results);`
+            },
+            {
+                id: 'qaoa-maxcut',
+                name: 'QAOA Max-Cut',
+                code: `// Max-cut of a 4-node ring with QAOA
+const edges = [[0, 1], [1, 2], [2, 3], [3, 0]];
+const costOperator = QAOA.maxCut(edges);
+console.log('Cost operator:', costOperator.toString());
+
+const qaoa = new QAOA({
+    costOperator,
+    reps: 2,
+    optimizer: new COBYLA({ maxIterations: 100 }),
+    seed: 5
+});
+const result = qaoa.run();
+
+console.log('Energy (minus the cut size):', result.energy.toFixed(4));
+console.log('Parameters:', result.parameters);
+console.log('Best cut:', result.bitstring);
+console.log('Expected: 0101 or 1010 (cut of 4 edges)');
+
+plotConvergence(result);`
+            },
+            {
+                id: 'equivalence',
+                name: 'Circuit Equivalence',
+                code: `// Check a circuit against a reference solution
+const reference = new QuantumCircuit(2);
+reference.cx(0, 1);
+
+// CNOT built from Hadamards and a CZ
+const attempt = new QuantumCircuit(2);
+attempt.h(1);
+attempt.cz(0, 1);
+attempt.h(1);
+
+const check = CircuitEquivalence.areEquivalent(reference, attempt);
+console.log(check.message);
+
+// A CNOT with control and target swapped differs...
+const swapped = new QuantumCircuit(2).cx(1, 0);
+console.log(CircuitEquivalence.areEquivalent(reference, swapped).message);
+
+// ...unless qubits may be relabeled
+console.log(CircuitEquivalence.areEquivalent(reference, swapped, { upToQubitPermutation: true }).message);
+
+// Larger circuits are compared on random input states
+const big = CircuitEquivalence.areEquivalent(qft(8), qft(8, { approxDegree: 2 }), { seed: 1 });
+console.log(big.method, big.equivalent, big.message);`
             },
             {
                 id: 'qasm',
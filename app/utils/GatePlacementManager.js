@@ -21,6 +21,7 @@ export class GatePlacementManager {
             'RZ': { numQubits: 1, hasParameter: true },
             'I': { numQubits: 1, hasParameter: false },
             'M': { numQubits: 1, hasParameter: false },
+            'Reset': { numQubits: 1, hasParameter: false },
 
             // Two-qubit gates
             'CNOT': { numQubits: 2, hasParameter: false },
@@ -39,6 +40,15 @@ export class GatePlacementManager {
         };
     }
 
+    /**
+     * Register a custom gate (see QuantumCircuit.defineGate) so it can be placed
+     * @param {string} gateName - Custom gate name
+     * @param {number} numQubits - Number of qubits the gate acts on
+     */
+    registerCustomGate(gateName, numQubits) {
+        this.gateMetadata[gateName] = { numQubits, hasParameter: false, isCustom: true };
+    }
+
     /**
      * Get metadata for a gate
      * @param {string} gateName - Name of the gate
@@ -192,6 +202,24 @@ export class GatePlacementManager {
         };
     }
 
+    /**
+     * Create gate placement data for custom gates, drawn as one labeled box across their qubits
+     * @param {string} gateName - Custom gate name
+     * @param {Array<number>} qubits - Qubits in the order of the gate's matrix
+     * @returns {Object} Gate placement data
+     */
+    createCustomGate(gateName, qubits) {
+        return {
+            placements: qubits.map((qubit, index) => ({
+                qubit,
+                data: { name: gateName, custom: true, qubits: [...qubits], index }
+            })),
+            connections: qubits.length > 1
+                ? [{ from: Math.min(...qubits), to: Math.max(...qubits) }]
+                : []
+        };
+    }
+
     /**
      * Create barrier placement data (spans all qubits)
      * @param {number} totalQubits - Total number of qubits
@@ -228,6 +256,40 @@ export class GatePlacementManager {
             return this.createBarrier(totalQubits);
         }
 
+        // Custom gates - prompt for the remaining qubits
+        if (gateInfo.isCustom) {
+            let qubits = config.qubits;
+
+            if (qubits === undefined) {
+                qubits = [primaryQubit];
+                if (gateInfo.numQubits > 1) {
+                    if (!config.promptFunction) return null;
+
+                    const suggested = Array.from({ length: gateInfo.numQubits - 1 }, (_, i) => (primaryQubit + i + 1) % totalQubits);
+                    const qubitsStr = config.promptFunction(
+                        `Gate ${gateName} acts on ${gateInfo.numQubits} qubits. First qubit: ${primaryQubit}. Enter the other qubits in order (e.g., "${suggested.join(',')}"):`,
+                        suggested.join(',')
+                    );
+
+                    if (qubitsStr === null) return null;
+                    qubits.push(...qubitsStr.split(',').map(s => parseInt(s.trim())));
+                }
+            }
+
+            if (qubits.length !== gateInfo.numQubits) {
+                if (config.errorCallback) config.errorCallback(`Gate ${gateName} acts on ${gateInfo.numQubits} qubits`);
+                return null;
+            }
+
+            const validation = this.validateMultiQubitGate(qubits, totalQubits);
+            if (!validation.valid) {
+                if (config.errorCallback) config.errorCallback(validation.error);
+                return null;
+            }
+
+            return this.createCustomGate(gateName, qubits);
+        }
+
         // Single-qubit gates
         if (gateInfo.numQubits === 1) {
             let param = config.param;
@@ -0,0 +1,231 @@
+/**
+ * Simulation Service - Promise API for simulations in a Web Worker
+ * Keeps the page responsive while circuits and sandbox code run, reports progress and
+ * can cancel a run by terminating the worker. Falls back to running tasks inline
+ * (after the page has painted) where module workers are unavailable.
+ */
+
+import { QuantumCircuit } from '../../lib/quantum/QuantumCircuit.js';
+import { QuantumSimulator } from '../../lib/quantum/QuantumSimulator.js';
+import { StateVector } from '../../lib/quantum/StateVector.js';
+import { SimulationWorker } from './SimulationWorker.js';
+
+export class SimulationService {
+    /**
+     * Create a simulation service
+     * @param {Object} options - Service options
+     * @param {boolean} options.useWorker - Run tasks in a worker when supported (default: true)
+     */
+    constructor(options = {}) {
+        this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Whether a task is running
+     * @returns {boolean} True while any run has not settled
+     */
+    get busy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Simulate a circuit
+     * @param {QuantumCircuit} circuit - Circuit to simulate
+     * @param {Object} options - Options for circuit.run() (plain values only, e.g. shots, seed,
+     *        backend, unitary)
+     * @param {Object} handlers - {onProgress({completed, total, percent})}
+     * @returns {Promise<Object>} Simulation results
+     */
+    runCircuit(circuit, options = {}, handlers = {}) {
+        const task = {
+            type: 'circuit',
+            circuit: JSON.parse(JSON.stringify(circuit.toJSON())),
+            noiseModel: circuit.noiseModel ? JSON.parse(JSON.stringify(circuit.noiseModel.toJSON())) : null,
+            options
+        };
+        return this.run(task, handlers).then(payload => SimulationService.deserializeResults(payload));
+    }
+
+    /**
+     * Run sandbox code
+     * @param {string} code - JavaScript using the QCNS API
+     * @param {Object} handlers - {onProgress, onEvent(type, payload)} where onEvent receives the
+     *        'console', 'visualize', 'probabilities' and 'convergence' events of the code
+     * @returns {Promise<Object>} {results} (deserialized), {message} or {}
+     */
+    runCode(code, handlers = {}) {
+        const onEvent = handlers.onEvent && ((type, payload) => {
+            if (type === 'visualize') {
+                payload = {
+                    results: SimulationService.deserializeResults(payload.results),
+                    circuit: payload.circuit ? QuantumCircuit.fromJSON(payload.circuit) : null
+                };
+            }
+            handlers.onEvent(type, payload);
+        });
+
+        return this.run({ type: 'code', code }, { ...handlers, onEvent }).then(payload =>
+            payload.results ? { results: SimulationService.deserializeResults(payload.results) } : payload);
+    }
+
+    /**
+     * Run a task (see SimulationWorker for the task formats)
+     * @param {Object} task - Task to run
+     * @param {Object} handlers - {onProgress, onEvent}
+     * @returns {Promise<Object>} Result payload; rejects with an error whose cancelled flag is
+     *          set when the run is cancelled
+     */
+    run(task, handlers = {}) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { task, handlers, resolve, reject });
+
+            if (this.useWorker) {
+                this.getWorker().postMessage({ id, task });
+            } else {
+                // Let the page paint the running state before blocking
+                setTimeout(() => this.runInline(id), 20);
+            }
+        });
+    }
+
+    /**
+     * Cancel all running tasks. A worker is terminated and replaced on the next run; inline
+     * tasks that have already started cannot be interrupted and their results are discarded.
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        for (const { reject } of this.pending.values()) {
+            const error = new Error('Simulation cancelled');
+            error.cancelled = true;
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Stop the worker (pending tasks are cancelled)
+     */
+    dispose() {
+        this.cancel();
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker} Module worker running SimulationWorker.js
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+            this.workerReady = false;
+            this.worker.addEventListener('message', event => this.handleMessage(event.data));
+            this.worker.addEventListener('error', event => this.handleWorkerError(event));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Dispatch a message from the worker to its task
+     * @param {Object} message - {id, type, payload}
+     */
+    handleMessage({ id, type, payload }) {
+        if (type === 'ready') {
+            this.workerReady = true;
+            return;
+        }
+
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        this.dispatch(id, entry, type, payload);
+    }
+
+    /**
+     * Handle a worker that failed to load (e.g. module workers unsupported or the page opened
+     * from file://): switch to inline runs and rerun the pending tasks
+     * @param {ErrorEvent} event - Worker error
+     */
+    handleWorkerError(event) {
+        if (this.workerReady) {
+            console.error('Simulation worker error:', event.message);
+            return;
+        }
+
+        event.preventDefault?.();
+        console.warn('Simulation worker unavailable, running simulations on the main thread');
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+
+        for (const id of this.pending.keys()) {
+            setTimeout(() => this.runInline(id), 20);
+        }
+    }
+
+    /**
+     * Run a pending task on the main thread
+     * @param {number} id - Task id
+     */
+    runInline(id) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        try {
+            const result = SimulationWorker.runTask(entry.task, (type, payload) => {
+                if (this.pending.has(id)) this.dispatch(id, entry, type, payload);
+            });
+            this.dispatch(id, entry, 'result', result);
+        } catch (error) {
+            this.dispatch(id, entry, 'error', { message: error.message, stack: error.stack });
+        }
+    }
+
+    /**
+     * Deliver an event, result or error of a task
+     * @param {number} id - Task id
+     * @param {Object} entry - Pending task {handlers, resolve, reject}
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     */
+    dispatch(id, entry, type, payload) {
+        if (type === 'result') {
+            this.pending.delete(id);
+            entry.resolve(payload);
+        } else if (type === 'error') {
+            this.pending.delete(id);
+            const error = new Error(payload.message);
+            error.stack = payload.stack || error.stack;
+            entry.reject(error);
+        } else if (type === 'progress') {
+            entry.handlers.onProgress?.(payload);
+        } else {
+            entry.handlers.onEvent?.(type, payload);
+        }
+    }
+
+    /**
+     * Restore results sent by the worker: stateVector (and amplitudes) are rebuilt from the
+     * state buffer when first read
+     * @param {Object} payload - Result of SimulationWorker.serializeResults
+     * @returns {Object} Simulation results in the format of circuit.run()
+     */
+    static deserializeResults(payload) {
+        const { stateBuffer, ...results } = payload;
+        if (!stateBuffer) {
+            return results;
+        }
+
+        const simulator = new QuantumSimulator();
+        const state = new StateVector(results.numQubits, stateBuffer);
+        simulator.defineLazyResult(results, 'stateVector', () => state.toArray());
+        simulator.defineLazyResult(results, 'amplitudes', () => simulator.formatAmplitudes(results.stateVector));
+        return results;
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Simulation Status - Spinner, progress text and Cancel button shown next to a run button
+ * while a SimulationService task is running
+ */
+
+export class SimulationStatus {
+    /**
+     * Create a status indicator
+     * @param {HTMLElement} runButton - Button that starts the run; disabled while running
+     * @param {Function} onCancel - Called when Cancel is clicked
+     */
+    constructor(runButton, onCancel) {
+        this.runButton = runButton;
+
+        this.element = document.createElement('span');
+        this.element.className = 'simulation-status';
+        this.element.style.display = 'none';
+        this.element.innerHTML = `
+            <span class="simulation-spinner"></span>
+            <span class="simulation-status-text">Simulating...</span>
+            <button class="btn btn-warning btn-small simulation-cancel-btn">Cancel</button>
+        `;
+        this.text = this.element.querySelector('.simulation-status-text');
+        this.element.querySelector('.simulation-cancel-btn').addEventListener('click', () => onCancel());
+
+        runButton?.insertAdjacentElement('afterend', this.element);
+    }
+
+    /**
+     * Show the indicator and disable the run button
+     * @param {string} label - Status text
+     */
+    show(label = 'Simulating...') {
+        this.text.textContent = label;
+        this.element.style.display = 'inline-flex';
+        if (this.runButton) this.runButton.disabled = true;
+    }
+
+    /**
+     * Show the progress of the run
+     * @param {Object} progress - {completed, total, percent}
+     */
+    update({ percent }) {
+        this.text.textContent = `Simulating... ${percent}%`;
+    }
+
+    /**
+     * Hide the indicator and enable the run button
+     */
+    hide() {
+        this.element.style.display = 'none';
+        if (this.runButton) this.runButton.disabled = false;
+    }
+}
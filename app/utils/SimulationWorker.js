@@ -0,0 +1,170 @@
+/**
+ * Simulation Worker - Runs circuit simulations and sandbox code off the main thread
+ * Loaded as a module worker by SimulationService; where workers are unavailable the service
+ * runs the same tasks inline with SimulationWorker.runTask().
+ *
+ * Messages in: {id, task} where task is {type: 'circuit', circuit, noiseModel, options}
+ * or {type: 'code', code}. Messages out: {id, type, payload} with type 'progress', 'console',
+ * 'visualize', 'probabilities', 'convergence', 'result' or 'error'.
+ */
+
+import * as QCNS from '../../lib/index.js';
+
+// Library exports in scope of sandbox code, in the order of the function parameters
+const SANDBOX_API = [
+    'QuantumCircuit', 'QuantumRegister', 'ClassicalRegister', 'QuantumNetwork', 'QuantumNetworkNode',
+    'QuantumSimulator', 'QasmTranspiler', 'ComplexMath', 'QuantumGates', 'SparsePauliOp', 'Parameter',
+    'VQE', 'QAOA', 'NelderMead', 'COBYLA', 'SPSA', 'GradientDescent',
+    'qft', 'phaseOracle', 'groverOperator', 'amplitudeAmplification', 'phaseEstimation',
+    'deutschJozsa', 'bernsteinVazirani', 'bellState', 'ghzState', 'wState', 'graphState',
+    'CircuitEquivalence', 'StabilizerSimulator', 'NetworkEventSimulator', 'QuantumChannel'
+];
+
+export class SimulationWorker {
+    /**
+     * Run a task
+     * @param {Object} task - Circuit or code task
+     * @param {Function} emit - Called with (type, payload) for events during the run
+     * @returns {Object} Result payload
+     */
+    static runTask(task, emit) {
+        switch (task.type) {
+            case 'circuit':
+                return SimulationWorker.runCircuit(task, emit);
+            case 'code':
+                return SimulationWorker.runCode(task, emit);
+            default:
+                throw new Error(`Unknown simulation task: ${task.type}`);
+        }
+    }
+
+    /**
+     * Simulate a serialized circuit
+     * @param {Object} task - {circuit: circuit JSON, noiseModel: noise model JSON or null, options: run options}
+     * @param {Function} emit - Event callback; receives 'progress' events
+     * @returns {Object} Serialized results (see serializeResults)
+     */
+    static runCircuit({ circuit: json, noiseModel = null, options = {} }, emit) {
+        const circuit = QCNS.QuantumCircuit.fromJSON(json);
+        if (noiseModel) {
+            circuit.setNoiseModel(QCNS.NoiseModel.fromJSON(noiseModel));
+        }
+
+        const results = circuit.run({ ...options, onProgress: SimulationWorker.createProgressReporter(emit) });
+        return SimulationWorker.serializeResults(results);
+    }
+
+    /**
+     * Run sandbox code with the QCNS API in scope. console output and the visualize helpers
+     * are forwarded as events.
+     * @param {Object} task - {code}
+     * @param {Function} emit - Event callback
+     * @returns {Object} {results} if the code returned simulation results, {message} for other
+     *          return values, or {} for none
+     */
+    static runCode({ code }, emit) {
+        const sandboxConsole = {};
+        for (const level of ['log', 'error', 'warn', 'info']) {
+            sandboxConsole[level] = (...args) => emit('console', {
+                level,
+                message: args.map(arg => SimulationWorker.formatValue(arg)).join(' ')
+            });
+        }
+
+        const visualize = (results, circuit = results?.circuit || null) => emit('visualize', {
+            results: SimulationWorker.serializeResults(results),
+            circuit: circuit ? JSON.parse(JSON.stringify(circuit.toJSON())) : null
+        });
+        const visualizeCircuit = circuit => visualize(circuit.run({ unitary: false }), circuit);
+        const displayProbabilities = probabilities => emit('probabilities', { probabilities });
+        const plotConvergence = result => emit('convergence', {
+            history: Array.isArray(result) ? result : result?.history
+        });
+
+        const execute = new Function(...SANDBOX_API, 'visualize', 'visualizeCircuit', 'displayProbabilities',
+            'plotConvergence', 'Math', 'console', code);
+        const result = execute(...SANDBOX_API.map(name => QCNS[name]), visualize, visualizeCircuit,
+            displayProbabilities, plotConvergence, Math, sandboxConsole);
+
+        if (result && (result.probabilities || result.counts)) {
+            return { results: SimulationWorker.serializeResults(result) };
+        }
+        return result === undefined ? {} : { message: SimulationWorker.formatValue(result) };
+    }
+
+    /**
+     * Create an onProgress callback that emits at most one event per percent
+     * @param {Function} emit - Event callback
+     * @returns {Function} onProgress({completed, total})
+     */
+    static createProgressReporter(emit) {
+        let lastPercent = -1;
+        return ({ completed, total }) => {
+            const percent = Math.floor(100 * completed / total);
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                emit('progress', { completed, total, percent });
+            }
+        };
+    }
+
+    /**
+     * Prepare simulation results for postMessage. The state vector is sent as an interleaved
+     * Float64Array (stateBuffer) instead of 2^n objects, and amplitudes are left out; see
+     * SimulationService.deserializeResults.
+     * @param {Object} results - Results of circuit.run()
+     * @returns {Object} Structured-cloneable results
+     */
+    static serializeResults(results) {
+        const payload = {};
+        for (const key of Object.keys(results)) {
+            if (key !== 'stateVector' && key !== 'amplitudes' && key !== 'circuit') {
+                payload[key] = results[key];
+            }
+        }
+
+        // The simulator's own buffer when available; reading stateVector would build 2^n objects
+        if (results.state instanceof QCNS.StateVector) {
+            payload.stateBuffer = results.state.data;
+        } else if (results.stateVector) {
+            payload.stateBuffer = QCNS.StateVector.fromArray(results.stateVector).data;
+        }
+        return payload;
+    }
+
+    /**
+     * Format a value for the sandbox console
+     * @param {*} value - Logged value
+     * @returns {string} Text
+     */
+    static formatValue(value) {
+        if (value === null) return 'null';
+        if (value === undefined) return 'undefined';
+        if (typeof value === 'object') {
+            try {
+                return JSON.stringify(value, null, 2);
+            } catch (e) {
+                return value.toString();
+            }
+        }
+        return String(value);
+    }
+}
+
+// Inside a worker: answer task messages
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', ({ data }) => {
+        const { id, task } = data;
+        const emit = (type, payload) => self.postMessage({ id, type, payload });
+
+        try {
+            const result = SimulationWorker.runTask(task, emit);
+            const transfer = [result, result.results].map(value => value?.stateBuffer?.buffer).filter(Boolean);
+            self.postMessage({ id, type: 'result', payload: result }, transfer);
+        } catch (error) {
+            emit('error', { message: error.message, stack: error.stack });
+        }
+    });
+
+    self.postMessage({ type: 'ready' });
+}
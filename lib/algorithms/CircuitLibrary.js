@@ -0,0 +1,415 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Circuit Library Module
+ *
+ * Factories for textbook algorithm circuits and entangled state preparations. Each returns
+ * an ordinary QuantumCircuit built from standard gates, so the result can be simulated,
+ * composed, loaded in the circuit editor and exported to QASM. Bitstrings put qubit 0 rightmost, as in
+ * measurement counts.
+ */
+
+import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+
+const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+
+/**
+ * Quantum Fourier transform |x⟩ → 2^(-n/2) Σ_y e^(2πi·xy/2^n) |y⟩
+ * @param {number} numQubits - Number of qubits
+ * @param {Object} options - QFT options
+ * @param {boolean} options.inverse - Build the inverse transform (default: false)
+ * @param {number} options.approxDegree - Drop the controlled phases of the smallest angles:
+ *        rotations by π/2^d with d ≥ numQubits - approxDegree are left out (default: 0, exact)
+ * @param {boolean} options.doSwaps - Reverse the qubit order at the end (default: true)
+ * @returns {QuantumCircuit} Circuit named 'qft' (or 'iqft')
+ */
+export function qft(numQubits, options = {}) {
+    const { inverse = false, approxDegree = 0, doSwaps = true } = options;
+    if (!Number.isInteger(numQubits) || numQubits < 1) {
+        throw new Error('Number of qubits must be a positive integer');
+    }
+    if (!Number.isInteger(approxDegree) || approxDegree < 0) {
+        throw new Error('approxDegree must be a non-negative integer');
+    }
+
+    const circuit = new QuantumCircuit(numQubits);
+    for (let j = numQubits - 1; j >= 0; j--) {
+        circuit.h(j);
+        for (let k = j - 1; k >= 0; k--) {
+            if (j - k < numQubits - approxDegree) {
+                circuit.cp(Math.PI / Math.pow(2, j - k), k, j);
+            }
+        }
+    }
+    if (doSwaps) {
+        for (let i = 0; i < Math.floor(numQubits / 2); i++) {
+            circuit.swap(i, numQubits - 1 - i);
+        }
+    }
+
+    const result = inverse ? circuit.inverse() : circuit;
+    result.name = inverse ? 'iqft' : 'qft';
+    return result;
+}
+
+/**
+ * Phase oracle flipping the sign of the marked basis states
+ * @param {Array<string>} marked - Marked bitstrings, e.g. ['101']
+ * @param {number} numQubits - Number of qubits (default: length of the bitstrings)
+ * @returns {QuantumCircuit} Circuit named 'oracle'
+ */
+export function phaseOracle(marked, numQubits = null) {
+    if (!Array.isArray(marked) || marked.length === 0) {
+        throw new Error('A phase oracle needs at least one marked bitstring');
+    }
+
+    const n = numQubits ?? marked[0].length;
+    const circuit = new QuantumCircuit(n);
+    circuit.name = 'oracle';
+
+    for (const bitstring of new Set(marked)) {
+        if (typeof bitstring !== 'string' || !/^[01]+$/.test(bitstring) || bitstring.length !== n) {
+            throw new Error(`Marked state ${bitstring} must be a bitstring of length ${n}`);
+        }
+
+        // Map the marked state to |1...1⟩, flip its sign and map it back
+        const zeros = range(0, n).filter(qubit => bitstring[n - 1 - qubit] === '0');
+        zeros.forEach(qubit => circuit.x(qubit));
+        mcp(circuit, Math.PI, range(0, n - 1), n - 1);
+        zeros.forEach(qubit => circuit.x(qubit));
+    }
+
+    return circuit;
+}
+
+/**
+ * Grover operator Q = A·S₀·A†·S_f, with S_f the oracle, S₀ the reflection about |0...0⟩ and A the
+ * state preparation (up to a global phase of -1)
+ * @param {QuantumCircuit|Array<string>} oracle - Phase oracle circuit, or the marked bitstrings
+ * @param {Object} options - Operator options
+ * @param {QuantumCircuit} options.statePreparation - A (default: Hadamard on every qubit)
+ * @returns {QuantumCircuit} Circuit named 'grover_op'
+ */
+export function groverOperator(oracle, options = {}) {
+    const oracleCircuit = toOracle(oracle);
+    const n = oracleCircuit.numQubits;
+    const preparation = options.statePreparation || hadamards(n);
+    if (preparation.numQubits !== n) {
+        throw new Error(`State preparation acts on ${preparation.numQubits} qubit(s) but the oracle on ${n}`);
+    }
+
+    let circuit = new QuantumCircuit(n).compose(oracleCircuit);
+    circuit = circuit.compose(preparation.inverse());
+
+    // Reflection about |0...0⟩
+    range(0, n).forEach(qubit => circuit.x(qubit));
+    mcp(circuit, Math.PI, range(0, n - 1), n - 1);
+    range(0, n).forEach(qubit => circuit.x(qubit));
+
+    circuit = circuit.compose(preparation);
+    circuit.name = 'grover_op';
+    return circuit;
+}
+
+/**
+ * Amplitude amplification (Grover search when the state preparation is the default Hadamards)
+ * @param {QuantumCircuit|Array<string>} oracle - Phase oracle circuit, or the marked bitstrings
+ * @param {Object} options - Algorithm options
+ * @param {QuantumCircuit} options.statePreparation - A (default: Hadamard on every qubit)
+ * @param {number} options.iterations - Number of Grover operators (default: the optimal
+ *        ⌊π/(4θ)⌋ with sin²θ = M/N, only known for marked bitstrings and the default A)
+ * @param {boolean} options.measure - Measure every qubit at the end (default: true)
+ * @returns {QuantumCircuit} Circuit named 'amplitude_amplification'
+ */
+export function amplitudeAmplification(oracle, options = {}) {
+    const { statePreparation = null, measure = true } = options;
+    const oracleCircuit = toOracle(oracle);
+    const n = oracleCircuit.numQubits;
+
+    let iterations = options.iterations;
+    if (iterations === undefined) {
+        if (!Array.isArray(oracle) || statePreparation) {
+            throw new Error('Give the number of iterations for oracle circuits or custom state preparations');
+        }
+        const theta = Math.asin(Math.sqrt(new Set(oracle).size / Math.pow(2, n)));
+        iterations = Math.floor(Math.PI / (4 * theta));
+    }
+    if (!Number.isInteger(iterations) || iterations < 0) {
+        throw new Error('Number of iterations must be a non-negative integer');
+    }
+
+    const grover = groverOperator(oracleCircuit, { statePreparation });
+    let circuit = new QuantumCircuit(n, measure ? n : 0).compose(statePreparation || hadamards(n));
+    for (let i = 0; i < iterations; i++) {
+        circuit = circuit.compose(grover);
+    }
+    if (measure) {
+        circuit.measure_all();
+    }
+
+    circuit.name = 'amplitude_amplification';
+    return circuit;
+}
+
+/**
+ * Quantum phase estimation of U|ψ⟩ = e^(2πiφ)|ψ⟩. Counting qubits 0..precision-1 hold φ·2^precision
+ * (qubit 0 least significant); the unitary acts on the qubits after them.
+ * @param {QuantumCircuit} unitary - Circuit implementing U (without measurements)
+ * @param {number} precision - Number of counting qubits
+ * @param {Object} options - Algorithm options
+ * @param {QuantumCircuit} options.statePreparation - Prepares |ψ⟩ on the unitary's qubits
+ * @param {boolean} options.measure - Measure the counting qubits (default: true)
+ * @returns {QuantumCircuit} Circuit named 'qpe'
+ */
+export function phaseEstimation(unitary, precision, options = {}) {
+    const { statePreparation = null, measure = true } = options;
+    if (!(unitary instanceof QuantumCircuit)) {
+        throw new Error('Phase estimation needs the unitary as a QuantumCircuit');
+    }
+    if (!Number.isInteger(precision) || precision < 1) {
+        throw new Error('Precision must be a positive integer');
+    }
+
+    const counting = range(0, precision);
+    const targets = range(precision, precision + unitary.numQubits);
+    let circuit = new QuantumCircuit(precision + unitary.numQubits, measure ? precision : 0);
+
+    if (statePreparation) {
+        circuit = circuit.compose(statePreparation, targets);
+    }
+    counting.forEach(qubit => circuit.h(qubit));
+
+    // Controlled U^(2^q) on counting qubit q
+    for (const qubit of counting) {
+        circuit = circuit.compose(unitary.power(Math.pow(2, qubit)).control(1), [qubit, ...targets]);
+    }
+
+    circuit = circuit.compose(qft(precision, { inverse: true }), counting);
+    if (measure) {
+        counting.forEach(qubit => circuit.measure(qubit, qubit));
+    }
+
+    circuit.name = 'qpe';
+    return circuit;
+}
+
+/**
+ * Deutsch–Jozsa algorithm: measures all zeros if f is constant, anything else if it is balanced
+ * @param {QuantumCircuit} oracle - Oracle |x⟩|y⟩ → |x⟩|y ⊕ f(x)⟩ on n + 1 qubits: inputs 0..n-1, output n
+ * @param {Object} options - Algorithm options
+ * @param {boolean} options.measure - Measure the input qubits (default: true)
+ * @returns {QuantumCircuit} Circuit named 'deutsch_jozsa'
+ */
+export function deutschJozsa(oracle, options = {}) {
+    const { measure = true } = options;
+    if (!(oracle instanceof QuantumCircuit) || oracle.numQubits < 2) {
+        throw new Error('Deutsch-Jozsa needs an oracle circuit on at least 2 qubits (inputs and one output)');
+    }
+
+    const n = oracle.numQubits - 1;
+    const inputs = range(0, n);
+    let circuit = new QuantumCircuit(n + 1, measure ? n : 0);
+
+    circuit.x(n);
+    range(0, n + 1).forEach(qubit => circuit.h(qubit));
+    circuit = circuit.compose(oracle);
+    inputs.forEach(qubit => circuit.h(qubit));
+    if (measure) {
+        inputs.forEach(qubit => circuit.measure(qubit, qubit));
+    }
+
+    circuit.name = 'deutsch_jozsa';
+    return circuit;
+}
+
+/**
+ * Bernstein–Vazirani algorithm: finds s from the oracle f(x) = s·x mod 2 with one query
+ * @param {string} secret - Secret bitstring s, e.g. '1011' (rightmost bit is qubit 0)
+ * @param {Object} options - Algorithm options
+ * @param {boolean} options.measure - Measure the input qubits (default: true)
+ * @returns {QuantumCircuit} Circuit named 'bernstein_vazirani' whose counts are the secret
+ */
+export function bernsteinVazirani(secret, options = {}) {
+    const { measure = true } = options;
+    if (typeof secret !== 'string' || !/^[01]+$/.test(secret)) {
+        throw new Error('Secret must be a bitstring such as "1011"');
+    }
+
+    const n = secret.length;
+    const inputs = range(0, n);
+    const circuit = new QuantumCircuit(n + 1, measure ? n : 0);
+
+    circuit.x(n);
+    range(0, n + 1).forEach(qubit => circuit.h(qubit));
+    inputs.filter(qubit => secret[n - 1 - qubit] === '1').forEach(qubit => circuit.cx(qubit, n));
+    inputs.forEach(qubit => circuit.h(qubit));
+    if (measure) {
+        inputs.forEach(qubit => circuit.measure(qubit, qubit));
+    }
+
+    circuit.name = 'bernstein_vazirani';
+    return circuit;
+}
+
+/**
+ * Bell state preparation from |00⟩
+ * @param {string} variant - 'phi+' (|00⟩ + |11⟩)/√2, 'phi-' (|00⟩ - |11⟩)/√2,
+ *        'psi+' (|01⟩ + |10⟩)/√2 or 'psi-' (|01⟩ - |10⟩)/√2 (default: 'phi+')
+ * @returns {QuantumCircuit} Circuit named 'bell'
+ */
+export function bellState(variant = 'phi+') {
+    if (!['phi+', 'phi-', 'psi+', 'psi-'].includes(variant)) {
+        throw new Error(`Unknown Bell state ${variant}; use phi+, phi-, psi+ or psi-`);
+    }
+
+    const circuit = new QuantumCircuit(2);
+    circuit.h(0).cx(0, 1);
+    if (variant.startsWith('psi')) {
+        circuit.x(1);
+    }
+    if (variant.endsWith('-')) {
+        circuit.z(variant === 'phi-' ? 0 : 1);
+    }
+
+    circuit.name = 'bell';
+    return circuit;
+}
+
+/**
+ * GHZ state preparation (|0...0⟩ + |1...1⟩)/√2
+ * @param {number} numQubits - Number of qubits
+ * @returns {QuantumCircuit} Circuit named 'ghz'
+ */
+export function ghzState(numQubits) {
+    if (!Number.isInteger(numQubits) || numQubits < 1) {
+        throw new Error('Number of qubits must be a positive integer');
+    }
+
+    const circuit = new QuantumCircuit(numQubits);
+    circuit.h(0);
+    range(1, numQubits).forEach(qubit => circuit.cx(qubit - 1, qubit));
+
+    circuit.name = 'ghz';
+    return circuit;
+}
+
+/**
+ * W state preparation (|0...01⟩ + |0...10⟩ + ... + |10...0⟩)/√n
+ * @param {number} numQubits - Number of qubits
+ * @returns {QuantumCircuit} Circuit named 'w'
+ */
+export function wState(numQubits) {
+    if (!Number.isInteger(numQubits) || numQubits < 1) {
+        throw new Error('Number of qubits must be a positive integer');
+    }
+
+    // Start from |0...01⟩ and pass the excitation on, leaving amplitude 1/√n on each qubit
+    const circuit = new QuantumCircuit(numQubits);
+    circuit.x(0);
+    range(0, numQubits - 1).forEach(qubit => {
+        circuit.cry(2 * Math.acos(Math.sqrt(1 / (numQubits - qubit))), qubit, qubit + 1);
+        circuit.cx(qubit + 1, qubit);
+    });
+
+    circuit.name = 'w';
+    return circuit;
+}
+
+/**
+ * Graph state preparation: |+⟩ on every qubit, then CZ on every edge
+ * @param {number} numQubits - Number of qubits (vertices)
+ * @param {Array<Array<number>>} edges - Edges [a, b] between qubits (default: the path
+ *        0-1-...-(n-1), a linear cluster state)
+ * @returns {QuantumCircuit} Circuit named 'graph_state'
+ */
+export function graphState(numQubits, edges = null) {
+    if (!Number.isInteger(numQubits) || numQubits < 1) {
+        throw new Error('Number of qubits must be a positive integer');
+    }
+
+    const edgeList = edges || range(1, numQubits).map(qubit => [qubit - 1, qubit]);
+    for (const edge of edgeList) {
+        const valid = Array.isArray(edge) && edge.length === 2 && edge[0] !== edge[1] &&
+            edge.every(qubit => Number.isInteger(qubit) && qubit >= 0 && qubit < numQubits);
+        if (!valid) {
+            throw new Error(`Invalid graph state edge ${JSON.stringify(edge)}`);
+        }
+    }
+
+    const circuit = new QuantumCircuit(numQubits);
+    range(0, numQubits).forEach(qubit => circuit.h(qubit));
+    edgeList.forEach(([a, b]) => circuit.cz(a, b));
+
+    circuit.name = 'graph_state';
+    return circuit;
+}
+
+/**
+ * Hadamard on every qubit
+ * @param {number} numQubits - Number of qubits
+ * @returns {QuantumCircuit} H^⊗n
+ */
+function hadamards(numQubits) {
+    const circuit = new QuantumCircuit(numQubits);
+    range(0, numQubits).forEach(qubit => circuit.h(qubit));
+    return circuit;
+}
+
+/**
+ * Oracle circuit from a circuit or marked bitstrings
+ * @param {QuantumCircuit|Array<string>} oracle - Phase oracle circuit, or the marked bitstrings
+ * @returns {QuantumCircuit} Phase oracle
+ */
+function toOracle(oracle) {
+    if (Array.isArray(oracle)) {
+        return phaseOracle(oracle);
+    }
+    if (!(oracle instanceof QuantumCircuit)) {
+        throw new Error('Oracle must be a QuantumCircuit or a list of marked bitstrings');
+    }
+    return oracle;
+}
+
+/**
+ * Multi-controlled phase from cp, cx and ccx gates, without ancillas: C^n P(λ) is split into
+ * controlled P(±λ/2) gates around two C^(n-1) X gates and a C^(n-1) P(λ/2)
+ * @param {QuantumCircuit} circuit - Circuit to add the gates to
+ * @param {number} lambda - Phase
+ * @param {Array<number>} controls - Control qubits
+ * @param {number} target - Target qubit
+ */
+function mcp(circuit, lambda, controls, target) {
+    if (controls.length === 0) {
+        circuit.p(lambda, target);
+        return;
+    }
+    if (controls.length === 1) {
+        circuit.cp(lambda, controls[0], target);
+        return;
+    }
+
+    const last = controls[controls.length - 1];
+    const rest = controls.slice(0, -1);
+    circuit.cp(lambda / 2, last, target);
+    mcx(circuit, rest, last);
+    circuit.cp(-lambda / 2, last, target);
+    mcx(circuit, rest, last);
+    mcp(circuit, lambda / 2, rest, target);
+}
+
+/**
+ * Multi-controlled X (see mcp)
+ * @param {QuantumCircuit} circuit - Circuit to add the gates to
+ * @param {Array<number>} controls - Control qubits
+ * @param {number} target - Target qubit
+ */
+function mcx(circuit, controls, target) {
+    if (controls.length === 1) {
+        circuit.cx(controls[0], target);
+    } else if (controls.length === 2) {
+        circuit.ccx(controls[0], controls[1], target);
+    } else {
+        circuit.h(target);
+        mcp(circuit, Math.PI, controls, target);
+        circuit.h(target);
+    }
+}
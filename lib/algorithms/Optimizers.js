@@ -0,0 +1,279 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Classical Optimizers Module
+ *
+ * Local minimizers for variational algorithms (see VQE and QAOA). Each optimizer
+ * minimizes f(x) over an array of real numbers and records one history entry per
+ * iteration, which is also passed to the optional callback.
+ */
+
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export class Optimizer {
+    /**
+     * Create an optimizer
+     * @param {Object} options - Optimizer options
+     * @param {number} options.maxIterations - Iteration limit (default: 100)
+     * @param {number} options.tolerance - Convergence tolerance (default: 1e-6)
+     */
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations ?? 100;
+        this.tolerance = options.tolerance ?? 1e-6;
+
+        if (!Number.isInteger(this.maxIterations) || this.maxIterations < 1) {
+            throw new Error('maxIterations must be a positive integer');
+        }
+    }
+
+    /**
+     * Minimize a function
+     * @param {Function} fn - Objective, called with an array of numbers
+     * @param {Array<number>} x0 - Starting point
+     * @param {Object} options - Minimization options
+     * @param {Function} options.callback - Called with each history entry {iteration, value, x};
+     *        returning false stops the optimization
+     * @param {Function} options.gradient - Gradient of fn, returning an array (used by gradient
+     *        descent; finite differences otherwise)
+     * @returns {Object} {x, value, iterations, evaluations, converged, history}
+     */
+    minimize(fn, x0, options = {}) {
+        const { callback = null, gradient = null } = options;
+        let evaluations = 0;
+        const objective = x => {
+            evaluations++;
+            return fn(x);
+        };
+
+        const history = [];
+        const report = (x, value) => {
+            const entry = { iteration: history.length + 1, value, x: [...x] };
+            history.push(entry);
+            return !(callback && callback(entry) === false);
+        };
+
+        const { x, value, converged } = this.optimize(objective, [...x0], report, gradient);
+        return { x, value, iterations: history.length, evaluations, converged, history };
+    }
+
+    /**
+     * Run the optimization (implemented by each optimizer)
+     * @param {Function} f - Objective
+     * @param {Array<number>} x - Starting point (may be modified)
+     * @param {Function} report - Records an iteration; returns false if the callback asked to stop
+     * @param {Function|null} gradient - Gradient of f, if known
+     * @returns {Object} {x, value, converged}
+     */
+    optimize(f, x, report, gradient) {
+        throw new Error(`${this.constructor.name} does not implement optimize()`);
+    }
+}
+
+export class NelderMead extends Optimizer {
+    /**
+     * Downhill simplex method
+     * @param {Object} options - Optimizer options (see Optimizer)
+     * @param {number} options.initialStep - Size of the starting simplex (default: 0.5)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.initialStep = options.initialStep ?? 0.5;
+    }
+
+    optimize(f, x, report) {
+        const n = x.length;
+        const combine = (a, b, t) => a.map((ai, i) => ai + t * (b[i] - ai));
+
+        let simplex = [x, ...x.map((_, i) => x.map((xi, j) => i === j ? xi + this.initialStep : xi))]
+            .map(point => ({ x: point, value: f(point) }));
+        let converged = false;
+
+        for (let iteration = 0; iteration < this.maxIterations && n > 0; iteration++) {
+            simplex.sort((a, b) => a.value - b.value);
+            const best = simplex[0];
+            const worst = simplex[n];
+
+            if (!report(best.x, best.value)) break;
+            if (Math.abs(worst.value - best.value) < this.tolerance) {
+                converged = true;
+                break;
+            }
+
+            // Centroid of all points but the worst
+            const centroid = x.map((_, i) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[i], 0) / n);
+
+            const reflected = combine(centroid, worst.x, -1);
+            const reflectedValue = f(reflected);
+
+            if (reflectedValue < best.value) {
+                const expanded = combine(centroid, worst.x, -2);
+                const expandedValue = f(expanded);
+                simplex[n] = expandedValue < reflectedValue
+                    ? { x: expanded, value: expandedValue }
+                    : { x: reflected, value: reflectedValue };
+            } else if (reflectedValue < simplex[n - 1].value) {
+                simplex[n] = { x: reflected, value: reflectedValue };
+            } else {
+                const contracted = combine(centroid, worst.x, 0.5);
+                const contractedValue = f(contracted);
+                if (contractedValue < worst.value) {
+                    simplex[n] = { x: contracted, value: contractedValue };
+                } else {
+                    // Shrink towards the best point
+                    simplex = simplex.map((p, i) => {
+                        if (i === 0) return p;
+                        const shrunk = combine(best.x, p.x, 0.5);
+                        return { x: shrunk, value: f(shrunk) };
+                    });
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.value - b.value);
+        return { x: simplex[0].x, value: simplex[0].value, converged: converged || n === 0 };
+    }
+}
+
+export class COBYLA extends Optimizer {
+    /**
+     * Derivative-free trust-region method in the spirit of COBYLA (without constraints):
+     * each iteration fits a linear model from probes at distance rho and steps downhill
+     * by rho; rho is halved when that fails, until it falls below rhoEnd.
+     * @param {Object} options - Optimizer options (see Optimizer)
+     * @param {number} options.rhoBegin - Initial trust-region radius (default: 0.5)
+     * @param {number} options.rhoEnd - Final trust-region radius (default: 1e-4)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.rhoBegin = options.rhoBegin ?? 0.5;
+        this.rhoEnd = options.rhoEnd ?? 1e-4;
+    }
+
+    optimize(f, x, report) {
+        let value = f(x);
+        let rho = this.rhoBegin;
+        let converged = x.length === 0;
+
+        for (let iteration = 0; iteration < this.maxIterations && !converged; iteration++) {
+            // Linear model from one probe per coordinate
+            const probes = x.map((_, i) => {
+                const point = [...x];
+                point[i] += rho;
+                return { x: point, value: f(point) };
+            });
+            const slope = probes.map(probe => (probe.value - value) / rho);
+            const norm = Math.hypot(...slope);
+
+            let next = probes.reduce((best, probe) => probe.value < best.value ? probe : best, { x, value });
+            if (norm > 0) {
+                const trial = x.map((xi, i) => xi - rho * slope[i] / norm);
+                const trialValue = f(trial);
+                if (trialValue < next.value) {
+                    next = { x: trial, value: trialValue };
+                }
+            }
+
+            if (next.value < value) {
+                ({ x, value } = next);
+            } else {
+                rho /= 2;
+                converged = rho < this.rhoEnd;
+            }
+
+            if (!report(x, value)) break;
+        }
+
+        return { x, value, converged };
+    }
+}
+
+export class SPSA extends Optimizer {
+    /**
+     * Simultaneous perturbation stochastic approximation: two evaluations per iteration
+     * whatever the number of parameters, and robust to shot noise
+     * @param {Object} options - Optimizer options (see Optimizer)
+     * @param {number} options.learningRate - Step size a (default: 0.2)
+     * @param {number} options.perturbation - Perturbation size c (default: 0.1)
+     * @param {number} options.alpha - Decay exponent of the step size (default: 0.602)
+     * @param {number} options.gamma - Decay exponent of the perturbation (default: 0.101)
+     * @param {number|string} options.seed - Seed for the random perturbations
+     */
+    constructor(options = {}) {
+        super(options);
+        this.learningRate = options.learningRate ?? 0.2;
+        this.perturbation = options.perturbation ?? 0.1;
+        this.alpha = options.alpha ?? 0.602;
+        this.gamma = options.gamma ?? 0.101;
+        this.seed = options.seed ?? null;
+    }
+
+    optimize(f, x, report) {
+        const rng = new SeededRandom(this.seed);
+        const stability = 0.1 * this.maxIterations;
+        let converged = x.length === 0;
+
+        for (let k = 0; k < this.maxIterations && !converged; k++) {
+            const a = this.learningRate / Math.pow(k + 1 + stability, this.alpha);
+            const c = this.perturbation / Math.pow(k + 1, this.gamma);
+            const delta = x.map(() => rng.random() < 0.5 ? -1 : 1);
+
+            const plus = f(x.map((xi, i) => xi + c * delta[i]));
+            const minus = f(x.map((xi, i) => xi - c * delta[i]));
+            const step = delta.map(d => a * (plus - minus) / (2 * c * d));
+
+            x = x.map((xi, i) => xi - step[i]);
+            converged = Math.hypot(...step) < this.tolerance;
+
+            // The mean of the two probes estimates f without an extra evaluation
+            if (!report(x, (plus + minus) / 2)) break;
+        }
+
+        return { x, value: f(x), converged };
+    }
+}
+
+export class GradientDescent extends Optimizer {
+    /**
+     * Gradient descent; variational algorithms supply parameter-shift gradients
+     * @param {Object} options - Optimizer options (see Optimizer)
+     * @param {number} options.learningRate - Step size (default: 0.1)
+     * @param {number} options.momentum - Momentum factor in [0, 1) (default: 0)
+     * @param {number} options.finiteDifferenceStep - Step for numerical gradients (default: 1e-6)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.learningRate = options.learningRate ?? 0.1;
+        this.momentum = options.momentum ?? 0;
+        this.finiteDifferenceStep = options.finiteDifferenceStep ?? 1e-6;
+    }
+
+    optimize(f, x, report, gradient) {
+        const h = this.finiteDifferenceStep;
+        const grad = gradient || (point => point.map((_, i) => {
+            const plus = [...point];
+            const minus = [...point];
+            plus[i] += h;
+            minus[i] -= h;
+            return (f(plus) - f(minus)) / (2 * h);
+        }));
+
+        let value = f(x);
+        let velocity = x.map(() => 0);
+        let converged = x.length === 0;
+
+        for (let iteration = 0; iteration < this.maxIterations && !converged; iteration++) {
+            const g = grad(x);
+            if (Math.hypot(...g) < this.tolerance) {
+                converged = true;
+                break;
+            }
+
+            velocity = velocity.map((v, i) => this.momentum * v - this.learningRate * g[i]);
+            x = x.map((xi, i) => xi + velocity[i]);
+            value = f(x);
+
+            if (!report(x, value)) break;
+        }
+
+        return { x, value, converged };
+    }
+}
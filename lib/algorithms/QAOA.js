@@ -0,0 +1,112 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Quantum Approximate Optimization Algorithm Module
+ *
+ * QAOA minimizes a diagonal cost Hamiltonian (Z and I Paulis only) with the ansatz
+ * H^⊗n · Π_l [e^{-iβ_l Σ X} e^{-iγ_l C}], optimized like any other VQE.
+ */
+
+import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+import { Parameter } from '../quantum/Parameter.js';
+import { SparsePauliOp } from '../quantum/SparsePauliOp.js';
+import { VQE } from './VQE.js';
+
+export class QAOA extends VQE {
+    /**
+     * Create a QAOA runner
+     * @param {Object} options - QAOA options (plus the VQE options other than ansatz and observable)
+     * @param {SparsePauliOp} options.costOperator - Cost Hamiltonian of Z and I Paulis
+     * @param {number} options.reps - Number of cost/mixer layers p (default: 1)
+     */
+    constructor(options = {}) {
+        const { costOperator, reps = 1 } = options;
+        if (!(costOperator instanceof SparsePauliOp)) {
+            throw new Error('QAOA needs a cost operator (SparsePauliOp)');
+        }
+        if (costOperator.terms.some(term => !/^[IZ]+$/.test(term.pauli))) {
+            throw new Error('QAOA cost operators may only contain Z and I Paulis');
+        }
+        if (!Number.isInteger(reps) || reps < 1) {
+            throw new Error('reps must be a positive integer');
+        }
+
+        super({ ...options, ansatz: QAOA.buildAnsatz(costOperator, reps), observable: costOperator });
+        this.costOperator = costOperator;
+        this.reps = reps;
+    }
+
+    /**
+     * Run the optimization
+     * @returns {Object} VQE result plus probabilities (by basis state index) and bitstring, the
+     *          most likely outcome of the optimized circuit
+     */
+    run() {
+        const result = super.run();
+        const { probabilities } = this.observable.simulate(result.circuit, {
+            backend: this.backend, noiseModel: this.noiseModel, shots: 1
+        });
+
+        const best = probabilities.reduce((best, p, i) => p > probabilities[best] ? i : best, 0);
+        return {
+            ...result,
+            probabilities,
+            bitstring: best.toString(2).padStart(this.costOperator.numQubits, '0')
+        };
+    }
+
+    /**
+     * Build the QAOA ansatz. Layer l uses the parameters gamma_l (cost) and beta_l (mixer);
+     * each cost term c·Z...Z becomes a CX ladder around rz(2γc).
+     * @param {SparsePauliOp} costOperator - Cost Hamiltonian of Z and I Paulis
+     * @param {number} reps - Number of layers
+     * @returns {QuantumCircuit} Parameterized circuit
+     */
+    static buildAnsatz(costOperator, reps) {
+        const n = costOperator.numQubits;
+        const circuit = new QuantumCircuit(n);
+        circuit.name = 'qaoa';
+
+        for (let qubit = 0; qubit < n; qubit++) {
+            circuit.h(qubit);
+        }
+
+        for (let layer = 0; layer < reps; layer++) {
+            const gamma = new Parameter(`gamma_${layer}`);
+            const beta = new Parameter(`beta_${layer}`);
+
+            for (const { pauli, coeff } of costOperator.terms) {
+                // Qubits with a Z (rightmost character is qubit 0); identity terms are a global phase
+                const qubits = [...pauli].map((p, i) => p === 'Z' ? n - 1 - i : -1).filter(q => q >= 0).reverse();
+                if (qubits.length === 0) continue;
+
+                const ladder = qubits.slice(1).map((target, i) => [qubits[i], target]);
+                ladder.forEach(([control, target]) => circuit.cx(control, target));
+                circuit.rz(gamma.mul(2 * coeff), qubits[qubits.length - 1]);
+                [...ladder].reverse().forEach(([control, target]) => circuit.cx(control, target));
+            }
+
+            for (let qubit = 0; qubit < n; qubit++) {
+                circuit.rx(beta.mul(2), qubit);
+            }
+        }
+
+        return circuit;
+    }
+
+    /**
+     * Max-cut cost Hamiltonian Σ w/2·(Z_i Z_j − I), whose value is minus the cut weight
+     * @param {Array} edges - [i, j] or [i, j, weight] edges
+     * @param {number} numQubits - Number of vertices (default: largest index + 1)
+     * @returns {SparsePauliOp} Cost operator
+     */
+    static maxCut(edges, numQubits = null) {
+        const n = numQubits ?? Math.max(...edges.flatMap(([i, j]) => [i, j])) + 1;
+        const terms = edges.flatMap(([i, j, weight = 1]) => {
+            if (i === j) {
+                throw new Error(`Edge (${i}, ${j}) is a self-loop`);
+            }
+            return [['ZZ', [i, j], weight / 2], ['', [], -weight / 2]];
+        });
+        return SparsePauliOp.fromSparseList(terms, n).simplify();
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Variational Quantum Eigensolver Module
+ *
+ * Minimizes the energy ⟨ψ(θ)|H|ψ(θ)⟩ of an observable over the parameters of an
+ * ansatz circuit with a classical optimizer. Energies are exact by default or estimated
+ * from shots, and gradients use the parameter-shift rule.
+ */
+
+import { Parameter } from '../quantum/Parameter.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { COBYLA } from './Optimizers.js';
+
+// Parameter-shift rules by gate and parameter: 'two' for generators with eigenvalue
+// gap 1 (rotations, phases), 'four' for controlled rotations (gaps 1/2 and 1)
+const SHIFT_RULES = {
+    rx: { theta: 'two' },
+    ry: { theta: 'two' },
+    rz: { theta: 'two' },
+    p: { lambda: 'two' },
+    phase: { lambda: 'two' },
+    u1: { lambda: 'two' },
+    u2: { phi: 'two', lambda: 'two' },
+    u3: { theta: 'two', phi: 'two', lambda: 'two' },
+    cp: { lambda: 'two' },
+    crx: { theta: 'four' },
+    cry: { theta: 'four' },
+    crz: { theta: 'four' },
+    cu: { theta: 'four', phi: 'two', lambda: 'two', gamma: 'two' }
+};
+
+export class VQE {
+    /**
+     * Create a VQE runner
+     * @param {Object} options - VQE options
+     * @param {QuantumCircuit} options.ansatz - Parameterized circuit without measurements
+     * @param {SparsePauliOp} options.observable - Hamiltonian to minimize
+     * @param {Optimizer} options.optimizer - Classical optimizer (default: new COBYLA())
+     * @param {Array|Object} options.initialPoint - Starting values, in the order of
+     *        ansatz.parameters or by name (default: seeded random values in [-π, π])
+     * @param {Function} options.callback - Called with each history entry {iteration, energy,
+     *        parameters}; returning false stops the optimization
+     * @param {number} options.shots - Estimate energies from this many shots per measurement
+     *        group instead of computing them exactly
+     * @param {number|string} options.seed - Seed for the initial point and shot sampling
+     * @param {string} options.backend - Simulation backend, as for circuit.run()
+     * @param {NoiseModel} options.noiseModel - Noise model for the density matrix backend
+     */
+    constructor(options = {}) {
+        const { ansatz, observable } = options;
+        if (!ansatz || !observable) {
+            throw new Error('VQE needs an ansatz circuit and an observable');
+        }
+        if (ansatz.numQubits !== observable.numQubits) {
+            throw new Error(`Observable acts on ${observable.numQubits} qubit(s) but the ansatz has ${ansatz.numQubits}`);
+        }
+
+        this.ansatz = ansatz;
+        this.observable = observable;
+        this.optimizer = options.optimizer || new COBYLA();
+        this.initialPoint = options.initialPoint ?? null;
+        this.callback = options.callback || null;
+        this.shots = options.shots ?? null;
+        this.seed = options.seed ?? null;
+        this.backend = options.backend;
+        this.noiseModel = options.noiseModel;
+        this.rng = new SeededRandom(this.seed);
+    }
+
+    /**
+     * Names of the parameters being optimized, in the order of points
+     * @returns {Array<string>} Sorted parameter names
+     */
+    get parameterNames() {
+        return this.ansatz.parameters.map(parameter => parameter.name);
+    }
+
+    /**
+     * Run the optimization
+     * @returns {Object} {energy, parameters, point, circuit, history, iterations, evaluations, converged}
+     *          where parameters maps names to the optimal values, circuit is the bound ansatz and
+     *          history holds one {iteration, energy, parameters} entry per iteration
+     */
+    run() {
+        this.rng = new SeededRandom(this.seed);
+        const history = [];
+
+        const result = this.optimizer.minimize(point => this.energy(point), this.getInitialPoint(), {
+            gradient: point => this.gradient(point),
+            callback: entry => {
+                const item = { iteration: entry.iteration, energy: entry.value, parameters: this.toValues(entry.x) };
+                history.push(item);
+                return this.callback ? this.callback(item) : undefined;
+            }
+        });
+
+        return {
+            energy: result.value,
+            parameters: this.toValues(result.x),
+            point: result.x,
+            circuit: this.bind(result.x),
+            history,
+            iterations: result.iterations,
+            evaluations: result.evaluations,
+            converged: result.converged
+        };
+    }
+
+    /**
+     * Energy of the ansatz at a point
+     * @param {Array<number>} point - Parameter values in the order of parameterNames
+     * @returns {number} ⟨H⟩ (estimated when shots are set)
+     */
+    energy(point) {
+        return this.evaluate(this.bind(point));
+    }
+
+    /**
+     * Gradient of the energy by the parameter-shift rule. Each gate using a parameter is
+     * shifted on its own and the results are combined with the chain rule, so parameters
+     * may appear in several gates and inside expressions. Gates without a shift rule fall
+     * back to a central finite difference.
+     * @param {Array<number>} point - Parameter values in the order of parameterNames
+     * @returns {Array<number>} dE/dθ for each parameter
+     */
+    gradient(point) {
+        const names = this.parameterNames;
+        const values = this.toValues(point);
+        const circuit = this.bind(point);
+        const gradient = names.map(() => 0);
+
+        const bound = new Map();
+        circuit.forEachGate(gate => bound.set(gate.id, gate));
+
+        this.ansatz.forEachGate(gate => {
+            for (const [key, expression] of Object.entries(gate.options?.params || {})) {
+                if (typeof expression === 'number') continue;
+
+                const target = bound.get(gate.id);
+                const value = target.options.params[key];
+                const shifted = shift => {
+                    target.options.params[key] = value + shift;
+                    const energy = this.evaluate(circuit);
+                    target.options.params[key] = value;
+                    return energy;
+                };
+                const derivative = this.shiftDerivative(SHIFT_RULES[gate.name]?.[key], shifted);
+
+                expression.parameters.forEach(parameter => {
+                    gradient[names.indexOf(parameter.name)] += derivative * this.partialDerivative(expression, parameter.name, values);
+                });
+            }
+        });
+
+        return gradient;
+    }
+
+    /**
+     * Derivative of the energy with respect to one gate parameter
+     * @param {string} rule - 'two', 'four' or undefined (finite difference)
+     * @param {Function} shifted - Energy with the gate parameter shifted by the argument
+     * @returns {number} Derivative
+     */
+    shiftDerivative(rule, shifted) {
+        if (rule === 'two') {
+            return (shifted(Math.PI / 2) - shifted(-Math.PI / 2)) / 2;
+        }
+        if (rule === 'four') {
+            const plus = (Math.SQRT2 + 1) / (4 * Math.SQRT2);
+            const minus = (Math.SQRT2 - 1) / (4 * Math.SQRT2);
+            return plus * (shifted(Math.PI / 2) - shifted(-Math.PI / 2)) -
+                minus * (shifted(3 * Math.PI / 2) - shifted(-3 * Math.PI / 2));
+        }
+
+        const h = 1e-6;
+        return (shifted(h) - shifted(-h)) / (2 * h);
+    }
+
+    /**
+     * Derivative of a gate parameter expression with respect to one parameter
+     * @param {ParameterExpression} expression - Expression used by a gate
+     * @param {string} name - Parameter name
+     * @param {Object} values - Values of all parameters by name
+     * @returns {number} d(expression)/d(name)
+     */
+    partialDerivative(expression, name, values) {
+        if (expression instanceof Parameter) {
+            return 1;
+        }
+
+        const h = 1e-6;
+        const value = values[name];
+        const plus = expression.evaluate({ ...values, [name]: value + h });
+        const minus = expression.evaluate({ ...values, [name]: value - h });
+        return (plus - minus) / (2 * h);
+    }
+
+    /**
+     * Expectation value of the observable for a bound circuit
+     * @param {QuantumCircuit} circuit - Circuit without symbolic parameters
+     * @returns {number} ⟨H⟩
+     */
+    evaluate(circuit) {
+        const options = { backend: this.backend, noiseModel: this.noiseModel };
+        if (this.shots) {
+            return this.observable.estimate(circuit, { ...options, shots: this.shots, rng: this.rng }).value;
+        }
+        return this.observable.expectation(circuit, options);
+    }
+
+    /**
+     * Bind the ansatz to a point
+     * @param {Array<number>} point - Parameter values in the order of parameterNames
+     * @returns {QuantumCircuit} Bound circuit
+     */
+    bind(point) {
+        return this.ansatz.assignParameters(this.toValues(point));
+    }
+
+    /**
+     * Name the values of a point
+     * @param {Array<number>} point - Parameter values in the order of parameterNames
+     * @returns {Object} Values by parameter name
+     */
+    toValues(point) {
+        return Object.fromEntries(this.parameterNames.map((name, i) => [name, point[i]]));
+    }
+
+    /**
+     * Starting point of the optimization
+     * @returns {Array<number>} Parameter values in the order of parameterNames
+     */
+    getInitialPoint() {
+        const names = this.parameterNames;
+        if (this.initialPoint === null) {
+            return names.map(() => (2 * this.rng.random() - 1) * Math.PI);
+        }
+
+        const point = Array.isArray(this.initialPoint)
+            ? this.initialPoint
+            : names.map(name => this.initialPoint[name]);
+        if (point.length !== names.length || point.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+            throw new Error(`Initial point needs a finite value for each parameter: ${names.join(', ')}`);
+        }
+        return [...point];
+    }
+}
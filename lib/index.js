@@ -10,15 +10,35 @@ export { ClassicalRegister } from './quantum/ClassicalRegister.js';
 export { QuantumGates } from './quantum/QuantumGates.js';
 export { ComplexMath } from './quantum/ComplexMath.js';
 export { QuantumSimulator } from './quantum/QuantumSimulator.js';
-export { QuantumNetwork, QuantumNetworkNode, QuantumEntanglement } from './quantum/QuantumNetwork.js';
+export { DensityMatrixSimulator } from './quantum/DensityMatrixSimulator.js';
+export { StateVector } from './quantum/StateVector.js';
+export { StabilizerSimulator } from './quantum/StabilizerSimulator.js';
+export { StabilizerState } from './quantum/StabilizerState.js';
+export { NoiseChannel, ReadoutError } from './quantum/NoiseChannel.js';
+export { NoiseModel } from './quantum/NoiseModel.js';
+export { Parameter, ParameterExpression } from './quantum/Parameter.js';
+export { SparsePauliOp, SparsePauliOp as Observable } from './quantum/SparsePauliOp.js';
+export { QuantumNetwork, QuantumNetworkNode, QuantumEntanglement, ClassicalLink } from './quantum/QuantumNetwork.js';
+export { QuantumChannel } from './quantum/QuantumChannel.js';
+export { NetworkEventSimulator, NetworkTimeline } from './quantum/NetworkEventSimulator.js';
+
+// Algorithms
+export { Optimizer, NelderMead, COBYLA, SPSA, GradientDescent } from './algorithms/Optimizers.js';
+export { VQE } from './algorithms/VQE.js';
+export { QAOA } from './algorithms/QAOA.js';
+export { qft, phaseOracle, groverOperator, amplitudeAmplification, phaseEstimation, deutschJozsa, bernsteinVazirani, bellState, ghzState, wState, graphState } from './algorithms/CircuitLibrary.js';
 
 // Transpiler
 export { QasmTranspiler } from './transpiler/QasmTranspiler.js';
+export { QasmParser } from './transpiler/QasmParser.js';
 
 // Utilities
 export { CircuitSerializer } from './utils/CircuitSerializer.js';
 export { CircuitBuilder } from './utils/CircuitBuilder.js';
 export { CircuitMetrics } from './utils/CircuitMetrics.js';
 export { BlochSphereCalculator } from './utils/BlochSphereCalculator.js';
+export { SeededRandom } from './utils/SeededRandom.js';
+export { ExpressionEvaluator } from './utils/ExpressionEvaluator.js';
+export { CircuitEquivalence } from './utils/CircuitEquivalence.js';
 
 export const version = '2.0.0';
@@ -0,0 +1,453 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Density Matrix Simulator Module
+ *
+ * Simulates circuits as density matrices so that noise channels and mixed states
+ * can be represented exactly. Shares the circuit format, gate matrices and result
+ * shape of QuantumSimulator.
+ */
+
+import { QuantumSimulator } from './QuantumSimulator.js';
+import { NoiseChannel, ReadoutError } from './NoiseChannel.js';
+
+export class DensityMatrixSimulator extends QuantumSimulator {
+    /**
+     * Create a new density matrix simulator
+     * @param {Object} options - Simulator options (see QuantumSimulator)
+     */
+    constructor(options = {}) {
+        super(options);
+    }
+
+    /**
+     * Simulate a quantum circuit
+     * @param {QuantumCircuit} circuit - The circuit to simulate
+     * @param {Object} options - Simulation options
+     * @param {number} options.shots - Number of measurement samples (default: 1024)
+     * @param {number|string} options.seed - Seed for this run (overrides the simulator seed)
+     * @param {Object} options.rng - Custom random generator for this run
+     * @param {ReadoutError|Object} options.readoutErrors - Readout error for every qubit, or a map
+     *        from qubit index to ReadoutError (takes precedence over the noise model)
+     * @param {NoiseModel} options.noiseModel - Gate, relaxation and readout errors to apply
+     * @param {Function} options.onProgress - Called with {completed, total} columns after each column
+     * @returns {Object} Simulation results
+     */
+    simulate(circuit, options = {}) {
+        const { shots = 1024 } = options;
+        const rng = this.createRandom(options);
+
+        if (!Number.isInteger(shots) || shots < 1) {
+            throw new Error('Number of shots must be a positive integer');
+        }
+
+        const numQubits = circuit.numQubits;
+        const stateSize = 1 << numQubits;
+        const noiseModel = options.noiseModel || null;
+        const modelReadoutErrors = this.normalizeReadoutErrors(noiseModel?.getReadoutErrors(numQubits), numQubits);
+        const readoutErrors = this.normalizeReadoutErrors(options.readoutErrors, numQubits)
+            .map((error, qubit) => error || modelReadoutErrors[qubit]);
+
+        // Initialize density matrix to |00...0⟩⟨00...0|
+        const densityMatrix = this.createZeroMatrix(stateSize);
+        densityMatrix[0][0] = this.complexMath.complex(1, 0);
+
+        const deferred = this.findDeferredMeasurements(circuit);
+
+        // Branches are only split by mid-circuit measurements, whose outcomes may be read later.
+        // Branches that end up with the same classical bits are mixed back into one density matrix.
+        let branches = [{ densityMatrix, probability: 1, clbits: {}, history: null }];
+
+        const numCols = circuit.numCols();
+
+        for (let col = 0; col < numCols; col++) {
+            const columnGates = this.getGatesAtColumn(circuit, col);
+
+            for (const gate of columnGates) {
+                if (!gate || gate.name === 'barrier' || deferred.has(gate.id)) {
+                    continue;
+                }
+
+                const modelChannels = this.getModelChannels(noiseModel, gate, circuit);
+                let gateMatrix = null; // Built once and shared by all branches and columns
+
+                branches = branches.flatMap(branch => {
+                    if (!this.isConditionMet(gate.options?.condition, branch.clbits)) {
+                        return [branch];
+                    }
+
+                    if (gate.name === 'measure') {
+                        return this.measureDensityBranch(branch, gate, circuit, readoutErrors);
+                    }
+
+                    const wires = this.findGateWires(circuit, gate);
+
+                    if (gate.name === 'reset') {
+                        branch.densityMatrix = this.applyChannel(branch.densityMatrix, NoiseChannel.reset(), wires, numQubits);
+                    } else if (gate.name === 'noise') {
+                        const channel = NoiseChannel.fromJSON(gate.options.channel);
+                        branch.densityMatrix = this.applyChannel(branch.densityMatrix, channel, wires, numQubits);
+                    } else {
+                        gateMatrix ??= this.getGateMatrix(gate, circuit);
+                        branch.densityMatrix = this.applyOperation(branch.densityMatrix,
+                            vector => this.applyGate(vector, gate, circuit, numQubits, gateMatrix));
+                    }
+
+                    for (const { channel, wires: channelWires } of modelChannels) {
+                        branch.densityMatrix = this.applyChannel(branch.densityMatrix, channel, channelWires, numQubits);
+                    }
+                    return [branch];
+                });
+
+                if (gate.name === 'measure') {
+                    branches = this.mergeBranches(branches);
+                }
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ completed: col + 1, total: numCols });
+            }
+        }
+
+        // Mix the branches into the final density matrix
+        const finalDensityMatrix = this.createZeroMatrix(stateSize);
+        for (const branch of branches) {
+            for (let i = 0; i < stateSize; i++) {
+                for (let j = 0; j < stateSize; j++) {
+                    finalDensityMatrix[i][j] = this.complexMath.add(finalDensityMatrix[i][j],
+                        this.complexMath.scale(branch.densityMatrix[i][j], branch.probability));
+                }
+            }
+        }
+
+        // Sample joint outcomes: pick a branch, then a basis state, then apply readout errors
+        const outcomeBits = this.getOutcomeBits(circuit, deferred);
+        const branchCumulative = this.cumulativeSum(branches.map(branch => branch.probability));
+        const stateCumulatives = branches.map(branch => this.cumulativeSum(this.getDiagonal(branch.densityMatrix)));
+
+        const memory = new Array(shots);
+        const counts = {};
+        let firstShot = null;
+
+        for (let shot = 0; shot < shots; shot++) {
+            const branchIndex = branches.length === 1 ? 0 : this.sampleIndex(branchCumulative, rng);
+            const branch = branches[branchIndex];
+            const index = this.applyReadoutError(this.sampleIndex(stateCumulatives[branchIndex], rng),
+                outcomeBits, readoutErrors, rng);
+            const outcome = this.formatOutcome(index, outcomeBits, branch.clbits);
+
+            memory[shot] = outcome;
+            counts[outcome] = (counts[outcome] || 0) + 1;
+
+            if (shot === 0) {
+                firstShot = { branch, index };
+            }
+        }
+
+        const measurementResults = this.handleMeasurements(circuit, firstShot.branch, firstShot.index);
+
+        return {
+            densityMatrix: finalDensityMatrix,
+            purity: this.calculatePurity(finalDensityMatrix),
+            probabilities: this.getDiagonal(finalDensityMatrix),
+            measurements: measurementResults,
+            shots: shots,
+            seed: rng.seed ?? null,
+            counts: counts,
+            memory: memory,
+            idealProbabilities: this.calculateNoisyOutcomeProbabilities(branches, outcomeBits, readoutErrors),
+            numQubits: numQubits
+        };
+    }
+
+    /**
+     * Convert the readoutErrors option into one entry per qubit
+     * @param {ReadoutError|Object} readoutErrors - Single error for all qubits or map qubit → error
+     * @param {number} numQubits - Number of qubits
+     * @returns {Array} ReadoutError or null for each qubit
+     */
+    normalizeReadoutErrors(readoutErrors, numQubits) {
+        const errors = new Array(numQubits).fill(null);
+        if (!readoutErrors) {
+            return errors;
+        }
+
+        if (readoutErrors instanceof ReadoutError) {
+            return errors.fill(readoutErrors);
+        }
+
+        for (const [qubit, error] of Object.entries(readoutErrors)) {
+            const wire = Number(qubit);
+            if (!Number.isInteger(wire) || wire < 0 || wire >= numQubits) {
+                throw new Error(`Readout error qubit ${qubit} out of range`);
+            }
+            if (!(error instanceof ReadoutError)) {
+                throw new Error('Readout errors must be created with NoiseChannel.readoutError()');
+            }
+            errors[wire] = error;
+        }
+        return errors;
+    }
+
+    /**
+     * Get the noise model channels that follow a gate (only unitary gates are noisy)
+     * @param {NoiseModel} noiseModel - Noise model, or null
+     * @param {Object} gate - Gate
+     * @param {QuantumCircuit} circuit - The circuit
+     * @returns {Array} Channels with their wires [{channel, wires}]
+     */
+    getModelChannels(noiseModel, gate, circuit) {
+        if (!noiseModel || ['measure', 'reset', 'noise'].includes(gate.name)) {
+            return [];
+        }
+        return noiseModel.getGateChannels(gate.name, this.findGateWires(circuit, gate));
+    }
+
+    /**
+     * Create a square matrix of zeros
+     * @param {number} size - Matrix size
+     * @returns {Array} Zero matrix
+     */
+    createZeroMatrix(size) {
+        return Array.from({ length: size }, () =>
+            Array.from({ length: size }, () => this.complexMath.complex(0, 0))
+        );
+    }
+
+    /**
+     * Apply an operator A to a density matrix: ρ → A ρ A†
+     * @param {Array} densityMatrix - Current density matrix
+     * @param {Function} apply - Applies A to a state vector
+     * @returns {Array} Transformed density matrix
+     */
+    applyOperation(densityMatrix, apply) {
+        const size = densityMatrix.length;
+
+        // Columns of A ρ
+        const columns = [];
+        for (let j = 0; j < size; j++) {
+            columns[j] = apply(densityMatrix.map(row => row[j]));
+        }
+
+        // A ρ A† = A (A ρ)†, and column j of (A ρ)† is the conjugate of row j of A ρ
+        const result = Array.from({ length: size }, () => new Array(size));
+        for (let j = 0; j < size; j++) {
+            const column = apply(columns.map(c => this.complexMath.conj(c[j])));
+            column.forEach((value, i) => {
+                result[i][j] = value;
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply a noise channel: ρ → Σ K ρ K†
+     * @param {Array} densityMatrix - Current density matrix
+     * @param {NoiseChannel} channel - Channel to apply
+     * @param {Array} wires - Wires the channel acts on
+     * @param {number} numQubits - Total qubits
+     * @returns {Array} Updated density matrix
+     */
+    applyChannel(densityMatrix, channel, wires, numQubits) {
+        if (wires.length !== channel.numQubits) {
+            throw new Error(`${channel.name} channel acts on ${channel.numQubits} qubit(s), got ${wires.length}`);
+        }
+
+        const size = densityMatrix.length;
+        const result = this.createZeroMatrix(size);
+
+        for (const operator of channel.krausOperators) {
+            const term = this.applyOperation(densityMatrix,
+                vector => this.applyMatrix(vector, operator, wires));
+
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) {
+                    result[i][j] = this.complexMath.add(result[i][j], term[i][j]);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply a collapsing measurement to a branch. With a readout error, each physical
+     * outcome is split further by the bit that is actually recorded.
+     * @param {Object} branch - Branch to measure
+     * @param {Object} gate - Measurement gate
+     * @param {QuantumCircuit} circuit - The circuit
+     * @param {Array} readoutErrors - Readout error per qubit
+     * @returns {Array} Branches for each possible recorded outcome
+     */
+    measureDensityBranch(branch, gate, circuit, readoutErrors) {
+        const wire = this.findGateWires(circuit, gate)[0];
+        const confusion = readoutErrors[wire] ? readoutErrors[wire].confusion : [[1, 0], [0, 1]];
+        const results = [];
+
+        for (const outcome of [0, 1]) {
+            let p = 0;
+            branch.densityMatrix.forEach((row, i) => {
+                if (((i >> wire) & 1) === outcome) {
+                    p += row[i].re;
+                }
+            });
+            if (branch.probability * p < 1e-12) {
+                continue;
+            }
+
+            // Project onto the outcome: keep entries whose row and column agree on the measured bit
+            const densityMatrix = branch.densityMatrix.map((row, i) =>
+                row.map((value, j) =>
+                    ((i >> wire) & 1) === outcome && ((j >> wire) & 1) === outcome
+                        ? this.complexMath.scale(value, 1 / p)
+                        : this.complexMath.complex(0, 0)
+                )
+            );
+
+            for (const recorded of [0, 1]) {
+                const probability = branch.probability * p * confusion[outcome][recorded];
+                if (probability < 1e-12) {
+                    continue;
+                }
+
+                const clbits = { ...branch.clbits };
+                if (gate.options?.creg) {
+                    clbits[gate.options.creg.bit] = recorded;
+                }
+
+                results.push({
+                    densityMatrix,
+                    probability,
+                    clbits,
+                    history: this.recordOutcome(branch.history, gate, recorded)
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Mix branches with the same classical bits into one branch: once their outcomes can no
+     * longer be told apart (e.g. the bit was overwritten or there is none), they are one mixed state
+     * @param {Array} branches - Branches after a measurement
+     * @returns {Array} One branch per distinct set of classical bits
+     */
+    mergeBranches(branches) {
+        const merged = new Map();
+
+        for (const branch of branches) {
+            const key = Object.keys(branch.clbits).sort().map(bit => `${bit}:${branch.clbits[bit]}`).join(',');
+            const existing = merged.get(key);
+            if (!existing) {
+                merged.set(key, branch);
+                continue;
+            }
+
+            const probability = existing.probability + branch.probability;
+            const densityMatrix = existing.densityMatrix.map((row, i) =>
+                row.map((value, j) => this.complexMath.add(
+                    this.complexMath.scale(value, existing.probability / probability),
+                    this.complexMath.scale(branch.densityMatrix[i][j], branch.probability / probability)))
+            );
+
+            // The more likely history is reported for the first shot's measurements
+            const history = branch.probability > existing.probability ? branch.history : existing.history;
+            merged.set(key, { densityMatrix, probability, clbits: existing.clbits, history });
+        }
+
+        return [...merged.values()];
+    }
+
+    /**
+     * Flip sampled readout bits according to the readout errors
+     * @param {number} index - Sampled basis state index
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @param {Array} readoutErrors - Readout error per qubit
+     * @param {Object} rng - Random generator
+     * @returns {number} Basis state index as read out
+     */
+    applyReadoutError(index, outcomeBits, readoutErrors, rng) {
+        const wires = new Set(outcomeBits.bits.map(({ wire }) => wire));
+
+        for (const wire of wires) {
+            const error = readoutErrors[wire];
+            if (!error) {
+                continue;
+            }
+
+            const bit = (index >> wire) & 1;
+            if (rng.random() < error.confusion[bit][1 - bit]) {
+                index ^= 1 << wire;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Calculate the probability of each classical outcome, including readout errors
+     * @param {Array} branches - Final branches of the simulation
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @param {Array} readoutErrors - Readout error per qubit
+     * @returns {Object} Map from classical bitstring to probability
+     */
+    calculateNoisyOutcomeProbabilities(branches, outcomeBits, readoutErrors) {
+        const wires = new Set(outcomeBits.bits.map(({ wire }) => wire));
+        const outcomes = {};
+
+        for (const branch of branches) {
+            let probabilities = this.getDiagonal(branch.densityMatrix);
+
+            // Mix each read-out qubit's bit through its confusion matrix
+            for (const wire of wires) {
+                const error = readoutErrors[wire];
+                if (!error) {
+                    continue;
+                }
+
+                const mixed = new Array(probabilities.length).fill(0);
+                probabilities.forEach((p, i) => {
+                    const bit = (i >> wire) & 1;
+                    mixed[i] += p * error.confusion[bit][bit];
+                    mixed[i ^ (1 << wire)] += p * error.confusion[bit][1 - bit];
+                });
+                probabilities = mixed;
+            }
+
+            probabilities.forEach((probability, index) => {
+                const p = branch.probability * probability;
+                if (p > 1e-10) {
+                    const outcome = this.formatOutcome(index, outcomeBits, branch.clbits);
+                    outcomes[outcome] = (outcomes[outcome] || 0) + p;
+                }
+            });
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Get the real diagonal of a density matrix (basis state probabilities)
+     * @param {Array} densityMatrix - Density matrix
+     * @returns {Array} Probabilities
+     */
+    getDiagonal(densityMatrix) {
+        return densityMatrix.map((row, i) => Math.max(0, row[i].re));
+    }
+
+    /**
+     * Calculate the purity Tr(ρ²) of a density matrix (1 for pure states, 1/d when maximally mixed)
+     * @param {Array} densityMatrix - Density matrix
+     * @returns {number} Purity
+     */
+    calculatePurity(densityMatrix) {
+        // Tr(ρ²) = Σ |ρ_ij|² for Hermitian ρ
+        let purity = 0;
+        for (const row of densityMatrix) {
+            for (const value of row) {
+                purity += value.re * value.re + value.im * value.im;
+            }
+        }
+        return purity;
+    }
+}
@@ -163,6 +163,8 @@ export class GateMapper {
             // Three-qubit gates
             'TOFFOLI': 'ccx',
             'toffoli': 'ccx',
+            'CCNOT': 'ccx',
+            'ccnot': 'ccx',
             'CCX': 'ccx',
             'ccx': 'ccx',
             'controlled-controlled-x': 'ccx',
@@ -179,7 +181,11 @@ export class GateMapper {
             'MEASURE': 'measure',
             'measure': 'measure',
             'M': 'measure',
-            'm': 'measure'
+            'm': 'measure',
+
+            // Reset
+            'RESET': 'reset',
+            'reset': 'reset'
         };
     }
 
@@ -266,7 +272,8 @@ export class GateMapper {
             'cu': 'CU',
             'ccx': 'Toffoli',
             'cswap': 'Fredkin',
-            'measure': 'Measure'
+            'measure': 'Measure',
+            'reset': 'Reset'
         };
 
         return displayMap[internalName] || internalName.toUpperCase();
@@ -295,8 +302,9 @@ export class GateMapper {
             // Three-qubit gates
             'ccx': 3, 'cswap': 3,
 
-            // Measurement
-            'measure': 1
+            // Measurement and reset
+            'measure': 1,
+            'reset': 1
         };
 
         return arityMap[normalizedName] || 1;
@@ -0,0 +1,378 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Network Event Simulator Module
+ *
+ * Discrete-event simulation of a QuantumNetwork over time. Each node runs its circuit on its
+ * own schedule (one column after another, each taking the time of its slowest gate); entangled
+ * states arrive after their latency (plus the generation attempts of a lossy QuantumChannel)
+ * and classical messages after the latency of their link.
+ * A node waits when its next column needs a state or a message that has not arrived. The run
+ * compiles the network into one circuit in the order the events happen and records a timeline
+ * of them, which the network editor replays.
+ */
+
+import { QuantumCircuit } from './QuantumCircuit.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Default duration of a circuit column, in simulation time units
+const DEFAULT_GATE_TIME = 1;
+
+// Gates that take no time unless gateTimes says otherwise
+const INSTANT_GATES = { barrier: 0 };
+
+export class NetworkTimeline {
+    /**
+     * Create a timeline
+     * @param {Array<Object>} events - Events in time order. Every event has a time and a type:
+     *        'entanglement' {entanglementId, nodes, attempts}, 'gates' {nodeId, column, gates, duration},
+     *        'wait' {nodeId, reason: 'entanglement' or 'message'}, 'send' {nodeId, to, bits,
+     *        messageType, arrival}, 'receive' {nodeId, from, bits} or 'done' {nodeId}
+     * @param {number} duration - Time at which the last event happens
+     */
+    constructor(events = [], duration = 0) {
+        this.events = events;
+        this.duration = duration;
+    }
+
+    /**
+     * Get the events of one node (the events it takes part in, including messages it sends
+     * and receives and entangled states it shares)
+     * @param {number} nodeId - Node ID
+     * @returns {Array<Object>} Node log in time order
+     */
+    getNodeLog(nodeId) {
+        return this.events.filter(event => event.nodeId === nodeId || event.nodes?.includes(nodeId));
+    }
+
+    /**
+     * Get the events up to a time
+     * @param {number} time - Simulation time
+     * @returns {Array<Object>} Events with event.time <= time
+     */
+    eventsUntil(time) {
+        return this.events.filter(event => event.time <= time);
+    }
+
+    /**
+     * Describe the network at a point in time, for replaying the timeline
+     * @param {number} time - Simulation time
+     * @returns {Object} {time, busyNodes: IDs of nodes running gates, waitingNodes: IDs of nodes
+     *          waiting, doneNodes, entanglements: IDs of the distributed states,
+     *          messages: in-flight messages {from, to, bits, progress from 0 to 1}}
+     */
+    snapshot(time) {
+        const busyNodes = new Set();
+        const waitingNodes = new Set();
+        const doneNodes = new Set();
+        const entanglements = [];
+        const messages = [];
+
+        for (const event of this.events) {
+            if (event.time > time) {
+                break;
+            }
+            switch (event.type) {
+                case 'gates':
+                    waitingNodes.delete(event.nodeId);
+                    if (time < event.time + event.duration) {
+                        busyNodes.add(event.nodeId);
+                    }
+                    break;
+                case 'wait':
+                    waitingNodes.add(event.nodeId);
+                    break;
+                case 'done':
+                    doneNodes.add(event.nodeId);
+                    break;
+                case 'entanglement':
+                    entanglements.push(event.entanglementId);
+                    break;
+                case 'send':
+                    if (time < event.arrival) {
+                        messages.push({
+                            from: event.nodeId,
+                            to: event.to,
+                            bits: event.bits,
+                            progress: (time - event.time) / (event.arrival - event.time)
+                        });
+                    }
+                    break;
+            }
+        }
+
+        return {
+            time,
+            busyNodes: [...busyNodes],
+            waitingNodes: [...waitingNodes],
+            doneNodes: [...doneNodes],
+            entanglements,
+            messages
+        };
+    }
+
+    /**
+     * Export timeline to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            duration: this.duration,
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+
+    /**
+     * Create timeline from JSON
+     * @param {Object} json - JSON representation
+     * @returns {NetworkTimeline} New timeline
+     */
+    static fromJSON(json) {
+        return new NetworkTimeline((json.events || []).map(event => ({ ...event })), json.duration || 0);
+    }
+}
+
+export class NetworkEventSimulator {
+    /**
+     * Create a simulator for a network
+     * @param {QuantumNetwork} network - Network to simulate
+     * @param {Object} options - Simulation options
+     * @param {number} options.gateTime - Duration of a column of gates (default: 1)
+     * @param {Object} options.gateTimes - Durations by gate name, e.g. {measure: 5}; a column
+     *        takes as long as its slowest gate. Barriers take no time unless listed
+     * @param {NoiseModel} options.noiseModel - Noise model for the compiled circuit (see
+     *        QuantumNetwork.toCircuit)
+     * @param {number|string} options.seed - Seed for the generation attempts of lossy channels
+     *        (random per run if omitted)
+     */
+    constructor(network, options = {}) {
+        const { gateTime = DEFAULT_GATE_TIME, gateTimes = {}, noiseModel = null, seed = null } = options;
+        for (const time of [gateTime, ...Object.values(gateTimes)]) {
+            if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+                throw new Error('Gate times must be non-negative numbers');
+            }
+        }
+
+        this.network = network;
+        this.gateTime = gateTime;
+        this.gateTimes = { ...INSTANT_GATES, ...gateTimes };
+        this.noiseModel = noiseModel;
+        this.seed = seed;
+    }
+
+    /**
+     * Simulate the network over time and compile it into one circuit
+     * @returns {Object} {circuit: the global circuit (as QuantumNetwork.toCircuit lays it out),
+     *          timeline: NetworkTimeline of the run}
+     */
+    compile() {
+        const network = this.network;
+        if (network.nodes.size === 0) {
+            throw new Error('Network must have at least one node');
+        }
+
+        const { totalQubits, nodeOffsets } = network.layoutQubits();
+        const classical = network.layoutClassicalBits();
+        const circuit = new QuantumCircuit(totalQubits, classical.numClbits);
+        network.placeEntanglements(circuit, nodeOffsets, this.noiseModel);
+
+        // Qubits that wait for an entangled state, and the states not distributed yet
+        const entanglementOf = new Map();
+        const pendingEntanglements = new Set();
+        for (const entanglement of network.entanglements.values()) {
+            entanglement.endpoints.forEach(({ nodeId, qubit }) => entanglementOf.set(`${nodeId}:${qubit}`, entanglement));
+            pendingEntanglements.add(entanglement);
+        }
+
+        const queue = [];
+        const schedule = (time, event) => {
+            // Keep the queue ordered by time; events at the same time run in the order scheduled
+            let index = queue.length;
+            while (index > 0 && queue[index - 1].time > time) {
+                index--;
+            }
+            queue.splice(index, 0, { ...event, time });
+        };
+
+        const events = [];
+        const log = event => events.push(event);
+
+        const states = new Map(); // nodeId -> {column, sent, waiting, done}
+        const arrived = new Set();
+        const delivered = new Set();
+        for (const node of network.nodes.values()) {
+            states.set(node.id, { column: 0, sent: new Set(), waiting: false, done: false });
+            schedule(0, { type: 'step', nodeId: node.id });
+        }
+        // A channel retries until a pair gets through, one attempt per 1 / generationRate
+        const rng = new SeededRandom(this.seed);
+        for (const entanglement of pendingEntanglements) {
+            const { channel } = entanglement;
+            const attempts = channel ? channel.sampleAttempts(rng) : 1;
+            const generationTime = channel ? attempts / channel.generationRate : 0;
+            schedule(entanglement.latency + generationTime, { type: 'distribute', entanglement, attempts });
+        }
+
+        const wake = (nodeId, time) => {
+            const state = states.get(nodeId);
+            if (state.waiting) {
+                state.waiting = false;
+                schedule(time, { type: 'step', nodeId });
+            }
+        };
+
+        const wait = (node, state, time, reason) => {
+            if (!state.waiting) {
+                state.waiting = true;
+                log({ time, type: 'wait', nodeId: node.id, reason });
+            }
+        };
+
+        let duration = 0;
+        while (queue.length > 0) {
+            const event = queue.shift();
+            const time = event.time;
+            duration = Math.max(duration, time);
+
+            if (event.type === 'distribute') {
+                const { entanglement, attempts } = event;
+                pendingEntanglements.delete(entanglement);
+                const nodes = [...new Set(entanglement.endpoints.map(endpoint => endpoint.nodeId))];
+                log({ time, type: 'entanglement', entanglementId: entanglement.id, nodes, attempts });
+                nodes.forEach(nodeId => wake(nodeId, time));
+                continue;
+            }
+
+            if (event.type === 'receive') {
+                const { message } = event;
+                arrived.add(message);
+                log({ time, type: 'receive', nodeId: message.to, from: message.from, bits: [...message.into] });
+                wake(message.to, time);
+                continue;
+            }
+
+            // A node step: send the messages due at its column, then run the column
+            const node = network.nodes.get(event.nodeId);
+            const state = states.get(node.id);
+            const numCols = node.circuit.numCols();
+
+            const due = node.messages.filter(message =>
+                !state.sent.has(message) && Math.min(message.column, numCols) <= state.column);
+            const relaying = due.find(message => !this.hasBits(node, message.bits, classical, arrived));
+            if (relaying) {
+                wait(node, state, time, 'message');
+                continue;
+            }
+            for (const message of due) {
+                const arrival = time + network.findClassicalLink(node.id, message.to).latency;
+                state.sent.add(message);
+                log({ time, type: 'send', nodeId: node.id, to: message.to, bits: [...message.bits], messageType: message.type, arrival });
+                schedule(arrival, { type: 'receive', message });
+            }
+
+            if (state.column >= numCols) {
+                state.done = true;
+                log({ time, type: 'done', nodeId: node.id });
+                continue;
+            }
+
+            const column = state.column;
+            const wires = this.findColumnWires(node, column);
+            if (wires.length === 0) {
+                // Empty columns of the editor grid take no time
+                state.column++;
+                schedule(time, { type: 'step', nodeId: node.id });
+                continue;
+            }
+            if (wires.some(wire => pendingEntanglements.has(entanglementOf.get(`${node.id}:${wire}`)))) {
+                wait(node, state, time, 'entanglement');
+                continue;
+            }
+
+            const messages = network.findColumnMessages(node, column, classical.received);
+            if (messages.some(message => message.to === node.id && !arrived.has(message))) {
+                wait(node, state, time, 'message');
+                continue;
+            }
+
+            network.deliverMessages(circuit, nodeOffsets, node, messages, delivered);
+            network.translateColumn(node, column, circuit, nodeOffsets.get(node.id), classical);
+
+            const gates = this.findColumnGates(node, column);
+            const columnTime = Math.max(0, ...gates.map(name => this.gateTimes[name] ?? this.gateTime));
+            log({ time, type: 'gates', nodeId: node.id, column, gates, duration: columnTime });
+            state.column++;
+            schedule(time + columnTime, { type: 'step', nodeId: node.id });
+        }
+
+        const blocked = [...network.nodes.values()].filter(node => !states.get(node.id).done);
+        if (blocked.length > 0) {
+            throw new Error(`Nodes ${blocked.map(node => node.name).join(', ')} wait for each other's classical messages`);
+        }
+
+        if (this.noiseModel) {
+            circuit.setNoiseModel(this.noiseModel);
+        }
+        return { circuit, timeline: new NetworkTimeline(events, duration) };
+    }
+
+    /**
+     * Simulate the network and run the compiled circuit
+     * @param {Object} options - Run options passed to QuantumCircuit.run (shots, backend, ...)
+     * @returns {Object} Simulation results with the timeline and the compiled circuit
+     */
+    run(options = {}) {
+        const { circuit, timeline } = this.compile();
+        const results = circuit.run(options);
+        results.timeline = timeline;
+        results.circuit = circuit;
+        return results;
+    }
+
+    /**
+     * Check whether a node holds classical bits: bits that receive a message need it to have arrived
+     * @param {QuantumNetworkNode} node - Network node
+     * @param {Array<number>} bits - Local classical bits
+     * @param {Object} classical - Classical bit layout (see QuantumNetwork.layoutClassicalBits)
+     * @param {Set} arrived - Messages that have arrived
+     * @returns {boolean} True if every bit is available
+     */
+    hasBits(node, bits, classical, arrived) {
+        return bits.every(bit => {
+            const source = classical.received.get(`${node.id}:${bit}`);
+            return !source || arrived.has(source.message);
+        });
+    }
+
+    /**
+     * Get the wires a column of a node's circuit acts on
+     * @param {QuantumNetworkNode} node - Network node
+     * @param {number} column - Column index
+     * @returns {Array<number>} Local qubit indices
+     */
+    findColumnWires(node, column) {
+        const wires = [];
+        for (let wire = 0; wire < node.circuit.numQubits; wire++) {
+            if (node.circuit.gates[wire][column]) {
+                wires.push(wire);
+            }
+        }
+        return wires;
+    }
+
+    /**
+     * Get the names of the gates in a column of a node's circuit
+     * @param {QuantumNetworkNode} node - Network node
+     * @param {number} column - Column index
+     * @returns {Array<string>} Gate names, one per gate
+     */
+    findColumnGates(node, column) {
+        const gates = new Map();
+        for (let wire = 0; wire < node.circuit.numQubits; wire++) {
+            const gate = node.circuit.gates[wire][column];
+            if (gate) {
+                gates.set(gate.id, gate.name);
+            }
+        }
+        return [...gates.values()];
+    }
+}
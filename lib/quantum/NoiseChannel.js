@@ -0,0 +1,349 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Noise Channel Module
+ *
+ * Quantum noise channels in Kraus form (ρ → Σ K ρ K†) and classical readout errors
+ */
+
+const complex = (re, im = 0) => ({ re, im });
+
+const PAULI = {
+    I: [[complex(1), complex(0)], [complex(0), complex(1)]],
+    X: [[complex(0), complex(1)], [complex(1), complex(0)]],
+    Y: [[complex(0), complex(0, -1)], [complex(0, 1), complex(0)]],
+    Z: [[complex(1), complex(0)], [complex(0), complex(-1)]]
+};
+
+export class NoiseChannel {
+    /**
+     * Create a noise channel from its Kraus operators
+     * @param {string} name - Channel name
+     * @param {Array} krausOperators - Kraus matrices (2^k × 2^k, complex {re, im} entries)
+     * @param {Object} params - Parameters the channel was built from
+     */
+    constructor(name, krausOperators, params = {}) {
+        if (!Array.isArray(krausOperators) || krausOperators.length === 0) {
+            throw new Error('A noise channel needs at least one Kraus operator');
+        }
+
+        const dim = krausOperators[0].length;
+        const numQubits = Math.log2(dim);
+        if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > 2) {
+            throw new Error('Kraus operators must act on one or two qubits');
+        }
+
+        this.name = name;
+        this.params = params;
+        this.numQubits = numQubits;
+        this.krausOperators = krausOperators.map(op => {
+            if (op.length !== dim || op.some(row => row.length !== dim)) {
+                throw new Error('All Kraus operators must have the same square dimension');
+            }
+            return op.map(row => row.map(value => typeof value === 'number' ? complex(value) : value));
+        });
+
+        if (!NoiseChannel.isTracePreserving(this.krausOperators)) {
+            throw new Error(`Kraus operators of ${name} channel are not trace preserving (Σ K†K ≠ I)`);
+        }
+    }
+
+    /**
+     * Check the completeness relation Σ K†K = I
+     * @param {Array} krausOperators - Kraus matrices
+     * @param {number} tolerance - Numerical tolerance
+     * @returns {boolean} True if the channel preserves trace
+     */
+    static isTracePreserving(krausOperators, tolerance = 1e-9) {
+        const dim = krausOperators[0].length;
+
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j < dim; j++) {
+                let re = 0, im = 0;
+                for (const op of krausOperators) {
+                    for (let k = 0; k < dim; k++) {
+                        // conj(K[k][i]) * K[k][j]
+                        const a = op[k][i];
+                        const b = op[k][j];
+                        re += a.re * b.re + a.im * b.im;
+                        im += a.re * b.im - a.im * b.re;
+                    }
+                }
+                if (Math.abs(re - (i === j ? 1 : 0)) > tolerance || Math.abs(im) > tolerance) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate a probability parameter
+     * @param {string} name - Parameter name (for the error message)
+     * @param {number} value - Parameter value
+     */
+    static checkProbability(name, value) {
+        if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+            throw new Error(`${name} must be a probability between 0 and 1`);
+        }
+    }
+
+    /**
+     * Scale a matrix by a real factor
+     * @param {Array} matrix - Complex matrix
+     * @param {number} factor - Real factor
+     * @returns {Array} Scaled matrix
+     */
+    static scale(matrix, factor) {
+        return matrix.map(row => row.map(value => complex(value.re * factor, value.im * factor)));
+    }
+
+    /**
+     * Kronecker product of two complex matrices
+     * @param {Array} a - Matrix acting on the first qubit
+     * @param {Array} b - Matrix acting on the second qubit
+     * @returns {Array} a ⊗ b
+     */
+    static kron(a, b) {
+        const size = a.length * b.length;
+        const result = [];
+        for (let i = 0; i < size; i++) {
+            result[i] = [];
+            for (let j = 0; j < size; j++) {
+                const x = a[Math.floor(i / b.length)][Math.floor(j / b.length)];
+                const y = b[i % b.length][j % b.length];
+                result[i][j] = complex(x.re * y.re - x.im * y.im, x.re * y.im + x.im * y.re);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Product of two complex matrices
+     * @param {Array} a - Left matrix
+     * @param {Array} b - Right matrix
+     * @returns {Array} a · b
+     */
+    static multiply(a, b) {
+        return a.map(row =>
+            b[0].map((_, j) => row.reduce((sum, x, k) => {
+                const y = b[k][j];
+                return complex(sum.re + x.re * y.re - x.im * y.im, sum.im + x.re * y.im + x.im * y.re);
+            }, complex(0)))
+        );
+    }
+
+    /**
+     * Depolarizing channel: ρ → (1 - p) ρ + p I/d
+     * @param {number} p - Depolarizing probability
+     * @param {number} numQubits - Number of qubits the channel acts on (1 or 2)
+     * @returns {NoiseChannel} Channel
+     */
+    static depolarizing(p, numQubits = 1) {
+        NoiseChannel.checkProbability('Depolarizing probability', p);
+        if (numQubits !== 1 && numQubits !== 2) {
+            throw new Error('Depolarizing channel supports one or two qubits');
+        }
+
+        let paulis = Object.values(PAULI);
+        if (numQubits === 2) {
+            paulis = paulis.flatMap(a => Object.values(PAULI).map(b => NoiseChannel.kron(a, b)));
+        }
+
+        // Each of the d² Pauli strings is applied with probability p/d²
+        const weight = p / paulis.length;
+        const operators = paulis.map((pauli, i) =>
+            NoiseChannel.scale(pauli, Math.sqrt(i === 0 ? 1 - p + weight : weight))
+        );
+
+        return new NoiseChannel('depolarizing', operators, { p, numQubits });
+    }
+
+    /**
+     * Amplitude damping channel (energy relaxation |1⟩ → |0⟩)
+     * @param {number} gamma - Decay probability
+     * @returns {NoiseChannel} Channel
+     */
+    static amplitudeDamping(gamma) {
+        NoiseChannel.checkProbability('Damping probability', gamma);
+        return new NoiseChannel('amplitude_damping', [
+            [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - gamma))]],
+            [[complex(0), complex(Math.sqrt(gamma))], [complex(0), complex(0)]]
+        ], { gamma });
+    }
+
+    /**
+     * Phase damping channel (loss of coherence without energy loss)
+     * @param {number} lambda - Damping probability
+     * @returns {NoiseChannel} Channel
+     */
+    static phaseDamping(lambda) {
+        NoiseChannel.checkProbability('Damping probability', lambda);
+        return new NoiseChannel('phase_damping', [
+            [[complex(1), complex(0)], [complex(0), complex(Math.sqrt(1 - lambda))]],
+            [[complex(0), complex(0)], [complex(0), complex(Math.sqrt(lambda))]]
+        ], { lambda });
+    }
+
+    /**
+     * Thermal relaxation of an idle or gated qubit over a time interval:
+     * amplitude damping towards |0⟩ (T1) combined with dephasing (T2)
+     * @param {number} t1 - Energy relaxation time
+     * @param {number} t2 - Dephasing time (at most 2·T1)
+     * @param {number} time - Duration, in the same unit as t1 and t2
+     * @returns {NoiseChannel} Channel
+     */
+    static thermalRelaxation(t1, t2, time) {
+        if (!(t1 > 0) || !(t2 > 0) || !(time >= 0)) {
+            throw new Error('T1, T2 must be positive and the duration non-negative');
+        }
+        if (t2 > 2 * t1) {
+            throw new Error('T2 cannot exceed 2·T1');
+        }
+
+        // Coherences decay as e^(-t/T2) = √(1 - γ)·√(1 - λ)
+        const gamma = 1 - Math.exp(-time / t1);
+        const lambda = Math.max(0, 1 - Math.exp(time / t1 - 2 * time / t2));
+
+        const damping = NoiseChannel.amplitudeDamping(gamma).krausOperators;
+        const dephasing = NoiseChannel.phaseDamping(lambda).krausOperators;
+        const operators = dephasing
+            .flatMap(d => damping.map(a => NoiseChannel.multiply(d, a)))
+            .filter(op => op.some(row => row.some(value => value.re !== 0 || value.im !== 0)));
+
+        return new NoiseChannel('thermal_relaxation', operators, { t1, t2, time });
+    }
+
+    /**
+     * Bit flip channel: X is applied with probability p
+     * @param {number} p - Flip probability
+     * @returns {NoiseChannel} Channel
+     */
+    static bitFlip(p) {
+        NoiseChannel.checkProbability('Flip probability', p);
+        return new NoiseChannel('bit_flip', [
+            NoiseChannel.scale(PAULI.I, Math.sqrt(1 - p)),
+            NoiseChannel.scale(PAULI.X, Math.sqrt(p))
+        ], { p });
+    }
+
+    /**
+     * Phase flip channel: Z is applied with probability p
+     * @param {number} p - Flip probability
+     * @returns {NoiseChannel} Channel
+     */
+    static phaseFlip(p) {
+        NoiseChannel.checkProbability('Flip probability', p);
+        return new NoiseChannel('phase_flip', [
+            NoiseChannel.scale(PAULI.I, Math.sqrt(1 - p)),
+            NoiseChannel.scale(PAULI.Z, Math.sqrt(p))
+        ], { p });
+    }
+
+    /**
+     * Channel given directly by its Kraus operators
+     * @param {Array} krausOperators - Kraus matrices
+     * @returns {NoiseChannel} Channel
+     */
+    static kraus(krausOperators) {
+        return new NoiseChannel('kraus', krausOperators, { operators: krausOperators });
+    }
+
+    /**
+     * Reset channel: ρ → |0⟩⟨0| Tr(ρ) on one qubit
+     * @returns {NoiseChannel} Channel
+     */
+    static reset() {
+        return new NoiseChannel('reset', [
+            [[complex(1), complex(0)], [complex(0), complex(0)]],
+            [[complex(0), complex(1)], [complex(0), complex(0)]]
+        ]);
+    }
+
+    /**
+     * Classical readout error applied to a qubit's measurement result
+     * @param {number} flip0 - Probability of reading 1 when the qubit is 0
+     * @param {number} flip1 - Probability of reading 0 when the qubit is 1 (defaults to flip0)
+     * @returns {ReadoutError} Readout error
+     */
+    static readoutError(flip0, flip1 = flip0) {
+        return new ReadoutError(flip0, flip1);
+    }
+
+    /**
+     * Export channel as JSON
+     * @returns {Object} JSON representation {name, params}
+     */
+    toJSON() {
+        return { name: this.name, params: { ...this.params } };
+    }
+
+    /**
+     * Create a channel from JSON
+     * @param {Object} json - JSON representation {name, params}
+     * @returns {NoiseChannel} Channel
+     */
+    static fromJSON(json) {
+        const params = json.params || {};
+
+        switch (json.name) {
+            case 'depolarizing':
+                return NoiseChannel.depolarizing(params.p, params.numQubits);
+            case 'amplitude_damping':
+                return NoiseChannel.amplitudeDamping(params.gamma);
+            case 'phase_damping':
+                return NoiseChannel.phaseDamping(params.lambda);
+            case 'bit_flip':
+                return NoiseChannel.bitFlip(params.p);
+            case 'phase_flip':
+                return NoiseChannel.phaseFlip(params.p);
+            case 'thermal_relaxation':
+                return NoiseChannel.thermalRelaxation(params.t1, params.t2, params.time);
+            case 'kraus':
+                return NoiseChannel.kraus(params.operators);
+            case 'reset':
+                return NoiseChannel.reset();
+            default:
+                throw new Error(`Unknown noise channel: ${json.name}`);
+        }
+    }
+}
+
+export class ReadoutError {
+    /**
+     * Create a readout error
+     * @param {number} flip0 - Probability of reading 1 when the qubit is 0
+     * @param {number} flip1 - Probability of reading 0 when the qubit is 1
+     */
+    constructor(flip0, flip1) {
+        NoiseChannel.checkProbability('Readout error probability', flip0);
+        NoiseChannel.checkProbability('Readout error probability', flip1);
+
+        this.name = 'readout';
+        this.flip0 = flip0;
+        this.flip1 = flip1;
+
+        // confusion[actual][read] = P(read | actual)
+        this.confusion = [
+            [1 - flip0, flip0],
+            [flip1, 1 - flip1]
+        ];
+    }
+
+    /**
+     * Export readout error as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { name: this.name, params: { flip0: this.flip0, flip1: this.flip1 } };
+    }
+
+    /**
+     * Create a readout error from JSON
+     * @param {Object} json - JSON representation
+     * @returns {ReadoutError} Readout error
+     */
+    static fromJSON(json) {
+        return new ReadoutError(json.params.flip0, json.params.flip1);
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Noise Model Module
+ *
+ * Declarative description of hardware noise: gate errors, per-qubit T1/T2 relaxation,
+ * readout errors and entanglement link fidelity. Used by DensityMatrixSimulator
+ * (via circuit.run({ noiseModel })) and QuantumNetwork.toCircuit().
+ */
+
+import { NoiseChannel, ReadoutError } from './NoiseChannel.js';
+
+export class NoiseModel {
+    /**
+     * Create an empty (noiseless) noise model
+     */
+    constructor() {
+        this.gateErrors = [];        // [{channel, gates, qubits}]
+        this.relaxation = {};        // qubit -> {t1, t2}
+        this.gateTimes = {};         // gate name -> duration
+        this.readoutErrors = {};     // qubit -> ReadoutError
+        this.defaultReadoutError = null;
+        this.linkFidelity = 1;
+    }
+
+    /**
+     * Add an error applied after gates
+     * @param {NoiseChannel} channel - Error channel; a one-qubit channel is applied to every wire of
+     *        a multi-qubit gate, a two-qubit channel only after two-qubit gates
+     * @param {string|Array<string>} gates - Gate names the error applies to (all gates if omitted)
+     * @param {Array<number>} qubits - Restrict to gates acting only on these qubits (all if omitted)
+     * @returns {NoiseModel} This model for method chaining
+     */
+    addGateError(channel, gates = null, qubits = null) {
+        if (!(channel instanceof NoiseChannel)) {
+            throw new Error('Gate errors must be NoiseChannel instances');
+        }
+
+        this.gateErrors.push({
+            channel,
+            gates: gates === null ? null : (Array.isArray(gates) ? gates : [gates]),
+            qubits: qubits === null ? null : (Array.isArray(qubits) ? qubits : [qubits])
+        });
+        return this;
+    }
+
+    /**
+     * Set T1/T2 relaxation times; each gate on the qubit then relaxes it for the gate's duration
+     * @param {number|Array<number>} qubits - Qubit or qubits
+     * @param {number} t1 - Energy relaxation time
+     * @param {number} t2 - Dephasing time (at most 2·T1)
+     * @returns {NoiseModel} This model for method chaining
+     */
+    setRelaxation(qubits, t1, t2) {
+        // Validates t1 and t2
+        NoiseChannel.thermalRelaxation(t1, t2, 0);
+
+        for (const qubit of Array.isArray(qubits) ? qubits : [qubits]) {
+            this.relaxation[qubit] = { t1, t2 };
+        }
+        return this;
+    }
+
+    /**
+     * Set the duration of gates, in the same unit as T1/T2 (defaults: 50 for one-qubit
+     * gates, 300 for multi-qubit gates, i.e. nanoseconds)
+     * @param {string|Array<string>} gates - Gate name or names
+     * @param {number} time - Gate duration
+     * @returns {NoiseModel} This model for method chaining
+     */
+    setGateTime(gates, time) {
+        if (!(time >= 0)) {
+            throw new Error('Gate time must be non-negative');
+        }
+
+        for (const gate of Array.isArray(gates) ? gates : [gates]) {
+            this.gateTimes[gate] = time;
+        }
+        return this;
+    }
+
+    /**
+     * Add a readout error
+     * @param {ReadoutError} error - Readout error, e.g. NoiseChannel.readoutError(0.02, 0.05)
+     * @param {number|Array<number>} qubits - Qubits it applies to (all qubits if omitted)
+     * @returns {NoiseModel} This model for method chaining
+     */
+    addReadoutError(error, qubits = null) {
+        if (!(error instanceof ReadoutError)) {
+            throw new Error('Readout errors must be created with NoiseChannel.readoutError()');
+        }
+
+        if (qubits === null) {
+            this.defaultReadoutError = error;
+        } else {
+            for (const qubit of Array.isArray(qubits) ? qubits : [qubits]) {
+                this.readoutErrors[qubit] = error;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Set the default fidelity of network entanglement links
+     * @param {number} fidelity - Bell-state fidelity of each shared pair (1/4 to 1)
+     * @returns {NoiseModel} This model for method chaining
+     */
+    setLinkFidelity(fidelity) {
+        NoiseModel.checkFidelity(fidelity);
+        this.linkFidelity = fidelity;
+        return this;
+    }
+
+    /**
+     * Validate a Bell-state fidelity
+     * @param {number} fidelity - Fidelity
+     */
+    static checkFidelity(fidelity) {
+        if (typeof fidelity !== 'number' || !(fidelity >= 0.25 && fidelity <= 1)) {
+            throw new Error('Link fidelity must be between 0.25 and 1');
+        }
+    }
+
+    /**
+     * Channel that turns a perfect Bell pair into a Werner state of the given fidelity
+     * @param {number} fidelity - Bell-state fidelity
+     * @returns {NoiseChannel} Two-qubit depolarizing channel
+     */
+    static linkChannel(fidelity) {
+        NoiseModel.checkFidelity(fidelity);
+        // Depolarizing with probability p leaves fidelity 1 - 3p/4
+        return NoiseChannel.depolarizing(4 * (1 - fidelity) / 3, 2);
+    }
+
+    /**
+     * Get the duration of a gate
+     * @param {string} gateName - Gate name
+     * @param {number} numWires - Number of wires the gate acts on
+     * @returns {number} Gate duration
+     */
+    getGateTime(gateName, numWires) {
+        if (gateName in this.gateTimes) {
+            return this.gateTimes[gateName];
+        }
+        return numWires === 1 ? 50 : 300;
+    }
+
+    /**
+     * Get the channels to apply after a gate
+     * @param {string} gateName - Gate name
+     * @param {Array<number>} wires - Wires the gate acts on
+     * @returns {Array} Channels with their wires [{channel, wires}]
+     */
+    getGateChannels(gateName, wires) {
+        const channels = [];
+
+        for (const { channel, gates, qubits } of this.gateErrors) {
+            if (gates && !gates.includes(gateName)) continue;
+            if (qubits && !wires.every(wire => qubits.includes(wire))) continue;
+
+            if (channel.numQubits === wires.length) {
+                channels.push({ channel, wires });
+            } else if (channel.numQubits === 1) {
+                wires.forEach(wire => channels.push({ channel, wires: [wire] }));
+            }
+        }
+
+        const time = this.getGateTime(gateName, wires.length);
+        for (const wire of wires) {
+            const relaxation = this.relaxation[wire];
+            if (relaxation && time > 0) {
+                channels.push({
+                    channel: NoiseChannel.thermalRelaxation(relaxation.t1, relaxation.t2, time),
+                    wires: [wire]
+                });
+            }
+        }
+
+        return channels;
+    }
+
+    /**
+     * Get the readout error of each qubit
+     * @param {number} numQubits - Number of qubits
+     * @returns {Object} Map from qubit index to ReadoutError
+     */
+    getReadoutErrors(numQubits) {
+        const errors = {};
+        for (let qubit = 0; qubit < numQubits; qubit++) {
+            const error = this.readoutErrors[qubit] || this.defaultReadoutError;
+            if (error) {
+                errors[qubit] = error;
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Export noise model as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        const readoutErrors = {};
+        for (const [qubit, error] of Object.entries(this.readoutErrors)) {
+            readoutErrors[qubit] = error.toJSON();
+        }
+
+        return {
+            gateErrors: this.gateErrors.map(({ channel, gates, qubits }) => ({
+                channel: channel.toJSON(),
+                gates,
+                qubits
+            })),
+            relaxation: { ...this.relaxation },
+            gateTimes: { ...this.gateTimes },
+            readoutErrors,
+            defaultReadoutError: this.defaultReadoutError ? this.defaultReadoutError.toJSON() : null,
+            linkFidelity: this.linkFidelity
+        };
+    }
+
+    /**
+     * Create noise model from JSON
+     * @param {Object} json - JSON representation
+     * @returns {NoiseModel} New noise model instance
+     */
+    static fromJSON(json) {
+        const model = new NoiseModel();
+
+        for (const { channel, gates, qubits } of json.gateErrors || []) {
+            model.addGateError(NoiseChannel.fromJSON(channel), gates, qubits);
+        }
+        for (const [qubit, { t1, t2 }] of Object.entries(json.relaxation || {})) {
+            model.setRelaxation(Number(qubit), t1, t2);
+        }
+        for (const [gate, time] of Object.entries(json.gateTimes || {})) {
+            model.setGateTime(gate, time);
+        }
+        for (const [qubit, error] of Object.entries(json.readoutErrors || {})) {
+            model.addReadoutError(ReadoutError.fromJSON(error), Number(qubit));
+        }
+        if (json.defaultReadoutError) {
+            model.addReadoutError(ReadoutError.fromJSON(json.defaultReadoutError));
+        }
+        if (json.linkFidelity !== undefined) {
+            model.setLinkFidelity(json.linkFidelity);
+        }
+
+        return model;
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Circuit Parameters Module
+ *
+ * Symbolic gate parameters for variational circuits. A Parameter is a named
+ * placeholder (e.g. new Parameter('theta')) that can be combined into
+ * ParameterExpressions and later bound to numbers with circuit.assignParameters().
+ * Parameters are identified by name.
+ */
+
+import { ExpressionEvaluator } from '../utils/ExpressionEvaluator.js';
+
+const evaluator = new ExpressionEvaluator();
+const isBound = (values, name) => Object.prototype.hasOwnProperty.call(values, name);
+
+export class ParameterExpression {
+    /**
+     * Create a parameter expression
+     * @param {string} expression - Expression over parameter names, e.g. "2*theta + phi"
+     * @param {Array<Parameter>} parameters - Parameters the expression uses
+     */
+    constructor(expression, parameters) {
+        this.expression = expression;
+
+        // One Parameter per name, sorted by name
+        const byName = new Map();
+        parameters.forEach(parameter => byName.set(parameter.name, parameter));
+        this.parameters = [...byName.keys()].sort().map(name => byName.get(name));
+    }
+
+    /**
+     * Names of the parameters the expression uses
+     * @returns {Array<string>} Sorted parameter names
+     */
+    get names() {
+        return this.parameters.map(parameter => parameter.name);
+    }
+
+    /**
+     * Add a number or expression
+     * @param {number|ParameterExpression} other - Right operand
+     * @returns {ParameterExpression} this + other
+     */
+    add(other) {
+        return ParameterExpression.combine(this, '+', other);
+    }
+
+    /**
+     * Subtract a number or expression
+     * @param {number|ParameterExpression} other - Right operand
+     * @returns {ParameterExpression} this - other
+     */
+    sub(other) {
+        return ParameterExpression.combine(this, '-', other);
+    }
+
+    /**
+     * Multiply by a number or expression
+     * @param {number|ParameterExpression} other - Right operand
+     * @returns {ParameterExpression} this * other
+     */
+    mul(other) {
+        return ParameterExpression.combine(this, '*', other);
+    }
+
+    /**
+     * Divide by a number or expression
+     * @param {number|ParameterExpression} other - Right operand
+     * @returns {ParameterExpression} this / other
+     */
+    div(other) {
+        return ParameterExpression.combine(this, '/', other);
+    }
+
+    /**
+     * Negate the expression
+     * @returns {ParameterExpression} -this
+     */
+    neg() {
+        return new ParameterExpression(`-${ParameterExpression.operand(this)}`, this.parameters);
+    }
+
+    /**
+     * Apply a function supported by matrix expressions (sin, cos, exp, ln, sqrt)
+     * @param {string} name - Function name
+     * @returns {ParameterExpression} name(this)
+     */
+    apply(name) {
+        if (!(name in evaluator.functions)) {
+            throw new Error(`Function ${name} cannot be applied to a parameter`);
+        }
+        return new ParameterExpression(`${name}(${this.expression})`, this.parameters);
+    }
+
+    /**
+     * Substitute values for some or all parameters
+     * @param {Object} values - Parameter values by name
+     * @returns {number|ParameterExpression} A number if every parameter is bound, otherwise a
+     *          new expression over the remaining parameters
+     */
+    bind(values) {
+        const remaining = this.parameters.filter(parameter => !isBound(values, parameter.name));
+        if (remaining.length === 0) {
+            return this.evaluate(values);
+        }
+        if (remaining.length === this.parameters.length) {
+            return this;
+        }
+
+        const expression = this.expression.replace(/[A-Za-z_π][A-Za-z0-9_]*/g, name =>
+            isBound(values, name) && this.names.includes(name) ? ParameterExpression.operand(values[name]) : name);
+        return new ParameterExpression(expression, remaining);
+    }
+
+    /**
+     * Evaluate the expression
+     * @param {Object} values - Values of all its parameters by name
+     * @returns {number} Real value
+     * @throws {Error} If a parameter is missing or the result is not real
+     */
+    evaluate(values) {
+        const missing = this.names.filter(name => !isBound(values, name));
+        if (missing.length > 0) {
+            throw new Error(`Unbound parameter(s): ${missing.join(', ')}`);
+        }
+
+        const result = evaluator.evaluate(this.expression, values);
+        if (Math.abs(result.im) > 1e-12) {
+            throw new Error(`Parameter expression ${this.expression} is not real`);
+        }
+        return result.re;
+    }
+
+    /**
+     * @returns {string} The expression
+     */
+    toString() {
+        return this.expression;
+    }
+
+    /**
+     * Export expression as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { expression: this.expression, parameters: this.names };
+    }
+
+    /**
+     * Create a parameter or expression from JSON
+     * @param {Object} json - JSON representation
+     * @returns {ParameterExpression} Parameter or expression
+     */
+    static fromJSON(json) {
+        if (typeof json.parameter === 'string') {
+            return new Parameter(json.parameter);
+        }
+        return new ParameterExpression(json.expression, json.parameters.map(name => new Parameter(name)));
+    }
+
+    /**
+     * Check whether a JSON value is a serialized parameter or expression
+     * @param {*} value - Value to check
+     * @returns {boolean} True if fromJSON can restore it
+     */
+    static isSerialized(value) {
+        return Boolean(value) && typeof value === 'object' &&
+            (typeof value.parameter === 'string' || (typeof value.expression === 'string' && Array.isArray(value.parameters)));
+    }
+
+    /**
+     * Evaluate an expression over named values that may themselves be symbolic
+     * @param {string} expression - Expression, e.g. "-theta" or "pi/2"
+     * @param {Object} values - Values by name (numbers or ParameterExpressions)
+     * @returns {number|ParameterExpression} A number if no symbolic value is used, otherwise an
+     *          expression with the values substituted
+     */
+    static substitute(expression, values) {
+        const names = expression.match(/[A-Za-z_π][A-Za-z0-9_]*/g) || [];
+        const symbolic = names.filter(name => isBound(values, name) && values[name] instanceof ParameterExpression);
+
+        if (symbolic.length === 0) {
+            const result = evaluator.evaluate(expression, values);
+            if (Math.abs(result.im) > 1e-12) {
+                throw new Error(`Expression ${expression} is not real`);
+            }
+            return result.re;
+        }
+
+        const text = expression.replace(/[A-Za-z_π][A-Za-z0-9_]*/g, name =>
+            isBound(values, name) ? ParameterExpression.operand(values[name]) : name);
+        return new ParameterExpression(text, symbolic.flatMap(name => values[name].parameters));
+    }
+
+    /**
+     * Combine two operands with an arithmetic operator
+     * @param {number|ParameterExpression} left - Left operand
+     * @param {string} op - '+', '-', '*', '/' or '^'
+     * @param {number|ParameterExpression} right - Right operand
+     * @returns {ParameterExpression} Combined expression
+     */
+    static combine(left, op, right) {
+        const parameters = [left, right].flatMap(operand => operand instanceof ParameterExpression ? operand.parameters : []);
+        return new ParameterExpression(
+            `${ParameterExpression.operand(left)}${op}${ParameterExpression.operand(right)}`,
+            parameters
+        );
+    }
+
+    /**
+     * Format an operand for use inside a larger expression
+     * @param {number|ParameterExpression} value - Operand
+     * @returns {string} Operand text, parenthesized unless it is a single name or non-negative number
+     */
+    static operand(value) {
+        if (value instanceof Parameter) {
+            return value.name;
+        }
+        if (value instanceof ParameterExpression) {
+            return `(${value.expression})`;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Parameter values must be finite numbers, got ${value}`);
+        }
+
+        // The expression engine has no exponent notation
+        const text = String(value).replace(/e([+-]?\d+)$/, '*10^($1)');
+        return value < 0 || text.includes('^') ? `(${text})` : text;
+    }
+}
+
+export class Parameter extends ParameterExpression {
+    /**
+     * Create a named parameter
+     * @param {string} name - Identifier, e.g. 'theta' (not a constant such as pi, e or i, nor a function name)
+     */
+    constructor(name) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ||
+            name in evaluator.constants || name in evaluator.functions) {
+            throw new Error(`Invalid parameter name: ${name}`);
+        }
+        super(name, []);
+        this.name = name;
+        this.parameters = [this];
+    }
+
+    /**
+     * Export parameter as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { parameter: this.name };
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Quantum Channel Module
+ *
+ * Physical model of an entanglement link: a fiber of some length whose attenuation and
+ * photon loss decide how often a generation attempt delivers a pair, and whose depolarizing
+ * noise lowers the fidelity of the pairs that arrive. Generation is heralded, so lost pairs
+ * are retried: loss costs time (see NetworkEventSimulator), noise costs fidelity (see
+ * QuantumNetwork.toCircuit).
+ */
+
+// Typical attenuation of telecom fiber at 1550 nm, in dB/km
+const DEFAULT_ATTENUATION = 0.2;
+
+export class QuantumChannel {
+    /**
+     * Create a channel
+     * @param {Object} options - Channel properties
+     * @param {number} options.length - Fiber length in km (default: 0)
+     * @param {number} options.attenuation - Fiber attenuation in dB/km (default: 0.2)
+     * @param {number} options.lossProbability - Probability of losing the photon outside the fiber,
+     *        e.g. in coupling and detection (default: 0)
+     * @param {number} options.depolarizing - Depolarizing probability per km (default: 0)
+     * @param {number} options.generationRate - Pair generation attempts per time unit (default: 1)
+     */
+    constructor(options = {}) {
+        const {
+            length = 0,
+            attenuation = DEFAULT_ATTENUATION,
+            lossProbability = 0,
+            depolarizing = 0,
+            generationRate = 1
+        } = options;
+
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        if (!isNumber(length) || length < 0) {
+            throw new Error('Channel length must be a non-negative number of km');
+        }
+        if (!isNumber(attenuation) || attenuation < 0) {
+            throw new Error('Channel attenuation must be a non-negative number of dB/km');
+        }
+        if (!isNumber(lossProbability) || lossProbability < 0 || lossProbability >= 1) {
+            throw new Error('Photon loss probability must be at least 0 and below 1');
+        }
+        if (!isNumber(depolarizing) || depolarizing < 0 || depolarizing > 1) {
+            throw new Error('Depolarizing probability must be between 0 and 1');
+        }
+        if (!isNumber(generationRate) || generationRate <= 0) {
+            throw new Error('Generation rate must be positive');
+        }
+
+        this.length = length;
+        this.attenuation = attenuation;
+        this.lossProbability = lossProbability;
+        this.depolarizing = depolarizing;
+        this.generationRate = generationRate;
+    }
+
+    /**
+     * Probability that a photon crosses the channel
+     * @returns {number} 10^(-attenuation·length/10) · (1 - lossProbability)
+     */
+    get transmissivity() {
+        return Math.pow(10, -this.attenuation * this.length / 10) * (1 - this.lossProbability);
+    }
+
+    /**
+     * Probability that a generation attempt delivers a pair
+     * @returns {number} Success probability per attempt
+     */
+    get successRate() {
+        return this.transmissivity;
+    }
+
+    /**
+     * Expected number of pairs delivered per time unit
+     * @returns {number} generationRate · successRate
+     */
+    get pairRate() {
+        return this.generationRate * this.successRate;
+    }
+
+    /**
+     * Fidelity of a delivered pair. Depolarizing noise keeps the pair with probability
+     * (1 - depolarizing)^length and replaces it with the maximally mixed state otherwise.
+     * @param {number} initialFidelity - Bell-state fidelity of the pair at the source (default: 1)
+     * @returns {number} Bell-state fidelity after the channel
+     */
+    fidelity(initialFidelity = 1) {
+        const kept = Math.pow(1 - this.depolarizing, this.length);
+        return kept * initialFidelity + (1 - kept) / 4;
+    }
+
+    /**
+     * Sample how many attempts it takes to deliver a pair
+     * @param {SeededRandom} rng - Random generator
+     * @returns {number} Number of attempts (at least 1)
+     */
+    sampleAttempts(rng) {
+        const success = this.successRate;
+        if (success === 0) {
+            throw new Error('Channel never delivers a pair');
+        }
+        if (success === 1) {
+            return 1;
+        }
+        // Geometric distribution by inversion; log1p keeps tiny success probabilities (long links) exact
+        const attempts = Math.ceil(Math.log1p(-rng.random()) / Math.log1p(-success));
+        if (!Number.isFinite(attempts)) {
+            throw new Error('Channel is too lossy to simulate pair generation');
+        }
+        return Math.max(1, attempts);
+    }
+
+    /**
+     * Export channel to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            length: this.length,
+            attenuation: this.attenuation,
+            lossProbability: this.lossProbability,
+            depolarizing: this.depolarizing,
+            generationRate: this.generationRate
+        };
+    }
+
+    /**
+     * Create channel from JSON
+     * @param {Object} json - JSON representation
+     * @returns {QuantumChannel} New channel
+     */
+    static fromJSON(json) {
+        return new QuantumChannel(json);
+    }
+}
@@ -12,6 +12,11 @@ import { QuantumRegister } from './QuantumRegister.js';
 import { ClassicalRegister } from './ClassicalRegister.js';
 import { QasmTranspiler } from '../transpiler/QasmTranspiler.js';
 import { QuantumSimulator } from './QuantumSimulator.js';
+import { DensityMatrixSimulator } from './DensityMatrixSimulator.js';
+import { StabilizerSimulator } from './StabilizerSimulator.js';
+import { NoiseChannel } from './NoiseChannel.js';
+import { Parameter, ParameterExpression } from './Parameter.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 export class QuantumCircuit {
     /**
@@ -48,9 +53,19 @@ export class QuantumCircuit {
 
         // Circuit metadata
         this.name = '';
-        this.params = {};
+        this.params = {};            // parameter name -> Parameter used by the gates (see assignParameters)
         this.customGates = {};
 
+        // Random generator for gate ids (see setSeed)
+        this.rng = new SeededRandom();
+
+        // Noise model used by run() when none is passed (see setNoiseModel)
+        this.noiseModel = null;
+
+        // Classical control state (see c_if and if_test)
+        this.lastGate = null;
+        this.activeCondition = null;
+
         // Import gate definitions and utilities from the original quantum-circuit.js
         this.basicGates = QuantumGates.getBasicGates();
         this.complexMath = new ComplexMath();
@@ -68,6 +83,14 @@ export class QuantumCircuit {
         return this.numClbits;
     }
 
+    /**
+     * Unbound parameters used by the circuit's gates
+     * @returns {Array<Parameter>} Parameters sorted by name
+     */
+    get parameters() {
+        return Object.keys(this.params).sort().map(name => this.params[name]);
+    }
+
     /**
      * Initialize quantum state to |00...0⟩
      */
@@ -392,6 +415,31 @@ export class QuantumCircuit {
         return this;
     }
 
+    /**
+     * Apply general single-qubit rotation U(θ, φ, λ)
+     * @param {number|ParameterExpression} theta - Theta parameter
+     * @param {number|ParameterExpression} phi - Phi parameter
+     * @param {number|ParameterExpression} lambda - Lambda parameter
+     * @param {number} qubit - Target qubit index
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    u3(theta, phi, lambda, qubit) {
+        this.addGate('u3', -1, qubit, { params: { theta, phi, lambda } });
+        return this;
+    }
+
+    /**
+     * Apply general single-qubit rotation (alias for u3)
+     * @param {number|ParameterExpression} theta - Theta parameter
+     * @param {number|ParameterExpression} phi - Phi parameter
+     * @param {number|ParameterExpression} lambda - Lambda parameter
+     * @param {number} qubit - Target qubit index
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    u(theta, phi, lambda, qubit) {
+        return this.u3(theta, phi, lambda, qubit);
+    }
+
     /**
      * Apply controlled-U gate with relative phase
      * @param {number} theta - Theta parameter
@@ -423,6 +471,34 @@ export class QuantumCircuit {
         return this;
     }
 
+    /**
+     * Reset qubit to |0⟩ (non-unitary; collapses the qubit if it is in superposition)
+     * @param {number} qubit - Qubit to reset
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    reset(qubit) {
+        this.addGate('reset', -1, qubit);
+        return this;
+    }
+
+    /**
+     * Apply a noise channel (simulated with the density matrix backend)
+     * @param {NoiseChannel} channel - Channel to apply, e.g. NoiseChannel.depolarizing(0.01)
+     * @param {number|Array<number>} qubits - Qubit or qubits the channel acts on
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    noise(channel, qubits) {
+        const wires = Array.isArray(qubits) ? qubits : [qubits];
+        if (!(channel instanceof NoiseChannel)) {
+            throw new Error('noise() expects a NoiseChannel; readout errors are passed to run({ readoutErrors })');
+        }
+        if (wires.length !== channel.numQubits) {
+            throw new Error(`${channel.name} channel acts on ${channel.numQubits} qubit(s), got ${wires.length}`);
+        }
+        this.addGate('noise', -1, wires, { channel: channel.toJSON() });
+        return this;
+    }
+
     /**
      * Measure all qubits to classical register
      * @returns {QuantumCircuit} This circuit for method chaining
@@ -449,6 +525,516 @@ export class QuantumCircuit {
         return this;
     }
 
+    // ============================================================================
+    // CLASSICAL CONTROL METHODS
+    // ============================================================================
+
+    /**
+     * Condition the most recently added gate on a classical value
+     * @param {ClassicalRegister|string|number|Object} target - Classical register (or its name), a single bit
+     *        index, or a condition object {bits, value}
+     * @param {number} value - Value the register (little-endian) or bit must equal
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    c_if(target, value) {
+        if (!this.lastGate) {
+            throw new Error('c_if must follow a gate');
+        }
+        if (this.lastGate.name === 'barrier') {
+            throw new Error('Barriers cannot be classically controlled');
+        }
+
+        this.lastGate.options.condition = this.createCondition(target, value);
+        return this;
+    }
+
+    /**
+     * Add gates that are only applied when a classical condition holds
+     * @param {Array|Object} condition - [target, value] as accepted by c_if, or a condition object
+     * @param {Function} body - Callback receiving this circuit; gates it adds are conditioned
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    if_test(condition, body) {
+        if (this.activeCondition) {
+            throw new Error('Nested if_test blocks are not supported');
+        }
+
+        this.activeCondition = Array.isArray(condition)
+            ? this.createCondition(condition[0], condition[1])
+            : this.createCondition(condition);
+
+        try {
+            body(this);
+        } finally {
+            this.activeCondition = null;
+        }
+        return this;
+    }
+
+    /**
+     * Build and validate a condition object {creg, bits, value}
+     * @param {ClassicalRegister|string|number|Object} target - Register, register name, bit index or condition object
+     * @param {number} value - Expected value
+     * @returns {Object} Condition with the tested bit indices (least significant first)
+     */
+    createCondition(target, value) {
+        if (!this.creg) {
+            throw new Error('Classical conditions require a classical register');
+        }
+
+        let bits;
+        if (target && typeof target === 'object' && Array.isArray(target.bits)) {
+            bits = target.bits;
+            value = target.value;
+        } else if (typeof target === 'number') {
+            bits = [target];
+        } else {
+            const name = target instanceof ClassicalRegister ? target.name : target;
+            if (name !== this.creg.name) {
+                throw new Error(`Unknown classical register: ${name}`);
+            }
+            bits = Array.from({ length: this.numClbits }, (_, i) => i);
+        }
+
+        if (bits.some(bit => !Number.isInteger(bit) || bit < 0 || bit >= this.numClbits)) {
+            throw new Error('Condition bit index out of range');
+        }
+        if (!Number.isInteger(value) || value < 0 || value >= Math.pow(2, bits.length)) {
+            throw new Error(`Condition value ${value} out of range for ${bits.length} bit(s)`);
+        }
+
+        return { creg: this.creg.name, bits: [...bits], value };
+    }
+
+    // ============================================================================
+    // CUSTOM GATE METHODS
+    // ============================================================================
+
+    /**
+     * Define a named gate from a unitary matrix or a subcircuit
+     * @param {string} name - Gate name (an identifier that is not a built-in gate or OpenQASM keyword)
+     * @param {QuantumCircuit|Array} definition - Subcircuit of unitary gates, or a 2^k × 2^k unitary
+     *        matrix whose entries are numbers, complex {re, im} or constant expressions such as
+     *        "1/sqrt(2)". The first qubit the gate is applied to is the most significant bit of
+     *        the matrix index (as for built-in gates); subcircuit qubit i maps to the i-th qubit.
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    defineGate(name, definition) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid gate name: ${name}`);
+        }
+        if (QuantumGates.hasGate(name) || new QasmTranspiler().isReservedName(name)) {
+            throw new Error(`Gate name ${name} is reserved`);
+        }
+        if (this.customGates[name]) {
+            throw new Error(`Gate ${name} is already defined`);
+        }
+
+        this.customGates[name] = this.buildGateDefinition(name, definition);
+        return this;
+    }
+
+    /**
+     * Validate a gate definition and compute its matrix (see defineGate)
+     * @param {string} name - Gate name, for error messages
+     * @param {QuantumCircuit|Array} definition - Subcircuit or unitary matrix
+     * @returns {Object} Custom gate {name, numQubits, matrix, circuit}
+     */
+    buildGateDefinition(name, definition) {
+        const simulator = new QuantumSimulator();
+        let matrix;
+        let subcircuit = null;
+
+        if (definition instanceof QuantumCircuit) {
+            for (const wire of definition.gates) {
+                for (const gate of wire) {
+                    if (!gate || gate.name === 'barrier') continue;
+                    if (['measure', 'reset', 'noise'].includes(gate.name) || gate.options?.condition) {
+                        throw new Error(`Gate ${name} must be unitary; its subcircuit contains ${gate.options?.condition ? 'a classically-controlled gate' : gate.name}`);
+                    }
+                }
+            }
+
+            // The simulator's unitary has qubit 0 as the least significant bit; reverse it so that
+            // the first qubit is the most significant, as in built-in gate matrices
+            const unitary = simulator.calculateUnitaryMatrix(definition);
+            const k = definition.numQubits;
+            const reverse = index => {
+                let reversed = 0;
+                for (let bit = 0; bit < k; bit++) {
+                    reversed |= ((index >> bit) & 1) << (k - 1 - bit);
+                }
+                return reversed;
+            };
+            matrix = unitary.map((row, i) => row.map((_, j) => unitary[reverse(i)][reverse(j)]));
+            subcircuit = QuantumCircuit.fromJSON(JSON.parse(JSON.stringify(definition.toJSON())));
+        } else if (Array.isArray(definition)) {
+            const size = definition.length;
+            if (size < 2 || (size & (size - 1)) !== 0 || definition.some(row => !Array.isArray(row) || row.length !== size)) {
+                throw new Error(`Gate ${name} needs a square matrix with a power-of-two size`);
+            }
+            matrix = simulator.parseGateMatrix(definition, {});
+            if (!this.isUnitary(matrix)) {
+                throw new Error(`Matrix of gate ${name} is not unitary`);
+            }
+        } else {
+            throw new Error('Gate definition must be a QuantumCircuit or a matrix');
+        }
+
+        return {
+            name,
+            numQubits: Math.log2(matrix.length),
+            matrix: matrix.map(row => row.map(z => this.complexMath.complex(z.re, z.im))),
+            circuit: subcircuit
+        };
+    }
+
+    /**
+     * Define a gate under a free name, reusing an identical existing definition
+     * @param {string} name - Preferred name; a numbered variant (name_1, name_2, ...) is used if
+     *        the name is reserved or taken by a different gate
+     * @param {QuantumCircuit|Array} definition - Subcircuit or unitary matrix, as for defineGate
+     * @returns {string} Name the gate is defined under
+     */
+    importGate(name, definition) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid gate name: ${name}`);
+        }
+
+        const customGate = this.buildGateDefinition(name, definition);
+        const transpiler = new QasmTranspiler();
+        for (let i = 0; ; i++) {
+            const candidate = i === 0 ? name : `${name}_${i}`;
+            if (QuantumGates.hasGate(candidate) || transpiler.isReservedName(candidate)) continue;
+
+            const existing = this.customGates[candidate];
+            if (!existing) {
+                this.customGates[candidate] = { ...customGate, name: candidate };
+                return candidate;
+            }
+            if (this.isSameMatrix(existing.matrix, customGate.matrix)) {
+                return candidate;
+            }
+        }
+    }
+
+    /**
+     * Apply a gate defined with defineGate
+     * @param {string} name - Custom gate name
+     * @param {number|Array<number>} qubits - Qubit or qubits, in the order of the gate's matrix
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    gate(name, qubits) {
+        const customGate = this.customGates[name];
+        if (!customGate) {
+            throw new Error(`Unknown custom gate: ${name}`);
+        }
+
+        const wires = Array.isArray(qubits) ? qubits : [qubits];
+        if (wires.length !== customGate.numQubits) {
+            throw new Error(`Gate ${name} acts on ${customGate.numQubits} qubit(s), got ${wires.length}`);
+        }
+        if (new Set(wires).size !== wires.length) {
+            throw new Error(`Gate ${name} cannot use the same qubit twice`);
+        }
+        if (wires.some(wire => !Number.isInteger(wire) || wire < 0 || wire >= this.numQubits)) {
+            throw new Error('Qubit index out of range');
+        }
+
+        this.addGate(name, -1, wires);
+        return this;
+    }
+
+    /**
+     * Check whether a complex matrix is unitary (U·U† = I)
+     * @param {Array} matrix - Complex matrix
+     * @param {number} tolerance - Allowed deviation per entry
+     * @returns {boolean} True if the matrix is unitary
+     */
+    isUnitary(matrix, tolerance = 1e-9) {
+        const size = matrix.length;
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                let re = 0;
+                let im = 0;
+                for (let k = 0; k < size; k++) {
+                    // matrix[i][k] · conj(matrix[j][k])
+                    const a = matrix[i][k];
+                    const b = matrix[j][k];
+                    re += a.re * b.re + a.im * b.im;
+                    im += a.im * b.re - a.re * b.im;
+                }
+                if (Math.abs(re - (i === j ? 1 : 0)) > tolerance || Math.abs(im) > tolerance) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Compare two complex matrices entry by entry
+     * @param {Array} a - Complex matrix
+     * @param {Array} b - Complex matrix
+     * @param {number} tolerance - Allowed deviation per entry
+     * @returns {boolean} True if the matrices have the same size and entries
+     */
+    isSameMatrix(a, b, tolerance = 1e-9) {
+        return a.length === b.length && a.every((row, i) => row.every((z, j) =>
+            Math.abs(z.re - b[i][j].re) <= tolerance && Math.abs(z.im - b[i][j].im) <= tolerance));
+    }
+
+    /**
+     * Conjugate transpose of a complex matrix
+     * @param {Array} matrix - Complex matrix
+     * @returns {Array} Adjoint matrix
+     */
+    adjointMatrix(matrix) {
+        return matrix[0].map((_, j) => matrix.map(row => this.complexMath.complex(row[j].re, -row[j].im)));
+    }
+
+    /**
+     * Matrix of a gate with k control qubits (the controls are the most significant bits)
+     * @param {Array} matrix - Complex matrix of the gate
+     * @param {number} k - Number of control qubits
+     * @returns {Array} Identity except for the last block, which is the gate's matrix
+     */
+    controlledMatrix(matrix, k) {
+        const size = matrix.length << k;
+        const offset = size - matrix.length;
+        return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) =>
+            i >= offset && j >= offset
+                ? matrix[i - offset][j - offset]
+                : this.complexMath.complex(i === j ? 1 : 0, 0)));
+    }
+
+    // ============================================================================
+    // CIRCUIT COMPOSITION METHODS
+    // ============================================================================
+
+    /**
+     * Add another circuit's gates after this circuit's
+     * @param {QuantumCircuit} other - Circuit to add
+     * @param {Array<number>} qubits - Qubit of this circuit for each qubit of other (default 0, 1, ...)
+     * @param {Array<number>} clbits - Classical bit of this circuit for each bit of other (default 0, 1, ...)
+     * @returns {QuantumCircuit} New circuit; other's columns follow this circuit's
+     */
+    compose(other, qubits = null, clbits = null) {
+        const qubitMap = this.validateBitMap(qubits, other.numQubits, this.numQubits, 'qubit');
+        const clbitMap = this.validateBitMap(clbits, other.numClbits, this.numClbits, 'classical bit');
+
+        const circuit = this.copy();
+        circuit.placeGates(other, this.numCols(), qubitMap, clbitMap);
+        return circuit;
+    }
+
+    /**
+     * Add another circuit as a single custom gate (see defineGate)
+     * @param {QuantumCircuit} other - Circuit of unitary gates; the gate is named after it
+     *        ("circuit" if its name is not an identifier)
+     * @param {Array<number>} qubits - Qubit of this circuit for each qubit of other (default 0, 1, ...)
+     * @returns {QuantumCircuit} New circuit
+     */
+    append(other, qubits = null) {
+        const wires = this.validateBitMap(qubits, other.numQubits, this.numQubits, 'qubit');
+        const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(other.name) ? other.name : 'circuit';
+
+        const circuit = this.copy();
+        circuit.addGate(circuit.importGate(name, other), -1, wires);
+        return circuit;
+    }
+
+    /**
+     * Put another circuit next to this one (the tensor product this ⊗ other)
+     * @param {QuantumCircuit} other - Circuit for the low qubits
+     * @returns {QuantumCircuit} New circuit whose first qubits and classical bits are other's,
+     *          followed by this circuit's (little-endian, as for state vectors)
+     */
+    tensor(other) {
+        const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+        const circuit = new QuantumCircuit(other.numQubits + this.numQubits, other.numClbits + this.numClbits);
+
+        circuit.placeGates(other, 0, range(0, other.numQubits), range(0, other.numClbits));
+        circuit.placeGates(this, 0, range(other.numQubits, this.numQubits), range(other.numClbits, this.numClbits));
+        return circuit;
+    }
+
+    /**
+     * Invert the circuit: columns in reverse order, each gate replaced by its inverse
+     * (see QuantumGates.getDagger). The inverse of custom gate NAME is defined as NAME_dg.
+     * @returns {QuantumCircuit} New circuit
+     * @throws {Error} If the circuit measures, resets, applies noise or has classical conditions
+     */
+    inverse() {
+        const circuit = this.copyEmpty();
+        const lastCol = this.numCols() - 1;
+
+        this.forEachGate((gate, col) => {
+            const wires = this.getGateWires(gate);
+            if (gate.name === 'barrier') {
+                circuit.addGate('barrier', lastCol - col, wires);
+                return;
+            }
+            if (gate.options?.condition) {
+                throw new Error(`Cannot invert classically-controlled gate ${gate.name}`);
+            }
+
+            const customGate = this.customGates[gate.name];
+            if (customGate) {
+                const name = gate.name.endsWith('_dg') ? gate.name.slice(0, -3) : `${gate.name}_dg`;
+                const definition = customGate.circuit ? customGate.circuit.inverse() : this.adjointMatrix(customGate.matrix);
+                circuit.addGate(circuit.importGate(name, definition), lastCol - col, wires);
+                return;
+            }
+
+            const dagger = QuantumGates.getDagger(gate.name, gate.options?.params);
+            const name = dagger.matrix ? circuit.importGate(dagger.name, dagger.matrix) : dagger.name;
+            circuit.addGate(name, lastCol - col, wires, Object.keys(dagger.params).length > 0 ? { params: dagger.params } : {});
+        });
+
+        return circuit;
+    }
+
+    /**
+     * Repeat the circuit
+     * @param {number} n - Number of repetitions; negative powers repeat the inverse
+     * @returns {QuantumCircuit} New circuit with |n| copies of the gates, one after another
+     */
+    power(n) {
+        if (!Number.isInteger(n)) {
+            throw new Error('Circuit power must be an integer');
+        }
+
+        const base = n < 0 ? this.inverse() : this;
+        const qubits = Array.from({ length: this.numQubits }, (_, i) => i);
+        const clbits = Array.from({ length: this.numClbits }, (_, i) => i);
+
+        const circuit = this.copyEmpty();
+        for (let i = 0; i < Math.abs(n); i++) {
+            circuit.placeGates(base, i * base.numCols(), qubits, clbits);
+        }
+        return circuit;
+    }
+
+    /**
+     * Add control qubits to every gate. Built-in controlled gates are used where they exist
+     * (x -> cx -> ccx, rz -> crz, ...); other gates get a custom gate named cK_NAME.
+     * @param {number} k - Number of control qubits
+     * @returns {QuantumCircuit} New circuit with the controls as qubits 0..k-1 and this circuit's
+     *          qubits moved up by k; its gates act only when all controls are |1⟩
+     * @throws {Error} If the circuit measures, resets, applies noise or has classical conditions, or
+     *         if a gate that needs a custom controlled gate has unbound parameters
+     */
+    control(k = 1) {
+        if (!Number.isInteger(k) || k < 1) {
+            throw new Error('Number of control qubits must be a positive integer');
+        }
+
+        const circuit = new QuantumCircuit(k + this.numQubits, this.numClbits);
+        const controls = Array.from({ length: k }, (_, i) => i);
+
+        this.forEachGate((gate, col) => {
+            const wires = this.getGateWires(gate).map(wire => wire + k);
+            if (gate.name === 'barrier') {
+                circuit.addGate('barrier', col, [...controls, ...wires]);
+                return;
+            }
+            if (gate.name === 'id') {
+                circuit.addGate('id', col, wires);
+                return;
+            }
+            if (['measure', 'reset', 'noise'].includes(gate.name) || gate.options?.condition) {
+                throw new Error(`Cannot control ${gate.options?.condition ? `classically-controlled gate ${gate.name}` : gate.name}`);
+            }
+
+            const customGate = this.customGates[gate.name];
+            if (customGate) {
+                const definition = customGate.circuit
+                    ? customGate.circuit.control(k)
+                    : this.controlledMatrix(customGate.matrix, k);
+                circuit.addGate(circuit.importGate(`c${k}_${gate.name}`, definition), col, [...controls, ...wires]);
+                return;
+            }
+
+            // Add controls with built-in controlled gates while possible, the rest with a custom gate
+            let name = gate.name;
+            let params = gate.options?.params || {};
+            let remaining = k;
+            for (let controlled; remaining > 0 && (controlled = QuantumGates.getControlled(name, params)); remaining--) {
+                ({ name, params } = controlled);
+            }
+            if (remaining > 0) {
+                const symbolic = Object.values(params).filter(value => value instanceof ParameterExpression);
+                if (symbolic.length > 0) {
+                    throw new Error(`control(${k}) needs bound parameters for gate ${gate.name}: it has no built-in form with ${k} controls, so it becomes a custom gate defined by a matrix (assign ${symbolic.map(value => value.expression).join(', ')} first)`);
+                }
+                const matrix = new QuantumSimulator().getGateMatrix({ name, options: { params } });
+                name = circuit.importGate(`c${remaining}_${name}`, this.controlledMatrix(matrix, remaining));
+                params = {};
+            }
+
+            circuit.addGate(name, col, [...controls, ...wires], Object.keys(params).length > 0 ? { params } : {});
+        });
+
+        return circuit;
+    }
+
+    /**
+     * Copy another circuit's gates into this one, keeping its column layout
+     * @param {QuantumCircuit} source - Circuit to copy from
+     * @param {number} offset - Column that source column 0 goes to
+     * @param {Array<number>} qubitMap - Qubit of this circuit for each source qubit
+     * @param {Array<number>} clbitMap - Classical bit of this circuit for each source bit
+     */
+    placeGates(source, offset, qubitMap, clbitMap) {
+        const names = {};
+        for (const customGate of Object.values(source.customGates)) {
+            names[customGate.name] = this.importGate(customGate.name, customGate.circuit || customGate.matrix);
+        }
+
+        source.forEachGate((gate, col) => {
+            const options = { ...gate.options };
+            if (options.params) {
+                options.params = { ...options.params };
+            }
+            if (options.creg) {
+                options.creg = { name: this.creg.name, bit: clbitMap[options.creg.bit] };
+            }
+            if (options.condition) {
+                options.condition = { bits: options.condition.bits.map(bit => clbitMap[bit]), value: options.condition.value };
+            }
+
+            const wires = source.getGateWires(gate).map(wire => qubitMap[wire]);
+            this.addGate(names[gate.name] || gate.name, offset + col, wires, options);
+        });
+    }
+
+    /**
+     * Check a mapping from another circuit's qubits or classical bits to this circuit's
+     * @param {Array<number>|null} map - Index in this circuit for each bit (null for 0, 1, ...)
+     * @param {number} size - Number of bits in the other circuit
+     * @param {number} available - Number of bits in this circuit
+     * @param {string} kind - 'qubit' or 'classical bit', for error messages
+     * @returns {Array<number>} The mapping
+     */
+    validateBitMap(map, size, available, kind) {
+        if (size > available) {
+            throw new Error(`Circuit has ${size} ${kind}s but only ${available} are available`);
+        }
+
+        const indices = map || Array.from({ length: size }, (_, i) => i);
+        if (indices.length !== size) {
+            throw new Error(`Expected ${size} ${kind} indices, got ${indices.length}`);
+        }
+        if (new Set(indices).size !== indices.length) {
+            throw new Error(`Each ${kind} can only be used once`);
+        }
+        if (indices.some(index => !Number.isInteger(index) || index < 0 || index >= available)) {
+            throw new Error(`${kind[0].toUpperCase()}${kind.slice(1)} index out of range`);
+        }
+        return [...indices];
+    }
+
     // ============================================================================
     // CIRCUIT MANIPULATION METHODS (adapted from original quantum-circuit.js)
     // ============================================================================
@@ -458,7 +1044,7 @@ export class QuantumCircuit {
      * @param {string} gateName - Gate name
      * @param {number} column - Column position (-1 for append)
      * @param {number|Array} wires - Wire index or array of wire indices
-     * @param {Object} options - Gate options (parameters, etc.)
+     * @param {Object} options - Gate options (params, creg, condition as [target, value] or condition object)
      */
     addGate(gateName, column, wires, options) {
         const wireList = Array.isArray(wires) ? wires : [wires];
@@ -483,9 +1069,23 @@ export class QuantumCircuit {
         const gate = {
             name: gateName,
             id: gateId,
+            wires: [...wireList],
             options: options || {}
         };
 
+        // Gates added inside an if_test block inherit its condition
+        const condition = gate.options.condition || this.activeCondition;
+        if (condition && gateName !== 'barrier') {
+            gate.options = {
+                ...gate.options,
+                condition: Array.isArray(condition)
+                    ? this.createCondition(condition[0], condition[1])
+                    : this.createCondition(condition)
+            };
+        }
+        this.lastGate = gate;
+        this.registerParameters(gate);
+
         // Place gate on all specified wires
         for (let wire of wireList) {
             this.gates[wire][targetColumn] = gate;
@@ -495,6 +1095,119 @@ export class QuantumCircuit {
         this.resetState();
     }
 
+    /**
+     * Record the symbolic parameters a gate uses in this.params
+     * @param {Object} gate - Gate object
+     */
+    registerParameters(gate) {
+        for (const value of Object.values(gate.options?.params || {})) {
+            if (value instanceof ParameterExpression) {
+                value.parameters.forEach(parameter => { this.params[parameter.name] = parameter; });
+            }
+        }
+    }
+
+    /**
+     * Bind values to symbolic parameters
+     * @param {Object|Map} values - Values by parameter name (or a Map keyed by Parameter or name);
+     *        parameters left out stay symbolic
+     * @returns {QuantumCircuit} New circuit with the values substituted
+     * @throws {Error} If a name is not a parameter of the circuit or a value is not a number
+     */
+    assignParameters(values) {
+        const bindings = {};
+        const entries = values instanceof Map ? [...values] : Object.entries(values);
+        for (const [key, value] of entries) {
+            const name = key instanceof Parameter ? key.name : key;
+            if (!Object.prototype.hasOwnProperty.call(this.params, name)) {
+                throw new Error(`Unknown parameter: ${name}`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Value of parameter ${name} must be a finite number`);
+            }
+            bindings[name] = value;
+        }
+
+        const circuit = this.copy();
+        const boundGates = new Set();
+        for (const wire of circuit.gates) {
+            for (const gate of wire) {
+                if (!gate || !gate.options?.params || boundGates.has(gate)) continue;
+                boundGates.add(gate);
+
+                for (const [key, value] of Object.entries(gate.options.params)) {
+                    if (value instanceof ParameterExpression) {
+                        gate.options.params[key] = value.bind(bindings);
+                    }
+                }
+            }
+        }
+
+        circuit.params = {};
+        circuit.forEachGate(gate => circuit.registerParameters(gate));
+        return circuit;
+    }
+
+    /**
+     * Bind values to symbolic parameters (alias for assignParameters)
+     * @param {Object|Map} values - Values by parameter name
+     * @returns {QuantumCircuit} New circuit with the values substituted
+     */
+    bindParameters(values) {
+        return this.assignParameters(values);
+    }
+
+    /**
+     * Call a function once for every gate, in column order
+     * @param {Function} callback - Receives (gate, column)
+     */
+    forEachGate(callback) {
+        for (let col = 0; col < this.numCols(); col++) {
+            const seen = new Set();
+            for (let wire = 0; wire < this.numQubits; wire++) {
+                const gate = this.gates[wire][col];
+                if (gate && !seen.has(gate.id)) {
+                    seen.add(gate.id);
+                    callback(gate, col);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create an independent copy of the circuit (gates, custom gates and noise model)
+     * @returns {QuantumCircuit} New circuit instance
+     */
+    copy() {
+        const circuit = QuantumCircuit.fromJSON(JSON.parse(JSON.stringify(this.toJSON())));
+        circuit.noiseModel = this.noiseModel;
+        return circuit;
+    }
+
+    /**
+     * Create a circuit with the same registers, custom gates and noise model but no gates
+     * @returns {QuantumCircuit} New circuit instance
+     */
+    copyEmpty() {
+        const circuit = QuantumCircuit.fromJSON({ ...JSON.parse(JSON.stringify(this.toJSON())), gates: null });
+        circuit.noiseModel = this.noiseModel;
+        return circuit;
+    }
+
+    /**
+     * Wires a gate acts on, in the order it was applied (e.g. [control, target])
+     * @param {Object} gate - Gate object
+     * @returns {Array<number>} Wire indices
+     */
+    getGateWires(gate) {
+        if (Array.isArray(gate.wires)) {
+            return [...gate.wires];
+        }
+        return this.gates
+            .map((wire, index) => wire.some(cell => cell && cell.id === gate.id) ? index : -1)
+            .filter(index => index >= 0);
+    }
+
     /**
      * Get number of columns in circuit
      */
@@ -532,6 +1245,16 @@ export class QuantumCircuit {
         return col;
     }
 
+    /**
+     * Seed the generator used for gate ids, making them reproducible
+     * @param {number|string} seed - Integer or string seed
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    setSeed(seed) {
+        this.rng = new SeededRandom(seed);
+        return this;
+    }
+
     /**
      * Generate random string for gate ID
      */
@@ -539,7 +1262,7 @@ export class QuantumCircuit {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
         let result = '';
         for (let i = 0; i < len; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+            result += chars.charAt(this.rng.randomInt(chars.length));
         }
         return result;
     }
@@ -550,14 +1273,59 @@ export class QuantumCircuit {
 
     /**
      * Run the circuit simulation
+     * @param {Object|number} options - Simulation options, or the number of shots
+     * @param {number} options.shots - Number of measurement samples (default: 1024)
+     * @param {number|string} options.seed - Seed for reproducible sampling (recorded in results.seed)
+     * @param {string} options.backend - 'statevector', 'density_matrix', 'stabilizer' or 'auto'
+     *        (default: density_matrix when the circuit contains noise channels or a noise model or
+     *        readout errors are given, statevector otherwise). 'auto' also picks stabilizer for
+     *        noiseless circuits of Clifford gates only (see isClifford); results.backend records
+     *        the backend used.
+     * @param {ReadoutError|Object} options.readoutErrors - Readout errors (density_matrix backend)
+     * @param {NoiseModel} options.noiseModel - Noise model (defaults to the one set with setNoiseModel)
+     * @param {boolean} options.unitary - Include results.unitaryMatrix (default: false). The
+     *        2^n × 2^n unitary takes 4^n memory, so it is only built on request; getUnitary()
+     *        calculates it on its own
+     * @param {Function} options.onProgress - Called with {completed, total} circuit columns as the
+     *        simulation advances
      * @returns {Object} Simulation results
      */
-    run() {
-        const simulator = new QuantumSimulator();
-        const results = simulator.simulate(this);
+    run(options = {}) {
+        if (typeof options === 'number') {
+            options = { shots: options };
+        }
 
-        // Add unitary matrix to results
-        results.unitaryMatrix = simulator.calculateUnitaryMatrix(this);
+        const noiseModel = options.noiseModel || this.noiseModel;
+        if (noiseModel) {
+            options = { ...options, noiseModel };
+        }
+
+        const isNoisy = this.hasNoise() || options.readoutErrors || noiseModel;
+        let backend = options.backend || (isNoisy ? 'density_matrix' : 'statevector');
+        if (backend === 'auto') {
+            backend = isNoisy ? 'density_matrix' : this.isClifford() ? 'stabilizer' : 'statevector';
+        }
+        if ((backend === 'statevector' || backend === 'stabilizer') && noiseModel) {
+            throw new Error('Noise models require the density_matrix backend');
+        }
+        let simulator;
+        if (backend === 'density_matrix') {
+            simulator = new DensityMatrixSimulator();
+        } else if (backend === 'statevector') {
+            simulator = new QuantumSimulator();
+        } else if (backend === 'stabilizer') {
+            simulator = new StabilizerSimulator();
+        } else {
+            throw new Error(`Unknown simulation backend: ${backend}`);
+        }
+
+        const results = simulator.simulate(this, options);
+        results.backend = backend;
+
+        // Add unitary matrix to results when requested
+        if (options.unitary) {
+            results.unitaryMatrix = simulator.calculateUnitaryMatrix(this);
+        }
 
         // Add QASM code to results
         results.qasm = this.qasm();
@@ -565,12 +1333,40 @@ export class QuantumCircuit {
         return results;
     }
 
+    /**
+     * Set the noise model used when running this circuit
+     * @param {NoiseModel|null} noiseModel - Noise model, or null for noiseless runs
+     * @returns {QuantumCircuit} This circuit for method chaining
+     */
+    setNoiseModel(noiseModel) {
+        this.noiseModel = noiseModel;
+        return this;
+    }
+
+    /**
+     * Check whether the circuit contains noise channels
+     * @returns {boolean} True if any noise channel is present
+     */
+    hasNoise() {
+        return this.gates.some(wire => wire.some(gate => gate && gate.name === 'noise'));
+    }
+
+    /**
+     * Check whether the circuit only uses Clifford gates (id, Paulis, h, s, sdg, sx, cx, cy, cz,
+     * swap, iswap), measurements, resets and barriers, so the stabilizer backend can run it
+     * @returns {boolean} True if the circuit is a Clifford circuit
+     */
+    isClifford() {
+        return StabilizerSimulator.supportsCircuit(this);
+    }
+
     /**
      * Simulate the circuit (alias for run)
+     * @param {Object} options - Simulation options
      * @returns {Object} Simulation results
      */
-    simulate() {
-        return this.run();
+    simulate(options = {}) {
+        return this.run(options);
     }
 
     /**
@@ -594,6 +1390,16 @@ export class QuantumCircuit {
         return probabilities;
     }
 
+    /**
+     * Calculate the unitary matrix of the circuit (measurements, barriers, resets and noise
+     * are skipped), with qubit 0 as the least significant bit
+     * @returns {Array} 2^n × 2^n complex matrix
+     * @throws {Error} If the circuit has classically controlled gates
+     */
+    getUnitary() {
+        return new QuantumSimulator().calculateUnitaryMatrix(this);
+    }
+
     // ============================================================================
     // EXPORT METHODS
     // ============================================================================
@@ -631,7 +1437,7 @@ export class QuantumCircuit {
      * @returns {Object} JSON representation
      */
     toJSON() {
-        return {
+        const json = {
             numQubits: this.numQubits,
             numClbits: this.numClbits,
             gates: this.gates,
@@ -639,6 +1445,16 @@ export class QuantumCircuit {
             qreg: this.qreg.toJSON(),
             creg: this.creg ? this.creg.toJSON() : null
         };
+
+        const customGates = Object.values(this.customGates);
+        if (customGates.length > 0) {
+            json.customGates = {};
+            for (const { name, matrix, circuit } of customGates) {
+                json.customGates[name] = circuit ? { circuit: circuit.toJSON() } : { matrix };
+            }
+        }
+
+        return json;
     }
 
     /**
@@ -651,9 +1467,37 @@ export class QuantumCircuit {
         const creg = json.creg ? ClassicalRegister.fromJSON(json.creg) : 0;
 
         const circuit = new QuantumCircuit(qreg, creg);
-        circuit.gates = json.gates || [];
         circuit.name = json.name || '';
 
+        // Gates are copied (one object per multi-qubit gate) with their parameters restored
+        const copies = new Map();
+        const copyGate = gate => {
+            if (!copies.has(gate.id)) {
+                const options = { ...gate.options };
+                if (options.params) {
+                    options.params = Object.fromEntries(Object.entries(options.params).map(([key, value]) =>
+                        [key, ParameterExpression.isSerialized(value) ? ParameterExpression.fromJSON(value) : value]));
+                }
+                copies.set(gate.id, { ...gate, options });
+            }
+            return copies.get(gate.id);
+        };
+        circuit.gates = (json.gates || circuit.gates).map(wire => wire.map(gate => gate ? copyGate(gate) : null));
+        circuit.forEachGate(gate => circuit.registerParameters(gate));
+
+        for (const [name, definition] of Object.entries(json.customGates || {})) {
+            circuit.defineGate(name, definition.circuit ? QuantumCircuit.fromJSON(definition.circuit) : definition.matrix);
+        }
+
         return circuit;
     }
+
+    /**
+     * Create circuit from OpenQASM 3 (or 2.0) code
+     * @param {string} qasmCode - OpenQASM source code
+     * @returns {QuantumCircuit} New circuit instance
+     */
+    static fromQASM(qasmCode) {
+        return new QasmTranspiler().parse(qasmCode);
+    }
 }
\ No newline at end of file
@@ -5,9 +5,15 @@
  * Contains all quantum gate matrices and metadata extracted from the original quantum-circuit.js
  */
 
+import { ParameterExpression } from './Parameter.js';
+
 export class QuantumGates {
     /**
      * Get all basic gate definitions
+     *
+     * Unitary gates name their inverse in `dagger` and, where one exists, the built-in gate with
+     * one more control qubit in `controlled`. Their `params` are expressions over the original
+     * gate's parameters; a `matrix` marks an inverse without a built-in gate (see getDagger).
      * @returns {Object} Object containing all gate definitions
      */
     static getBasicGates() {
@@ -19,6 +25,7 @@ export class QuantumGates {
                     [0, 1]
                 ],
                 params: [],
+                dagger: { name: "id" },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "ID"
@@ -32,6 +39,8 @@ export class QuantumGates {
                     [1, 0]
                 ],
                 params: [],
+                dagger: { name: "x" },
+                controlled: { name: "cx" },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "X"
@@ -45,6 +54,8 @@ export class QuantumGates {
                     ["i", 0]
                 ],
                 params: [],
+                dagger: { name: "y" },
+                controlled: { name: "cy" },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "Y"
@@ -58,6 +69,8 @@ export class QuantumGates {
                     [0, -1]
                 ],
                 params: [],
+                dagger: { name: "z" },
+                controlled: { name: "cz" },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "Z"
@@ -71,6 +84,8 @@ export class QuantumGates {
                     ["1/sqrt(2)", "-1/sqrt(2)"]
                 ],
                 params: [],
+                dagger: { name: "h" },
+                controlled: { name: "ch" },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "H"
@@ -84,6 +99,8 @@ export class QuantumGates {
                     [0, "i"]
                 ],
                 params: [],
+                dagger: { name: "sdg" },
+                controlled: { name: "cp", params: { lambda: "pi/2" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "S"
@@ -97,6 +114,8 @@ export class QuantumGates {
                     [0, "e^(i * pi / 4)"]
                 ],
                 params: [],
+                dagger: { name: "tdg" },
+                controlled: { name: "cp", params: { lambda: "pi/4" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "T"
@@ -110,6 +129,8 @@ export class QuantumGates {
                     [0, "-i"]
                 ],
                 params: [],
+                dagger: { name: "s" },
+                controlled: { name: "cp", params: { lambda: "-pi/2" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "S†"
@@ -123,6 +144,8 @@ export class QuantumGates {
                     [0, "e^(-i * pi / 4)"]
                 ],
                 params: [],
+                dagger: { name: "t" },
+                controlled: { name: "cp", params: { lambda: "-pi/4" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "T†"
@@ -136,6 +159,8 @@ export class QuantumGates {
                     ["-i*sin(theta/2)", "cos(theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "rx", params: { theta: "-theta" } },
+                controlled: { name: "crx", params: { theta: "theta" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "RX"
@@ -149,6 +174,8 @@ export class QuantumGates {
                     ["sin(theta/2)", "cos(theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "ry", params: { theta: "-theta" } },
+                controlled: { name: "cry", params: { theta: "theta" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "RY"
@@ -162,6 +189,8 @@ export class QuantumGates {
                     [0, "e^(i*theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "rz", params: { theta: "-theta" } },
+                controlled: { name: "crz", params: { theta: "theta" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "RZ"
@@ -175,6 +204,8 @@ export class QuantumGates {
                     [0, "e^(i*lambda)"]
                 ],
                 params: ["lambda"],
+                dagger: { name: "u1", params: { lambda: "-lambda" } },
+                controlled: { name: "cp", params: { lambda: "lambda" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "U1"
@@ -188,6 +219,8 @@ export class QuantumGates {
                     ["e^(i*phi)/sqrt(2)", "e^(i*(phi+lambda))/sqrt(2)"]
                 ],
                 params: ["phi", "lambda"],
+                dagger: { name: "u3", params: { theta: "-pi/2", phi: "-lambda", lambda: "-phi" } },
+                controlled: { name: "cu", params: { theta: "pi/2", phi: "phi", lambda: "lambda", gamma: "0" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "U2"
@@ -201,6 +234,8 @@ export class QuantumGates {
                     ["e^(i*phi)*sin(theta/2)", "e^(i*(phi+lambda))*cos(theta/2)"]
                 ],
                 params: ["theta", "phi", "lambda"],
+                dagger: { name: "u3", params: { theta: "-theta", phi: "-lambda", lambda: "-phi" } },
+                controlled: { name: "cu", params: { theta: "theta", phi: "phi", lambda: "lambda", gamma: "0" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "U3"
@@ -217,6 +252,8 @@ export class QuantumGates {
                     [0, 0, 1, 0]
                 ],
                 params: [],
+                dagger: { name: "cx" },
+                controlled: { name: "ccx" },
                 drawingInfo: {
                     connectors: ["dot", "not"],
                     label: "CX"
@@ -232,6 +269,7 @@ export class QuantumGates {
                     [0, 0, "i", 0]
                 ],
                 params: [],
+                dagger: { name: "cy" },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CY"
@@ -247,6 +285,7 @@ export class QuantumGates {
                     [0, 0, 0, -1]
                 ],
                 params: [],
+                dagger: { name: "cz" },
                 drawingInfo: {
                     connectors: ["dot", "dot"],
                     label: "CZ"
@@ -262,6 +301,7 @@ export class QuantumGates {
                     [0, 0, "1/sqrt(2)", "-1/sqrt(2)"]
                 ],
                 params: [],
+                dagger: { name: "ch" },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CH"
@@ -277,6 +317,8 @@ export class QuantumGates {
                     [0, 0, 0, 1]
                 ],
                 params: [],
+                dagger: { name: "swap" },
+                controlled: { name: "cswap" },
                 drawingInfo: {
                     connectors: ["x", "x"],
                     label: "SWAP"
@@ -292,6 +334,15 @@ export class QuantumGates {
                     [0, 0, 0, 1]
                 ],
                 params: [],
+                dagger: {
+                    name: "iswapdg",
+                    matrix: [
+                        [1, 0, 0, 0],
+                        [0, 0, "-i", 0],
+                        [0, "-i", 0, 0],
+                        [0, 0, 0, 1]
+                    ]
+                },
                 drawingInfo: {
                     connectors: ["x", "x"],
                     label: "iSWAP"
@@ -312,6 +363,7 @@ export class QuantumGates {
                     [0, 0, 0, 0, 0, 0, 1, 0]
                 ],
                 params: [],
+                dagger: { name: "ccx" },
                 drawingInfo: {
                     connectors: ["dot", "dot", "not"],
                     label: "CCX"
@@ -331,6 +383,7 @@ export class QuantumGates {
                     [0, 0, 0, 0, 0, 0, 0, 1]
                 ],
                 params: [],
+                dagger: { name: "cswap" },
                 drawingInfo: {
                     connectors: ["dot", "x", "x"],
                     label: "CSWAP"
@@ -345,6 +398,8 @@ export class QuantumGates {
                     [0, "-i"]
                 ],
                 params: [],
+                dagger: { name: "s" },
+                controlled: { name: "cp", params: { lambda: "-pi/2" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "S†"
@@ -358,6 +413,8 @@ export class QuantumGates {
                     [0, "e^(-i * pi / 4)"]
                 ],
                 params: [],
+                dagger: { name: "t" },
+                controlled: { name: "cp", params: { lambda: "-pi/4" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "T†"
@@ -371,6 +428,13 @@ export class QuantumGates {
                     ["(1-i)/2", "(1+i)/2"]
                 ],
                 params: [],
+                dagger: {
+                    name: "sxdg",
+                    matrix: [
+                        ["(1-i)/2", "(1+i)/2"],
+                        ["(1+i)/2", "(1-i)/2"]
+                    ]
+                },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "√X"
@@ -384,6 +448,8 @@ export class QuantumGates {
                     [0, "e^(i*lambda)"]
                 ],
                 params: ["lambda"],
+                dagger: { name: "p", params: { lambda: "-lambda" } },
+                controlled: { name: "cp", params: { lambda: "lambda" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "P"
@@ -397,6 +463,8 @@ export class QuantumGates {
                     [0, "e^(i*lambda)"]
                 ],
                 params: ["lambda"],
+                dagger: { name: "phase", params: { lambda: "-lambda" } },
+                controlled: { name: "cp", params: { lambda: "lambda" } },
                 drawingInfo: {
                     connectors: ["box"],
                     label: "Phase"
@@ -412,6 +480,7 @@ export class QuantumGates {
                     [0, 0, 0, "e^(i*lambda)"]
                 ],
                 params: ["lambda"],
+                dagger: { name: "cp", params: { lambda: "-lambda" } },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CP"
@@ -427,6 +496,7 @@ export class QuantumGates {
                     [0, 0, "-i*sin(theta/2)", "cos(theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "crx", params: { theta: "-theta" } },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CRX"
@@ -442,6 +512,7 @@ export class QuantumGates {
                     [0, 0, "sin(theta/2)", "cos(theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "cry", params: { theta: "-theta" } },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CRY"
@@ -457,6 +528,7 @@ export class QuantumGates {
                     [0, 0, 0, "e^(i*theta/2)"]
                 ],
                 params: ["theta"],
+                dagger: { name: "crz", params: { theta: "-theta" } },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CRZ"
@@ -468,10 +540,11 @@ export class QuantumGates {
                 matrix: [
                     [1, 0, 0, 0],
                     [0, 1, 0, 0],
-                    [0, 0, "cos(theta/2)", "-e^(i*lambda)*sin(theta/2)"],
-                    [0, 0, "e^(i*phi)*sin(theta/2)", "e^(i*(phi+lambda))*cos(theta/2)"]
+                    [0, 0, "e^(i*gamma)*cos(theta/2)", "-e^(i*(gamma+lambda))*sin(theta/2)"],
+                    [0, 0, "e^(i*(gamma+phi))*sin(theta/2)", "e^(i*(gamma+phi+lambda))*cos(theta/2)"]
                 ],
                 params: ["theta", "phi", "lambda", "gamma"],
+                dagger: { name: "cu", params: { theta: "-theta", phi: "-lambda", lambda: "-phi", gamma: "-gamma" } },
                 drawingInfo: {
                     connectors: ["dot", "box"],
                     label: "CU"
@@ -488,6 +561,26 @@ export class QuantumGates {
                 }
             },
 
+            // Reset (non-unitary, returns the qubit to |0⟩)
+            reset: {
+                description: "Reset qubit to the |0⟩ state",
+                params: [],
+                drawingInfo: {
+                    connectors: ["reset"],
+                    label: "|0⟩"
+                }
+            },
+
+            // Noise channel (non-unitary; density matrix simulation only)
+            noise: {
+                description: "Kraus noise channel (see NoiseChannel)",
+                params: ["channel"],
+                drawingInfo: {
+                    connectors: ["noise"],
+                    label: "𝒩"
+                }
+            },
+
             // Barrier (directive, not a gate)
             barrier: {
                 description: "Barrier directive for circuit scheduling and optimization control",
@@ -578,4 +671,55 @@ export class QuantumGates {
             return gate.params && gate.params.length > 0;
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Get the inverse (conjugate transpose) of a gate
+     * @param {string} gateName - Name of the gate
+     * @param {Object} params - Gate parameters (numbers or ParameterExpressions)
+     * @returns {Object} Inverse gate {name, params}; `matrix` is set when the inverse is not a
+     *          built-in gate and has to be defined as a custom gate
+     * @throws {Error} If the gate is not unitary
+     */
+    static getDagger(gateName, params = {}) {
+        const gate = this.getGate(gateName);
+        if (!gate.dagger) {
+            throw new Error(`Gate ${gateName} is not unitary and cannot be inverted`);
+        }
+        return this.resolveRelatedGate(gate, gate.dagger, params);
+    }
+
+    /**
+     * Get the built-in gate that adds one control qubit to a gate (e.g. x -> cx, rz -> crz)
+     * @param {string} gateName - Name of the gate
+     * @param {Object} params - Gate parameters (numbers or ParameterExpressions)
+     * @returns {Object|null} Controlled gate {name, params} (the control is its first qubit), or
+     *          null if there is no built-in controlled version
+     */
+    static getControlled(gateName, params = {}) {
+        const gate = this.getGate(gateName);
+        return gate.controlled ? this.resolveRelatedGate(gate, gate.controlled, params) : null;
+    }
+
+    /**
+     * Evaluate the parameters of a dagger or controlled gate description
+     * @param {Object} gate - Original gate definition
+     * @param {Object} related - Description {name, params, matrix}
+     * @param {Object} params - Parameters of the original gate
+     * @returns {Object} {name, params} (and matrix, if given)
+     */
+    static resolveRelatedGate(gate, related, params) {
+        // Parameters the gate declares default to 0 when not given
+        const values = {};
+        (gate.params || []).forEach(name => { values[name] = 0; });
+        Object.assign(values, params);
+
+        const resolved = { name: related.name, params: {} };
+        for (const [name, expression] of Object.entries(related.params || {})) {
+            resolved.params[name] = ParameterExpression.substitute(expression, values);
+        }
+        if (related.matrix) {
+            resolved.matrix = related.matrix;
+        }
+        return resolved;
+    }
+}
@@ -9,6 +9,34 @@
 import { QuantumCircuit } from './QuantumCircuit.js';
 import { QuantumRegister } from './QuantumRegister.js';
 import { ClassicalRegister } from './ClassicalRegister.js';
+import { NoiseModel } from './NoiseModel.js';
+import { QuantumChannel } from './QuantumChannel.js';
+import { bellState, ghzState, wState, graphState } from '../algorithms/CircuitLibrary.js';
+
+// Entanglement types: whether more than two qubits can share the state, and the circuit
+// preparing it from |0...0⟩ on the endpoint qubits (in endpoint order)
+const ENTANGLEMENT_TYPES = {
+    EPR: { multiparty: false, prepare: () => bellState('phi+') },
+    'Phi+': { multiparty: false, prepare: () => bellState('phi+') },
+    'Phi-': { multiparty: false, prepare: () => bellState('phi-') },
+    'Psi+': { multiparty: false, prepare: () => bellState('psi+') },
+    'Psi-': { multiparty: false, prepare: () => bellState('psi-') },
+    GHZ: { multiparty: true, prepare: ({ endpoints }) => ghzState(endpoints.length) },
+    W: { multiparty: true, prepare: ({ endpoints }) => wState(endpoints.length) },
+    graph: { multiparty: true, prepare: ({ endpoints, edges }) => graphState(endpoints.length, edges) },
+    Werner: { multiparty: false, prepare: () => bellState('phi+') },
+    custom: { multiparty: true, prepare: ({ circuit }) => circuit }
+};
+
+/**
+ * Validate a link latency in simulation time units
+ * @param {number} latency - Latency
+ */
+function checkLatency(latency) {
+    if (typeof latency !== 'number' || !Number.isFinite(latency) || latency < 0) {
+        throw new Error('Latency must be a non-negative number');
+    }
+}
 
 export class QuantumNetworkNode {
     /**
@@ -16,13 +44,15 @@ export class QuantumNetworkNode {
      * @param {number} id - Unique node identifier
      * @param {string} name - Node name
      * @param {number} qubits - Number of qubits in this node
+     * @param {number} clbits - Number of classical bits (default: one per qubit)
      */
-    constructor(id, name, qubits = 2) {
+    constructor(id, name, qubits = 2, clbits = qubits) {
         this.id = id;
         this.name = name;
         this.qubits = qubits;
-        this.circuit = new QuantumCircuit(qubits);
+        this.circuit = new QuantumCircuit(qubits, clbits);
         this.position = { x: 0, y: 0 }; // For UI positioning
+        this.messages = []; // Outgoing classical messages {from, to, bits, into, type, column}
     }
 
     /**
@@ -47,6 +77,52 @@ export class QuantumNetworkNode {
         return this;
     }
 
+    /**
+     * Send classical bits to another node over a classical link. The message leaves after the
+     * gates added so far; the receiver reads it in its own classical bits (see ifReceived).
+     * @param {number|Array<number>} clbits - Classical bits of this node to send
+     * @param {number} toNodeId - Receiving node ID
+     * @param {Object} options - Message options
+     * @param {number|Array<number>} options.into - Classical bits of the receiver that hold the
+     *        message (default: the same indices as clbits)
+     * @param {string} options.type - Message type, checked against the link (default: 'bits')
+     * @returns {QuantumNetworkNode} This node for method chaining
+     */
+    send(clbits, toNodeId, options = {}) {
+        const bits = Array.isArray(clbits) ? [...clbits] : [clbits];
+        const into = options.into === undefined ? [...bits] : (Array.isArray(options.into) ? [...options.into] : [options.into]);
+        const { type = 'bits' } = options;
+
+        if (toNodeId === this.id) {
+            throw new Error('A node cannot send a message to itself');
+        }
+        if (bits.length === 0 || bits.some(bit => !Number.isInteger(bit) || bit < 0 || bit >= this.circuit.numClbits)) {
+            throw new Error('Classical bit index out of range');
+        }
+        if (into.length !== bits.length) {
+            throw new Error(`Message has ${bits.length} bit(s) but ${into.length} receiving bit(s)`);
+        }
+        if (typeof type !== 'string' || type === '') {
+            throw new Error('Message type must be a non-empty string');
+        }
+
+        this.messages.push({ from: this.id, to: toNodeId, bits, into, type, column: this.circuit.numCols() });
+        return this;
+    }
+
+    /**
+     * Add gates that are only applied when received classical bits have a value
+     * @param {number|Array<number>} clbits - Classical bits of this node that receive a message
+     * @param {number} value - Value the bits (little-endian) must equal
+     * @param {Function} body - Callback receiving this node's circuit; gates it adds are conditioned
+     * @returns {QuantumNetworkNode} This node for method chaining
+     */
+    ifReceived(clbits, value, body) {
+        const bits = Array.isArray(clbits) ? clbits : [clbits];
+        this.circuit.if_test({ bits, value }, body);
+        return this;
+    }
+
     /**
      * Get the circuit for this node
      * @returns {QuantumCircuit} The node's quantum circuit
@@ -65,7 +141,8 @@ export class QuantumNetworkNode {
             name: this.name,
             qubits: this.qubits,
             position: this.position,
-            circuit: this.circuit.toJSON()
+            circuit: this.circuit.toJSON(),
+            messages: this.messages.map(message => ({ ...message }))
         };
     }
 
@@ -80,6 +157,7 @@ export class QuantumNetworkNode {
         if (json.circuit) {
             node.circuit = QuantumCircuit.fromJSON(json.circuit);
         }
+        node.messages = (json.messages || []).map(message => ({ ...message, from: node.id }));
         return node;
     }
 }
@@ -91,15 +169,152 @@ export class QuantumEntanglement {
      * @param {number} qubit1 - Qubit index in first node
      * @param {number} node2Id - Second node ID
      * @param {number} qubit2 - Qubit index in second node
-     * @param {string} type - Entanglement type ('EPR', 'custom')
+     * @param {string} type - Entanglement type: 'EPR' or 'Phi+' (|00⟩ + |11⟩)/√2, 'Phi-', 'Psi+',
+     *        'Psi-', 'GHZ', 'W', 'graph', 'Werner' (|Φ+⟩ mixed with noise down to the fidelity)
+     *        or 'custom'
+     * @param {number|null} fidelity - Fidelity of a two-party link (null to use the noise model's);
+     *        required for 'Werner'
+     * @param {Object} options - Entanglement options
+     * @param {Array<Object>} options.parties - Further endpoints {nodeId, qubit} sharing a GHZ, W,
+     *        graph or custom state
+     * @param {Array<Array<number>>} options.edges - Edges [a, b] of a 'graph' state, as endpoint
+     *        indices (default: the path through the endpoints, a linear cluster state)
+     * @param {QuantumCircuit} options.circuit - Preparation circuit of a 'custom' entanglement, with
+     *        one qubit per endpoint; it starts from |0...0⟩
+     * @param {number} options.latency - Time until the state is distributed, for NetworkEventSimulator
+     *        (default: 0, shared before the protocol starts)
+     * @param {QuantumChannel|Object} options.channel - Physical channel of a two-party link, or its
+     *        options (see QuantumChannel); it lowers the fidelity and makes distribution take attempts
      */
-    constructor(node1Id, qubit1, node2Id, qubit2, type = 'EPR') {
+    constructor(node1Id, qubit1, node2Id, qubit2, type = 'EPR', fidelity = null, options = {}) {
+        const { parties = [], edges = null, circuit = null, latency = 0, channel = null } = options;
+        const entanglementType = ENTANGLEMENT_TYPES[type];
+        if (!entanglementType) {
+            throw new Error(`Unknown entanglement type: ${type}`);
+        }
+
+        const endpoints = [
+            { nodeId: node1Id, qubit: qubit1 },
+            { nodeId: node2Id, qubit: qubit2 },
+            ...parties.map(({ nodeId, qubit }) => ({ nodeId, qubit }))
+        ];
+        if (endpoints.length > 2 && !entanglementType.multiparty) {
+            throw new Error(`${type} entanglement is between two qubits; use GHZ, W, graph or custom for more`);
+        }
+
+        if (fidelity !== null) {
+            NoiseModel.checkFidelity(fidelity);
+            if (endpoints.length > 2) {
+                throw new Error('Link fidelity only applies to two-party entanglement');
+            }
+        } else if (type === 'Werner') {
+            throw new Error('Werner entanglement needs a fidelity');
+        }
+
+        if (type === 'custom') {
+            QuantumEntanglement.checkPreparation(circuit, endpoints.length);
+        }
+        if (type === 'graph' && edges) {
+            // Throws for edges that are not pairs of endpoint indices
+            graphState(endpoints.length, edges);
+        }
+        checkLatency(latency);
+        if (channel && endpoints.length > 2) {
+            throw new Error('Quantum channels only apply to two-party entanglement');
+        }
+
         this.node1Id = node1Id;
         this.qubit1 = qubit1;
         this.node2Id = node2Id;
         this.qubit2 = qubit2;
+        this.endpoints = endpoints;
         this.type = type;
-        this.id = `${node1Id}-${qubit1}_${node2Id}-${qubit2}`;
+        this.fidelity = fidelity;
+        this.edges = type === 'graph' && edges ? edges.map(edge => [...edge]) : null;
+        this.circuit = type === 'custom' ? circuit : null;
+        this.latency = latency;
+        this.channel = channel && !(channel instanceof QuantumChannel) ? new QuantumChannel(channel) : channel;
+        this.id = endpoints.map(({ nodeId, qubit }) => `${nodeId}-${qubit}`).join('_');
+    }
+
+    /**
+     * Create an entanglement from a list of endpoints
+     * @param {Array<Object>} endpoints - Endpoints {nodeId, qubit}, at least two
+     * @param {string} type - Entanglement type (default: 'GHZ')
+     * @param {Object} options - {fidelity, edges, circuit, latency, channel} (see the constructor)
+     * @returns {QuantumEntanglement} New entanglement
+     */
+    static fromEndpoints(endpoints, type = 'GHZ', options = {}) {
+        if (!Array.isArray(endpoints) || endpoints.length < 2) {
+            throw new Error('Entanglement needs at least two endpoints');
+        }
+
+        const [first, second, ...parties] = endpoints;
+        return new QuantumEntanglement(first.nodeId, first.qubit, second.nodeId, second.qubit, type,
+            options.fidelity ?? null, { ...options, parties });
+    }
+
+    /**
+     * Whether more than two qubits share the state
+     * @returns {boolean} True for multi-party entanglement
+     */
+    get isMultiparty() {
+        return this.endpoints.length > 2;
+    }
+
+    /**
+     * Get the supported entanglement types
+     * @returns {Array<string>} Type names
+     */
+    static getTypes() {
+        return Object.keys(ENTANGLEMENT_TYPES);
+    }
+
+    /**
+     * Validate the preparation circuit of a custom entanglement
+     * @param {QuantumCircuit} circuit - Preparation circuit
+     * @param {number} numParties - Number of endpoints
+     */
+    static checkPreparation(circuit, numParties) {
+        if (!(circuit instanceof QuantumCircuit) || circuit.numQubits !== numParties) {
+            throw new Error(`Custom entanglement needs a preparation circuit on ${numParties} qubits`);
+        }
+
+        circuit.forEachGate(gate => {
+            if (gate.name === 'measure' || gate.name === 'reset' || gate.options?.condition) {
+                throw new Error('Entanglement preparation circuits cannot measure, reset or use classical conditions');
+            }
+        });
+    }
+
+    /**
+     * Check whether a node (or one of its qubits) is an endpoint of this entanglement
+     * @param {number} nodeId - Node ID
+     * @param {number|null} qubit - Qubit index in the node (null for any qubit)
+     * @returns {boolean} True if the node or qubit takes part
+     */
+    involves(nodeId, qubit = null) {
+        return this.endpoints.some(endpoint =>
+            endpoint.nodeId === nodeId && (qubit === null || endpoint.qubit === qubit));
+    }
+
+    /**
+     * Get the fidelity of the delivered pair: the link fidelity at the source, lowered by the
+     * channel's depolarizing noise
+     * @param {number} defaultFidelity - Source fidelity of links without their own (default: 1)
+     * @returns {number} Bell-state fidelity
+     */
+    linkFidelity(defaultFidelity = 1) {
+        const fidelity = this.fidelity ?? defaultFidelity;
+        return this.channel ? this.channel.fidelity(fidelity) : fidelity;
+    }
+
+    /**
+     * Get the circuit preparing the shared state from |0...0⟩
+     * @returns {QuantumCircuit} Circuit with one qubit per endpoint, in endpoint order
+     */
+    preparationCircuit() {
+        return ENTANGLEMENT_TYPES[this.type].prepare(this);
     }
 
     /**
@@ -113,6 +328,12 @@ export class QuantumEntanglement {
             node2Id: this.node2Id,
             qubit2: this.qubit2,
             type: this.type,
+            fidelity: this.fidelity,
+            parties: this.endpoints.slice(2),
+            edges: this.edges,
+            circuit: this.circuit ? this.circuit.toJSON() : null,
+            latency: this.latency,
+            channel: this.channel ? this.channel.toJSON() : null,
             id: this.id
         };
     }
@@ -124,11 +345,94 @@ export class QuantumEntanglement {
      */
     static fromJSON(json) {
         return new QuantumEntanglement(
-            json.node1Id, json.qubit1, json.node2Id, json.qubit2, json.type
+            json.node1Id, json.qubit1, json.node2Id, json.qubit2, json.type, json.fidelity ?? null, {
+                parties: json.parties || [],
+                edges: json.edges || null,
+                circuit: json.circuit ? QuantumCircuit.fromJSON(json.circuit) : null,
+                latency: json.latency ?? 0,
+                channel: json.channel ? QuantumChannel.fromJSON(json.channel) : null
+            }
         );
     }
 }
 
+export class ClassicalLink {
+    /**
+     * Create a classical channel between two nodes
+     * @param {number} node1Id - First node ID
+     * @param {number} node2Id - Second node ID
+     * @param {Object} options - Link options
+     * @param {Array<string>|null} options.messageTypes - Message types the link carries (null for any)
+     * @param {boolean} options.bidirectional - Carry messages from node 2 to node 1 too (default: true)
+     * @param {number} options.latency - Time a message takes to arrive, for NetworkEventSimulator (default: 1)
+     */
+    constructor(node1Id, node2Id, options = {}) {
+        const { messageTypes = null, bidirectional = true, latency = 1 } = options;
+        if (node1Id === node2Id) {
+            throw new Error('A classical link needs two different nodes');
+        }
+        if (messageTypes !== null && (!Array.isArray(messageTypes) || messageTypes.some(type => typeof type !== 'string'))) {
+            throw new Error('Message types must be a list of names');
+        }
+        checkLatency(latency);
+
+        this.node1Id = node1Id;
+        this.node2Id = node2Id;
+        this.messageTypes = messageTypes ? [...messageTypes] : null;
+        this.bidirectional = bidirectional;
+        this.latency = latency;
+        this.id = `${node1Id}~${node2Id}`;
+    }
+
+    /**
+     * Check whether the link joins two nodes in the given direction
+     * @param {number} fromId - Sending node ID
+     * @param {number} toId - Receiving node ID
+     * @returns {boolean} True if messages can go from fromId to toId
+     */
+    connects(fromId, toId) {
+        return (this.node1Id === fromId && this.node2Id === toId) ||
+            (this.bidirectional && this.node1Id === toId && this.node2Id === fromId);
+    }
+
+    /**
+     * Check whether the link carries a message type
+     * @param {string} type - Message type
+     * @returns {boolean} True if the type is allowed
+     */
+    carries(type) {
+        return this.messageTypes === null || this.messageTypes.includes(type);
+    }
+
+    /**
+     * Export link to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            node1Id: this.node1Id,
+            node2Id: this.node2Id,
+            messageTypes: this.messageTypes,
+            bidirectional: this.bidirectional,
+            latency: this.latency,
+            id: this.id
+        };
+    }
+
+    /**
+     * Create link from JSON
+     * @param {Object} json - JSON representation
+     * @returns {ClassicalLink} New link instance
+     */
+    static fromJSON(json) {
+        return new ClassicalLink(json.node1Id, json.node2Id, {
+            messageTypes: json.messageTypes ?? null,
+            bidirectional: json.bidirectional ?? true,
+            latency: json.latency ?? 1
+        });
+    }
+}
+
 export class QuantumNetwork {
     /**
      * Create a quantum network
@@ -138,6 +442,7 @@ export class QuantumNetwork {
         this.name = name;
         this.nodes = new Map(); // nodeId -> QuantumNetworkNode
         this.entanglements = new Map(); // entanglementId -> QuantumEntanglement
+        this.classicalLinks = new Map(); // linkId -> ClassicalLink
         this.nextNodeId = 0;
     }
 
@@ -146,11 +451,12 @@ export class QuantumNetwork {
      * @param {string} name - Node name
      * @param {number} qubits - Number of qubits
      * @param {Object} position - Position for UI {x, y}
+     * @param {number} clbits - Number of classical bits (default: one per qubit)
      * @returns {QuantumNetworkNode} The created node
      */
-    addNode(name, qubits = 2, position = { x: 0, y: 0 }) {
+    addNode(name, qubits = 2, position = { x: 0, y: 0 }, clbits = qubits) {
         const nodeId = this.nextNodeId++;
-        const node = new QuantumNetworkNode(nodeId, name || `Node ${nodeId}`, qubits);
+        const node = new QuantumNetworkNode(nodeId, name || `Node ${nodeId}`, qubits, clbits);
         node.position = position;
         this.nodes.set(nodeId, node);
         return node;
@@ -168,12 +474,23 @@ export class QuantumNetwork {
         // Remove all entanglements involving this node
         const entanglementsToRemove = [];
         for (const [id, entanglement] of this.entanglements) {
-            if (entanglement.node1Id === nodeId || entanglement.node2Id === nodeId) {
+            if (entanglement.involves(nodeId)) {
                 entanglementsToRemove.push(id);
             }
         }
 
         entanglementsToRemove.forEach(id => this.entanglements.delete(id));
+
+        // Remove its classical links and the messages other nodes send to it
+        for (const [id, link] of this.classicalLinks) {
+            if (link.node1Id === nodeId || link.node2Id === nodeId) {
+                this.classicalLinks.delete(id);
+            }
+        }
+        for (const node of this.nodes.values()) {
+            node.messages = node.messages.filter(message => message.to !== nodeId);
+        }
+
         this.nodes.delete(nodeId);
     }
 
@@ -204,34 +521,60 @@ export class QuantumNetwork {
      * @param {number} qubit1 - Qubit in first node
      * @param {number} node2Id - Second node ID
      * @param {number} qubit2 - Qubit in second node
-     * @param {string} type - Entanglement type
+     * @param {string} type - Entanglement type (see QuantumEntanglement)
+     * @param {number|null} fidelity - Fidelity of a two-party link (null to use the noise model's)
+     * @param {Object} options - {parties, circuit} (see QuantumEntanglement)
      * @returns {QuantumEntanglement} The created entanglement
      */
-    addEntanglement(node1Id, qubit1, node2Id, qubit2, type = 'EPR') {
-        // Validate nodes exist
-        if (!this.nodes.has(node1Id) || !this.nodes.has(node2Id)) {
-            throw new Error('Both nodes must exist to create entanglement');
-        }
+    addEntanglement(node1Id, qubit1, node2Id, qubit2, type = 'EPR', fidelity = null, options = {}) {
+        return this.registerEntanglement(
+            new QuantumEntanglement(node1Id, qubit1, node2Id, qubit2, type, fidelity, options)
+        );
+    }
 
-        // Validate qubit indices
-        const node1 = this.nodes.get(node1Id);
-        const node2 = this.nodes.get(node2Id);
+    /**
+     * Add an entanglement resource shared by qubits of several nodes, e.g. a GHZ state for
+     * secret sharing or a graph state
+     * @param {Array<Object>} endpoints - Endpoints {nodeId, qubit}; endpoint i is qubit i of the state
+     * @param {string} type - Entanglement type: 'GHZ' (default), 'W', 'graph' or 'custom'
+     * @param {Object} options - {edges, circuit} (see QuantumEntanglement)
+     * @returns {QuantumEntanglement} The created entanglement
+     */
+    addMultipartyEntanglement(endpoints, type = 'GHZ', options = {}) {
+        return this.registerEntanglement(QuantumEntanglement.fromEndpoints(endpoints, type, options));
+    }
 
-        if (qubit1 >= node1.qubits || qubit2 >= node2.qubits) {
-            throw new Error('Qubit index out of range');
-        }
+    /**
+     * Validate an entanglement's endpoints against the network and add it
+     * @param {QuantumEntanglement} entanglement - New entanglement
+     * @returns {QuantumEntanglement} The entanglement
+     */
+    registerEntanglement(entanglement) {
+        const seen = new Set();
+        for (const { nodeId, qubit } of entanglement.endpoints) {
+            // Validate nodes exist
+            const node = this.nodes.get(nodeId);
+            if (!node) {
+                throw new Error('All nodes must exist to create entanglement');
+            }
 
-        // Check if qubits are already entangled
-        for (const entanglement of this.entanglements.values()) {
-            if ((entanglement.node1Id === node1Id && entanglement.qubit1 === qubit1) ||
-                (entanglement.node2Id === node1Id && entanglement.qubit2 === qubit1) ||
-                (entanglement.node1Id === node2Id && entanglement.qubit1 === qubit2) ||
-                (entanglement.node2Id === node2Id && entanglement.qubit2 === qubit2)) {
-                throw new Error('One or both qubits are already entangled');
+            // Validate qubit indices
+            if (!Number.isInteger(qubit) || qubit < 0 || qubit >= node.qubits) {
+                throw new Error('Qubit index out of range');
+            }
+            if (seen.has(`${nodeId}-${qubit}`)) {
+                throw new Error('Entanglement endpoints must be different qubits');
+            }
+            seen.add(`${nodeId}-${qubit}`);
+
+            // Check if qubits are already entangled
+            for (const existing of this.entanglements.values()) {
+                if (existing.involves(nodeId, qubit)) {
+                    throw new Error('One or more qubits are already entangled');
+                }
             }
         }
 
-        const entanglement = new QuantumEntanglement(node1Id, qubit1, node2Id, qubit2, type);
         this.entanglements.set(entanglement.id, entanglement);
         return entanglement;
     }
@@ -255,102 +598,405 @@ export class QuantumNetwork {
         return Array.from(this.entanglements.values());
     }
 
+    /**
+     * Add a classical link between two nodes
+     * @param {number} node1Id - First node ID
+     * @param {number} node2Id - Second node ID
+     * @param {Object} options - {messageTypes, bidirectional, latency} (see ClassicalLink)
+     * @returns {ClassicalLink} The created link
+     */
+    addClassicalLink(node1Id, node2Id, options = {}) {
+        if (!this.nodes.has(node1Id) || !this.nodes.has(node2Id)) {
+            throw new Error('Both nodes must exist to create a classical link');
+        }
+
+        const link = new ClassicalLink(node1Id, node2Id, options);
+        for (const existing of this.classicalLinks.values()) {
+            if ((existing.node1Id === node1Id && existing.node2Id === node2Id) ||
+                (existing.node1Id === node2Id && existing.node2Id === node1Id)) {
+                throw new Error('Nodes already have a classical link');
+            }
+        }
+
+        this.classicalLinks.set(link.id, link);
+        return link;
+    }
+
+    /**
+     * Remove a classical link
+     * @param {string} linkId - Link ID
+     */
+    removeClassicalLink(linkId) {
+        if (!this.classicalLinks.has(linkId)) {
+            throw new Error(`Classical link ${linkId} not found`);
+        }
+        this.classicalLinks.delete(linkId);
+    }
+
+    /**
+     * Get all classical links
+     * @returns {Array} Array of classical links
+     */
+    getClassicalLinks() {
+        return Array.from(this.classicalLinks.values());
+    }
+
+    /**
+     * Find the classical link that carries messages from one node to another
+     * @param {number} fromId - Sending node ID
+     * @param {number} toId - Receiving node ID
+     * @returns {ClassicalLink|null} The link, or null if there is none
+     */
+    findClassicalLink(fromId, toId) {
+        return this.getClassicalLinks().find(link => link.connects(fromId, toId)) || null;
+    }
+
+    /**
+     * Get the entanglements shared by more than two qubits
+     * @returns {Array} Array of multi-party entanglements
+     */
+    getMultipartyEntanglements() {
+        return this.getEntanglements().filter(entanglement => entanglement.isMultiparty);
+    }
+
     /**
      * Convert the network to a single quantum circuit
      * This implements the core network-to-circuit conversion logic
+     * @param {Object} options - Conversion options
+     * @param {NoiseModel} options.noiseModel - Noise model attached to the circuit; its link
+     *        fidelity applies to entanglements without their own
      * @returns {QuantumCircuit} Combined circuit representing the network
      */
-    toCircuit() {
+    toCircuit(options = {}) {
+        const { noiseModel = null } = options;
+
         if (this.nodes.size === 0) {
             throw new Error('Network must have at least one node');
         }
 
-        // Calculate total qubits and create global circuit
-        let totalQubits = 0;
-        const nodeOffsets = new Map(); // nodeId -> global qubit offset
-
         // Assign global qubit indices to each node
+        const { totalQubits, nodeOffsets } = this.layoutQubits();
+
+        // Create the global circuit; each node's classical bits follow the previous node's
+        const classical = this.layoutClassicalBits();
+        const globalCircuit = new QuantumCircuit(totalQubits, classical.numClbits);
+
+        // Step 1: Create the entangled states (Bell pairs, GHZ, W or custom states)
+        this.placeEntanglements(globalCircuit, nodeOffsets, noiseModel);
+
+        // Step 2: Apply individual node circuits, with classical messages between them
+        this.translateNodeCircuits(globalCircuit, nodeOffsets, classical);
+
+        // Step 3: Optional final measurements could be added here
+        // For now, we'll leave the circuit in superposition
+
+        if (noiseModel) {
+            globalCircuit.setNoiseModel(noiseModel);
+        }
+
+        return globalCircuit;
+    }
+
+    /**
+     * Assign global qubits; each node's qubits follow the previous node's
+     * @returns {Object} {totalQubits, nodeOffsets: nodeId -> global qubit offset}
+     */
+    layoutQubits() {
+        let totalQubits = 0;
+        const nodeOffsets = new Map();
         for (const node of this.nodes.values()) {
             nodeOffsets.set(node.id, totalQubits);
             totalQubits += node.qubits;
         }
+        return { totalQubits, nodeOffsets };
+    }
+
+    /**
+     * Prepare every entangled state on its endpoint qubits at the start of the global circuit
+     * @param {QuantumCircuit} globalCircuit - Global circuit to modify
+     * @param {Map} qubitOffsets - nodeId -> global qubit offset
+     * @param {NoiseModel|null} noiseModel - Noise model whose link fidelity applies to links without their own
+     */
+    placeEntanglements(globalCircuit, qubitOffsets, noiseModel = null) {
+        for (const entanglement of this.entanglements.values()) {
+            const globalQubits = entanglement.endpoints.map(({ nodeId, qubit }) => qubitOffsets.get(nodeId) + qubit);
 
-        // Determine maximum circuit depth
-        let maxSteps = 0;
+            // Endpoint qubits belong to one entanglement only, so they are still empty
+            globalCircuit.placeGates(entanglement.preparationCircuit(), 0, globalQubits, []);
+
+            // Imperfect links and noisy channels mix the pair with white noise down to the link
+            // fidelity (a Werner state for |Φ+⟩). Lost pairs are retried, so loss only costs time
+            if (globalQubits.length === 2) {
+                const fidelity = entanglement.linkFidelity(noiseModel ? noiseModel.linkFidelity : 1);
+                if (fidelity < 1) {
+                    globalCircuit.noise(NoiseModel.linkChannel(fidelity), globalQubits);
+                }
+            }
+        }
+    }
+
+    /**
+     * Assign global classical bits. Each node's bits follow the previous node's; a bit that
+     * receives a message stands for the sender's bit (followed back through relays).
+     * @returns {Object} {numClbits, clbitMaps: nodeId -> global bit of each local bit,
+     *          received: 'nodeId:bit' -> {message, index} for the receiving bits}
+     */
+    layoutClassicalBits() {
+        let numClbits = 0;
+        const offsets = new Map();
+        for (const node of this.nodes.values()) {
+            offsets.set(node.id, numClbits);
+            numClbits += node.circuit.numClbits;
+        }
+
+        const received = new Map();
         for (const node of this.nodes.values()) {
-            const steps = node.circuit.numCols();
-            maxSteps = Math.max(maxSteps, steps);
+            for (const message of node.messages) {
+                this.checkMessage(node, message);
+                message.into.forEach((bit, index) => {
+                    const key = `${message.to}:${bit}`;
+                    if (received.has(key)) {
+                        throw new Error(`Classical bit ${bit} of ${this.nodes.get(message.to).name} receives more than one message`);
+                    }
+                    received.set(key, { message, index });
+                });
+            }
         }
 
-        // Add extra steps for entanglement setup and potential measurements
-        const networkSteps = maxSteps + 4;
+        const resolve = (nodeId, bit, seen) => {
+            const key = `${nodeId}:${bit}`;
+            const source = received.get(key);
+            if (!source) {
+                return offsets.get(nodeId) + bit;
+            }
+            if (seen.has(key)) {
+                throw new Error('Classical messages relay bits in a cycle');
+            }
+            seen.add(key);
+            return resolve(source.message.from, source.message.bits[source.index], seen);
+        };
 
-        // Create the global circuit
-        const globalCircuit = new QuantumCircuit(totalQubits, totalQubits);
+        const clbitMaps = new Map();
+        for (const node of this.nodes.values()) {
+            clbitMaps.set(node.id, Array.from({ length: node.circuit.numClbits }, (_, bit) => resolve(node.id, bit, new Set())));
+        }
 
-        // Step 1: Create entangled pairs (Bell states)
-        for (const entanglement of this.entanglements.values()) {
-            const offset1 = nodeOffsets.get(entanglement.node1Id);
-            const offset2 = nodeOffsets.get(entanglement.node2Id);
-            const globalQubit1 = offset1 + entanglement.qubit1;
-            const globalQubit2 = offset2 + entanglement.qubit2;
+        return { numClbits, clbitMaps, received };
+    }
 
-            // Create EPR pair: H|0⟩ → CNOT → |Φ+⟩ = (|00⟩ + |11⟩)/√2
-            globalCircuit.h(globalQubit1);
-            globalCircuit.cx(globalQubit1, globalQubit2);
+    /**
+     * Validate a message against the network
+     * @param {QuantumNetworkNode} node - Sending node
+     * @param {Object} message - Message {to, bits, into, type}
+     */
+    checkMessage(node, message) {
+        const receiver = this.nodes.get(message.to);
+        if (!receiver) {
+            throw new Error(`${node.name} sends a message to unknown node ${message.to}`);
         }
 
-        // Step 2: Apply individual node circuits
-        // Offset all gates by 2 steps to allow for entanglement setup
-        for (const node of this.nodes.values()) {
-            const offset = nodeOffsets.get(node.id);
+        const link = this.findClassicalLink(node.id, receiver.id);
+        if (!link) {
+            throw new Error(`No classical link from ${node.name} to ${receiver.name}`);
+        }
+        if (!link.carries(message.type)) {
+            throw new Error(`Classical link from ${node.name} to ${receiver.name} does not carry ${message.type} messages`);
+        }
+        if (message.bits.some(bit => bit >= node.circuit.numClbits) ||
+            message.into.some(bit => !Number.isInteger(bit) || bit < 0 || bit >= receiver.circuit.numClbits)) {
+            throw new Error(`Message from ${node.name} to ${receiver.name} uses a classical bit out of range`);
+        }
+    }
+
+    /**
+     * Translate the node circuits to the global circuit column by column. A node waits at a
+     * column with gates conditioned on received bits until the messages are sent (the sender
+     * has translated every column before the send); a barrier across the sending and receiving
+     * nodes then keeps those gates after the sender's measurements.
+     * @param {QuantumCircuit} globalCircuit - Global circuit to modify
+     * @param {Map} qubitOffsets - nodeId -> global qubit offset
+     * @param {Object} classical - Classical bit layout (see layoutClassicalBits)
+     */
+    translateNodeCircuits(globalCircuit, qubitOffsets, classical) {
+        const cursors = new Map(); // nodeId -> next column to translate
+        const delivered = new Set();
+        this.nodes.forEach(node => cursors.set(node.id, 0));
+
+        const isSent = message => {
+            const sender = this.nodes.get(message.from);
+            return cursors.get(sender.id) >= Math.min(message.column, sender.circuit.numCols()) &&
+                message.bits.every(bit => {
+                    const source = classical.received.get(`${sender.id}:${bit}`);
+                    return !source || isSent(source.message);
+                });
+        };
+
+        let waiting = Array.from(this.nodes.values());
+        while (waiting.length > 0) {
+            let progress = false;
+
+            for (const node of waiting) {
+                const numCols = node.circuit.numCols();
+                let col = cursors.get(node.id);
+
+                while (col < numCols) {
+                    const messages = this.findColumnMessages(node, col, classical.received);
+                    if (!messages.every(isSent)) {
+                        break;
+                    }
 
-            // Get the node's circuit gates and translate them to global indices
-            this.translateNodeCircuitToGlobal(node.circuit, globalCircuit, offset, 2);
+                    this.deliverMessages(globalCircuit, qubitOffsets, node, messages, delivered);
+                    this.translateColumn(node, col, globalCircuit, qubitOffsets.get(node.id), classical);
+                    cursors.set(node.id, ++col);
+                    progress = true;
+                }
+            }
+
+            waiting = waiting.filter(node => cursors.get(node.id) < node.circuit.numCols());
+            if (waiting.length > 0 && !progress) {
+                throw new Error(`Nodes ${waiting.map(node => node.name).join(', ')} wait for each other's classical messages`);
+            }
         }
+    }
 
-        // Step 3: Optional final measurements could be added here
-        // For now, we'll leave the circuit in superposition
+    /**
+     * Add a barrier across a receiving node and the senders of messages it reads for the first
+     * time, so that the gates conditioned on them come after the senders' measurements
+     * @param {QuantumCircuit} globalCircuit - Global circuit to modify
+     * @param {Map} qubitOffsets - nodeId -> global qubit offset
+     * @param {QuantumNetworkNode} node - Receiving node
+     * @param {Array<Object>} messages - Messages read by the next column (see findColumnMessages)
+     * @param {Set} delivered - Messages already behind a barrier; updated
+     */
+    deliverMessages(globalCircuit, qubitOffsets, node, messages, delivered) {
+        const pending = messages.filter(message => !delivered.has(message));
+        if (pending.length === 0) {
+            return;
+        }
 
-        return globalCircuit;
+        const nodeIds = new Set([node.id, ...pending.map(message => message.from)]);
+        const wires = [...nodeIds].flatMap(id => {
+            const offset = qubitOffsets.get(id);
+            return Array.from({ length: this.nodes.get(id).qubits }, (_, i) => offset + i);
+        });
+        globalCircuit.barrier(wires);
+        pending.forEach(message => delivered.add(message));
     }
 
     /**
-     * Translate a node's circuit to global qubit indices
-     * @param {QuantumCircuit} nodeCircuit - Node's local circuit
+     * Find the messages that the conditions in a column of a node's circuit read, including
+     * the messages that relayed their bits
+     * @param {QuantumNetworkNode} node - Network node
+     * @param {number} col - Column of the node's circuit
+     * @param {Map} received - Receiving bits (see layoutClassicalBits)
+     * @returns {Array<Object>} Messages
+     */
+    findColumnMessages(node, col, received) {
+        const messages = new Set();
+        const addSources = (nodeId, bit) => {
+            const source = received.get(`${nodeId}:${bit}`);
+            if (source && !messages.has(source.message)) {
+                messages.add(source.message);
+                addSources(source.message.from, source.message.bits[source.index]);
+            }
+        };
+
+        for (let wire = 0; wire < node.circuit.numQubits; wire++) {
+            const gate = node.circuit.gates[wire][col];
+            gate?.options?.condition?.bits.forEach(bit => addSources(node.id, bit));
+        }
+        return [...messages];
+    }
+
+    /**
+     * Translate one column of a node's circuit to global qubit and classical bit indices
+     * @param {QuantumNetworkNode} node - Network node
+     * @param {number} col - Column of the node's circuit
      * @param {QuantumCircuit} globalCircuit - Global circuit to modify
      * @param {number} offset - Global qubit offset for this node
-     * @param {number} stepOffset - Step offset in global circuit
+     * @param {Object} classical - Classical bit layout (see layoutClassicalBits)
      */
-    translateNodeCircuitToGlobal(nodeCircuit, globalCircuit, offset, stepOffset) {
-        const numCols = nodeCircuit.numCols();
+    translateColumn(node, col, globalCircuit, offset, classical) {
+        const nodeCircuit = node.circuit;
+        const clbitMap = classical.clbitMaps.get(node.id);
+        const processedGates = new Set();
+
+        for (let wire = 0; wire < nodeCircuit.numQubits; wire++) {
+            const gate = nodeCircuit.gates[wire][col];
+
+            // Multi-qubit gates appear on every wire they act on; translate them once
+            if (gate && !processedGates.has(gate.id)) {
+                processedGates.add(gate.id);
 
-        for (let col = 0; col < numCols; col++) {
-            for (let wire = 0; wire < nodeCircuit.numQubits; wire++) {
-                const gate = nodeCircuit.gates[wire][col];
+                // Find all wires this gate operates on
+                const gateWires = this.findGateWires(nodeCircuit, gate);
+                const globalWires = gateWires.map(w => w + offset);
 
-                if (gate) {
-                    // Find all wires this gate operates on
-                    const gateWires = this.findGateWires(nodeCircuit, gate);
-                    const globalWires = gateWires.map(w => w + offset);
+                const options = { ...gate.options };
+                if (options.params) {
+                    options.params = { ...options.params };
+                }
+                if (options.creg) {
+                    this.checkMeasurement(node, col, options.creg.bit, classical.received);
+                    options.creg = { name: globalCircuit.creg.name, bit: clbitMap[options.creg.bit] };
+                }
+                // Conditions read the global bits, which for received bits are the sender's
+                if (options.condition) {
+                    options.condition = { bits: options.condition.bits.map(bit => clbitMap[bit]), value: options.condition.value };
+                }
 
-                    // Translate gate to global circuit
-                    this.addGateToGlobalCircuit(
-                        globalCircuit, gate.name, globalWires,
-                        col + stepOffset, gate.options
-                    );
+                // Custom gates keep their definition in the global circuit
+                const customGate = nodeCircuit.customGates[gate.name];
+                if (customGate) {
+                    this.importCustomGate(globalCircuit, customGate);
                 }
+                globalCircuit.addGate(gate.name, -1, globalWires, options);
             }
         }
     }
 
     /**
-     * Find which wires a gate operates on (helper method)
+     * Check that a measurement does not write a received bit or a bit already sent
+     * @param {QuantumNetworkNode} node - Measuring node
+     * @param {number} col - Column of the measurement
+     * @param {number} bit - Local classical bit
+     * @param {Map} received - Receiving bits (see layoutClassicalBits)
+     */
+    checkMeasurement(node, col, bit, received) {
+        if (received.has(`${node.id}:${bit}`)) {
+            throw new Error(`${node.name} measures into classical bit ${bit}, which receives a message`);
+        }
+        if (node.messages.some(message => message.column <= col && message.bits.includes(bit))) {
+            throw new Error(`${node.name} measures into classical bit ${bit} after sending it`);
+        }
+    }
+
+    /**
+     * Copy a node's custom gate definition into the global circuit
+     * @param {QuantumCircuit} globalCircuit - Target circuit
+     * @param {Object} customGate - Definition from the node circuit's customGates
+     */
+    importCustomGate(globalCircuit, customGate) {
+        const existing = globalCircuit.customGates[customGate.name];
+        if (!existing) {
+            globalCircuit.defineGate(customGate.name, customGate.circuit || customGate.matrix);
+        } else if (JSON.stringify(existing.matrix) !== JSON.stringify(customGate.matrix)) {
+            throw new Error(`Nodes define different gates named ${customGate.name}`);
+        }
+    }
+
+    /**
+     * Find which wires a gate operates on, in the order the gate was applied (helper method,
+     * e.g. [control, target])
      * @param {QuantumCircuit} circuit - The circuit
      * @param {Object} gate - The gate object
      * @returns {Array} Array of wire indices
      */
     findGateWires(circuit, gate) {
+        if (Array.isArray(gate.wires)) {
+            return [...gate.wires];
+        }
+
         const wires = [];
         const numCols = circuit.numCols();
 
@@ -366,66 +1012,6 @@ export class QuantumNetwork {
         return wires.sort((a, b) => a - b);
     }
 
-    /**
-     * Add a gate to the global circuit
-     * @param {QuantumCircuit} globalCircuit - Target circuit
-     * @param {string} gateName - Gate name
-     * @param {Array} globalWires - Global wire indices
-     * @param {number} column - Column position
-     * @param {Object} options - Gate options
-     */
-    addGateToGlobalCircuit(globalCircuit, gateName, globalWires, column, options = {}) {
-        // Map gate names and apply to global circuit
-        switch (gateName) {
-            case 'h':
-                globalCircuit.h(globalWires[0]);
-                break;
-            case 'x':
-                globalCircuit.x(globalWires[0]);
-                break;
-            case 'y':
-                globalCircuit.y(globalWires[0]);
-                break;
-            case 'z':
-                globalCircuit.z(globalWires[0]);
-                break;
-            case 's':
-                globalCircuit.s(globalWires[0]);
-                break;
-            case 't':
-                globalCircuit.t(globalWires[0]);
-                break;
-            case 'cx':
-                globalCircuit.cx(globalWires[0], globalWires[1]);
-                break;
-            case 'cz':
-                globalCircuit.cz(globalWires[0], globalWires[1]);
-                break;
-            case 'swap':
-                globalCircuit.swap(globalWires[0], globalWires[1]);
-                break;
-            case 'ccx':
-                globalCircuit.ccx(globalWires[0], globalWires[1], globalWires[2]);
-                break;
-            case 'rx':
-                globalCircuit.rx(options.params?.theta || 0, globalWires[0]);
-                break;
-            case 'ry':
-                globalCircuit.ry(options.params?.theta || 0, globalWires[0]);
-                break;
-            case 'rz':
-                globalCircuit.rz(options.params?.theta || 0, globalWires[0]);
-                break;
-            case 'measure':
-                if (options.creg) {
-                    globalCircuit.measure(globalWires[0], options.creg.bit);
-                }
-                break;
-            default:
-                console.warn(`Unknown gate type in network conversion: ${gateName}`);
-        }
-    }
-
     /**
      * Get network statistics
      * @returns {Object} Network statistics
@@ -439,9 +1025,22 @@ export class QuantumNetwork {
             totalGates += node.circuit.numCols() * node.qubits; // Approximate
         }
 
+        // Two-party links: delivered fidelity, success probability per attempt and pairs per time unit
+        const links = this.getEntanglements().filter(entanglement => !entanglement.isMultiparty).map(entanglement => ({
+            id: entanglement.id,
+            node1Id: entanglement.node1Id,
+            node2Id: entanglement.node2Id,
+            fidelity: entanglement.linkFidelity(),
+            successRate: entanglement.channel ? entanglement.channel.successRate : 1,
+            pairRate: entanglement.channel ? entanglement.channel.pairRate : null
+        }));
+
         return {
             nodes: this.nodes.size,
             entanglements: this.entanglements.size,
+            classicalLinks: this.classicalLinks.size,
+            multipartyEntanglements: this.getMultipartyEntanglements().length,
+            links,
             totalQubits,
             totalGates,
             name: this.name
@@ -460,6 +1059,7 @@ export class QuantumNetwork {
             name: this.name,
             nodes: nodesArray,
             entanglements: entanglementsArray,
+            classicalLinks: this.getClassicalLinks().map(link => link.toJSON()),
             nextNodeId: this.nextNodeId,
             metadata: {
                 created: new Date().toISOString(),
@@ -490,6 +1090,12 @@ export class QuantumNetwork {
             network.entanglements.set(entanglement.id, entanglement);
         }
 
+        // Import classical links
+        for (const linkData of json.classicalLinks || []) {
+            const link = ClassicalLink.fromJSON(linkData);
+            network.classicalLinks.set(link.id, link);
+        }
+
         return network;
     }
 
@@ -499,6 +1105,7 @@ export class QuantumNetwork {
     clear() {
         this.nodes.clear();
         this.entanglements.clear();
+        this.classicalLinks.clear();
         this.nextNodeId = 0;
     }
 }
\ No newline at end of file
@@ -7,26 +7,62 @@
 
 import { ComplexMath } from './ComplexMath.js';
 import { QuantumGates } from './QuantumGates.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ExpressionEvaluator } from '../utils/ExpressionEvaluator.js';
+import { ParameterExpression } from './Parameter.js';
+import { StateVector } from './StateVector.js';
+
+// Mid-circuit measurement outcomes are enumerated exactly up to this many branches...
+const MAX_EXACT_BRANCHES = 256;
+// ...and this many amplitudes across all branches; beyond that, shots are split between outcomes
+const MAX_BRANCH_AMPLITUDES = 1 << 22;
 
 export class QuantumSimulator {
-    constructor() {
+    /**
+     * Create a new simulator
+     * @param {Object} options - Simulator options
+     * @param {number|string} options.seed - Seed for reproducible runs (random per run if omitted)
+     * @param {Object} options.rng - Custom random generator with a random() method returning [0, 1)
+     */
+    constructor(options = {}) {
         this.complexMath = new ComplexMath();
+        this.expressionEvaluator = new ExpressionEvaluator();
+        this.seed = options.seed ?? null;
+        this.rng = options.rng || null;
     }
 
     /**
      * Simulate a quantum circuit
      * @param {QuantumCircuit} circuit - The circuit to simulate
+     * @param {Object} options - Simulation options
+     * @param {number} options.shots - Number of measurement samples (default: 1024)
+     * @param {number|string} options.seed - Seed for this run (overrides the simulator seed)
+     * @param {Object} options.rng - Custom random generator for this run
+     * @param {Function} options.onProgress - Called with {completed, total} columns after each column
      * @returns {Object} Simulation results
      */
-    simulate(circuit) {
+    simulate(circuit, options = {}) {
+        const { shots = 1024 } = options;
+        const rng = this.createRandom(options);
+
+        if (!Number.isInteger(shots) || shots < 1) {
+            throw new Error('Number of shots must be a positive integer');
+        }
+
         const numQubits = circuit.numQubits;
         const stateSize = 1 << numQubits; // 2^numQubits
 
         // Initialize state vector to |00...0⟩
-        let stateVector = new Array(stateSize).fill(null);
-        for (let i = 0; i < stateSize; i++) {
-            stateVector[i] = this.complexMath.complex(i === 0 ? 1 : 0, 0);
-        }
+        const state = new StateVector(numQubits);
+
+        // Terminal measurements are sampled from the final state; all others collapse it
+        const deferred = this.findDeferredMeasurements(circuit);
+
+        // Each branch is one history of mid-circuit measurement/reset outcomes, carrying the shots
+        // that follow it. Measurements and resets enumerate their outcomes while there are few
+        // branches; past the branch limit they only follow the outcomes their shots take.
+        const maxExactBranches = Math.max(1, Math.min(MAX_EXACT_BRANCHES, Math.floor(MAX_BRANCH_AMPLITUDES / stateSize)));
+        let branches = [{ state, probability: 1, shots, clbits: {}, history: null }];
 
         // Process circuit column by column
         const numCols = circuit.numCols();
@@ -35,25 +71,133 @@ export class QuantumSimulator {
             const columnGates = this.getGatesAtColumn(circuit, col);
 
             for (const gate of columnGates) {
-                if (gate && gate.name !== 'measure' && gate.name !== 'barrier') {
-                    stateVector = this.applyGate(stateVector, gate, circuit, numQubits);
+                if (!gate || gate.name === 'barrier' || deferred.has(gate.id)) {
+                    continue;
                 }
+
+                const exact = (gate.name === 'measure' || gate.name === 'reset') && branches.length * 2 <= maxExactBranches;
+                let gateMatrix = null; // Built once and shared by all branches
+
+                branches = branches.flatMap(branch => {
+                    // Classically-controlled gates only act in branches where the condition holds
+                    if (!this.isConditionMet(gate.options?.condition, branch.clbits)) {
+                        return [branch];
+                    }
+
+                    if (gate.name === 'measure') {
+                        return this.measureBranch(branch, gate, circuit, exact, rng);
+                    }
+                    if (gate.name === 'reset') {
+                        return this.resetBranch(branch, gate, circuit, exact, rng);
+                    }
+                    if (gate.name === 'noise') {
+                        throw new Error('Noise channels require the density matrix simulator (run with backend: \'density_matrix\')');
+                    }
+
+                    gateMatrix ??= this.getGateMatrix(gate, circuit);
+                    this.applyGate(branch.state, gate, circuit, numQubits, gateMatrix);
+                    return [branch];
+                });
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ completed: col + 1, total: numCols });
             }
         }
 
-        // Calculate probabilities
-        const probabilities = this.calculateProbabilities(stateVector);
+        // Calculate probabilities (averaged over branches)
+        const branchProbabilities = branches.map(branch => branch.state.probabilities());
+        const probabilities = new Array(stateSize).fill(0);
+        branches.forEach((branch, b) => {
+            branchProbabilities[b].forEach((p, i) => {
+                probabilities[i] += branch.probability * p;
+            });
+        });
+
+        // Sample joint outcomes: each shot reads out a basis state of its branch's final state
+        const outcomeBits = this.getOutcomeBits(circuit, deferred);
+        const shotBranches = this.assignShots(branches, rng);
+        const stateCumulatives = branchProbabilities.map((p, b) => branches[b].shots > 0 ? this.cumulativeSum(p) : null);
+
+        const memory = new Array(shots);
+        const counts = {};
+        let firstShot = null;
 
-        // Handle measurements if any
-        const measurementResults = this.handleMeasurements(circuit, probabilities);
+        for (let shot = 0; shot < shots; shot++) {
+            const branchIndex = shotBranches[shot];
+            const branch = branches[branchIndex];
+            const index = this.sampleIndex(stateCumulatives[branchIndex], rng);
+            const outcome = this.formatOutcome(index, outcomeBits, branch.clbits);
 
-        return {
-            stateVector: stateVector,
+            memory[shot] = outcome;
+            counts[outcome] = (counts[outcome] || 0) + 1;
+
+            if (shot === 0) {
+                firstShot = { branch, index };
+            }
+        }
+
+        // Handle measurements if any (taken from the first shot)
+        const measurementResults = this.handleMeasurements(circuit, firstShot.branch, firstShot.index);
+
+        const results = {
+            stateVector: null,
             probabilities: probabilities,
             measurements: measurementResults,
+            shots: shots,
+            seed: rng.seed ?? null,
+            counts: counts,
+            memory: memory,
+            idealProbabilities: null,
             numQubits: numQubits,
-            amplitudes: this.formatAmplitudes(stateVector)
+            amplitudes: null
         };
+
+        // Amplitudes and outcome maps are only built when read, so large states stay in their buffers
+        const finalState = firstShot.branch.state;
+        this.defineLazyResult(results, 'stateVector', () => finalState.toArray());
+        // The StateVector itself, non-enumerable so that the results keep their shape
+        Object.defineProperty(results, 'state', { value: finalState, configurable: true, writable: true });
+        this.defineLazyResult(results, 'idealProbabilities',
+            () => this.calculateOutcomeProbabilities(branches, outcomeBits, branchProbabilities));
+        this.defineLazyResult(results, 'amplitudes', () => this.formatAmplitudes(results.stateVector));
+        return results;
+    }
+
+    /**
+     * Define a result property that is computed on first access and then cached. The property
+     * stays enumerable and writable, so results serialize and can be modified as before.
+     * @param {Object} results - Simulation results
+     * @param {string} name - Property name
+     * @param {Function} compute - Returns the value
+     */
+    defineLazyResult(results, name, compute) {
+        Object.defineProperty(results, name, {
+            enumerable: true,
+            configurable: true,
+            get: () => {
+                const value = compute();
+                Object.defineProperty(results, name, { value, enumerable: true, configurable: true, writable: true });
+                return value;
+            },
+            set: value => {
+                Object.defineProperty(results, name, { value, enumerable: true, configurable: true, writable: true });
+            }
+        });
+    }
+
+    /**
+     * Get the random generator for a run. Without a custom generator, a seeded
+     * generator is created so the run can be replayed from results.seed.
+     * @param {Object} options - Run options ({seed, rng})
+     * @returns {Object} Random generator with a random() method
+     */
+    createRandom(options = {}) {
+        const rng = options.rng || this.rng;
+        if (rng) {
+            return rng;
+        }
+        return new SeededRandom(options.seed ?? this.seed);
     }
 
     /**
@@ -81,57 +225,76 @@ export class QuantumSimulator {
 
     /**
      * Apply a gate to the state vector
-     * @param {Array} stateVector - Current state vector
+     * @param {StateVector|Array} stateVector - Current state, updated in place if it is a
+     *        StateVector; arrays of {re, im} are copied
      * @param {Object} gate - Gate to apply
      * @param {QuantumCircuit} circuit - The circuit
      * @param {number} numQubits - Number of qubits
-     * @returns {Array} Updated state vector
+     * @param {Array} gateMatrix - The gate's matrix, if already built (see getGateMatrix)
+     * @returns {StateVector|Array} Updated state vector
      */
-    applyGate(stateVector, gate, circuit, numQubits) {
+    applyGate(stateVector, gate, circuit, numQubits, gateMatrix = this.getGateMatrix(gate, circuit)) {
         const gateWires = this.findGateWires(circuit, gate);
-        const gateMatrix = this.getGateMatrix(gate);
-
-        if (gateWires.length === 1) {
-            return this.applySingleQubitGate(stateVector, gateMatrix, gateWires[0], numQubits);
-        } else if (gateWires.length === 2) {
-            return this.applyTwoQubitGate(stateVector, gateMatrix, gateWires[0], gateWires[1], numQubits);
-        } else if (gateWires.length === 3) {
-            return this.applyThreeQubitGate(stateVector, gateMatrix, gateWires, numQubits);
-        } else {
-            throw new Error(`Unsupported gate with ${gateWires.length} qubits`);
+
+        if (gateMatrix.length !== 1 << gateWires.length) {
+            throw new Error(`Gate ${gate.name} has a ${gateMatrix.length}×${gateMatrix.length} matrix but acts on ${gateWires.length} qubit(s)`);
         }
+
+        return this.applyMatrix(stateVector, gateMatrix, gateWires);
     }
 
     /**
-     * Find which wires a gate operates on
+     * Find which wires a gate operates on, in the order the gate was applied
+     * (controls first, e.g. [control, target] for cx)
      * @param {QuantumCircuit} circuit - The circuit
      * @param {Object} gate - The gate
      * @returns {Array} Wire indices
      */
     findGateWires(circuit, gate) {
+        if (Array.isArray(gate.wires)) {
+            return [...gate.wires];
+        }
+
+        // Gates created without a recorded wire order: scan the grid
         const wires = [];
         for (let wire = 0; wire < circuit.numQubits; wire++) {
-            for (let col = 0; col < circuit.numCols(); col++) {
-                if (circuit.gates[wire][col] === gate) {
-                    wires.push(wire);
-                    break;
-                }
+            if (circuit.gates[wire].some(cell => cell && cell.id === gate.id)) {
+                wires.push(wire);
             }
         }
-        return wires.sort((a, b) => a - b);
+        return wires;
     }
 
     /**
      * Get the matrix representation of a gate
      * @param {Object} gate - Gate object
+     * @param {QuantumCircuit} circuit - Circuit whose custom gates (see defineGate) are resolved
      * @returns {Array} Gate matrix
      */
-    getGateMatrix(gate) {
+    getGateMatrix(gate, circuit = null) {
+        const customGate = circuit?.customGates?.[gate.name];
+        if (customGate) {
+            return customGate.matrix;
+        }
+
         const gateDef = QuantumGates.getGate(gate.name);
-        let matrix = this.parseGateMatrix(gateDef.matrix, gate.options?.params || {});
+        if (!gateDef.matrix) {
+            throw new Error(`Gate ${gate.name} has no matrix representation`);
+        }
 
-        // Handle special case matrices that need parameter substitution
-        return matrix;
+        // Parameters the gate declares default to 0 when not given
+        const params = {};
+        (gateDef.params || []).forEach(name => { params[name] = 0; });
+        Object.assign(params, gate.options?.params || {});
+
+        const unbound = Object.values(params)
+            .filter(value => value instanceof ParameterExpression)
+            .flatMap(value => value.names);
+        if (unbound.length > 0) {
+            throw new Error(`Gate ${gate.name} has unbound parameter(s) ${[...new Set(unbound)].join(', ')}; bind them with assignParameters() before simulating`);
+        }
+
+        return this.parseGateMatrix(gateDef.matrix, params);
     }
 
     /**
@@ -155,196 +318,315 @@ export class QuantumSimulator {
     }
 
     /**
-     * Evaluate matrix element expressions
+     * Evaluate a matrix element expression, e.g. "e^(i*(phi+lambda))*cos(theta/2)"
      * @param {string} expr - Expression to evaluate
      * @param {Object} params - Parameters
      * @returns {Object} Complex number
+     * @throws {Error} If the expression uses an unknown symbol or function
      */
     evaluateMatrixElement(expr, params) {
-        // Handle common expressions
-        const substitutions = {
-            'i': { re: 0, im: 1 },
-            '-i': { re: 0, im: -1 },
-            '1/sqrt(2)': { re: 1/Math.sqrt(2), im: 0 },
-            '-1/sqrt(2)': { re: -1/Math.sqrt(2), im: 0 },
-            'cos(theta/2)': { re: Math.cos((params.theta || 0) / 2), im: 0 },
-            'sin(theta/2)': { re: Math.sin((params.theta || 0) / 2), im: 0 },
-            '-sin(theta/2)': { re: -Math.sin((params.theta || 0) / 2), im: 0 },
-            '-i*sin(theta/2)': { re: 0, im: -Math.sin((params.theta || 0) / 2) }
-        };
+        return this.expressionEvaluator.evaluate(expr, params);
+    }
 
-        if (expr in substitutions) {
-            return this.complexMath.complex(substitutions[expr].re, substitutions[expr].im);
+    /**
+     * Apply a k-qubit matrix to arbitrary wires of a state vector. wires[0] is the most
+     * significant bit of the matrix index, so [control, target] matches the cx matrix.
+     * @param {StateVector|Array} stateVector - Current state, updated in place if it is a
+     *        StateVector; arrays of {re, im} are converted and a new array is returned
+     * @param {Array} matrix - 2^k × 2^k matrix
+     * @param {Array} wires - Target wires (any order, need not be adjacent)
+     * @returns {StateVector|Array} Updated state vector
+     */
+    applyMatrix(stateVector, matrix, wires) {
+        if (stateVector instanceof StateVector) {
+            return stateVector.applyMatrix(matrix, wires);
         }
+        return StateVector.fromArray(stateVector).applyMatrix(matrix, wires).toArray();
+    }
 
-        // Handle parameterized expressions
-        if (expr.includes('theta')) {
-            const theta = params.theta || 0;
-            if (expr === 'e^(-i*theta/2)') {
-                return this.complexMath.exp(-theta/2);
-            } else if (expr === 'e^(i*theta/2)') {
-                return this.complexMath.exp(theta/2);
-            }
-        }
+    /**
+     * Calculate measurement probabilities from state vector
+     * @param {Array} stateVector - State vector
+     * @returns {Array} Probabilities for each basis state
+     */
+    calculateProbabilities(stateVector) {
+        return stateVector.map(amplitude => {
+            const magnitude = this.complexMath.abs(amplitude);
+            return magnitude * magnitude;
+        });
+    }
 
-        // Handle lambda parameter (for CP gate)
-        if (expr.includes('lambda')) {
-            const lambda = params.lambda || 0;
-            if (expr === 'e^(i*lambda)') {
-                return this.complexMath.exp(lambda);
+    /**
+     * Find measurements that can be deferred to the end of the circuit: nothing but
+     * barriers and measurements follow them on their qubit, they are unconditional,
+     * and no later collapsing measurement or classical condition uses their bit
+     * @param {QuantumCircuit} circuit - The circuit
+     * @returns {Set} Ids of deferred measurement gates
+     */
+    findDeferredMeasurements(circuit) {
+        const deferred = new Set();
+        const touched = new Array(circuit.numQubits).fill(false);
+        const usedBits = new Set();
+
+        for (let col = circuit.numCols() - 1; col >= 0; col--) {
+            for (const gate of this.getGatesAtColumn(circuit, col)) {
+                if (gate.name === 'barrier') {
+                    continue;
+                }
+
+                const wires = this.findGateWires(circuit, gate);
+                const condition = gate.options?.condition;
+
+                if (gate.name === 'measure') {
+                    const bit = gate.options?.creg ? gate.options.creg.bit : null;
+                    if (!touched[wires[0]] && !usedBits.has(bit) && !condition) {
+                        deferred.add(gate.id);
+                    } else if (bit !== null) {
+                        usedBits.add(bit);
+                    }
+                } else {
+                    wires.forEach(wire => { touched[wire] = true; });
+                }
+
+                if (condition) {
+                    condition.bits.forEach(bit => usedBits.add(bit));
+                }
             }
         }
 
-        // Handle pi expressions (for S, T, Sdg, Tdg gates)
-        if (expr === 'e^(i * pi / 4)') {
-            return this.complexMath.exp(Math.PI / 4);
-        } else if (expr === 'e^(-i * pi / 4)') {
-            return this.complexMath.exp(-Math.PI / 4);
-        } else if (expr === 'e^(i * pi / 2)') {
-            return this.complexMath.exp(Math.PI / 2);
-        } else if (expr === 'e^(-i * pi / 2)') {
-            return this.complexMath.exp(-Math.PI / 2);
+        return deferred;
+    }
+
+    /**
+     * Check a classical condition against the bits measured so far (unmeasured bits are 0)
+     * @param {Object} condition - Condition {bits, value}, or undefined for unconditional gates
+     * @param {Object} clbits - Classical bit values of the branch
+     * @returns {boolean} True if the gate should be applied
+     */
+    isConditionMet(condition, clbits) {
+        if (!condition) {
+            return true;
         }
 
-        // Default to 1 for unrecognized expressions
-        console.warn(`Unknown matrix element: ${expr}`);
-        return this.complexMath.complex(1, 0);
+        let value = 0;
+        condition.bits.forEach((bit, i) => {
+            if (clbits[bit]) {
+                value += Math.pow(2, i);
+            }
+        });
+        return value === condition.value;
     }
 
     /**
-     * Apply single-qubit gate to state vector
-     * @param {Array} stateVector - Current state
-     * @param {Array} gateMatrix - Gate matrix
-     * @param {number} targetQubit - Target qubit index
-     * @param {number} numQubits - Total qubits
-     * @returns {Array} Updated state vector
+     * Project a branch onto the outcomes of a single-qubit measurement (see splitOutcomes)
+     * @param {Object} branch - Branch {state, probability, shots}
+     * @param {number} wire - Measured qubit
+     * @param {boolean} exact - Keep every possible outcome
+     * @param {Object} rng - Random generator
+     * @returns {Array} Outcomes to follow [{outcome, probability, shots, state}]
      */
-    applySingleQubitGate(stateVector, gateMatrix, targetQubit, numQubits) {
-        const stateSize = stateVector.length;
-        const newStateVector = new Array(stateSize);
-
-        for (let state = 0; state < stateSize; state++) {
-            const targetBit = (state >> targetQubit) & 1;
-            const flippedState = state ^ (1 << targetQubit);
+    collapseBranch(branch, wire, exact, rng) {
+        const outcomes = this.splitOutcomes(branch, branch.state.probabilityOfOne(wire), exact, rng);
 
-            const currentAmplitude = stateVector[state];
-            const flippedAmplitude = stateVector[flippedState];
+        // The last outcome reuses the branch's buffer
+        return outcomes.map(({ outcome, p, probability, shots }, i) => {
+            const state = i === outcomes.length - 1 ? branch.state : branch.state.clone();
+            return { outcome, probability, shots, state: state.project(wire, outcome, p) };
+        });
+    }
 
-            // Apply gate matrix
-            const newAmplitude = this.complexMath.add(
-                this.complexMath.multiply(gateMatrix[0][targetBit], targetBit === 0 ? currentAmplitude : flippedAmplitude),
-                this.complexMath.multiply(gateMatrix[1][targetBit], targetBit === 0 ? flippedAmplitude : currentAmplitude)
-            );
+    /**
+     * Decide which outcomes of a measurement a branch follows. The branch's shots are split
+     * between the outcomes. An exact split keeps every possible outcome with its probability;
+     * otherwise only outcomes that received shots are kept, weighted by their share of the shots
+     * (a branch without shots follows one sampled outcome), which keeps the weights unbiased.
+     * @param {Object} branch - Branch {probability, shots}
+     * @param {number} p1 - Probability of outcome 1
+     * @param {boolean} exact - Keep every possible outcome
+     * @param {Object} rng - Random generator
+     * @returns {Array} Outcomes to follow [{outcome, p, probability, shots}]
+     */
+    splitOutcomes(branch, p1, exact, rng) {
+        let outcomes = [0, 1]
+            .map(outcome => ({ outcome, p: outcome === 1 ? p1 : 1 - p1 }))
+            .filter(({ p }) => branch.probability * p >= 1e-12);
 
-            newStateVector[state] = newAmplitude;
+        if (outcomes.length === 1) {
+            return [{ ...outcomes[0], probability: branch.probability, shots: branch.shots }];
         }
 
-        return newStateVector;
+        const ones = this.sampleBinomial(branch.shots, p1, rng);
+        outcomes[0].shots = branch.shots - ones;
+        outcomes[1].shots = ones;
+
+        if (exact) {
+            outcomes.forEach(outcome => { outcome.probability = branch.probability * outcome.p; });
+        } else if (branch.shots > 0) {
+            outcomes = outcomes.filter(outcome => outcome.shots > 0);
+            outcomes.forEach(outcome => { outcome.probability = branch.probability * outcome.shots / branch.shots; });
+        } else {
+            outcomes = [outcomes[rng.random() < p1 ? 1 : 0]];
+            outcomes[0].probability = branch.probability;
+        }
+        return outcomes;
     }
 
     /**
-     * Apply two-qubit gate to state vector
-     * @param {Array} stateVector - Current state
-     * @param {Array} gateMatrix - Gate matrix
-     * @param {number} qubit1 - First qubit
-     * @param {number} qubit2 - Second qubit
-     * @param {number} numQubits - Total qubits
-     * @returns {Array} Updated state vector
+     * Count how many of n shots take an outcome of probability p
+     * @param {number} n - Number of shots
+     * @param {number} p - Probability of the outcome
+     * @param {Object} rng - Random generator
+     * @returns {number} Binomially distributed count
      */
-    applyTwoQubitGate(stateVector, gateMatrix, qubit1, qubit2, numQubits) {
-        const stateSize = stateVector.length;
-        const newStateVector = new Array(stateSize).fill(null);
-
-        // Initialize new state vector
-        for (let i = 0; i < stateSize; i++) {
-            newStateVector[i] = this.complexMath.complex(0, 0);
+    sampleBinomial(n, p, rng) {
+        let count = 0;
+        for (let i = 0; i < n; i++) {
+            if (rng.random() < p) {
+                count++;
+            }
         }
+        return count;
+    }
 
-        for (let state = 0; state < stateSize; state++) {
-            const bit1 = (state >> qubit1) & 1;
-            const bit2 = (state >> qubit2) & 1;
-            const basisIndex = (bit1 << 1) | bit2;
+    /**
+     * Apply a collapsing measurement to a branch
+     * @param {Object} branch - Branch to measure
+     * @param {Object} gate - Measurement gate
+     * @param {QuantumCircuit} circuit - The circuit
+     * @param {boolean} exact - Keep every possible outcome (see collapseBranch)
+     * @param {Object} rng - Random generator
+     * @returns {Array} Branches for the outcomes
+     */
+    measureBranch(branch, gate, circuit, exact, rng) {
+        const wire = this.findGateWires(circuit, gate)[0];
 
-            for (let newBasisIndex = 0; newBasisIndex < 4; newBasisIndex++) {
-                const newBit1 = (newBasisIndex >> 1) & 1;
-                const newBit2 = newBasisIndex & 1;
+        return this.collapseBranch(branch, wire, exact, rng).map(({ outcome, probability, shots, state }) => {
+            const clbits = { ...branch.clbits };
+            if (gate.options?.creg) {
+                clbits[gate.options.creg.bit] = outcome;
+            }
 
-                const newState = (state & ~(1 << qubit1) & ~(1 << qubit2)) |
-                                (newBit1 << qubit1) | (newBit2 << qubit2);
+            return {
+                state,
+                probability,
+                shots,
+                clbits,
+                history: this.recordOutcome(branch.history, gate, outcome)
+            };
+        });
+    }
 
-                const matrixElement = gateMatrix[newBasisIndex][basisIndex];
-                const contribution = this.complexMath.multiply(matrixElement, stateVector[state]);
+    /**
+     * Reset a qubit to |0⟩ in a branch (measure, then flip if the outcome was 1). The outcome is
+     * not recorded, so when both outcomes leave the same state (the qubit was not entangled)
+     * they are merged back into one branch.
+     * @param {Object} branch - Branch to reset
+     * @param {Object} gate - Reset gate
+     * @param {QuantumCircuit} circuit - The circuit
+     * @param {boolean} exact - Keep every possible outcome (see collapseBranch)
+     * @param {Object} rng - Random generator
+     * @returns {Array} Branches for the pre-reset outcomes
+     */
+    resetBranch(branch, gate, circuit, exact, rng) {
+        const wire = this.findGateWires(circuit, gate)[0];
 
-                newStateVector[newState] = this.complexMath.add(newStateVector[newState], contribution);
+        const branches = this.collapseBranch(branch, wire, exact, rng).map(({ outcome, probability, shots, state }) => {
+            if (outcome === 1) {
+                state.flip(wire);
             }
+
+            return { state, probability, shots, clbits: branch.clbits, history: branch.history };
+        });
+
+        if (branches.length === 2 && this.isSameState(branches[0].state, branches[1].state)) {
+            const [first, second] = branches;
+            return [{ ...second, probability: first.probability + second.probability, shots: first.shots + second.shots }];
         }
+        return branches;
+    }
 
-        return newStateVector;
+    /**
+     * Check whether two branch states are equal up to global phase
+     * @param {StateVector} a - First state
+     * @param {StateVector} b - Second state
+     * @returns {boolean} True if the states are equal
+     */
+    isSameState(a, b) {
+        return a.fidelity(b) > 1 - 1e-12;
     }
 
     /**
-     * Apply three-qubit gate (simplified for Toffoli)
-     * @param {Array} stateVector - Current state
-     * @param {Array} gateMatrix - Gate matrix
-     * @param {Array} qubits - Qubit indices
-     * @param {number} numQubits - Total qubits
-     * @returns {Array} Updated state vector
-     */
-    applyThreeQubitGate(stateVector, gateMatrix, qubits, numQubits) {
-        // For now, implement only Toffoli gate (CCX)
-        const [control1, control2, target] = qubits;
-        const newStateVector = [...stateVector];
-
-        for (let state = 0; state < stateVector.length; state++) {
-            const bit1 = (state >> control1) & 1;
-            const bit2 = (state >> control2) & 1;
-            const targetBit = (state >> target) & 1;
-
-            // Toffoli flips target only if both controls are 1
-            if (bit1 === 1 && bit2 === 1) {
-                const flippedState = state ^ (1 << target);
-                // Swap amplitudes
-                [newStateVector[state], newStateVector[flippedState]] =
-                [newStateVector[flippedState], newStateVector[state]];
+     * List the branch of every shot, in random order
+     * @param {Array} branches - Final branches, each with its number of shots
+     * @param {Object} rng - Random generator
+     * @returns {Array} Branch index of each shot
+     */
+    assignShots(branches, rng) {
+        const shotBranches = branches.flatMap((branch, b) => new Array(branch.shots).fill(b));
+        if (branches.length > 1) {
+            for (let i = shotBranches.length - 1; i > 0; i--) {
+                const j = Math.floor(rng.random() * (i + 1));
+                [shotBranches[i], shotBranches[j]] = [shotBranches[j], shotBranches[i]];
             }
         }
+        return shotBranches;
+    }
 
-        return newStateVector;
+    /**
+     * Add a mid-circuit measurement outcome to a branch history. Histories are linked lists
+     * that share their earlier entries, so splitting a branch does not copy them.
+     * @param {Object|null} history - History of the branch so far
+     * @param {Object} gate - Measurement gate
+     * @param {number} outcome - Recorded outcome
+     * @returns {Object} Extended history
+     */
+    recordOutcome(history, gate, outcome) {
+        return { gateId: gate.id, outcome, previous: history };
     }
 
     /**
-     * Calculate measurement probabilities from state vector
-     * @param {Array} stateVector - State vector
-     * @returns {Array} Probabilities for each basis state
+     * Read the outcome of each mid-circuit measurement of a branch history
+     * @param {Object|null} history - Branch history (see recordOutcome)
+     * @returns {Object} Outcome by measurement gate id
      */
-    calculateProbabilities(stateVector) {
-        return stateVector.map(amplitude => {
-            const magnitude = this.complexMath.abs(amplitude);
-            return magnitude * magnitude;
-        });
+    readOutcomes(history) {
+        const outcomes = {};
+        for (let entry = history; entry; entry = entry.previous) {
+            if (!(entry.gateId in outcomes)) {
+                outcomes[entry.gateId] = entry.outcome;
+            }
+        }
+        return outcomes;
     }
 
     /**
-     * Handle measurement operations
+     * Handle measurement operations: collect each measured bit and write it
+     * into the circuit's ClassicalRegister
      * @param {QuantumCircuit} circuit - The circuit
-     * @param {Array} probabilities - State probabilities
+     * @param {Object} branch - Branch sampled for this shot
+     * @param {number} sampledState - Basis state index sampled for this shot
      * @returns {Object} Measurement results
      */
-    handleMeasurements(circuit, probabilities) {
+    handleMeasurements(circuit, branch, sampledState) {
         const measurements = {};
         const numQubits = circuit.numQubits;
+        const outcomes = this.readOutcomes(branch.history);
 
         // Find measurement gates
         for (let col = 0; col < circuit.numCols(); col++) {
             for (let wire = 0; wire < numQubits; wire++) {
                 const gate = circuit.gates[wire][col];
                 if (gate && gate.name === 'measure') {
-                    // Simulate measurement result based on probabilities
-                    const qubitProbabilities = this.calculateQubitProbabilities(probabilities, wire, numQubits);
-                    const measurementResult = Math.random() < qubitProbabilities[1] ? 1 : 0;
+                    const measurementResult = gate.id in outcomes
+                        ? outcomes[gate.id]
+                        : this.readBit(sampledState, wire);
 
                     if (gate.options?.creg) {
                         measurements[`${gate.options.creg.name}[${gate.options.creg.bit}]`] = measurementResult;
+
+                        if (circuit.creg && gate.options.creg.bit < circuit.creg.size) {
+                            circuit.creg.setBit(gate.options.creg.bit, measurementResult);
+                        }
                     } else {
                         measurements[`qubit_${wire}`] = measurementResult;
                     }
@@ -355,6 +637,134 @@ export class QuantumSimulator {
         return measurements;
     }
 
+    /**
+     * Read a qubit of a sampled shot
+     * @param {number} sampledState - Basis state index sampled for the shot
+     * @param {number} wire - Qubit
+     * @returns {number} 0 or 1
+     */
+    readBit(sampledState, wire) {
+        return (sampledState >> wire) & 1;
+    }
+
+    /**
+     * Build a cumulative distribution
+     * @param {Array} probabilities - Probabilities (need not be normalized)
+     * @returns {Array} Running sums
+     */
+    cumulativeSum(probabilities) {
+        const cumulative = new Array(probabilities.length);
+        let total = 0;
+        for (let i = 0; i < probabilities.length; i++) {
+            total += probabilities[i];
+            cumulative[i] = total;
+        }
+        return cumulative;
+    }
+
+    /**
+     * Sample an index from a cumulative distribution
+     * @param {Array} cumulative - Result of cumulativeSum()
+     * @param {Object} rng - Random generator
+     * @returns {number} Sampled index
+     */
+    sampleIndex(cumulative, rng) {
+        const r = rng.random() * cumulative[cumulative.length - 1];
+
+        // Binary search for the first cumulative value above r
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulative[mid] > r) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Determine which qubit is recorded in each classical bit at readout.
+     * Circuits without measurements into a classical register are read out on all qubits.
+     * @param {QuantumCircuit} circuit - The circuit
+     * @param {Set} deferred - Ids of deferred measurement gates
+     * @returns {Object} {width, bits: [{wire, bit}], direct} where direct means that bit i
+     *          is always qubit i, so an outcome is the basis state index in binary
+     */
+    getOutcomeBits(circuit, deferred) {
+        const bits = [];
+        let hasClassicalBits = false;
+
+        for (let col = 0; col < circuit.numCols(); col++) {
+            for (let wire = 0; wire < circuit.numQubits; wire++) {
+                const gate = circuit.gates[wire][col];
+                if (gate && gate.name === 'measure' && gate.options?.creg) {
+                    hasClassicalBits = true;
+                    if (deferred.has(gate.id)) {
+                        bits.push({ wire, bit: gate.options.creg.bit });
+                    }
+                }
+            }
+        }
+
+        if (!hasClassicalBits) {
+            return {
+                width: circuit.numQubits,
+                bits: Array.from({ length: circuit.numQubits }, (_, i) => ({ wire: i, bit: i })),
+                direct: true
+            };
+        }
+
+        const direct = circuit.numClbits === circuit.numQubits && bits.length === circuit.numQubits &&
+            bits.every(({ wire, bit }) => wire === bit);
+        return { width: circuit.numClbits, bits, direct };
+    }
+
+    /**
+     * Format a shot as a classical bitstring (bit 0 is the rightmost character)
+     * @param {number} index - Basis state index sampled at readout
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @param {Object} clbits - Bits already recorded by mid-circuit measurements
+     * @returns {string} Classical bitstring
+     */
+    formatOutcome(index, outcomeBits, clbits = {}) {
+        if (outcomeBits.direct) {
+            return index.toString(2).padStart(outcomeBits.width, '0');
+        }
+
+        const bits = new Array(outcomeBits.width).fill('0');
+        for (const [bit, value] of Object.entries(clbits)) {
+            bits[outcomeBits.width - 1 - Number(bit)] = value ? '1' : '0';
+        }
+        for (const { wire, bit } of outcomeBits.bits) {
+            bits[outcomeBits.width - 1 - bit] = this.readBit(index, wire) ? '1' : '0';
+        }
+        return bits.join('');
+    }
+
+    /**
+     * Calculate the ideal probability of each classical outcome
+     * @param {Array} branches - Final branches of the simulation
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @param {Array} branchProbabilities - Basis state probabilities of each branch's final state
+     * @returns {Object} Map from classical bitstring to probability
+     */
+    calculateOutcomeProbabilities(branches, outcomeBits, branchProbabilities) {
+        const outcomes = {};
+        branches.forEach((branch, b) => {
+            branchProbabilities[b].forEach((probability, index) => {
+                const p = branch.probability * probability;
+                if (p > 1e-10) {
+                    const outcome = this.formatOutcome(index, outcomeBits, branch.clbits);
+                    outcomes[outcome] = (outcomes[outcome] || 0) + p;
+                }
+            });
+        });
+        return outcomes;
+    }
+
     /**
      * Calculate single qubit measurement probabilities
      * @param {Array} stateProbabilities - Full state probabilities
@@ -391,16 +801,23 @@ export class QuantumSimulator {
     }
 
     /**
-     * Calculate the unitary matrix of the entire circuit
+     * Calculate the unitary matrix of the entire circuit. Column j of the unitary is the
+     * circuit applied to the basis state |j⟩, so the gates are applied to the columns of the
+     * identity in place (see applyMatrixToColumns) instead of multiplying full 2^n × 2^n matrices.
      * @param {QuantumCircuit} circuit - The circuit to analyze
      * @returns {Array} Unitary matrix representing the circuit
+     * @throws {Error} If a gate is classically controlled, since the circuit then has no single unitary
      */
     calculateUnitaryMatrix(circuit) {
         const numQubits = circuit.numQubits;
         const matrixSize = 1 << numQubits; // 2^numQubits
 
-        // Initialize identity matrix
-        let unitaryMatrix = this.createIdentityMatrix(matrixSize);
+        // Identity matrix, row-major
+        const re = new Float64Array(matrixSize * matrixSize);
+        const im = new Float64Array(matrixSize * matrixSize);
+        for (let i = 0; i < matrixSize; i++) {
+            re[i * matrixSize + i] = 1;
+        }
 
         // Process circuit column by column
         const numCols = circuit.numCols();
@@ -409,14 +826,86 @@ export class QuantumSimulator {
             const columnGates = this.getGatesAtColumn(circuit, col);
 
             for (const gate of columnGates) {
-                if (gate && gate.name !== 'measure' && gate.name !== 'barrier') {
-                    const gateMatrix = this.buildFullGateMatrix(gate, circuit, numQubits);
-                    unitaryMatrix = this.multiplyMatrices(gateMatrix, unitaryMatrix);
+                if (gate && gate.name !== 'measure' && gate.name !== 'barrier' &&
+                    gate.name !== 'reset' && gate.name !== 'noise') {
+                    if (gate.options?.condition) {
+                        throw new Error(`Circuit has no single unitary: ${gate.name} is classically controlled`);
+                    }
+                    const gateWires = this.findGateWires(circuit, gate);
+                    const gateMatrix = this.getGateMatrix(gate, circuit);
+
+                    if (gateMatrix.length !== 1 << gateWires.length) {
+                        throw new Error(`Gate ${gate.name} has a ${gateMatrix.length}×${gateMatrix.length} matrix but acts on ${gateWires.length} qubit(s)`);
+                    }
+
+                    this.applyMatrixToColumns(re, im, matrixSize, gateMatrix, gateWires);
                 }
             }
         }
 
-        return unitaryMatrix;
+        return Array.from({ length: matrixSize }, (_, i) =>
+            Array.from({ length: matrixSize }, (_, j) =>
+                this.complexMath.complex(re[i * matrixSize + j], im[i * matrixSize + j]))
+        );
+    }
+
+    /**
+     * Apply a k-qubit matrix to every column of a square matrix in place, i.e. multiply it
+     * from the left by the gate, as applyMatrix() does for a single state vector
+     * @param {Float64Array} re - Real parts, row-major
+     * @param {Float64Array} im - Imaginary parts, row-major
+     * @param {number} size - Number of rows and columns (2^n)
+     * @param {Array} matrix - 2^k × 2^k gate matrix
+     * @param {Array} wires - Target wires (wires[0] is the most significant bit of the matrix index)
+     */
+    applyMatrixToColumns(re, im, size, matrix, wires) {
+        const k = wires.length;
+        const dim = 1 << k;
+
+        // Offset of each matrix index within a block of basis states
+        const offsets = new Array(dim).fill(0);
+        for (let m = 0; m < dim; m++) {
+            for (let t = 0; t < k; t++) {
+                if ((m >> (k - 1 - t)) & 1) {
+                    offsets[m] |= 1 << wires[t];
+                }
+            }
+        }
+        const mask = offsets[dim - 1];
+
+        const matrixRe = Float64Array.from(matrix.flat(), element => element.re);
+        const matrixIm = Float64Array.from(matrix.flat(), element => element.im);
+        const rows = new Int32Array(dim);
+        const amplitudesRe = new Float64Array(dim);
+        const amplitudesIm = new Float64Array(dim);
+
+        // Each base row with all target bits cleared starts an independent block of rows
+        for (let base = 0; base < size; base++) {
+            if (base & mask) continue;
+
+            for (let m = 0; m < dim; m++) {
+                rows[m] = (base | offsets[m]) * size;
+            }
+
+            for (let col = 0; col < size; col++) {
+                for (let c = 0; c < dim; c++) {
+                    amplitudesRe[c] = re[rows[c] + col];
+                    amplitudesIm[c] = im[rows[c] + col];
+                }
+
+                for (let r = 0; r < dim; r++) {
+                    let sumRe = 0, sumIm = 0;
+                    for (let c = 0; c < dim; c++) {
+                        const elementRe = matrixRe[r * dim + c];
+                        const elementIm = matrixIm[r * dim + c];
+                        sumRe += elementRe * amplitudesRe[c] - elementIm * amplitudesIm[c];
+                        sumIm += elementRe * amplitudesIm[c] + elementIm * amplitudesRe[c];
+                    }
+                    re[rows[r] + col] = sumRe;
+                    im[rows[r] + col] = sumIm;
+                }
+            }
+        }
     }
 
     /**
@@ -445,88 +934,21 @@ export class QuantumSimulator {
     buildFullGateMatrix(gate, circuit, numQubits) {
         const matrixSize = 1 << numQubits;
         const gateWires = this.findGateWires(circuit, gate);
-        const gateMatrix = this.getGateMatrix(gate);
-
-        const fullMatrix = this.createIdentityMatrix(matrixSize);
-
-        if (gateWires.length === 1) {
-            return this.buildSingleQubitFullMatrix(gateMatrix, gateWires[0], numQubits);
-        } else if (gateWires.length === 2) {
-            return this.buildTwoQubitFullMatrix(gateMatrix, gateWires[0], gateWires[1], numQubits);
-        } else if (gateWires.length === 3) {
-            // Three-qubit gates (like Toffoli) are handled by applyThreeQubitGate
-            // Full matrix construction not needed for state vector simulation
-            return fullMatrix;
-        } else {
-            // For 4+ qubit gates, return identity
-            console.warn(`Full matrix construction not implemented for ${gateWires.length}-qubit gates`);
-            return fullMatrix;
-        }
-    }
-
-    /**
-     * Build full matrix for single-qubit gate
-     * @param {Array} gateMatrix - Gate matrix (2x2)
-     * @param {number} targetQubit - Target qubit index
-     * @param {number} numQubits - Total qubits
-     * @returns {Array} Full matrix
-     */
-    buildSingleQubitFullMatrix(gateMatrix, targetQubit, numQubits) {
-        const matrixSize = 1 << numQubits;
-        const fullMatrix = [];
-
-        for (let i = 0; i < matrixSize; i++) {
-            fullMatrix[i] = [];
-            for (let j = 0; j < matrixSize; j++) {
-                const iBit = (i >> targetQubit) & 1;
-                const jBit = (j >> targetQubit) & 1;
-
-                // Check if all other bits are the same
-                const otherBitsI = i & ~(1 << targetQubit);
-                const otherBitsJ = j & ~(1 << targetQubit);
+        const gateMatrix = this.getGateMatrix(gate, circuit);
+        const k = gateWires.length;
 
-                if (otherBitsI === otherBitsJ) {
-                    fullMatrix[i][j] = gateMatrix[iBit][jBit];
-                } else {
-                    fullMatrix[i][j] = this.complexMath.complex(0, 0);
-                }
-            }
-        }
-
-        return fullMatrix;
-    }
+        // Index into the gate matrix of a basis state (wires[0] is the most significant bit)
+        const subIndex = state => gateWires.reduce((index, wire, t) => index | (((state >> wire) & 1) << (k - 1 - t)), 0);
+        const mask = gateWires.reduce((bits, wire) => bits | (1 << wire), 0);
 
-    /**
-     * Build full matrix for two-qubit gate
-     * @param {Array} gateMatrix - Gate matrix (4x4)
-     * @param {number} qubit1 - First qubit
-     * @param {number} qubit2 - Second qubit
-     * @param {number} numQubits - Total qubits
-     * @returns {Array} Full matrix
-     */
-    buildTwoQubitFullMatrix(gateMatrix, qubit1, qubit2, numQubits) {
-        const matrixSize = 1 << numQubits;
         const fullMatrix = [];
-
         for (let i = 0; i < matrixSize; i++) {
             fullMatrix[i] = [];
             for (let j = 0; j < matrixSize; j++) {
-                const iBit1 = (i >> qubit1) & 1;
-                const iBit2 = (i >> qubit2) & 1;
-                const jBit1 = (j >> qubit1) & 1;
-                const jBit2 = (j >> qubit2) & 1;
-
-                // Check if all other bits are the same
-                const otherBitsI = i & ~(1 << qubit1) & ~(1 << qubit2);
-                const otherBitsJ = j & ~(1 << qubit1) & ~(1 << qubit2);
-
-                if (otherBitsI === otherBitsJ) {
-                    const iIndex = (iBit1 << 1) | iBit2;
-                    const jIndex = (jBit1 << 1) | jBit2;
-                    fullMatrix[i][j] = gateMatrix[iIndex][jIndex];
-                } else {
-                    fullMatrix[i][j] = this.complexMath.complex(0, 0);
-                }
+                // Non-zero only if all other bits are the same
+                fullMatrix[i][j] = (i & ~mask) === (j & ~mask)
+                    ? gateMatrix[subIndex(i)][subIndex(j)]
+                    : this.complexMath.complex(0, 0);
             }
         }
 
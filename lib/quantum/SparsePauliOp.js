@@ -0,0 +1,400 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Pauli Observable Module
+ *
+ * Observables written as weighted sums of Pauli strings, e.g. 0.5*ZZ + 0.3*XI. As in
+ * measurement bitstrings, the rightmost character of a Pauli string acts on qubit 0.
+ * Expectation values are computed exactly from a state vector or density matrix, or
+ * estimated from measurement shots after rotating each qubit into the Pauli's basis.
+ */
+
+import { ComplexMath } from './ComplexMath.js';
+import { QuantumSimulator } from './QuantumSimulator.js';
+import { DensityMatrixSimulator } from './DensityMatrixSimulator.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export class SparsePauliOp {
+    /**
+     * Create an observable
+     * @param {Array|Object} terms - [pauli, coefficient] pairs, e.g. [['ZZ', 0.5], ['XI', 0.3]],
+     *        or an object such as { ZZ: 0.5, XI: 0.3 }
+     */
+    constructor(terms) {
+        const entries = Array.isArray(terms) ? terms : Object.entries(terms || {});
+        if (entries.length === 0) {
+            throw new Error('An observable needs at least one Pauli term');
+        }
+
+        this.terms = entries.map(([pauli, coeff = 1]) => {
+            if (typeof pauli !== 'string' || !/^[IXYZ]+$/.test(pauli)) {
+                throw new Error(`Invalid Pauli string: ${pauli}`);
+            }
+            if (typeof coeff !== 'number' || !Number.isFinite(coeff)) {
+                throw new Error(`Coefficient of ${pauli} must be a finite real number`);
+            }
+            return { pauli, coeff };
+        });
+
+        this.numQubits = this.terms[0].pauli.length;
+        if (this.terms.some(term => term.pauli.length !== this.numQubits)) {
+            throw new Error('All Pauli strings of an observable must have the same length');
+        }
+
+        this.complexMath = new ComplexMath();
+    }
+
+    /**
+     * Create an observable from [pauli, coefficient] pairs
+     * @param {Array} terms - e.g. [['ZZ', 0.5], ['XI', 0.3]]
+     * @returns {SparsePauliOp} New observable
+     */
+    static fromList(terms) {
+        return new SparsePauliOp(terms);
+    }
+
+    /**
+     * Create an observable from Paulis on selected qubits
+     * @param {Array} terms - [paulis, qubits, coefficient] triples; the i-th Pauli acts on the
+     *        i-th listed qubit, e.g. ['ZZ', [0, 3], -1] for -Z₀Z₃
+     * @param {number} numQubits - Number of qubits of the observable
+     * @returns {SparsePauliOp} New observable
+     */
+    static fromSparseList(terms, numQubits) {
+        return new SparsePauliOp(terms.map(([paulis, qubits, coeff = 1]) => {
+            if (paulis.length !== qubits.length) {
+                throw new Error(`Pauli string ${paulis} needs ${paulis.length} qubit indices`);
+            }
+
+            const label = new Array(numQubits).fill('I');
+            qubits.forEach((qubit, i) => {
+                if (!Number.isInteger(qubit) || qubit < 0 || qubit >= numQubits) {
+                    throw new Error('Qubit index out of range');
+                }
+                if (label[numQubits - 1 - qubit] !== 'I') {
+                    throw new Error(`Qubit ${qubit} is used twice in ${paulis}`);
+                }
+                label[numQubits - 1 - qubit] = paulis[i];
+            });
+            return [label.join(''), coeff];
+        }));
+    }
+
+    /**
+     * Parse an observable such as "0.5*ZZ + 0.3*XI - IY"
+     * @param {string} text - Sum of optionally weighted Pauli strings
+     * @returns {SparsePauliOp} New observable
+     */
+    static parse(text) {
+        const term = /\s*([+-])?\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)\s*\*?\s*)?([IXYZ]+)\s*/iy;
+        const terms = [];
+        let position = 0;
+
+        while (position < text.length) {
+            term.lastIndex = position;
+            const match = term.exec(text);
+            if (!match || (terms.length > 0 && !match[1])) {
+                throw new Error(`Invalid observable "${text}" at position ${position}`);
+            }
+
+            const coeff = match[2] === undefined ? 1 : parseFloat(match[2]);
+            terms.push([match[3].toUpperCase(), match[1] === '-' ? -coeff : coeff]);
+            position = term.lastIndex;
+        }
+
+        return new SparsePauliOp(terms);
+    }
+
+    /**
+     * Add another observable
+     * @param {SparsePauliOp} other - Observable on the same number of qubits
+     * @returns {SparsePauliOp} Sum (terms are not merged; see simplify)
+     */
+    add(other) {
+        if (other.numQubits !== this.numQubits) {
+            throw new Error(`Cannot add observables on ${this.numQubits} and ${other.numQubits} qubits`);
+        }
+        return new SparsePauliOp([...this.terms, ...other.terms].map(({ pauli, coeff }) => [pauli, coeff]));
+    }
+
+    /**
+     * Multiply by a real number
+     * @param {number} factor - Scale factor
+     * @returns {SparsePauliOp} Scaled observable
+     */
+    mul(factor) {
+        return new SparsePauliOp(this.terms.map(({ pauli, coeff }) => [pauli, coeff * factor]));
+    }
+
+    /**
+     * Merge repeated Pauli strings and drop negligible terms
+     * @param {number} tolerance - Coefficients at most this large are dropped
+     * @returns {SparsePauliOp} Simplified observable (the zero observable keeps one identity term)
+     */
+    simplify(tolerance = 1e-12) {
+        const merged = new Map();
+        this.terms.forEach(({ pauli, coeff }) => merged.set(pauli, (merged.get(pauli) || 0) + coeff));
+
+        const terms = [...merged].filter(([, coeff]) => Math.abs(coeff) > tolerance);
+        return new SparsePauliOp(terms.length > 0 ? terms : [['I'.repeat(this.numQubits), 0]]);
+    }
+
+    /**
+     * Dense matrix of the observable (2^n × 2^n, qubit 0 as the least significant bit)
+     * @returns {Array} Complex matrix
+     */
+    toMatrix() {
+        const size = 1 << this.numQubits;
+        const matrix = Array.from({ length: size }, () =>
+            Array.from({ length: size }, () => this.complexMath.complex(0, 0)));
+
+        for (const term of this.terms) {
+            const { flip, phase } = this.getMasks(term.pauli);
+            for (let i = 0; i < size; i++) {
+                // P|i⟩ = phase(i)|i ^ flip⟩
+                const value = this.complexMath.scale(phase(i), term.coeff);
+                matrix[i ^ flip][i] = this.complexMath.add(matrix[i ^ flip][i], value);
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Exact expectation value
+     * @param {QuantumCircuit|Array} state - Circuit without measurements, state vector (complex
+     *        amplitudes) or density matrix
+     * @param {Object} options - Simulation options for circuits (backend, noiseModel)
+     * @returns {number} ⟨O⟩
+     */
+    expectation(state, options = {}) {
+        let target = state;
+        if (!Array.isArray(state)) {
+            const results = this.simulate(state, { ...options, shots: 1 });
+            target = results.densityMatrix || results.stateVector;
+        }
+
+        const isDensityMatrix = Array.isArray(target[0]);
+        if (target.length !== 1 << this.numQubits) {
+            throw new Error(`Observable acts on ${this.numQubits} qubit(s) but the state has ${Math.log2(target.length)}`);
+        }
+
+        const cm = this.complexMath;
+        const entry = z => typeof z === 'number' ? cm.complex(z, 0) : z;
+        let value = 0;
+
+        for (const term of this.terms) {
+            const { flip, phase } = this.getMasks(term.pauli);
+            let sum = cm.complex(0, 0);
+            for (let i = 0; i < target.length; i++) {
+                // Tr(ρP) = Σ ρ[i][i^flip]·phase(i);  ⟨ψ|P|ψ⟩ = Σ conj(ψ[i^flip])·phase(i)·ψ[i]
+                const product = isDensityMatrix
+                    ? cm.multiply(entry(target[i][i ^ flip]), phase(i))
+                    : cm.multiply(cm.conjugate(entry(target[i ^ flip])), cm.multiply(phase(i), entry(target[i])));
+                sum = cm.add(sum, product);
+            }
+            value += term.coeff * sum.re;
+        }
+        return value;
+    }
+
+    /**
+     * Estimate the expectation value from measurement shots. Terms are grouped into sets
+     * that can be measured together (each qubit in a single Pauli basis); each group rotates
+     * its qubits into that basis, runs the circuit and averages the eigenvalues of the outcomes.
+     * @param {QuantumCircuit} circuit - State preparation circuit without measurements
+     * @param {Object} options - Run options
+     * @param {number} options.shots - Shots per measurement group (default: 1024)
+     * @param {number|string} options.seed - Seed for reproducible estimates
+     * @param {string} options.backend - Simulation backend, as for circuit.run()
+     * @param {NoiseModel} options.noiseModel - Noise model for the density matrix backend
+     * @param {ReadoutError|Object} options.readoutErrors - Readout errors (density matrix backend)
+     * @returns {Object} {value, standardError, shots, groups}
+     */
+    estimate(circuit, options = {}) {
+        const { shots = 1024 } = options;
+        const rng = options.rng || new SeededRandom(options.seed);
+        const groups = this.groupCommuting();
+
+        let value = 0;
+        let variance = 0;
+
+        for (const group of groups) {
+            if (group.basis === null) {
+                // Identity terms need no measurement
+                value += group.terms.reduce((sum, term) => sum + term.coeff, 0);
+                continue;
+            }
+
+            const measured = circuit.copy();
+            [...group.basis].reverse().forEach((pauli, qubit) => {
+                if (pauli === 'X') {
+                    measured.addGate('h', -1, qubit);
+                } else if (pauli === 'Y') {
+                    measured.addGate('sdg', -1, qubit);
+                    measured.addGate('h', -1, qubit);
+                }
+            });
+
+            const { counts } = this.simulate(measured, { ...options, shots, rng });
+
+            // Each shot gives Σ coeff·(-1)^(parity of the term's qubits)
+            let sum = 0;
+            let sumOfSquares = 0;
+            for (const [bitstring, count] of Object.entries(counts)) {
+                const index = parseInt(bitstring, 2);
+                const sample = group.terms.reduce((total, term) =>
+                    total + term.coeff * (this.parity(index & this.getSupport(term.pauli)) ? -1 : 1), 0);
+                sum += count * sample;
+                sumOfSquares += count * sample * sample;
+            }
+
+            const mean = sum / shots;
+            value += mean;
+            variance += Math.max(0, sumOfSquares / shots - mean * mean) / shots;
+        }
+
+        return {
+            value,
+            standardError: Math.sqrt(variance),
+            shots,
+            groups: groups.filter(group => group.basis !== null).length
+        };
+    }
+
+    /**
+     * Group terms that can be measured in a shared basis (qubit-wise commuting)
+     * @returns {Array} Groups {basis, terms}; basis names the Pauli measured on each qubit (I where
+     *          none is needed), or is null for the identity terms
+     */
+    groupCommuting() {
+        const identity = { basis: null, terms: [] };
+        const groups = [];
+
+        for (const term of this.terms) {
+            if (/^I+$/.test(term.pauli)) {
+                identity.terms.push(term);
+                continue;
+            }
+
+            const compatible = group => [...term.pauli].every((pauli, i) =>
+                pauli === 'I' || group.basis[i] === 'I' || group.basis[i] === pauli);
+            let group = groups.find(compatible);
+            if (!group) {
+                group = { basis: 'I'.repeat(this.numQubits), terms: [] };
+                groups.push(group);
+            }
+
+            group.basis = [...group.basis].map((pauli, i) => term.pauli[i] !== 'I' ? term.pauli[i] : pauli).join('');
+            group.terms.push(term);
+        }
+
+        return identity.terms.length > 0 ? [identity, ...groups] : groups;
+    }
+
+    /**
+     * Simulate a circuit for expectation values (density matrix when it has noise or resets)
+     * @param {QuantumCircuit} circuit - Circuit without measurements
+     * @param {Object} options - Simulation options
+     * @returns {Object} Simulator results
+     */
+    simulate(circuit, options) {
+        if (circuit.numQubits !== this.numQubits) {
+            throw new Error(`Observable acts on ${this.numQubits} qubit(s) but the circuit has ${circuit.numQubits}`);
+        }
+
+        let hasReset = false;
+        circuit.forEachGate(gate => {
+            if (gate.name === 'measure') {
+                throw new Error('Remove measurements from the circuit before computing expectation values');
+            }
+            hasReset = hasReset || gate.name === 'reset';
+        });
+
+        const noiseModel = options.noiseModel || circuit.noiseModel;
+        const isNoisy = circuit.hasNoise() || noiseModel || options.readoutErrors || hasReset;
+        const backend = options.backend || (isNoisy ? 'density_matrix' : 'statevector');
+
+        if (backend === 'density_matrix') {
+            return new DensityMatrixSimulator().simulate(circuit, { ...options, noiseModel });
+        }
+        if (backend === 'statevector') {
+            if (isNoisy) {
+                throw new Error('Noise and resets require the density_matrix backend');
+            }
+            return new QuantumSimulator().simulate(circuit, options);
+        }
+        throw new Error(`Unknown simulation backend: ${backend}`);
+    }
+
+    /**
+     * Bit masks of a Pauli string
+     * @param {string} pauli - Pauli string (rightmost character is qubit 0)
+     * @returns {Object} {flip, phase}: P|i⟩ = phase(i)|i ^ flip⟩
+     */
+    getMasks(pauli) {
+        let flip = 0;
+        let sign = 0;
+        let numY = 0;
+        [...pauli].reverse().forEach((p, qubit) => {
+            if (p === 'X' || p === 'Y') flip |= 1 << qubit;
+            if (p === 'Z' || p === 'Y') sign |= 1 << qubit;
+            if (p === 'Y') numY++;
+        });
+
+        // Y = i·X·Z: each Y contributes a factor i, each Z or Y a sign (-1)^bit
+        const powers = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const [re, im] = powers[numY % 4];
+        const phase = i => this.parity(i & sign)
+            ? this.complexMath.complex(-re, -im)
+            : this.complexMath.complex(re, im);
+        return { flip, phase };
+    }
+
+    /**
+     * Mask of the qubits a Pauli string acts on
+     * @param {string} pauli - Pauli string
+     * @returns {number} Bit mask (bit q set if qubit q is not I)
+     */
+    getSupport(pauli) {
+        return [...pauli].reverse().reduce((mask, p, qubit) => p === 'I' ? mask : mask | (1 << qubit), 0);
+    }
+
+    /**
+     * @param {number} value - Integer
+     * @returns {boolean} True if an odd number of bits are set
+     */
+    parity(value) {
+        let odd = false;
+        for (let v = value; v; v &= v - 1) {
+            odd = !odd;
+        }
+        return odd;
+    }
+
+    /**
+     * @returns {string} e.g. "0.5*ZZ + 0.3*XI - 0.2*IY"
+     */
+    toString() {
+        return this.terms.map(({ pauli, coeff }, i) => {
+            const sign = coeff < 0 ? '-' : '+';
+            const magnitude = Math.abs(coeff) === 1 ? pauli : `${Math.abs(coeff)}*${pauli}`;
+            return i === 0 ? `${coeff < 0 ? '-' : ''}${magnitude}` : ` ${sign} ${magnitude}`;
+        }).join('');
+    }
+
+    /**
+     * Export observable as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { terms: this.terms.map(({ pauli, coeff }) => [pauli, coeff]) };
+    }
+
+    /**
+     * Create observable from JSON
+     * @param {Object} json - JSON representation
+     * @returns {SparsePauliOp} New observable
+     */
+    static fromJSON(json) {
+        return new SparsePauliOp(json.terms);
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Stabilizer Simulator Module
+ *
+ * Simulates Clifford circuits (H, S, CX, CZ, Paulis, SWAP, measurement and reset) on a
+ * stabilizer tableau, so protocols such as EPR distribution and GHZ preparation scale to
+ * hundreds of qubits. Shares the circuit format and sampling of QuantumSimulator; results
+ * list the stabilizer generators instead of a state vector.
+ */
+
+import { QuantumSimulator } from './QuantumSimulator.js';
+import { StabilizerState } from './StabilizerState.js';
+
+// Gates the tableau can apply (besides measure, reset and barrier)
+const CLIFFORD_GATES = ['id', 'x', 'y', 'z', 'h', 's', 'sdg', 'sx', 'cx', 'cy', 'cz', 'swap', 'iswap'];
+
+// Largest circuit whose results list the probability of every basis state
+const MAX_PROBABILITY_QUBITS = 16;
+
+// Most classical outcomes listed in idealProbabilities
+const MAX_IDEAL_OUTCOMES = 4096;
+
+// Random mid-circuit outcomes are enumerated exactly up to this many branches; beyond that,
+// shots are split between outcomes (see QuantumSimulator.splitOutcomes)
+const MAX_EXACT_BRANCHES = 256;
+
+export class StabilizerSimulator extends QuantumSimulator {
+    /**
+     * Create a new stabilizer simulator
+     * @param {Object} options - Simulator options (see QuantumSimulator)
+     */
+    constructor(options = {}) {
+        super(options);
+    }
+
+    /**
+     * Check whether a circuit only uses Clifford gates, measurements, resets and barriers
+     * @param {QuantumCircuit} circuit - The circuit
+     * @returns {boolean} True if the stabilizer simulator can run the circuit
+     */
+    static supportsCircuit(circuit) {
+        return StabilizerSimulator.findUnsupportedGate(circuit) === null;
+    }
+
+    /**
+     * Find the first gate the stabilizer simulator cannot apply
+     * @param {QuantumCircuit} circuit - The circuit
+     * @returns {Object|null} Gate, or null if all gates are supported
+     */
+    static findUnsupportedGate(circuit) {
+        let unsupported = null;
+        circuit.forEachGate(gate => {
+            const supported = ['measure', 'reset', 'barrier'].includes(gate.name) ||
+                (CLIFFORD_GATES.includes(gate.name) && !circuit.customGates?.[gate.name]);
+            if (!supported && !unsupported) {
+                unsupported = gate;
+            }
+        });
+        return unsupported;
+    }
+
+    /**
+     * Simulate a Clifford circuit
+     * @param {QuantumCircuit} circuit - The circuit to simulate
+     * @param {Object} options - Simulation options
+     * @param {number} options.shots - Number of measurement samples (default: 1024)
+     * @param {number|string} options.seed - Seed for this run (overrides the simulator seed)
+     * @param {Object} options.rng - Custom random generator for this run
+     * @param {Function} options.onProgress - Called with {completed, total} columns after each column
+     * @returns {Object} Simulation results: stabilizers and blochVectors of the final state instead
+     *          of stateVector; probabilities is null above 16 qubits and idealProbabilities is null
+     *          when there are more than 4096 possible outcomes
+     */
+    simulate(circuit, options = {}) {
+        const { shots = 1024 } = options;
+        const rng = this.createRandom(options);
+
+        if (!Number.isInteger(shots) || shots < 1) {
+            throw new Error('Number of shots must be a positive integer');
+        }
+
+        const unsupported = StabilizerSimulator.findUnsupportedGate(circuit);
+        if (unsupported) {
+            throw new Error(`Gate ${unsupported.name} is not a Clifford gate; the stabilizer backend supports ${CLIFFORD_GATES.join(', ')}, measure and reset`);
+        }
+
+        const numQubits = circuit.numQubits;
+        const deferred = this.findDeferredMeasurements(circuit);
+
+        // Each branch is one history of random mid-circuit measurement/reset outcomes, carrying
+        // the shots that follow it (see QuantumSimulator.simulate)
+        let branches = [{ state: new StabilizerState(numQubits), probability: 1, shots, clbits: {}, history: null }];
+
+        const numCols = circuit.numCols();
+
+        for (let col = 0; col < numCols; col++) {
+            const columnGates = this.getGatesAtColumn(circuit, col);
+
+            for (const gate of columnGates) {
+                if (!gate || gate.name === 'barrier' || deferred.has(gate.id)) {
+                    continue;
+                }
+
+                const exact = (gate.name === 'measure' || gate.name === 'reset') && branches.length * 2 <= MAX_EXACT_BRANCHES;
+
+                branches = branches.flatMap(branch => {
+                    if (!this.isConditionMet(gate.options?.condition, branch.clbits)) {
+                        return [branch];
+                    }
+
+                    if (gate.name === 'measure') {
+                        return this.measureBranch(branch, gate, circuit, exact, rng);
+                    }
+                    if (gate.name === 'reset') {
+                        return this.resetBranch(branch, gate, circuit, exact, rng);
+                    }
+
+                    this.applyGate(branch.state, gate, circuit);
+                    return [branch];
+                });
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ completed: col + 1, total: numCols });
+            }
+        }
+
+        // Final measurements of each branch, as constants XOR parities of random bits
+        const outcomeBits = this.getOutcomeBits(circuit, deferred);
+        const readoutWires = [...new Set(outcomeBits.bits.map(({ wire }) => wire))];
+        const readouts = branches.map(branch => this.describeReadout(branch.state, readoutWires));
+        const shotBranches = this.assignShots(branches, rng);
+
+        const memory = new Array(shots);
+        const counts = {};
+        let firstShot = null;
+
+        for (let shot = 0; shot < shots; shot++) {
+            const branchIndex = shotBranches[shot];
+            const branch = branches[branchIndex];
+            const readout = readouts[branchIndex];
+            const values = this.evaluateReadout(readout, numQubits, this.randomAssignment(readout.numVariables, rng));
+            const outcome = this.formatOutcome(values, outcomeBits, branch.clbits);
+
+            memory[shot] = outcome;
+            counts[outcome] = (counts[outcome] || 0) + 1;
+
+            if (shot === 0) {
+                firstShot = { branch, values };
+            }
+        }
+
+        const measurementResults = this.handleMeasurements(circuit, firstShot.branch, firstShot.values);
+        const finalState = firstShot.branch.state;
+
+        const results = {
+            stabilizers: finalState.getStabilizers(),
+            blochVectors: null,
+            probabilities: numQubits <= MAX_PROBABILITY_QUBITS ? this.calculateBasisProbabilities(branches) : null,
+            measurements: measurementResults,
+            shots: shots,
+            seed: rng.seed ?? null,
+            counts: counts,
+            memory: memory,
+            idealProbabilities: null,
+            numQubits: numQubits
+        };
+
+        this.defineLazyResult(results, 'blochVectors',
+            () => Array.from({ length: numQubits }, (_, wire) => finalState.blochVector(wire)));
+        this.defineLazyResult(results, 'idealProbabilities',
+            () => this.calculateIdealOutcomes(branches, readouts, outcomeBits));
+        return results;
+    }
+
+    /**
+     * Apply a Clifford gate to a stabilizer state
+     * @param {StabilizerState} state - Current state, updated in place
+     * @param {Object} gate - Gate to apply
+     * @param {QuantumCircuit} circuit - The circuit
+     * @returns {StabilizerState} Updated state
+     */
+    applyGate(state, gate, circuit) {
+        return state.applyGate(gate.name, this.findGateWires(circuit, gate));
+    }
+
+    /**
+     * Measure one qubit of a branch in the Z basis. Deterministic outcomes keep a single branch;
+     * random ones have probability 1/2 each and are followed as in QuantumSimulator.splitOutcomes,
+     * so the tableau is only cloned when both outcomes are followed.
+     * @param {Object} branch - Branch {state, probability, shots}
+     * @param {number} wire - Measured qubit
+     * @param {boolean} exact - Keep both random outcomes
+     * @param {Object} rng - Random generator
+     * @returns {Array} Outcomes to follow [{outcome, probability, shots, state}]
+     */
+    collapseBranch(branch, wire, exact, rng) {
+        if (branch.state.isDeterministic(wire)) {
+            const outcome = branch.state.measure(wire);
+            return [{ outcome, probability: branch.probability, shots: branch.shots, state: branch.state }];
+        }
+
+        // The last outcome reuses the branch's tableau
+        const outcomes = this.splitOutcomes(branch, 0.5, exact, rng);
+        return outcomes.map(({ outcome, probability, shots }, i) => {
+            const state = i === outcomes.length - 1 ? branch.state : branch.state.clone();
+            state.measure(wire, outcome);
+            return { outcome, probability, shots, state };
+        });
+    }
+
+    /**
+     * Check whether two branch states are equal. Tableaus are not in a canonical form, so reset
+     * branches are kept apart (they are exact either way).
+     * @returns {boolean} Always false
+     */
+    isSameState() {
+        return false;
+    }
+
+    /**
+     * Measure the readout qubits of a final state with their random outcomes left open
+     * @param {StabilizerState} state - Final state (not modified)
+     * @param {Array} wires - Qubits read out
+     * @returns {Object} {wires, constants, masks, numVariables}
+     */
+    describeReadout(state, wires) {
+        const copy = state.clone();
+        const measured = wires.map(wire => copy.measureAffine(wire));
+        return {
+            wires,
+            constants: measured.map(({ constant }) => constant),
+            masks: measured.map(({ mask }) => mask),
+            numVariables: copy.numVariables
+        };
+    }
+
+    /**
+     * Draw the random bits of a readout
+     * @param {number} numVariables - Number of random bits
+     * @param {Object} rng - Random generator
+     * @returns {Uint32Array} Bit set of the random bits
+     */
+    randomAssignment(numVariables, rng) {
+        const assignment = new Uint32Array(Math.ceil(numVariables / 32) || 1);
+        for (let v = 0; v < numVariables; v++) {
+            if (rng.random() < 0.5) {
+                assignment[v >> 5] |= 1 << (v & 31);
+            }
+        }
+        return assignment;
+    }
+
+    /**
+     * Measured value of each readout qubit for given random bits
+     * @param {Object} readout - Result of describeReadout()
+     * @param {number} numQubits - Number of qubits
+     * @param {Uint32Array} assignment - Random bits
+     * @returns {Uint8Array} Value of each qubit (0 for qubits that are not read out)
+     */
+    evaluateReadout(readout, numQubits, assignment) {
+        const values = new Uint8Array(numQubits);
+        readout.wires.forEach((wire, i) => {
+            const mask = readout.masks[i];
+            let parity = readout.constants[i];
+            for (let w = 0; w < assignment.length; w++) {
+                let bits = mask[w] & assignment[w];
+                bits ^= bits >>> 16;
+                bits ^= bits >>> 8;
+                bits ^= bits >>> 4;
+                bits ^= bits >>> 2;
+                bits ^= bits >>> 1;
+                parity ^= bits & 1;
+            }
+            values[wire] = parity;
+        });
+        return values;
+    }
+
+    /**
+     * Read a qubit of a sampled shot (see QuantumSimulator.handleMeasurements)
+     * @param {Uint8Array} values - Value of each qubit
+     * @param {number} wire - Qubit
+     * @returns {number} 0 or 1
+     */
+    readBit(values, wire) {
+        return values[wire];
+    }
+
+    /**
+     * Format a shot as a classical bitstring (bit 0 is the rightmost character)
+     * @param {Uint8Array} values - Value of each qubit at readout
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @param {Object} clbits - Bits already recorded by mid-circuit measurements
+     * @returns {string} Classical bitstring
+     */
+    formatOutcome(values, outcomeBits, clbits = {}) {
+        if (outcomeBits.direct) {
+            let outcome = '';
+            for (let wire = outcomeBits.width - 1; wire >= 0; wire--) {
+                outcome += values[wire];
+            }
+            return outcome;
+        }
+        return super.formatOutcome(values, outcomeBits, clbits);
+    }
+
+    /**
+     * Probability of each basis state, averaged over the branches. A stabilizer state is an
+     * equal superposition of the 2^k basis states its Z measurements can give.
+     * @param {Array} branches - Final branches of the simulation
+     * @returns {Array} Probabilities by basis state index
+     */
+    calculateBasisProbabilities(branches) {
+        const numQubits = branches[0].state.numQubits;
+        const wires = Array.from({ length: numQubits }, (_, wire) => wire);
+        const probabilities = new Array(1 << numQubits).fill(0);
+
+        for (const branch of branches) {
+            const readout = this.describeReadout(branch.state, wires);
+            const numOutcomes = 2 ** readout.numVariables;
+            for (let v = 0; v < numOutcomes; v++) {
+                const values = this.evaluateReadout(readout, numQubits, Uint32Array.of(v));
+                const index = values.reduce((sum, value, wire) => sum | (value << wire), 0);
+                probabilities[index] += branch.probability / numOutcomes;
+            }
+        }
+        return probabilities;
+    }
+
+    /**
+     * Calculate the ideal probability of each classical outcome
+     * @param {Array} branches - Final branches of the simulation
+     * @param {Array} readouts - Result of describeReadout() for each branch
+     * @param {Object} outcomeBits - Result of getOutcomeBits()
+     * @returns {Object|null} Map from classical bitstring to probability, or null if there are
+     *          more than MAX_IDEAL_OUTCOMES outcomes
+     */
+    calculateIdealOutcomes(branches, readouts, outcomeBits) {
+        const total = readouts.reduce((sum, readout) => sum + 2 ** readout.numVariables, 0);
+        if (total > MAX_IDEAL_OUTCOMES) {
+            return null;
+        }
+
+        const numQubits = branches[0].state.numQubits;
+        const outcomes = {};
+        branches.forEach((branch, b) => {
+            const numOutcomes = 2 ** readouts[b].numVariables;
+            for (let v = 0; v < numOutcomes; v++) {
+                const values = this.evaluateReadout(readouts[b], numQubits, Uint32Array.of(v));
+                const outcome = this.formatOutcome(values, outcomeBits, branch.clbits);
+                outcomes[outcome] = (outcomes[outcome] || 0) + branch.probability / numOutcomes;
+            }
+        });
+        return outcomes;
+    }
+}
@@ -0,0 +1,459 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * Stabilizer State Module
+ *
+ * Clifford states as an Aaronson-Gottesman (CHP) tableau: n destabilizer and n stabilizer
+ * generators, each a Pauli string stored as x and z bits per qubit with a sign bit (x and z
+ * both set is Y). Clifford gates update the tableau in O(n) and measurements in O(n²), so
+ * circuits of hundreds of qubits can be simulated.
+ */
+
+export class StabilizerState {
+    /**
+     * Create the stabilizer state |00...0⟩
+     * @param {number} numQubits - Number of qubits
+     */
+    constructor(numQubits) {
+        this.numQubits = numQubits;
+
+        // Rows 0..n-1 are destabilizers, n..2n-1 stabilizers and 2n a scratch row
+        const numRows = 2 * numQubits + 1;
+        this.x = new Uint8Array(numRows * numQubits);
+        this.z = new Uint8Array(numRows * numQubits);
+        this.r = new Uint8Array(numRows);
+
+        // Signs as random bits of measureAffine(), one bit mask per row (allocated on first use)
+        this.signMasks = null;
+        this.numVariables = 0;
+
+        for (let i = 0; i < numQubits; i++) {
+            this.x[i * numQubits + i] = 1;
+            this.z[(numQubits + i) * numQubits + i] = 1;
+        }
+    }
+
+    /**
+     * Copy the state
+     * @returns {StabilizerState} Independent copy
+     */
+    clone() {
+        const copy = new StabilizerState(0);
+        copy.numQubits = this.numQubits;
+        copy.x = this.x.slice();
+        copy.z = this.z.slice();
+        copy.r = this.r.slice();
+        copy.signMasks = this.signMasks ? this.signMasks.slice() : null;
+        copy.numVariables = this.numVariables;
+        return copy;
+    }
+
+    /**
+     * Apply a Clifford gate
+     * @param {string} name - Gate name (id, x, y, z, h, s, sdg, sx, cx, cy, cz, swap or iswap)
+     * @param {Array} wires - Gate wires ([control, target] for controlled gates)
+     * @returns {StabilizerState} This state
+     */
+    applyGate(name, wires) {
+        const [a, b] = wires;
+        switch (name) {
+            case 'id':
+                break;
+            case 'x':
+                this.pauli(a, 0, 1);
+                break;
+            case 'y':
+                this.pauli(a, 1, 1);
+                break;
+            case 'z':
+                this.pauli(a, 1, 0);
+                break;
+            case 'h':
+                this.h(a);
+                break;
+            case 's':
+                this.s(a);
+                break;
+            case 'sdg':
+                this.sdg(a);
+                break;
+            case 'sx':
+                // √X = H S H up to a global phase
+                this.h(a);
+                this.s(a);
+                this.h(a);
+                break;
+            case 'cx':
+                this.cx(a, b);
+                break;
+            case 'cy':
+                this.sdg(b);
+                this.cx(a, b);
+                this.s(b);
+                break;
+            case 'cz':
+                this.h(b);
+                this.cx(a, b);
+                this.h(b);
+                break;
+            case 'swap':
+                this.swap(a, b);
+                break;
+            case 'iswap':
+                // iSWAP = SWAP · CZ · (S ⊗ S)
+                this.s(a);
+                this.s(b);
+                this.h(b);
+                this.cx(a, b);
+                this.h(b);
+                this.swap(a, b);
+                break;
+            default:
+                throw new Error(`Gate ${name} is not a Clifford gate supported by the stabilizer simulator`);
+        }
+        return this;
+    }
+
+    /**
+     * Apply a Pauli gate: rows anticommuting with it change sign
+     * @param {number} wire - Qubit
+     * @param {number} flipX - 1 if rows with an X component anticommute (Z and Y gates)
+     * @param {number} flipZ - 1 if rows with a Z component anticommute (X and Y gates)
+     */
+    pauli(wire, flipX, flipZ) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            this.r[i] ^= (flipX & this.x[i * n + wire]) ^ (flipZ & this.z[i * n + wire]);
+        }
+    }
+
+    /**
+     * Hadamard: X ↔ Z, Y → -Y
+     * @param {number} wire - Qubit
+     */
+    h(wire) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            const index = i * n + wire;
+            const x = this.x[index];
+            const z = this.z[index];
+            this.r[i] ^= x & z;
+            this.x[index] = z;
+            this.z[index] = x;
+        }
+    }
+
+    /**
+     * Phase gate: X → Y, Y → -X
+     * @param {number} wire - Qubit
+     */
+    s(wire) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            const index = i * n + wire;
+            this.r[i] ^= this.x[index] & this.z[index];
+            this.z[index] ^= this.x[index];
+        }
+    }
+
+    /**
+     * Inverse phase gate: X → -Y, Y → X
+     * @param {number} wire - Qubit
+     */
+    sdg(wire) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            const index = i * n + wire;
+            this.r[i] ^= this.x[index] & (this.z[index] ^ 1);
+            this.z[index] ^= this.x[index];
+        }
+    }
+
+    /**
+     * Controlled NOT
+     * @param {number} control - Control qubit
+     * @param {number} target - Target qubit
+     */
+    cx(control, target) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            const c = i * n + control;
+            const t = i * n + target;
+            this.r[i] ^= this.x[c] & this.z[t] & (this.x[t] ^ this.z[c] ^ 1);
+            this.x[t] ^= this.x[c];
+            this.z[c] ^= this.z[t];
+        }
+    }
+
+    /**
+     * Swap two qubits
+     * @param {number} a - First qubit
+     * @param {number} b - Second qubit
+     */
+    swap(a, b) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            const p = i * n + a;
+            const q = i * n + b;
+            [this.x[p], this.x[q]] = [this.x[q], this.x[p]];
+            [this.z[p], this.z[q]] = [this.z[q], this.z[p]];
+        }
+    }
+
+    /**
+     * Flip a qubit (Pauli X)
+     * @param {number} wire - Qubit to flip
+     * @returns {StabilizerState} This state
+     */
+    flip(wire) {
+        this.pauli(wire, 0, 1);
+        return this;
+    }
+
+    /**
+     * Multiply row h by row i (the CHP rowsum), keeping track of the sign
+     * @param {number} h - Row to update
+     * @param {number} i - Row to multiply by
+     */
+    rowsum(h, i) {
+        const n = this.numQubits;
+        const x = this.x, z = this.z;
+
+        // Power of i picked up by multiplying the Paulis qubit by qubit
+        let phase = 0;
+        for (let j = 0; j < n; j++) {
+            const p = i * n + j;
+            const q = h * n + j;
+            const x1 = x[p], z1 = z[p], x2 = x[q], z2 = z[q];
+            if (x1 && z1) {
+                phase += z2 - x2;
+            } else if (x1) {
+                phase += z2 * (2 * x2 - 1);
+            } else if (z1) {
+                phase += x2 * (1 - 2 * z2);
+            }
+            x[q] = x2 ^ x1;
+            z[q] = z2 ^ z1;
+        }
+
+        this.r[h] ^= this.r[i] ^ (((phase % 4) + 4) % 4 === 2 ? 1 : 0);
+        if (this.signMasks) {
+            const words = this.signMasks.length / this.r.length;
+            for (let w = 0; w < words; w++) {
+                this.signMasks[h * words + w] ^= this.signMasks[i * words + w];
+            }
+        }
+    }
+
+    /**
+     * Clear a row to the identity with a + sign
+     * @param {number} row - Row index
+     */
+    clearRow(row) {
+        const n = this.numQubits;
+        this.x.fill(0, row * n, (row + 1) * n);
+        this.z.fill(0, row * n, (row + 1) * n);
+        this.r[row] = 0;
+        if (this.signMasks) {
+            const words = this.signMasks.length / this.r.length;
+            this.signMasks.fill(0, row * words, (row + 1) * words);
+        }
+    }
+
+    /**
+     * Copy row from into row to
+     * @param {number} to - Destination row
+     * @param {number} from - Source row
+     */
+    copyRow(to, from) {
+        const n = this.numQubits;
+        this.x.copyWithin(to * n, from * n, (from + 1) * n);
+        this.z.copyWithin(to * n, from * n, (from + 1) * n);
+        this.r[to] = this.r[from];
+        if (this.signMasks) {
+            const words = this.signMasks.length / this.r.length;
+            this.signMasks.copyWithin(to * words, from * words, (from + 1) * words);
+        }
+    }
+
+    /**
+     * Find a stabilizer generator that anticommutes with Z on a qubit
+     * @param {number} wire - Qubit
+     * @returns {number} Row index, or -1 if a Z measurement of the qubit is deterministic
+     */
+    findAnticommutingStabilizer(wire) {
+        const n = this.numQubits;
+        for (let p = n; p < 2 * n; p++) {
+            if (this.x[p * n + wire]) return p;
+        }
+        return -1;
+    }
+
+    /**
+     * Check whether measuring a qubit has a certain outcome
+     * @param {number} wire - Qubit
+     * @returns {boolean} True if the outcome is deterministic
+     */
+    isDeterministic(wire) {
+        return this.findAnticommutingStabilizer(wire) < 0;
+    }
+
+    /**
+     * Measure a qubit in the Z basis
+     * @param {number} wire - Qubit to measure
+     * @param {number} outcome - Outcome to collapse to if the measurement is random (default: 0)
+     * @returns {number} Measured value, 0 or 1
+     */
+    measure(wire, outcome = 0) {
+        const p = this.findAnticommutingStabilizer(wire);
+        if (p >= 0) {
+            this.collapse(wire, p);
+            this.r[p] = outcome;
+            return outcome;
+        }
+
+        this.computeDeterministicRow(wire);
+        return this.r[2 * this.numQubits];
+    }
+
+    /**
+     * Measure a qubit with random outcomes left open. Each random measurement introduces a new
+     * random bit; every outcome is returned as a constant XOR the parity of some of these bits,
+     * so one pass over the final measurements describes all shots.
+     * @param {number} wire - Qubit to measure
+     * @returns {Object} {constant, mask} where mask is a Uint32Array bit set of random bits
+     */
+    measureAffine(wire) {
+        const numRows = this.r.length;
+        const words = Math.ceil(this.numQubits / 32) || 1;
+        if (!this.signMasks) {
+            this.signMasks = new Uint32Array(numRows * words);
+        }
+
+        const p = this.findAnticommutingStabilizer(wire);
+        if (p >= 0) {
+            if (this.numVariables === words * 32) {
+                throw new Error('Too many random measurement outcomes');
+            }
+            this.collapse(wire, p);
+            this.r[p] = 0;
+            const variable = this.numVariables++;
+            this.signMasks[p * words + (variable >> 5)] = 1 << (variable & 31);
+        } else {
+            this.computeDeterministicRow(wire);
+        }
+
+        const row = p >= 0 ? p : 2 * this.numQubits;
+        return {
+            constant: this.r[row],
+            mask: this.signMasks.slice(row * words, (row + 1) * words)
+        };
+    }
+
+    /**
+     * Collapse a random Z measurement: rows anticommuting with Z are multiplied by stabilizer
+     * p, whose destabilizer becomes the old stabilizer and which becomes ±Z on the qubit
+     * @param {number} wire - Measured qubit
+     * @param {number} p - Stabilizer row anticommuting with Z (findAnticommutingStabilizer)
+     */
+    collapse(wire, p) {
+        const n = this.numQubits;
+        for (let i = 0; i < 2 * n; i++) {
+            if (i !== p && this.x[i * n + wire]) {
+                this.rowsum(i, p);
+            }
+        }
+
+        this.copyRow(p - n, p);
+        this.clearRow(p);
+        this.z[p * n + wire] = 1;
+    }
+
+    /**
+     * Build ±Z on a qubit in the scratch row from the stabilizers (deterministic measurement)
+     * @param {number} wire - Measured qubit
+     */
+    computeDeterministicRow(wire) {
+        const n = this.numQubits;
+        const scratch = 2 * n;
+        this.clearRow(scratch);
+        for (let i = 0; i < n; i++) {
+            if (this.x[i * n + wire]) {
+                this.rowsum(scratch, i + n);
+            }
+        }
+    }
+
+    /**
+     * Expectation value of a Pauli string: ±1 if ±P stabilizes the state, 0 otherwise
+     * @param {string} pauli - Pauli string (rightmost character is qubit 0), e.g. 'ZZ' or 'XIY'
+     * @returns {number} -1, 0 or 1
+     */
+    expectation(pauli) {
+        const n = this.numQubits;
+        if (pauli.length !== n) {
+            throw new Error(`Pauli string ${pauli} does not act on ${n} qubits`);
+        }
+
+        const px = new Uint8Array(n);
+        const pz = new Uint8Array(n);
+        [...pauli].reverse().forEach((p, qubit) => {
+            if (!'IXYZ'.includes(p)) {
+                throw new Error(`Invalid Pauli ${p} in ${pauli}`);
+            }
+            px[qubit] = p === 'X' || p === 'Y' ? 1 : 0;
+            pz[qubit] = p === 'Z' || p === 'Y' ? 1 : 0;
+        });
+
+        const anticommutes = row => {
+            let parity = 0;
+            for (let j = 0; j < n; j++) {
+                parity ^= (this.x[row * n + j] & pz[j]) ^ (this.z[row * n + j] & px[j]);
+            }
+            return parity === 1;
+        };
+
+        for (let i = n; i < 2 * n; i++) {
+            if (anticommutes(i)) return 0;
+        }
+
+        // P commutes with the stabilizer group, so ±P is the product of the stabilizers whose
+        // destabilizers anticommute with P
+        const scratch = 2 * n;
+        this.clearRow(scratch);
+        for (let i = 0; i < n; i++) {
+            if (anticommutes(i)) {
+                this.rowsum(scratch, i + n);
+            }
+        }
+        return this.r[scratch] ? -1 : 1;
+    }
+
+    /**
+     * Bloch vector of one qubit (each component is -1, 0 or 1)
+     * @param {number} wire - Qubit
+     * @returns {Object} {x, y, z, purity}
+     */
+    blochVector(wire) {
+        const single = p => this.expectation('I'.repeat(this.numQubits - 1 - wire) + p + 'I'.repeat(wire));
+        const x = single('X'), y = single('Y'), z = single('Z');
+        return { x, y, z, purity: Math.sqrt(x * x + y * y + z * z) };
+    }
+
+    /**
+     * Stabilizer generators as signed Pauli strings (rightmost character is qubit 0)
+     * @returns {Array} Generators, e.g. ['+XX', '+ZZ'] for a Bell pair
+     */
+    getStabilizers() {
+        const n = this.numQubits;
+        const stabilizers = [];
+        for (let i = n; i < 2 * n; i++) {
+            let label = '';
+            for (let j = n - 1; j >= 0; j--) {
+                const x = this.x[i * n + j], z = this.z[i * n + j];
+                label += x && z ? 'Y' : x ? 'X' : z ? 'Z' : 'I';
+            }
+            stabilizers.push((this.r[i] ? '-' : '+') + label);
+        }
+        return stabilizers;
+    }
+}
@@ -0,0 +1,354 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * State Vector Module
+ *
+ * Amplitudes of an n-qubit pure state in a single Float64Array, interleaved as
+ * [re0, im0, re1, im1, ...] with qubit 0 as the least significant bit of the index.
+ * Gates, projections and bit flips update the buffer in place; toArray() converts it
+ * to the {re, im} objects used in simulation results.
+ */
+
+import { ComplexMath } from './ComplexMath.js';
+
+export class StateVector {
+    /**
+     * Create a state vector
+     * @param {number} numQubits - Number of qubits
+     * @param {Float64Array} data - Interleaved amplitudes (default: |00...0⟩)
+     */
+    constructor(numQubits, data = null) {
+        this.numQubits = numQubits;
+        this.size = 2 ** numQubits;
+
+        if (data) {
+            if (data.length !== 2 * this.size) {
+                throw new Error(`A ${numQubits}-qubit state needs ${2 * this.size} values, got ${data.length}`);
+            }
+            this.data = data;
+        } else {
+            this.data = new Float64Array(2 * this.size);
+            this.data[0] = 1;
+        }
+    }
+
+    /**
+     * Create a state vector from complex amplitudes
+     * @param {Array} amplitudes - Array of {re, im} with a power-of-two length
+     * @returns {StateVector} New state vector
+     */
+    static fromArray(amplitudes) {
+        const numQubits = Math.log2(amplitudes.length);
+        if (!Number.isInteger(numQubits)) {
+            throw new Error(`State vector length must be a power of 2, got ${amplitudes.length}`);
+        }
+
+        const data = new Float64Array(2 * amplitudes.length);
+        amplitudes.forEach((amplitude, i) => {
+            data[2 * i] = amplitude.re;
+            data[2 * i + 1] = amplitude.im;
+        });
+        return new StateVector(numQubits, data);
+    }
+
+    /**
+     * Copy the state vector
+     * @returns {StateVector} Independent copy
+     */
+    clone() {
+        return new StateVector(this.numQubits, this.data.slice());
+    }
+
+    /**
+     * Convert to complex amplitudes
+     * @returns {Array} Array of {re, im}
+     */
+    toArray() {
+        const complexMath = new ComplexMath();
+        const amplitudes = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            amplitudes[i] = complexMath.complex(this.data[2 * i], this.data[2 * i + 1]);
+        }
+        return amplitudes;
+    }
+
+    /**
+     * Probability of each basis state
+     * @returns {Float64Array} |amplitude|² by basis state index
+     */
+    probabilities() {
+        const probabilities = new Float64Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            const re = this.data[2 * i];
+            const im = this.data[2 * i + 1];
+            probabilities[i] = re * re + im * im;
+        }
+        return probabilities;
+    }
+
+    /**
+     * Fidelity |⟨this|other⟩|² with another state of the same size
+     * @param {StateVector} other - Other state
+     * @returns {number} 1 for equal states (up to global phase), 0 for orthogonal ones
+     */
+    fidelity(other) {
+        let re = 0, im = 0;
+        for (let i = 0; i < 2 * this.size; i += 2) {
+            const ar = this.data[i], ai = this.data[i + 1];
+            const br = other.data[i], bi = other.data[i + 1];
+            re += ar * br + ai * bi;
+            im += ar * bi - ai * br;
+        }
+        return re * re + im * im;
+    }
+
+    /**
+     * Probability of measuring 1 on a qubit
+     * @param {number} wire - Qubit index
+     * @returns {number} P(1)
+     */
+    probabilityOfOne(wire) {
+        const bit = 1 << wire;
+        let p1 = 0;
+        for (let block = bit; block < this.size; block += 2 * bit) {
+            for (let i = block; i < block + bit; i++) {
+                const re = this.data[2 * i];
+                const im = this.data[2 * i + 1];
+                p1 += re * re + im * im;
+            }
+        }
+        return p1;
+    }
+
+    /**
+     * Apply a k-qubit matrix in place. wires[0] is the most significant bit of the matrix
+     * index, so [control, target] matches the cx matrix.
+     * @param {Array} matrix - 2^k × 2^k matrix of {re, im}
+     * @param {Array} wires - Target wires (any order, need not be adjacent)
+     * @returns {StateVector} This state vector
+     */
+    applyMatrix(matrix, wires) {
+        const k = wires.length;
+        const dim = 1 << k;
+        if (matrix.length !== dim) {
+            throw new Error(`A ${matrix.length}×${matrix.length} matrix cannot act on ${k} qubit(s)`);
+        }
+
+        const matrixRe = new Float64Array(dim * dim);
+        const matrixIm = new Float64Array(dim * dim);
+        for (let r = 0; r < dim; r++) {
+            for (let c = 0; c < dim; c++) {
+                matrixRe[r * dim + c] = matrix[r][c].re;
+                matrixIm[r * dim + c] = matrix[r][c].im;
+            }
+        }
+
+        if (k === 1) {
+            this.applySingleQubit(matrixRe, matrixIm, wires[0]);
+            return this;
+        }
+
+        // Controlled single-qubit gates (cx, cp, ccx, ...) only mix the pairs where the controls match
+        const block = this.findControlledBlock(matrixRe, matrixIm, dim);
+        if (block >= 0) {
+            let controlMask = 0, controlValue = 0;
+            for (let t = 0; t < k - 1; t++) {
+                controlMask |= 1 << wires[t];
+                if ((block >> (k - 2 - t)) & 1) {
+                    controlValue |= 1 << wires[t];
+                }
+            }
+
+            const entries = [2 * block * dim + 2 * block, 2 * block * dim + 2 * block + 1,
+                (2 * block + 1) * dim + 2 * block, (2 * block + 1) * dim + 2 * block + 1];
+            this.applySingleQubit(Float64Array.from(entries, e => matrixRe[e]),
+                Float64Array.from(entries, e => matrixIm[e]), wires[k - 1], controlMask, controlValue);
+        } else {
+            this.applyMultiQubit(matrixRe, matrixIm, wires);
+        }
+        return this;
+    }
+
+    /**
+     * Check whether a matrix is the identity outside one 2×2 block on its diagonal, i.e. a
+     * single-qubit gate on the last wire controlled by the values of the other wires
+     * @param {Float64Array} matrixRe - Real parts, row-major
+     * @param {Float64Array} matrixIm - Imaginary parts, row-major
+     * @param {number} dim - Matrix dimension
+     * @returns {number} Index of the block (the control values), or -1
+     */
+    findControlledBlock(matrixRe, matrixIm, dim) {
+        let block = -1;
+        for (let r = 0; r < dim; r++) {
+            for (let c = 0; c < dim; c++) {
+                const re = matrixRe[r * dim + c];
+                const im = matrixIm[r * dim + c];
+                if (re === (r === c ? 1 : 0) && im === 0) continue;
+
+                // A non-identity entry: it must lie in the same 2×2 block as all others
+                if ((r >> 1) !== (c >> 1) || (block >= 0 && block !== r >> 1)) {
+                    return -1;
+                }
+                block = r >> 1;
+            }
+        }
+        return block;
+    }
+
+    /**
+     * Apply a 2×2 matrix to one qubit: pairs of amplitudes differing in that bit are mixed
+     * @param {Float64Array} matrixRe - Real parts, row-major
+     * @param {Float64Array} matrixIm - Imaginary parts, row-major
+     * @param {number} wire - Target qubit
+     * @param {number} controlMask - Bits of the control qubits (default: none)
+     * @param {number} controlValue - Required values of the control bits
+     */
+    applySingleQubit(matrixRe, matrixIm, wire, controlMask = 0, controlValue = 0) {
+        const data = this.data;
+        const bit = 1 << wire;
+        const [aRe, bRe, cRe, dRe] = matrixRe;
+        const [aIm, bIm, cIm, dIm] = matrixIm;
+
+        for (let block = 0; block < this.size; block += 2 * bit) {
+            for (let i0 = block; i0 < block + bit; i0++) {
+                if ((i0 & controlMask) !== controlValue) continue;
+
+                const p = 2 * i0;
+                const q = 2 * (i0 + bit);
+                const xRe = data[p], xIm = data[p + 1];
+                const yRe = data[q], yIm = data[q + 1];
+
+                data[p] = aRe * xRe - aIm * xIm + bRe * yRe - bIm * yIm;
+                data[p + 1] = aRe * xIm + aIm * xRe + bRe * yIm + bIm * yRe;
+                data[q] = cRe * xRe - cIm * xIm + dRe * yRe - dIm * yIm;
+                data[q + 1] = cRe * xIm + cIm * xRe + dRe * yIm + dIm * yRe;
+            }
+        }
+    }
+
+    /**
+     * Apply a 2^k × 2^k matrix to k qubits. Each index with the target bits cleared starts
+     * a block of 2^k amplitudes; blocks are enumerated by inserting zero bits at the targets.
+     * Only the non-zero entries of rows that differ from the identity are used, so controlled
+     * gates only touch the amplitudes where their controls are set.
+     * @param {Float64Array} matrixRe - Real parts, row-major
+     * @param {Float64Array} matrixIm - Imaginary parts, row-major
+     * @param {Array} wires - Target wires
+     */
+    applyMultiQubit(matrixRe, matrixIm, wires) {
+        const data = this.data;
+        const k = wires.length;
+        const dim = 1 << k;
+
+        // Offset of each matrix index within a block
+        const offsets = new Int32Array(dim);
+        for (let m = 0; m < dim; m++) {
+            for (let t = 0; t < k; t++) {
+                if ((m >> (k - 1 - t)) & 1) {
+                    offsets[m] |= 1 << wires[t];
+                }
+            }
+        }
+
+        // Sparse rows: rows[i] is a row index, entries rowStart[i]..rowStart[i + 1] its non-zeros
+        const rowList = [], startList = [0], columnList = [], reList = [], imList = [];
+        for (let r = 0; r < dim; r++) {
+            const entries = [];
+            for (let c = 0; c < dim; c++) {
+                if (matrixRe[r * dim + c] !== 0 || matrixIm[r * dim + c] !== 0) {
+                    entries.push(c);
+                }
+            }
+            const isIdentityRow = entries.length === 1 && entries[0] === r &&
+                matrixRe[r * dim + r] === 1 && matrixIm[r * dim + r] === 0;
+            if (isIdentityRow) continue;
+
+            rowList.push(r);
+            for (const c of entries) {
+                columnList.push(c);
+                reList.push(matrixRe[r * dim + c]);
+                imList.push(matrixIm[r * dim + c]);
+            }
+            startList.push(columnList.length);
+        }
+        if (rowList.length === 0) return;
+
+        const rows = Int32Array.from(rowList);
+        const rowStart = Int32Array.from(startList);
+        const columns = Int32Array.from(columnList);
+        const valuesRe = Float64Array.from(reList);
+        const valuesIm = Float64Array.from(imList);
+        const usedColumns = Int32Array.from(new Set(columnList));
+
+        // Masks of the index bits below each target, lowest target first
+        const lowMasks = Int32Array.from([...wires].sort((a, b) => a - b), wire => (1 << wire) - 1);
+        const amplitudesRe = new Float64Array(dim);
+        const amplitudesIm = new Float64Array(dim);
+
+        const numBlocks = this.size >> k;
+        for (let n = 0; n < numBlocks; n++) {
+            let base = n;
+            for (let t = 0; t < k; t++) {
+                const low = base & lowMasks[t];
+                base = ((base ^ low) << 1) | low;
+            }
+
+            for (let u = 0; u < usedColumns.length; u++) {
+                const c = usedColumns[u];
+                const index = 2 * (base | offsets[c]);
+                amplitudesRe[c] = data[index];
+                amplitudesIm[c] = data[index + 1];
+            }
+
+            for (let i = 0; i < rows.length; i++) {
+                let re = 0, im = 0;
+                for (let e = rowStart[i]; e < rowStart[i + 1]; e++) {
+                    const c = columns[e];
+                    re += valuesRe[e] * amplitudesRe[c] - valuesIm[e] * amplitudesIm[c];
+                    im += valuesRe[e] * amplitudesIm[c] + valuesIm[e] * amplitudesRe[c];
+                }
+                const index = 2 * (base | offsets[rows[i]]);
+                data[index] = re;
+                data[index + 1] = im;
+            }
+        }
+    }
+
+    /**
+     * Project a qubit onto a measurement outcome in place and renormalize
+     * @param {number} wire - Measured qubit
+     * @param {number} outcome - 0 or 1
+     * @param {number} probability - Probability of the outcome (from probabilityOfOne)
+     * @returns {StateVector} This state vector
+     */
+    project(wire, outcome, probability) {
+        const scale = 1 / Math.sqrt(probability);
+        for (let i = 0; i < this.size; i++) {
+            const factor = ((i >> wire) & 1) === outcome ? scale : 0;
+            this.data[2 * i] *= factor;
+            this.data[2 * i + 1] *= factor;
+        }
+        return this;
+    }
+
+    /**
+     * Flip a qubit (Pauli X) in place
+     * @param {number} wire - Qubit to flip
+     * @returns {StateVector} This state vector
+     */
+    flip(wire) {
+        const data = this.data;
+        const bit = 1 << wire;
+        for (let block = 0; block < this.size; block += 2 * bit) {
+            for (let i0 = block; i0 < block + bit; i0++) {
+                const p = 2 * i0;
+                const q = 2 * (i0 + bit);
+                const re = data[p], im = data[p + 1];
+                data[p] = data[q];
+                data[p + 1] = data[q + 1];
+                data[q] = re;
+                data[q + 1] = im;
+            }
+        }
+        return this;
+    }
+}
@@ -0,0 +1,996 @@
+/**
+ * QCNS - Quantum Circuit and Network Simulator
+ * OpenQASM Parser Module
+ *
+ * This module converts OpenQASM 3 (and legacy OpenQASM 2.0) source code into
+ * QuantumCircuit objects. It is the inverse of QasmTranspiler.transpile().
+ */
+
+import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+import { QuantumRegister } from '../quantum/QuantumRegister.js';
+import { ClassicalRegister } from '../quantum/ClassicalRegister.js';
+import { QuantumGates } from '../quantum/QuantumGates.js';
+import { Parameter, ParameterExpression } from '../quantum/Parameter.js';
+
+// Token patterns, matched in place at the current position (sticky) instead of on a slice
+const NUMBER_PATTERN = /(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/y;
+const IDENTIFIER_PATTERN = /[\p{L}_][\p{L}\p{N}_]*/uy;
+
+export class QasmParser {
+    /**
+     * Create a new OpenQASM parser
+     * @param {QasmTranspiler} transpiler - Transpiler providing the gate name and parameter tables
+     */
+    constructor(transpiler) {
+        this.gateMapping = transpiler.gateMapping;
+        this.parameterOrder = transpiler.parameterOrder;
+
+        // Built-in and legacy gate names that are not part of gateMapping
+        this.gateAliases = {
+            'CX': 'cx',
+            'U': 'u3',
+            'u': 'u3',
+            'cphase': 'cp'
+        };
+
+        // Named constants allowed in parameter expressions
+        this.constants = {
+            'pi': Math.PI,
+            'π': Math.PI,
+            'tau': 2 * Math.PI,
+            'τ': 2 * Math.PI,
+            'euler': Math.E,
+            'ℇ': Math.E
+        };
+
+        // Functions allowed in parameter expressions
+        this.functions = {
+            'sin': Math.sin,
+            'cos': Math.cos,
+            'tan': Math.tan,
+            'arcsin': Math.asin,
+            'arccos': Math.acos,
+            'arctan': Math.atan,
+            'exp': Math.exp,
+            'ln': Math.log,
+            'sqrt': Math.sqrt
+        };
+    }
+
+    /**
+     * Parse OpenQASM source code into a QuantumCircuit
+     * @param {string} source - OpenQASM 2.0 or 3 source code
+     * @returns {QuantumCircuit} Parsed circuit
+     * @throws {Error} With `line` and `column` properties if the source is invalid
+     */
+    parse(source) {
+        if (typeof source !== 'string') {
+            throw new Error('QASM source must be a string');
+        }
+
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+        this.version = null;
+        this.qregs = new Map(); // name -> { offset, size }
+        this.cregs = new Map(); // name -> { offset, size }
+        this.numQubits = 0;
+        this.numClbits = 0;
+        this.operations = [];
+        this.activeCondition = null;
+        this.gateDefinitions = new Map(); // name -> { numQubits, operations }
+        this.inputs = new Map(); // name -> Parameter
+
+        while (!this.check('eof')) {
+            this.parseStatement();
+        }
+
+        return this.buildCircuit();
+    }
+
+    // ============================================================================
+    // TOKENIZER
+    // ============================================================================
+
+    /**
+     * Split source code into tokens with line/column information
+     * @param {string} source - OpenQASM source code
+     * @returns {Array} Array of tokens {type, value, line, column}
+     */
+    tokenize(source) {
+        const tokens = [];
+        const symbols = ['->', '**', '==', '&&', ';', ',', '(', ')', '[', ']', '{', '}', '=', '+', '-', '*', '/', '^', '@', ':'];
+        let i = 0;
+        let line = 1;
+        let column = 1;
+
+        const advance = (count) => {
+            for (let k = 0; k < count; k++) {
+                if (source[i] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                i++;
+            }
+        };
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                advance(1);
+                continue;
+            }
+
+            // Line comments
+            if (source.startsWith('//', i)) {
+                while (i < source.length && source[i] !== '\n') advance(1);
+                continue;
+            }
+
+            // Block comments
+            if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) {
+                    throw this.createError('Unterminated block comment', line, column);
+                }
+                advance(end + 2 - i);
+                continue;
+            }
+
+            const start = { line, column };
+
+            // Numbers
+            NUMBER_PATTERN.lastIndex = i;
+            const numberMatch = NUMBER_PATTERN.exec(source);
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: numberMatch[0], ...start });
+                advance(numberMatch[0].length);
+                continue;
+            }
+
+            // Identifiers and keywords
+            IDENTIFIER_PATTERN.lastIndex = i;
+            const identMatch = IDENTIFIER_PATTERN.exec(source);
+            if (identMatch) {
+                tokens.push({ type: 'id', value: identMatch[0], ...start });
+                advance(identMatch[0].length);
+                continue;
+            }
+
+            // String literals (include paths)
+            if (ch === '"' || ch === "'") {
+                const end = source.indexOf(ch, i + 1);
+                if (end === -1 || source.slice(i, end).includes('\n')) {
+                    throw this.createError('Unterminated string literal', line, column);
+                }
+                tokens.push({ type: 'string', value: source.slice(i + 1, end), ...start });
+                advance(end + 1 - i);
+                continue;
+            }
+
+            // Symbols
+            const symbol = symbols.find(s => source.startsWith(s, i));
+            if (symbol) {
+                tokens.push({ type: 'symbol', value: symbol, ...start });
+                advance(symbol.length);
+                continue;
+            }
+
+            throw this.createError(`Unexpected character '${ch}'`, line, column);
+        }
+
+        tokens.push({ type: 'eof', value: 'end of input', line, column });
+        return tokens;
+    }
+
+    // ============================================================================
+    // TOKEN HELPERS
+    // ============================================================================
+
+    /**
+     * Get the current token without consuming it
+     * @param {number} offset - Lookahead offset
+     * @returns {Object} Token
+     */
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    /**
+     * Check whether the current token matches a type and optional value
+     * @param {string} type - Token type
+     * @param {string} value - Token value (optional)
+     * @returns {boolean} True if the token matches
+     */
+    check(type, value) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    /**
+     * Consume the current token if it matches
+     * @param {string} type - Token type
+     * @param {string} value - Token value (optional)
+     * @returns {Object|null} The consumed token or null
+     */
+    match(type, value) {
+        if (this.check(type, value)) {
+            return this.tokens[this.position++];
+        }
+        return null;
+    }
+
+    /**
+     * Consume the current token, throwing if it does not match
+     * @param {string} type - Token type
+     * @param {string} value - Token value (optional)
+     * @returns {Object} The consumed token
+     */
+    expect(type, value) {
+        const token = this.match(type, value);
+        if (!token) {
+            const expected = value !== undefined ? `'${value}'` : type === 'id' ? 'identifier' : type;
+            throw this.errorAt(this.peek(), `Expected ${expected} but found '${this.peek().value}'`);
+        }
+        return token;
+    }
+
+    /**
+     * Create a parse error located at a token
+     * @param {Object} token - Token where the error occurred
+     * @param {string} message - Error description
+     * @returns {Error} Error with line and column properties
+     */
+    errorAt(token, message) {
+        return this.createError(message, token.line, token.column);
+    }
+
+    /**
+     * Create a parse error at a source location
+     * @param {string} message - Error description
+     * @param {number} line - Line number (1-based)
+     * @param {number} column - Column number (1-based)
+     * @returns {Error} Error with line and column properties
+     */
+    createError(message, line, column) {
+        const error = new Error(`QASM parse error at line ${line}, column ${column}: ${message}`);
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+
+    // ============================================================================
+    // STATEMENTS
+    // ============================================================================
+
+    /**
+     * Parse a single top-level statement
+     */
+    parseStatement() {
+        const token = this.peek();
+
+        if (token.type !== 'id') {
+            throw this.errorAt(token, `Unexpected '${token.value}'`);
+        }
+
+        switch (token.value) {
+            case 'OPENQASM':
+                return this.parseVersion();
+            case 'include':
+                return this.parseInclude();
+            case 'qubit':
+                return this.parseDeclaration('qubit');
+            case 'bit':
+                return this.parseDeclaration('bit');
+            case 'qreg':
+                return this.parseLegacyDeclaration('qubit');
+            case 'creg':
+                return this.parseLegacyDeclaration('bit');
+            case 'measure':
+                return this.parseArrowMeasurement();
+            case 'barrier':
+                return this.parseBarrier();
+            case 'reset':
+                return this.parseReset();
+            case 'if':
+                return this.parseIf();
+            case 'gate':
+                return this.parseGateDefinition();
+            case 'input':
+                return this.parseInput();
+        }
+
+        if (this.cregs.has(token.value)) {
+            return this.parseAssignmentMeasurement();
+        }
+
+        if (this.resolveGateName(token.value)) {
+            return this.parseGateCall();
+        }
+
+        const unsupported = ['def', 'else', 'for', 'while', 'output', 'const',
+            'ctrl', 'negctrl', 'inv', 'pow', 'gphase', 'opaque', 'delay', 'box', 'let'];
+        if (unsupported.includes(token.value)) {
+            throw this.errorAt(token, `Unsupported statement '${token.value}'`);
+        }
+
+        throw this.errorAt(token, `Unknown gate or identifier '${token.value}'`);
+    }
+
+    /**
+     * Parse `OPENQASM <version>;`
+     */
+    parseVersion() {
+        const keyword = this.expect('id', 'OPENQASM');
+        if (this.version !== null || this.position !== 1) {
+            throw this.errorAt(keyword, 'OPENQASM version must be the first statement');
+        }
+
+        const versionToken = this.expect('number');
+        const major = parseInt(versionToken.value, 10);
+        if (major !== 2 && major !== 3) {
+            throw this.errorAt(versionToken, `Unsupported OpenQASM version ${versionToken.value}`);
+        }
+
+        this.version = major;
+        this.expect('symbol', ';');
+    }
+
+    /**
+     * Parse `include "file";` (standard libraries are built in)
+     */
+    parseInclude() {
+        this.expect('id', 'include');
+        const file = this.expect('string');
+        if (file.value !== 'stdgates.inc' && file.value !== 'qelib1.inc') {
+            throw this.errorAt(file, `Cannot include '${file.value}', only stdgates.inc and qelib1.inc are available`);
+        }
+        this.expect('symbol', ';');
+    }
+
+    /**
+     * Parse OpenQASM 3 declarations: `qubit[n] name;`, `qubit name;`, `bit[n] name;`, `bit name;`
+     * @param {string} kind - 'qubit' or 'bit'
+     */
+    parseDeclaration(kind) {
+        this.expect('id', kind);
+
+        let size = 1;
+        if (this.match('symbol', '[')) {
+            size = this.parseSize();
+            this.expect('symbol', ']');
+        }
+
+        const nameToken = this.expect('id');
+
+        if (this.check('symbol', '=')) {
+            throw this.errorAt(this.peek(), 'Initialized declarations are not supported');
+        }
+
+        this.expect('symbol', ';');
+        this.declareRegister(kind, nameToken, size);
+    }
+
+    /**
+     * Parse OpenQASM 2 declarations: `qreg name[n];`, `creg name[n];`
+     * @param {string} kind - 'qubit' or 'bit'
+     */
+    parseLegacyDeclaration(kind) {
+        this.match('id');
+        const nameToken = this.expect('id');
+        this.expect('symbol', '[');
+        const size = this.parseSize();
+        this.expect('symbol', ']');
+        this.expect('symbol', ';');
+        this.declareRegister(kind, nameToken, size);
+    }
+
+    /**
+     * Parse a register size or index literal
+     * @returns {number} Non-negative integer
+     */
+    parseSize() {
+        const token = this.expect('number');
+        const value = Number(token.value);
+        if (!Number.isInteger(value) || value < 0) {
+            throw this.errorAt(token, `Expected a non-negative integer but found '${token.value}'`);
+        }
+        return value;
+    }
+
+    /**
+     * Register a quantum or classical register declaration
+     * @param {string} kind - 'qubit' or 'bit'
+     * @param {Object} nameToken - Identifier token
+     * @param {number} size - Register size
+     */
+    declareRegister(kind, nameToken, size) {
+        const name = nameToken.value;
+
+        if (this.activeCondition) {
+            throw this.errorAt(nameToken, 'Declarations are not allowed inside an if statement');
+        }
+
+        if (this.qregs.has(name) || this.cregs.has(name)) {
+            throw this.errorAt(nameToken, `Register '${name}' is already declared`);
+        }
+        if (size < 1) {
+            throw this.errorAt(nameToken, `Register '${name}' must have at least one ${kind}`);
+        }
+
+        if (kind === 'qubit') {
+            this.qregs.set(name, { offset: this.numQubits, size });
+            this.numQubits += size;
+        } else {
+            this.cregs.set(name, { offset: this.numClbits, size });
+            this.numClbits += size;
+        }
+    }
+
+    /**
+     * Parse `measure q -> c;` (OpenQASM 2 style) or bare `measure q;`
+     */
+    parseArrowMeasurement() {
+        this.expect('id', 'measure');
+        const qubits = this.parseOperand(this.qregs, 'qubit');
+
+        let bits = null;
+        if (this.match('symbol', '->')) {
+            bits = this.parseOperand(this.cregs, 'bit');
+        }
+
+        this.expect('symbol', ';');
+        this.addMeasurements(qubits, bits);
+    }
+
+    /**
+     * Parse `c = measure q;` / `c[0] = measure q[0];` (OpenQASM 3 style)
+     */
+    parseAssignmentMeasurement() {
+        const bits = this.parseOperand(this.cregs, 'bit');
+        this.expect('symbol', '=');
+        this.expect('id', 'measure');
+        const qubits = this.parseOperand(this.qregs, 'qubit');
+        this.expect('symbol', ';');
+        this.addMeasurements(qubits, bits);
+    }
+
+    /**
+     * Record measurement operations, broadcasting over registers
+     * @param {Object} qubits - Resolved qubit operand
+     * @param {Object|null} bits - Resolved bit operand (null for a bare measurement)
+     */
+    addMeasurements(qubits, bits) {
+        if (bits && bits.indices.length !== qubits.indices.length) {
+            throw this.errorAt(bits.token, `Cannot measure ${qubits.indices.length} qubit(s) into ${bits.indices.length} bit(s)`);
+        }
+
+        qubits.indices.forEach((qubit, i) => {
+            this.operations.push({
+                type: 'measure',
+                qubit,
+                bit: bits ? bits.indices[i] : null,
+                condition: this.activeCondition
+            });
+        });
+    }
+
+    /**
+     * Parse `barrier;` or `barrier q[0], q[1];`
+     */
+    parseBarrier() {
+        this.expect('id', 'barrier');
+
+        let qubits = null;
+        if (!this.check('symbol', ';')) {
+            qubits = [];
+            do {
+                for (const index of this.parseOperand(this.qregs, 'qubit').indices) {
+                    if (!qubits.includes(index)) qubits.push(index);
+                }
+            } while (this.match('symbol', ','));
+        }
+
+        this.expect('symbol', ';');
+        this.operations.push({ type: 'barrier', qubits });
+    }
+
+    /**
+     * Parse `reset q[0];` or `reset q;`
+     */
+    parseReset() {
+        this.expect('id', 'reset');
+        const qubits = this.parseOperand(this.qregs, 'qubit');
+        this.expect('symbol', ';');
+
+        for (const qubit of qubits.indices) {
+            this.operations.push({ type: 'reset', qubit, condition: this.activeCondition });
+        }
+    }
+
+    /**
+     * Parse `if (c == 1) { ... }` (OpenQASM 3) or `if (c == 1) x q[0];` (OpenQASM 2)
+     */
+    parseIf() {
+        const keyword = this.expect('id', 'if');
+        if (this.activeCondition) {
+            throw this.errorAt(keyword, 'Nested if statements are not supported');
+        }
+
+        this.expect('symbol', '(');
+        const condition = this.parseCondition();
+        this.expect('symbol', ')');
+
+        this.activeCondition = condition;
+        try {
+            if (this.match('symbol', '{')) {
+                while (!this.match('symbol', '}')) {
+                    if (this.check('eof')) {
+                        throw this.errorAt(this.peek(), "Expected '}' to close if statement");
+                    }
+                    this.parseStatement();
+                }
+            } else {
+                this.parseStatement();
+            }
+        } finally {
+            this.activeCondition = null;
+        }
+    }
+
+    /**
+     * Parse a classical condition: `c == 2`, `c[0] == 1`, `c[0]` or terms joined by `&&`
+     * @returns {Object} Condition {bits, value} with bits least significant first
+     */
+    parseCondition() {
+        const bits = [];
+        let value = 0;
+
+        do {
+            const operand = this.parseOperand(this.cregs, 'bit');
+            let termValue = 1;
+
+            if (this.match('symbol', '==')) {
+                const valueToken = this.peek();
+                termValue = this.parseSize();
+                if (termValue >= Math.pow(2, operand.indices.length)) {
+                    throw this.errorAt(valueToken, `Value ${termValue} does not fit in ${operand.indices.length} bit(s)`);
+                }
+            } else if (operand.indices.length !== 1) {
+                throw this.errorAt(operand.token, 'Register conditions must compare against a value');
+            }
+
+            for (const index of operand.indices) {
+                if (bits.includes(index)) {
+                    throw this.errorAt(operand.token, 'Condition tests the same bit twice');
+                }
+            }
+
+            value += termValue * Math.pow(2, bits.length);
+            bits.push(...operand.indices);
+        } while (this.match('symbol', '&&'));
+
+        return { bits, value };
+    }
+
+    /**
+     * Parse a gate application: `name(params) operands;`
+     */
+    parseGateCall() {
+        const nameToken = this.expect('id');
+        const gateName = this.resolveGateName(nameToken.value);
+        const expectedParams = this.parameterOrder[gateName] || [];
+        const arity = this.getGateArity(gateName);
+
+        const values = [];
+        if (this.match('symbol', '(')) {
+            if (!this.check('symbol', ')')) {
+                do {
+                    values.push(this.parseExpression());
+                } while (this.match('symbol', ','));
+            }
+            this.expect('symbol', ')');
+        }
+
+        if (values.length !== expectedParams.length) {
+            throw this.errorAt(nameToken,
+                `Gate '${nameToken.value}' expects ${expectedParams.length} parameter(s) but got ${values.length}`);
+        }
+
+        const operands = [];
+        do {
+            operands.push(this.parseOperand(this.qregs, 'qubit'));
+        } while (this.match('symbol', ','));
+        this.expect('symbol', ';');
+
+        if (operands.length !== arity) {
+            throw this.errorAt(nameToken,
+                `Gate '${nameToken.value}' acts on ${arity} qubit(s) but got ${operands.length}`);
+        }
+
+        const params = {};
+        expectedParams.forEach((paramName, i) => {
+            params[paramName] = values[i];
+        });
+
+        for (const wires of this.broadcastOperands(nameToken, operands)) {
+            if (new Set(wires).size !== wires.length) {
+                throw this.errorAt(nameToken, `Gate '${nameToken.value}' cannot use the same qubit twice`);
+            }
+            this.operations.push({ type: 'gate', name: gateName, wires, params, condition: this.activeCondition });
+        }
+    }
+
+    /**
+     * Parse `input float theta;` (also `float[64]` and `angle`), declaring a symbolic parameter
+     */
+    parseInput() {
+        const keyword = this.expect('id', 'input');
+        if (this.activeCondition) {
+            throw this.errorAt(keyword, 'Input declarations must be at the top level');
+        }
+
+        const typeToken = this.expect('id');
+        if (typeToken.value !== 'float' && typeToken.value !== 'angle') {
+            throw this.errorAt(typeToken, `Unsupported input type '${typeToken.value}' (use float or angle)`);
+        }
+        if (this.match('symbol', '[')) {
+            this.parseSize();
+            this.expect('symbol', ']');
+        }
+
+        const nameToken = this.expect('id');
+        if (this.inputs.has(nameToken.value) || this.qregs.has(nameToken.value) || this.cregs.has(nameToken.value)) {
+            throw this.errorAt(nameToken, `'${nameToken.value}' is already declared`);
+        }
+        try {
+            this.inputs.set(nameToken.value, new Parameter(nameToken.value));
+        } catch (error) {
+            throw this.errorAt(nameToken, error.message);
+        }
+        this.expect('symbol', ';');
+    }
+
+    /**
+     * Parse a gate declaration: `gate name a, b { h a; cx a, b; }`.
+     * The body may call built-in gates and previously declared gates on the arguments.
+     */
+    parseGateDefinition() {
+        const keyword = this.expect('id', 'gate');
+        if (this.activeCondition) {
+            throw this.errorAt(keyword, 'Gate declarations must be at the top level');
+        }
+
+        const nameToken = this.expect('id');
+        if (this.resolveGateName(nameToken.value)) {
+            throw this.errorAt(nameToken, `Gate '${nameToken.value}' is already defined`);
+        }
+        if (this.check('symbol', '(')) {
+            throw this.errorAt(this.peek(), 'Parameterized gate declarations are not supported');
+        }
+
+        // Arguments act as single-qubit registers while the body is parsed
+        const args = new Map();
+        do {
+            const argToken = this.expect('id');
+            if (args.has(argToken.value)) {
+                throw this.errorAt(argToken, `Duplicate gate argument '${argToken.value}'`);
+            }
+            args.set(argToken.value, { offset: args.size, size: 1 });
+        } while (this.match('symbol', ','));
+
+        const qregs = this.qregs;
+        const operations = this.operations;
+        this.qregs = args;
+        this.operations = [];
+
+        try {
+            this.expect('symbol', '{');
+            while (!this.match('symbol', '}')) {
+                const token = this.peek();
+                if (this.check('eof')) {
+                    throw this.errorAt(token, "Expected '}' to close gate declaration");
+                }
+                if (token.type !== 'id' || !this.resolveGateName(token.value)) {
+                    throw this.errorAt(token, `Only gate calls are allowed in the body of gate '${nameToken.value}'`);
+                }
+                this.parseGateCall();
+            }
+
+            this.gateDefinitions.set(nameToken.value, { numQubits: args.size, operations: this.operations });
+        } finally {
+            this.qregs = qregs;
+            this.operations = operations;
+        }
+    }
+
+    /**
+     * Expand register operands into individual gate applications
+     * (e.g. `h q;` applies H to every qubit of q, `cx a, b;` pairs qubits of equal-size registers)
+     * @param {Object} nameToken - Gate name token (for error reporting)
+     * @param {Array} operands - Resolved operands
+     * @returns {Array<Array<number>>} Wire lists, one per gate application
+     */
+    broadcastOperands(nameToken, operands) {
+        const lengths = operands.map(op => op.indices.length).filter(n => n > 1);
+        const count = lengths.length > 0 ? lengths[0] : 1;
+
+        if (lengths.some(n => n !== count)) {
+            throw this.errorAt(nameToken, `Register operands of gate '${nameToken.value}' must have equal sizes`);
+        }
+
+        const applications = [];
+        for (let i = 0; i < count; i++) {
+            applications.push(operands.map(op => op.indices.length === 1 ? op.indices[0] : op.indices[i]));
+        }
+        return applications;
+    }
+
+    /**
+     * Parse a register operand (`q` or `q[3]`) and resolve it to global indices
+     * @param {Map} registers - Register table to resolve against
+     * @param {string} kind - 'qubit' or 'bit' (for error messages)
+     * @returns {Object} {token, indices}
+     */
+    parseOperand(registers, kind) {
+        const token = this.expect('id');
+        const register = registers.get(token.value);
+
+        if (!register) {
+            throw this.errorAt(token, `Undeclared ${kind} register '${token.value}'`);
+        }
+
+        if (this.match('symbol', '[')) {
+            const indexToken = this.peek();
+            const index = this.parseSize();
+            this.expect('symbol', ']');
+
+            if (index >= register.size) {
+                throw this.errorAt(indexToken,
+                    `Index ${index} out of range for ${kind} register '${token.value}' of size ${register.size}`);
+            }
+            return { token, indices: [register.offset + index] };
+        }
+
+        return {
+            token,
+            indices: Array.from({ length: register.size }, (_, i) => register.offset + i)
+        };
+    }
+
+    /**
+     * Resolve an OpenQASM gate name to a QCNS gate name
+     * @param {string} name - Gate name in source code
+     * @returns {string|null} QCNS gate name or null if unknown
+     */
+    resolveGateName(name) {
+        if (name in this.gateAliases) {
+            return this.gateAliases[name];
+        }
+        if (Object.prototype.hasOwnProperty.call(this.gateMapping, name)) {
+            return this.gateMapping[name];
+        }
+        if (this.gateDefinitions.has(name)) {
+            return name;
+        }
+        return null;
+    }
+
+    /**
+     * Get the number of qubits a gate acts on
+     * @param {string} gateName - QCNS gate name
+     * @returns {number} Number of qubits
+     */
+    getGateArity(gateName) {
+        if (this.gateDefinitions.has(gateName)) {
+            return this.gateDefinitions.get(gateName).numQubits;
+        }
+        return Math.log2(QuantumGates.getGate(gateName).matrix.length);
+    }
+
+    // ============================================================================
+    // PARAMETER EXPRESSIONS
+    // ============================================================================
+
+    /**
+     * Parse and evaluate a parameter expression (e.g. `pi/4`, `-3*π/8`, `2*arccos(0.5)`).
+     * Expressions using input parameters stay symbolic.
+     * @returns {number|ParameterExpression} Evaluated value
+     */
+    parseExpression() {
+        let value = this.parseTerm();
+        while (this.check('symbol', '+') || this.check('symbol', '-')) {
+            const op = this.match('symbol').value;
+            const right = this.parseTerm();
+            value = this.isSymbolic(value, right)
+                ? ParameterExpression.combine(value, op, right)
+                : op === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    /**
+     * Parse multiplicative terms
+     * @returns {number|ParameterExpression} Evaluated value
+     */
+    parseTerm() {
+        let value = this.parseUnary();
+        while (this.check('symbol', '*') || this.check('symbol', '/')) {
+            const opToken = this.match('symbol');
+            const right = this.parseUnary();
+            if (opToken.value === '/' && right === 0) {
+                throw this.errorAt(opToken, 'Division by zero in parameter expression');
+            }
+            value = this.isSymbolic(value, right)
+                ? ParameterExpression.combine(value, opToken.value, right)
+                : opToken.value === '*' ? value * right : value / right;
+        }
+        return value;
+    }
+
+    /**
+     * Parse unary plus/minus
+     * @returns {number|ParameterExpression} Evaluated value
+     */
+    parseUnary() {
+        if (this.match('symbol', '-')) {
+            const value = this.parseUnary();
+            return this.isSymbolic(value) ? value.neg() : -value;
+        }
+        if (this.match('symbol', '+')) return this.parseUnary();
+        return this.parsePower();
+    }
+
+    /**
+     * Parse right-associative exponentiation (`**` or `^`)
+     * @returns {number|ParameterExpression} Evaluated value
+     */
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.match('symbol', '**') || this.match('symbol', '^')) {
+            const exponent = this.parseUnary();
+            return this.isSymbolic(base, exponent)
+                ? ParameterExpression.combine(base, '^', exponent)
+                : Math.pow(base, exponent);
+        }
+        return base;
+    }
+
+    /**
+     * Check whether any operand depends on an input parameter
+     * @param {...(number|ParameterExpression)} values - Operands
+     * @returns {boolean} True if an operand is symbolic
+     */
+    isSymbolic(...values) {
+        return values.some(value => value instanceof ParameterExpression);
+    }
+
+    /**
+     * Parse numbers, constants, input parameters, function calls and parenthesized expressions
+     * @returns {number|ParameterExpression} Evaluated value
+     */
+    parsePrimary() {
+        const token = this.peek();
+
+        if (this.match('number')) {
+            return Number(token.value);
+        }
+
+        if (this.match('symbol', '(')) {
+            const value = this.parseExpression();
+            this.expect('symbol', ')');
+            return value;
+        }
+
+        if (this.match('id')) {
+            if (this.inputs.has(token.value)) {
+                return this.inputs.get(token.value);
+            }
+            if (token.value in this.constants) {
+                return this.constants[token.value];
+            }
+            if (token.value in this.functions) {
+                this.expect('symbol', '(');
+                const arg = this.parseExpression();
+                this.expect('symbol', ')');
+                if (this.isSymbolic(arg)) {
+                    try {
+                        return arg.apply(token.value);
+                    } catch (error) {
+                        throw this.errorAt(token, error.message);
+                    }
+                }
+                return this.functions[token.value](arg);
+            }
+            throw this.errorAt(token, `Unknown identifier '${token.value}' in parameter expression`);
+        }
+
+        throw this.errorAt(token, `Expected a parameter expression but found '${token.value}'`);
+    }
+
+    // ============================================================================
+    // CIRCUIT CONSTRUCTION
+    // ============================================================================
+
+    /**
+     * Build a QuantumCircuit from the parsed declarations and operations.
+     * Multiple registers of the same kind are flattened into a single register in declaration order.
+     * @returns {QuantumCircuit} Constructed circuit
+     */
+    buildCircuit() {
+        if (this.numQubits === 0) {
+            throw this.errorAt(this.peek(), 'No qubits declared');
+        }
+
+        const qregName = this.qregs.size === 1 ? this.qregs.keys().next().value : 'q';
+        const qreg = new QuantumRegister(this.numQubits, qregName);
+
+        let creg = 0;
+        if (this.numClbits > 0) {
+            const cregName = this.cregs.size === 1 ? this.cregs.keys().next().value : 'c';
+            creg = new ClassicalRegister(this.numClbits, cregName);
+        }
+
+        const circuit = new QuantumCircuit(qreg, creg);
+        this.defineGates(circuit);
+
+        for (const operation of this.operations) {
+            switch (operation.type) {
+                case 'gate': {
+                    const options = Object.keys(operation.params).length > 0
+                        ? { params: { ...operation.params } }
+                        : undefined;
+                    circuit.addGate(operation.name, -1, operation.wires, options);
+                    break;
+                }
+                case 'measure':
+                    if (operation.bit === null) {
+                        circuit.addGate('measure', -1, operation.qubit);
+                    } else {
+                        circuit.measure(operation.qubit, operation.bit);
+                    }
+                    break;
+                case 'barrier':
+                    circuit.barrier(operation.qubits);
+                    break;
+                case 'reset':
+                    circuit.reset(operation.qubit);
+                    break;
+            }
+
+            if (operation.condition) {
+                circuit.c_if(operation.condition);
+            }
+        }
+
+        return circuit;
+    }
+
+    /**
+     * Define the declared gates on a circuit, each from a subcircuit built from its body
+     * @param {QuantumCircuit} circuit - Circuit to define the gates on
+     */
+    defineGates(circuit) {
+        const subcircuits = new Map();
+
+        for (const [name, { numQubits, operations }] of this.gateDefinitions) {
+            const subcircuit = new QuantumCircuit(numQubits);
+
+            for (const operation of operations) {
+                if (subcircuits.has(operation.name) && !subcircuit.customGates[operation.name]) {
+                    subcircuit.defineGate(operation.name, subcircuits.get(operation.name));
+                }
+                const options = Object.keys(operation.params).length > 0
+                    ? { params: { ...operation.params } }
+                    : undefined;
+                subcircuit.addGate(operation.name, -1, operation.wires, options);
+            }
+
+            subcircuits.set(name, subcircuit);
+            circuit.defineGate(name, subcircuit);
+        }
+    }
+}
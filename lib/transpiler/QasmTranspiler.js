@@ -2,10 +2,17 @@
  * QCNS - Quantum Circuit and Network Simulator
  * OpenQASM v3 Transpiler Module
  *
- * This module converts QuantumCircuit objects to valid OpenQASM v3 code.
+ * This module converts QuantumCircuit objects to valid OpenQASM v3 code,
+ * and parses OpenQASM source back into circuits via QasmParser.
  * Based on OpenQASM v3.1 specification and standard library.
  */
 
+import { QasmParser } from './QasmParser.js';
+import { ParameterExpression } from '../quantum/Parameter.js';
+import { ComplexMath } from '../quantum/ComplexMath.js';
+
+const complexMath = new ComplexMath();
+
 export class QasmTranspiler {
     constructor() {
         // Gate mapping from QCNS gate names to OpenQASM v3 syntax
@@ -27,6 +34,7 @@ export class QasmTranspiler {
             'ry': 'ry',
             'rz': 'rz',
             'p': 'p',       // phase gate
+            'phase': 'p',   // alias for p
             'u1': 'u1',
             'u2': 'u2',
             'u3': 'u3',
@@ -41,6 +49,7 @@ export class QasmTranspiler {
             'crx': 'crx',
             'cry': 'cry',
             'crz': 'crz',
+            'cu': 'cu',
             'swap': 'swap',
             'iswap': 'iswap',
 
@@ -54,10 +63,37 @@ export class QasmTranspiler {
         // Parameters for parameterized gates
         this.parameterizedGates = new Set([
             'rx', 'ry', 'rz', 'p', 'u1', 'u2', 'u3',
-            'cp', 'crx', 'cry', 'crz'
+            'cp', 'crx', 'cry', 'crz', 'cu'
+        ]);
+
+        // Parameter names of parameterized gates, in OpenQASM argument order
+        this.parameterOrder = {
+            'rx': ['theta'],
+            'ry': ['theta'],
+            'rz': ['theta'],
+            'p': ['lambda'],
+            'phase': ['lambda'],
+            'u1': ['lambda'],
+            'u2': ['phi', 'lambda'],
+            'u3': ['theta', 'phi', 'lambda'],
+            'cp': ['lambda'],
+            'crx': ['theta'],
+            'cry': ['theta'],
+            'crz': ['theta'],
+            'cu': ['theta', 'phi', 'lambda', 'gamma']
+        };
+
+        // Identifiers custom gates may not use (OpenQASM keywords and built-in gate names)
+        this.reservedNames = new Set([
+            'OPENQASM', 'include', 'gate', 'opaque', 'def', 'qubit', 'bit', 'qreg', 'creg',
+            'measure', 'reset', 'barrier', 'if', 'else', 'for', 'while', 'input', 'output', 'const',
+            'ctrl', 'negctrl', 'inv', 'pow', 'gphase', 'delay', 'box', 'let', 'U', 'CX', 'u', 'cphase'
         ]);
 
         this.version = '3.1';
+
+        // Argument names used for qubit references while transpiling a gate body
+        this.gateArguments = null;
     }
 
     /**
@@ -103,6 +139,20 @@ export class QasmTranspiler {
 
         qasm.push('');
 
+        // Custom gate definitions
+        const definitionLines = this.transpileGateDefinitions(circuit);
+        if (definitionLines.length > 0) {
+            qasm.push(...definitionLines);
+            qasm.push('');
+        }
+
+        // Symbolic parameters are circuit inputs
+        const parameters = circuit.parameters || [];
+        if (parameters.length > 0) {
+            parameters.forEach(parameter => qasm.push(`input float ${parameter.name};`));
+            qasm.push('');
+        }
+
         // Qubit declarations
         if (circuit.qreg.name === 'qreg' && circuit.numQubits > 1) {
             qasm.push(`qubit[${circuit.numQubits}] q;`);
@@ -132,6 +182,17 @@ export class QasmTranspiler {
         return qasm.join('\n');
     }
 
+    /**
+     * Parse OpenQASM 3 (or 2.0) code into a QuantumCircuit
+     * @param {string} qasmCode - OpenQASM source code
+     * @returns {QuantumCircuit} Parsed circuit
+     * @throws {Error} If the code is invalid, with `line` and `column` properties
+     */
+    parse(qasmCode) {
+        const parser = new QasmParser(this);
+        return parser.parse(qasmCode);
+    }
+
     /**
      * Transpile all gates in the circuit
      * @param {QuantumCircuit} circuit - The quantum circuit
@@ -148,7 +209,7 @@ export class QasmTranspiler {
 
             for (const gate of columnGates) {
                 if (gate) {
-                    if (gate.name === 'measure') {
+                    if (gate.name === 'measure' && this.isTerminalMeasurement(circuit, gate, col)) {
                         // Store measurements for later
                         const qasmLine = this.transpileGate(circuit, gate);
                         if (qasmLine) {
@@ -165,7 +226,7 @@ export class QasmTranspiler {
             }
         }
 
-        // Combine quantum gates first, then measurements at the end
+        // Combine quantum gates first, then terminal measurements at the end
         const lines = [...quantumLines];
 
         if (measurementLines.length > 0) {
@@ -178,6 +239,294 @@ export class QasmTranspiler {
         return lines;
     }
 
+    /**
+     * Transpile the circuit's custom gates (see QuantumCircuit.defineGate) to `gate` declarations.
+     * Gates used inside a subcircuit are declared before it.
+     * @param {QuantumCircuit} circuit - The quantum circuit
+     * @param {Set} declared - Names already declared
+     * @returns {Array} Array of QASM lines
+     */
+    transpileGateDefinitions(circuit, declared = new Set()) {
+        const lines = [];
+
+        for (const customGate of Object.values(circuit.customGates || {})) {
+            if (declared.has(customGate.name)) continue;
+            declared.add(customGate.name);
+
+            const args = Array.from({ length: customGate.numQubits }, (_, i) => `q${i}`);
+            const signature = `${customGate.name} ${args.join(', ')}`;
+
+            if (customGate.circuit) {
+                lines.push(...this.transpileGateDefinitions(customGate.circuit, declared));
+                lines.push(`gate ${signature} {`);
+                lines.push(...this.transpileGateBody(customGate.circuit, args).map(line => `    ${line}`));
+                lines.push('}');
+            } else if (customGate.numQubits === 1) {
+                const { theta, phi, lambda } = this.decomposeSingleQubitMatrix(customGate.matrix);
+                const params = [theta, phi, lambda].map(p => this.formatAngle(p)).join(', ');
+                lines.push(`gate ${signature} { u3(${params}) q0; }`);
+            } else {
+                lines.push(`gate ${signature} {`);
+                lines.push(...this.decomposeMatrix(customGate.matrix, args).map(line => `    ${line}`));
+                lines.push('}');
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Transpile the gates of a subcircuit as the body of a gate declaration
+     * @param {QuantumCircuit} subcircuit - Subcircuit defining the gate
+     * @param {Array<string>} args - Argument name of each subcircuit qubit
+     * @returns {Array} Array of QASM lines
+     */
+    transpileGateBody(subcircuit, args) {
+        const lines = [];
+        this.gateArguments = args;
+
+        try {
+            for (let col = 0; col < subcircuit.numCols(); col++) {
+                for (const gate of this.getGatesAtColumn(subcircuit, col)) {
+                    // Barriers are not allowed inside gate bodies
+                    if (gate.name !== 'barrier') {
+                        lines.push(this.transpileOperation(subcircuit, gate));
+                    }
+                }
+            }
+        } finally {
+            this.gateArguments = null;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Synthesize a multi-qubit unitary from cu, cx and ccx gates (and x on negative controls).
+     * Rotations between basis states that are adjacent in Gray-code order reduce the matrix to the
+     * identity; each one changes a single qubit and is applied controlled by all the other qubits.
+     * @param {Array<Array<Object>>} matrix - Unitary with the first qubit as the most significant bit
+     * @param {Array<string>} args - Argument name of each qubit
+     * @returns {Array} Array of QASM lines
+     */
+    decomposeMatrix(matrix, args) {
+        const size = matrix.length;
+        const numQubits = args.length;
+        const tolerance = 1e-12;
+        const work = matrix.map(row => row.map(z => complexMath.complex(z.re, z.im)));
+        const gray = Array.from({ length: size }, (_, i) => i ^ (i >> 1));
+        const rotations = [];
+
+        // Apply a 2×2 unitary to rows p and q of the remaining matrix
+        const rotate = (p, q, rotation) => {
+            for (let col = 0; col < size; col++) {
+                const [x, y] = [work[p][col], work[q][col]];
+                work[p][col] = complexMath.add(complexMath.multiply(rotation[0][0], x), complexMath.multiply(rotation[0][1], y));
+                work[q][col] = complexMath.add(complexMath.multiply(rotation[1][0], x), complexMath.multiply(rotation[1][1], y));
+            }
+            rotations.push({ p, q, rotation });
+        };
+
+        // Clear each column below the diagonal from the bottom up, leaving 1 on the diagonal
+        for (let col = 0; col < size - 1; col++) {
+            const target = gray[col];
+            for (let row = size - 1; row > col; row--) {
+                const [p, q] = [gray[row - 1], gray[row]];
+                const [x, y] = [work[p][target], work[q][target]];
+                const pivot = row === col + 1;
+                if (complexMath.abs(y) < tolerance && (!pivot || complexMath.equal(x, complexMath.complex(1), tolerance))) {
+                    continue;
+                }
+                const norm = Math.hypot(x.re, x.im, y.re, y.im);
+                rotate(p, q, [
+                    [complexMath.scale(complexMath.conj(x), 1 / norm), complexMath.scale(complexMath.conj(y), 1 / norm)],
+                    [complexMath.scale(y, -1 / norm), complexMath.scale(x, 1 / norm)]
+                ]);
+            }
+        }
+
+        // The last diagonal entry is a phase
+        const [p, q] = [gray[size - 2], gray[size - 1]];
+        if (!complexMath.equal(work[q][q], complexMath.complex(1), tolerance)) {
+            rotate(p, q, [[complexMath.complex(1), complexMath.complex(0)], [complexMath.complex(0), complexMath.conj(work[q][q])]]);
+        }
+
+        // The matrix is the product of the inverse rotations, the last rotation being applied first
+        const lines = [];
+        const emit = line => {
+            // Drop pairs of x gates on the same qubit left by consecutive negative controls
+            if (line.startsWith('x ') && lines[lines.length - 1] === line) {
+                lines.pop();
+            } else {
+                lines.push(line);
+            }
+        };
+
+        for (const { p, q, rotation } of rotations.reverse()) {
+            const bit = Math.log2(p ^ q);
+            const target = numQubits - 1 - bit;
+            const inverse = [
+                [complexMath.conj(rotation[0][0]), complexMath.conj(rotation[1][0])],
+                [complexMath.conj(rotation[0][1]), complexMath.conj(rotation[1][1])]
+            ];
+            // Order the rotation's basis states as |0⟩, |1⟩ of the target qubit
+            const unitary = (p >> bit) & 1
+                ? [[inverse[1][1], inverse[1][0]], [inverse[0][1], inverse[0][0]]]
+                : inverse;
+
+            const controls = args.filter((_, i) => i !== target);
+            const negated = controls.filter(arg => ((p >> (numQubits - 1 - args.indexOf(arg))) & 1) === 0);
+
+            negated.forEach(arg => emit(`x ${arg};`));
+            this.decomposeControlledUnitary(controls, args[target], unitary).forEach(emit);
+            negated.forEach(arg => emit(`x ${arg};`));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Write a single-qubit unitary controlled by one or more qubits with cu, cx and ccx gates,
+     * halving the number of controls with square roots of the unitary (Barenco et al., Lemma 7.5)
+     * @param {Array<string>} controls - Control qubit references
+     * @param {string} target - Target qubit reference
+     * @param {Array<Array<Object>>} unitary - 2×2 unitary, phase included
+     * @returns {Array} Array of QASM lines
+     */
+    decomposeControlledUnitary(controls, target, unitary) {
+        if (controls.length === 1) {
+            const { theta, phi, lambda, gamma } = this.decomposeSingleQubitMatrix(unitary);
+            const params = [theta, phi, lambda, gamma].map(p => this.formatAngle(p)).join(', ');
+            return [`cu(${params}) ${controls[0]}, ${target};`];
+        }
+
+        const last = controls[controls.length - 1];
+        const rest = controls.slice(0, -1);
+        const flip = rest.length === 1
+            ? [`cx ${rest[0]}, ${last};`]
+            : rest.length === 2
+                ? [`ccx ${rest[0]}, ${rest[1]}, ${last};`]
+                : this.decomposeControlledUnitary(rest, last,
+                    [[complexMath.complex(0), complexMath.complex(1)], [complexMath.complex(1), complexMath.complex(0)]]);
+
+        const root = this.squareRootSingleQubitMatrix(unitary);
+        const rootInverse = [
+            [complexMath.conj(root[0][0]), complexMath.conj(root[1][0])],
+            [complexMath.conj(root[0][1]), complexMath.conj(root[1][1])]
+        ];
+
+        return [
+            ...this.decomposeControlledUnitary([last], target, root),
+            ...flip,
+            ...this.decomposeControlledUnitary([last], target, rootInverse),
+            ...flip,
+            ...this.decomposeControlledUnitary(rest, target, root)
+        ];
+    }
+
+    /**
+     * Square root of a single-qubit unitary
+     * @param {Array<Array<Object>>} unitary - 2×2 unitary
+     * @returns {Array<Array<Object>>} Unitary V with V·V = unitary
+     */
+    squareRootSingleQubitMatrix(unitary) {
+        const [[a, b], [c, d]] = unitary;
+        const det = complexMath.subtract(complexMath.multiply(a, d), complexMath.multiply(b, c));
+        const phase = complexMath.arg(det) / 2;
+
+        // R = e^(-i·phase)·unitary has determinant 1, and (R + I)² = (tr R + 2)·R
+        const [ra, rb, rc, rd] = [a, b, c, d].map(z => complexMath.multiply(z, complexMath.exp(-phase)));
+        const norm = Math.sqrt(Math.max(0, ra.re + rd.re + 2));
+        const rootPhase = complexMath.exp(phase / 2);
+
+        if (norm < 1e-9) {
+            // R = -I, with square root diag(-i, i)
+            return [
+                [complexMath.multiply(rootPhase, complexMath.complex(0, -1)), complexMath.complex(0)],
+                [complexMath.complex(0), complexMath.multiply(rootPhase, complexMath.complex(0, 1))]
+            ];
+        }
+
+        const scale = z => complexMath.scale(complexMath.multiply(rootPhase, z), 1 / norm);
+        return [
+            [scale(complexMath.add(ra, complexMath.complex(1))), scale(rb)],
+            [scale(rc), scale(complexMath.add(rd, complexMath.complex(1)))]
+        ];
+    }
+
+    /**
+     * Format an angle computed from a gate matrix. Multiples of π are written as such; other
+     * values keep full precision so that the gate body multiplies back to the matrix.
+     * @param {number} angle - Angle in radians
+     * @returns {string} Formatted angle
+     */
+    formatAngle(angle) {
+        if (Math.abs(angle) < 1e-12) return '0';
+        const formatted = this.formatParameter(angle);
+        return formatted.includes('π') ? formatted : String(angle);
+    }
+
+    /**
+     * Find u3 angles of a single-qubit unitary, which equals e^(i·gamma)·u3(theta, phi, lambda)
+     * @param {Array} matrix - 2×2 complex matrix
+     * @returns {Object} {theta, phi, lambda, gamma}
+     */
+    decomposeSingleQubitMatrix(matrix) {
+        const [[a, b], [c, d]] = matrix;
+        const arg = z => Math.atan2(z.im, z.re);
+        const cos = Math.hypot(a.re, a.im);
+        const sin = Math.hypot(c.re, c.im);
+        const tolerance = 1e-12;
+
+        // Global phase taken from the top-left entry (bottom-left if it vanishes)
+        const alpha = cos > tolerance ? arg(a) : arg(c);
+        const theta = 2 * Math.atan2(sin, cos);
+        const phi = sin > tolerance ? arg(c) - alpha : 0;
+        const lambda = sin > tolerance
+            ? arg({ re: -b.re, im: -b.im }) - alpha
+            : arg(d) - alpha - phi;
+
+        const wrap = angle => Math.atan2(Math.sin(angle), Math.cos(angle));
+        return { theta, phi: wrap(phi), lambda: wrap(lambda), gamma: wrap(alpha) };
+    }
+
+    /**
+     * Check whether a measurement is followed only by measurements and barriers on its
+     * qubit and its result is not used by a later condition, so it can be moved to the
+     * end without changing the circuit's meaning
+     * @param {QuantumCircuit} circuit - The quantum circuit
+     * @param {Object} gate - The measurement gate
+     * @param {number} column - Column of the measurement
+     * @returns {boolean} True if the measurement is terminal
+     */
+    isTerminalMeasurement(circuit, gate, column) {
+        if (gate.options?.condition) {
+            return false;
+        }
+
+        const wire = this.findGateWires(circuit, gate)[0];
+        const row = circuit.gates[wire];
+
+        for (let col = column + 1; col < row.length; col++) {
+            const next = row[col];
+            if (next && next.name !== 'measure' && next.name !== 'barrier') {
+                return false;
+            }
+        }
+
+        // Results read by later conditions must be measured in place
+        const bit = gate.options?.creg?.bit;
+        for (let col = column + 1; col < circuit.numCols(); col++) {
+            for (const next of this.getGatesAtColumn(circuit, col)) {
+                if (next.options?.condition && next.options.condition.bits.includes(bit)) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Get all gates at a specific column
      * @param {QuantumCircuit} circuit - The quantum circuit
@@ -200,12 +549,30 @@ export class QasmTranspiler {
     }
 
     /**
-     * Transpile a single gate to OpenQASM v3
+     * Transpile a single gate to OpenQASM v3, wrapping classically-controlled
+     * gates in an `if` statement
      * @param {QuantumCircuit} circuit - The quantum circuit
      * @param {Object} gate - The gate object
      * @returns {string} OpenQASM v3 gate line
      */
     transpileGate(circuit, gate) {
+        const line = this.transpileOperation(circuit, gate);
+        const condition = gate.options?.condition;
+
+        if (condition && gate.name !== 'noise') {
+            return `if (${this.formatCondition(circuit, condition)}) { ${line} }`;
+        }
+
+        return line;
+    }
+
+    /**
+     * Transpile the operation of a single gate (without its condition)
+     * @param {QuantumCircuit} circuit - The quantum circuit
+     * @param {Object} gate - The gate object
+     * @returns {string} OpenQASM v3 statement
+     */
+    transpileOperation(circuit, gate) {
         const gateName = gate.name;
 
         if (gateName === 'measure') {
@@ -216,6 +583,27 @@ export class QasmTranspiler {
             return this.transpileBarrier(circuit, gate);
         }
 
+        if (gateName === 'reset') {
+            const wires = this.findGateWires(circuit, gate);
+            return `reset ${this.formatQubitReference(circuit, wires[0])};`;
+        }
+
+        if (gateName === 'noise') {
+            // Noise channels have no OpenQASM equivalent; keep them visible as a comment
+            const wires = this.findGateWires(circuit, gate);
+            const { name, params } = gate.options.channel;
+            const paramStr = Object.entries(params || {})
+                .filter(([, value]) => typeof value === 'number')
+                .map(([key, value]) => `${key}=${value}`)
+                .join(', ');
+            return `// noise ${name}(${paramStr}) ${this.formatQubitReferences(circuit, wires).join(', ')}`;
+        }
+
+        if (circuit.customGates?.[gateName]) {
+            const wires = this.findGateWires(circuit, gate);
+            return `${gateName} ${this.formatQubitReferences(circuit, wires).join(', ')};`;
+        }
+
         const qasmGateName = this.gateMapping[gateName];
         if (!qasmGateName) {
             throw new Error(`Unknown gate: ${gateName}`);
@@ -239,6 +627,25 @@ export class QasmTranspiler {
         return `${qasmGateName} ${qubitRefs.join(', ')};`;
     }
 
+    /**
+     * Format a classical condition, e.g. `c == 2` or `c[0] == 1`
+     * @param {QuantumCircuit} circuit - The quantum circuit
+     * @param {Object} condition - Condition {bits, value}
+     * @returns {string} OpenQASM v3 condition expression
+     */
+    formatCondition(circuit, condition) {
+        const cregName = circuit.creg.name === 'creg' ? 'c' : circuit.creg.name;
+        const bitRef = bit => circuit.numClbits === 1 ? cregName : `${cregName}[${bit}]`;
+        const { bits, value } = condition;
+
+        const isWholeRegister = bits.length === circuit.numClbits && bits.every((bit, i) => bit === i);
+        if (isWholeRegister) {
+            return `${cregName} == ${value}`;
+        }
+
+        return bits.map((bit, i) => `${bitRef(bit)} == ${(value >> i) & 1}`).join(' && ');
+    }
+
     /**
      * Transpile a barrier directive
      * @param {QuantumCircuit} circuit - The quantum circuit
@@ -288,12 +695,17 @@ export class QasmTranspiler {
     }
 
     /**
-     * Find which wires a gate operates on
+     * Find which wires a gate operates on (in the order the gate was applied,
+     * e.g. [control, target])
      * @param {QuantumCircuit} circuit - The quantum circuit
      * @param {Object} gate - The gate object
      * @returns {Array} Array of wire indices
      */
     findGateWires(circuit, gate) {
+        if (Array.isArray(gate.wires)) {
+            return [...gate.wires];
+        }
+
         const wires = [];
         const numCols = circuit.numCols();
 
@@ -326,6 +738,10 @@ export class QasmTranspiler {
      * @returns {string} Formatted qubit reference
      */
     formatQubitReference(circuit, wire) {
+        if (this.gateArguments) {
+            return this.gateArguments[wire];
+        }
+
         const qregName = circuit.qreg.name === 'qreg' ? 'q' : circuit.qreg.name;
 
         if (circuit.numQubits === 1) {
@@ -344,22 +760,7 @@ export class QasmTranspiler {
         const options = gate.options || {};
         const params = options.params || {};
 
-        // Common parameter names mapping
-        const paramOrder = {
-            'rx': ['theta'],
-            'ry': ['theta'],
-            'rz': ['theta'],
-            'p': ['lambda'],
-            'u1': ['lambda'],
-            'u2': ['phi', 'lambda'],
-            'u3': ['theta', 'phi', 'lambda'],
-            'cp': ['lambda'],
-            'crx': ['theta'],
-            'cry': ['theta'],
-            'crz': ['theta']
-        };
-
-        const expectedParams = paramOrder[gate.name] || [];
+        const expectedParams = this.parameterOrder[gate.name] || [];
         const result = [];
 
         for (const paramName of expectedParams) {
@@ -379,6 +780,10 @@ export class QasmTranspiler {
      * @returns {string} Formatted parameter
      */
     formatParameter(param) {
+        if (param instanceof ParameterExpression) {
+            return param.expression.replace(/\^/g, '**');
+        }
+
         if (typeof param === 'number') {
             // Handle special values with better precision
             const pi = Math.PI;
@@ -474,7 +879,7 @@ export class QasmTranspiler {
         for (let col = 0; col < numCols; col++) {
             for (let wire = 0; wire < circuit.numQubits; wire++) {
                 const gate = circuit.gates[wire][col];
-                if (gate && gate.name !== 'measure' && gate.name !== 'barrier' && !this.gateMapping[gate.name]) {
+                if (gate && !this.isGateSupported(gate.name, circuit)) {
                     throw new Error(`Unsupported gate: ${gate.name}`);
                 }
             }
@@ -489,12 +894,23 @@ export class QasmTranspiler {
         return Object.keys(this.gateMapping);
     }
 
+    /**
+     * Check whether a name is reserved and cannot be used for a custom gate
+     * @param {string} name - Gate name
+     * @returns {boolean} True if the name is an OpenQASM keyword or built-in gate
+     */
+    isReservedName(name) {
+        return this.reservedNames.has(name) || Object.prototype.hasOwnProperty.call(this.gateMapping, name);
+    }
+
     /**
      * Check if a gate is supported
      * @param {string} gateName - Gate name to check
+     * @param {QuantumCircuit} circuit - Circuit whose custom gates are also supported (optional)
      * @returns {boolean} True if supported
      */
-    isGateSupported(gateName) {
-        return gateName in this.gateMapping || gateName === 'measure' || gateName === 'barrier';
+    isGateSupported(gateName, circuit = null) {
+        return gateName in this.gateMapping || gateName === 'measure' || gateName === 'barrier' ||
+            gateName === 'reset' || gateName === 'noise' || Boolean(circuit?.customGates?.[gateName]);
     }
 }
\ No newline at end of file
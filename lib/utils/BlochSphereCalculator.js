@@ -20,24 +20,50 @@ export class BlochSphereCalculator {
             [{ re: 0, im: 0 }, { re: 0, im: 0 }]
         ];
 
-        // Partial trace: sum over all basis states
+        // Partial trace: only pairs of basis states that differ in this qubit contribute,
+        // ρ[a][b] = Σ ψ(other, a) · conj(ψ(other, b))
+        const mask = 1 << qubitIndex;
         for (let i = 0; i < numStates; i++) {
-            for (let j = 0; j < numStates; j++) {
-                // Extract qubit states at qubitIndex position
-                const i_bit = (i >> qubitIndex) & 1;
-                const j_bit = (j >> qubitIndex) & 1;
-
-                // Check if other qubits match (for trace)
-                const i_other = i ^ (i_bit << qubitIndex);
-                const j_other = j ^ (j_bit << qubitIndex);
-
-                if (i_other === j_other) {
-                    // ρ[i_bit][j_bit] += stateVector[i] * conj(stateVector[j])
-                    const psi_i = stateVector[i];
-                    const psi_j = stateVector[j];
-
-                    rho[i_bit][j_bit].re += psi_i.re * psi_j.re + psi_i.im * psi_j.im;
-                    rho[i_bit][j_bit].im += psi_i.im * psi_j.re - psi_i.re * psi_j.im;
+            if (i & mask) continue;
+
+            const psi0 = stateVector[i];
+            const psi1 = stateVector[i | mask];
+
+            rho[0][0].re += psi0.re * psi0.re + psi0.im * psi0.im;
+            rho[1][1].re += psi1.re * psi1.re + psi1.im * psi1.im;
+            rho[0][1].re += psi0.re * psi1.re + psi0.im * psi1.im;
+            rho[0][1].im += psi0.im * psi1.re - psi0.re * psi1.im;
+        }
+        rho[1][0] = { re: rho[0][1].re, im: -rho[0][1].im };
+
+        return rho;
+    }
+
+    /**
+     * Compute reduced density matrix for a single qubit of a (possibly mixed) multi-qubit density matrix
+     * @param {Array} densityMatrix - Full 2^n × 2^n density matrix
+     * @param {number} qubitIndex - Index of the qubit to keep
+     * @param {number} totalQubits - Total number of qubits in the system
+     * @returns {Array} 2x2 density matrix for the single qubit
+     */
+    computeReducedDensityMatrixFromDensity(densityMatrix, qubitIndex, totalQubits) {
+        const numStates = 1 << totalQubits;
+        const mask = 1 << qubitIndex;
+
+        const rho = [
+            [{ re: 0, im: 0 }, { re: 0, im: 0 }],
+            [{ re: 0, im: 0 }, { re: 0, im: 0 }]
+        ];
+
+        // Partial trace: ρ_q[a][b] = Σ over the other qubits of ρ[other|a][other|b]
+        for (let other = 0; other < numStates; other++) {
+            if (other & mask) continue;
+
+            for (let a = 0; a < 2; a++) {
+                for (let b = 0; b < 2; b++) {
+                    const element = densityMatrix[other | (a ? mask : 0)][other | (b ? mask : 0)];
+                    rho[a][b].re += element.re;
+                    rho[a][b].im += element.im;
                 }
             }
         }
@@ -45,6 +71,19 @@ export class BlochSphereCalculator {
         return rho;
     }
 
+    /**
+     * Reduce a state vector or density matrix to a single qubit
+     * @param {Array} state - State vector or density matrix
+     * @param {number} qubitIndex - Index of the qubit to keep
+     * @param {number} totalQubits - Total number of qubits in the system
+     * @returns {Array} 2x2 density matrix for the single qubit
+     */
+    reduceToQubit(state, qubitIndex, totalQubits) {
+        return Array.isArray(state[0])
+            ? this.computeReducedDensityMatrixFromDensity(state, qubitIndex, totalQubits)
+            : this.computeReducedDensityMatrix(state, qubitIndex, totalQubits);
+    }
+
     /**
      * Convert reduced density matrix to Bloch vector (x, y, z)
      * Uses Pauli matrix decomposition: ρ = (I + x*σ_x + y*σ_y + z*σ_z) / 2
@@ -60,7 +99,7 @@ export class BlochSphereCalculator {
 
         // Bloch vector coordinates
         const x = 2 * rho01_re;           // Tr(ρ * σ_x)
-        const y = 2 * rho01_im;           // Tr(ρ * σ_y)
+        const y = -2 * rho01_im;          // Tr(ρ * σ_y)
         const z = rho00 - rho11;          // Tr(ρ * σ_z)
 
         // Calculate purity (distance from center)
@@ -84,7 +123,7 @@ export class BlochSphereCalculator {
 
         // Bloch vector coordinates
         const x = 2 * (alpha.re * beta.re + alpha.im * beta.im);
-        const y = 2 * (alpha.im * beta.re - alpha.re * beta.im);
+        const y = 2 * (alpha.re * beta.im - alpha.im * beta.re);
         const z = alpha.re * alpha.re + alpha.im * alpha.im - (beta.re * beta.re + beta.im * beta.im);
 
         const purity = Math.sqrt(x * x + y * y + z * z);
@@ -94,15 +133,15 @@ export class BlochSphereCalculator {
 
     /**
      * Compute Bloch vectors for all qubits in a multi-qubit system
-     * @param {Array} stateVector - Full state vector
+     * @param {Array} state - Full state vector, or density matrix for mixed states
      * @param {number} totalQubits - Total number of qubits
      * @returns {Array} Array of Bloch vectors, one per qubit
      */
-    computeAllBlochVectors(stateVector, totalQubits) {
+    computeAllBlochVectors(state, totalQubits) {
         const blochVectors = [];
 
         for (let qubitIndex = 0; qubitIndex < totalQubits; qubitIndex++) {
-            const rho = this.computeReducedDensityMatrix(stateVector, qubitIndex, totalQubits);
+            const rho = this.reduceToQubit(state, qubitIndex, totalQubits);
             const blochVector = this.densityMatrixToBlochVector(rho);
             blochVectors.push({
                 qubitIndex,
@@ -4,6 +4,8 @@
  */
 
 import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+import { QuantumGates } from '../quantum/QuantumGates.js';
+import { GateMapper } from '../quantum/GateMapper.js';
 
 export class CircuitBuilder {
     /**
@@ -11,11 +13,16 @@ export class CircuitBuilder {
      * @param {Array<Array>} gateGrid - 2D array of gate objects [qubit][column]
      * @param {number} numQubits - Number of qubits
      * @param {number} numDepth - Circuit depth (number of columns)
+     * @param {Object} customGates - Custom gate definitions used by the grid, as in QuantumCircuit.customGates
      * @returns {QuantumCircuit} Constructed circuit
      */
-    buildCircuitFromGrid(gateGrid, numQubits, numDepth) {
+    buildCircuitFromGrid(gateGrid, numQubits, numDepth, customGates = {}) {
         const circuit = new QuantumCircuit(numQubits, numQubits);
 
+        for (const { name, matrix, circuit: subcircuit } of Object.values(customGates)) {
+            circuit.defineGate(name, subcircuit || matrix);
+        }
+
         // Process column by column to maintain gate order
         for (let col = 0; col < numDepth; col++) {
             const processedQubits = new Set();
@@ -27,14 +34,89 @@ export class CircuitBuilder {
                 const gate = gateGrid[q][col];
                 if (!gate) continue;
 
-                // Add gate to circuit based on type
-                this._addGateToCircuit(circuit, gate, q, col, processedQubits);
+                // Add gate to circuit based on type (classically-controlled gates keep their condition)
+                if (gate.condition) {
+                    circuit.if_test(gate.condition, () => this._addGateToCircuit(circuit, gate, q, col, processedQubits));
+                } else {
+                    this._addGateToCircuit(circuit, gate, q, col, processedQubits);
+                }
             }
         }
 
         return circuit;
     }
 
+    /**
+     * Build a gate grid from a QuantumCircuit (the inverse of buildCircuitFromGrid). Gates keep
+     * their name, parameters, classical bit and condition; gates outside the grid are left out.
+     * @param {QuantumCircuit} circuit - Circuit to convert
+     * @param {number} numQubits - Number of qubits in the grid
+     * @param {number} numDepth - Number of columns in the grid
+     * @returns {Array<Array>} Gate grid [qubit][column]
+     */
+    buildGridFromCircuit(circuit, numQubits, numDepth) {
+        const gateGrid = this.createEmptyGrid(numQubits, numDepth);
+        const numCols = Math.min(numDepth, circuit.numCols());
+
+        for (let col = 0; col < numCols; col++) {
+            const processedGates = new Set();
+
+            for (let wire = 0; wire < circuit.numQubits; wire++) {
+                const gate = circuit.gates[wire][col];
+                if (!gate || processedGates.has(gate.id)) continue;
+                processedGates.add(gate.id);
+
+                // Barriers span all qubits in the grid
+                if (gate.name === 'barrier') {
+                    for (let q = 0; q < numQubits; q++) {
+                        gateGrid[q][col] ??= { name: 'Barrier', isBarrier: true };
+                    }
+                    continue;
+                }
+
+                const qubits = circuit.getGateWires(gate);
+                if (qubits.some(q => q >= numQubits)) continue;
+
+                // Every wire of a custom gate carries the condition; the builder reads the topmost one
+                const condition = gate.options?.condition;
+                if (circuit.customGates[gate.name]) {
+                    qubits.forEach((q, index) => {
+                        gateGrid[q][col] = { name: gate.name, custom: true, qubits: [...qubits], index };
+                        if (condition) gateGrid[q][col].condition = condition;
+                    });
+                    continue;
+                }
+
+                const name = gate.name.toUpperCase();
+                const data = { name };
+                if (gate.options?.params) {
+                    data.params = { ...gate.options.params };
+                }
+                if (gate.name === 'measure' && gate.options?.creg) {
+                    data.bit = gate.options.creg.bit;
+                }
+                if (condition) {
+                    data.condition = condition;
+                }
+
+                if (qubits.length === 1) {
+                    gateGrid[qubits[0]][col] = data;
+                } else if (qubits.length === 2) {
+                    const [control, target] = qubits;
+                    gateGrid[control][col] = { ...data, control: true, target };
+                    gateGrid[target][col] = { name, control: false, source: control };
+                } else if (qubits.length === 3) {
+                    const [control1, control2, target] = qubits;
+                    gateGrid[control1][col] = { ...data, control: true, control2, target };
+                    gateGrid[control2][col] = { name, control: true, source: control1, target };
+                    gateGrid[target][col] = { name, control: false, sources: [control1, control2] };
+                }
+            }
+        }
+
+        return gateGrid;
+    }
+
     /**
      * Add a gate from the grid to the circuit
      * @private
@@ -45,7 +127,12 @@ export class CircuitBuilder {
      * @param {Set} processedQubits - Set of already processed qubits
      */
     _addGateToCircuit(circuit, gate, qubit, column, processedQubits) {
-        const gateNameLower = gate.name.toLowerCase();
+        // Palette aliases (CNOT, Toffoli, ...) map to library gates; library names are kept as they are
+        const lowerName = gate.name.toLowerCase();
+        const gateNameLower = QuantumGates.hasGate(lowerName) || !GateMapper.isValidGateName(gate.name)
+            ? lowerName
+            : GateMapper.normalizeGateName(gate.name);
+        const options = gate.params ? { params: { ...gate.params } } : undefined;
 
         // Barrier - spans all qubits
         if (gate.isBarrier) {
@@ -58,19 +145,26 @@ export class CircuitBuilder {
             return;
         }
 
+        // Custom gates - one box across all their qubits
+        if (gate.custom) {
+            circuit.addGate(gate.name, column, gate.qubits);
+            gate.qubits.forEach(q => processedQubits.add(q));
+            return;
+        }
+
         // Multi-qubit gates
         if (gate.control !== undefined) {
             if (gate.control) {
                 // This is a control qubit
                 if (gate.control2 !== undefined) {
-                    // Three-qubit gate (Toffoli)
-                    circuit.addGate('ccx', column, [qubit, gate.control2, gate.target]);
+                    // Three-qubit gate (Toffoli, Fredkin)
+                    circuit.addGate(gateNameLower, column, [qubit, gate.control2, gate.target], options);
                     processedQubits.add(qubit);
                     processedQubits.add(gate.control2);
                     processedQubits.add(gate.target);
                 } else {
                     // Two-qubit gate
-                    circuit.addGate(gateNameLower, column, [qubit, gate.target]);
+                    circuit.addGate(gateNameLower, column, [qubit, gate.target], options);
                     processedQubits.add(qubit);
                     processedQubits.add(gate.target);
                 }
@@ -82,7 +176,7 @@ export class CircuitBuilder {
         // Measurement gate
         if (gate.name === 'measure' || gateNameLower === 'measure' || gateNameLower === 'm') {
             circuit.addGate('measure', column, qubit, {
-                creg: { name: circuit.creg.name, bit: qubit }
+                creg: { name: circuit.creg.name, bit: gate.bit ?? qubit }
             });
             processedQubits.add(qubit);
             return;
@@ -98,7 +192,7 @@ export class CircuitBuilder {
         }
 
         // Single-qubit gates
-        circuit.addGate(gateNameLower, column, qubit);
+        circuit.addGate(gateNameLower, column, qubit, options);
         processedQubits.add(qubit);
     }
 
@@ -150,6 +244,10 @@ export class CircuitBuilder {
                 if (gate.source !== undefined && !this._isValidQubit(gate.source, expectedQubits)) {
                     errors.push(`Gate at [${q}][${col}] has invalid source: ${gate.source}`);
                 }
+
+                if (gate.custom && !gate.qubits.every(qubit => this._isValidQubit(qubit, expectedQubits))) {
+                    errors.push(`Gate at [${q}][${col}] has invalid qubits: ${gate.qubits.join(', ')}`);
+                }
             }
         }
 
@@ -0,0 +1,303 @@
+/**
+ * CircuitEquivalence - Checks whether two circuits implement the same operation
+ * Compares unitary matrices (small circuits) or output states for random inputs (larger ones),
+ * e.g. to grade a circuit against a reference solution
+ */
+
+import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+import { QuantumSimulator } from '../quantum/QuantumSimulator.js';
+import { ComplexMath } from '../quantum/ComplexMath.js';
+import { SeededRandom } from './SeededRandom.js';
+
+const complexMath = new ComplexMath();
+
+export class CircuitEquivalence {
+    /**
+     * Compare two circuits. Final measurements and barriers are ignored.
+     * @param {QuantumCircuit} a - First circuit (e.g. the reference)
+     * @param {QuantumCircuit} b - Second circuit (e.g. the submission)
+     * @param {Object} options - Comparison options
+     * @param {boolean} options.upToGlobalPhase - Accept b = e^(iφ)·a (default: true)
+     * @param {boolean} options.upToQubitPermutation - Accept b with its qubits relabeled
+     *        (unitary method only; default: false)
+     * @param {number} options.tolerance - Largest accepted difference of an entry (default: 1e-8)
+     * @param {string} options.method - 'unitary', 'state' or 'auto' (default): unitaries up to
+     *        maxUnitaryQubits qubits, random input states beyond
+     * @param {number} options.maxUnitaryQubits - Largest circuit compared by unitary in auto mode (default: 6)
+     * @param {number} options.numStates - Number of random input states in state mode (default: 8)
+     * @param {number|string} options.seed - Seed for the random input states
+     * @param {number} options.maxDifferences - Number of differing entries reported (default: 5)
+     * @returns {Object} Diagnostic {equivalent, method, numQubits, globalPhase, permutation,
+     *          maxDifference, differences, message}. differences lists the first differing entries:
+     *          {row, column, a, b, difference} for unitaries, {input, index, a, b, difference} for
+     *          states, where difference is |b - e^(iφ)·a| for the global phase φ.
+     * @throws {Error} If a circuit has unbound parameters, resets, noise, classical conditions or
+     *         mid-circuit measurements
+     */
+    static areEquivalent(a, b, options = {}) {
+        const {
+            upToGlobalPhase = true,
+            upToQubitPermutation = false,
+            tolerance = 1e-8,
+            method = 'auto',
+            maxUnitaryQubits = 6
+        } = options;
+
+        if (!['auto', 'unitary', 'state'].includes(method)) {
+            throw new Error(`Unknown equivalence method: ${method}`);
+        }
+        CircuitEquivalence.validate(a, 'First');
+        CircuitEquivalence.validate(b, 'Second');
+
+        const numQubits = a.numQubits;
+        const useUnitary = method === 'unitary' || (method === 'auto' && numQubits <= maxUnitaryQubits);
+        const settings = { ...options, upToGlobalPhase, tolerance, maxDifferences: options.maxDifferences ?? 5 };
+
+        if (b.numQubits !== numQubits) {
+            return {
+                equivalent: false,
+                method: useUnitary ? 'unitary' : 'state',
+                numQubits,
+                globalPhase: null,
+                permutation: null,
+                maxDifference: Infinity,
+                differences: [],
+                message: `Circuits act on different numbers of qubits (${numQubits} and ${b.numQubits})`
+            };
+        }
+        if (upToQubitPermutation && !useUnitary) {
+            throw new Error('upToQubitPermutation needs the unitary method');
+        }
+
+        return useUnitary
+            ? CircuitEquivalence.compareUnitaries(a, b, { ...settings, upToQubitPermutation })
+            : CircuitEquivalence.compareStates(a, b, settings);
+    }
+
+    /**
+     * Compare the unitary matrices of two circuits
+     * @param {QuantumCircuit} a - First circuit
+     * @param {QuantumCircuit} b - Second circuit
+     * @param {Object} settings - Options of areEquivalent (with defaults applied)
+     * @returns {Object} Diagnostic (see areEquivalent)
+     */
+    static compareUnitaries(a, b, settings) {
+        const simulator = new QuantumSimulator();
+        const ua = simulator.calculateUnitaryMatrix(a);
+        const ub = simulator.calculateUnitaryMatrix(b);
+        const numQubits = a.numQubits;
+        const size = ua.length;
+
+        // Basis index of b for each basis index of a, with qubit i of a as qubit permutation[i] of b
+        const relabel = permutation => index =>
+            permutation.reduce((result, target, qubit) => result | (((index >> qubit) & 1) << target), 0);
+        const compare = (permutation, maxDifferences) => {
+            const map = relabel(permutation);
+            return CircuitEquivalence.compareEntries(size * size,
+                k => ua[Math.floor(k / size)][k % size],
+                k => ub[map(Math.floor(k / size))][map(k % size)],
+                { ...settings, maxDifferences });
+        };
+
+        const identity = Array.from({ length: numQubits }, (_, i) => i);
+        if (settings.upToQubitPermutation) {
+            for (const permutation of CircuitEquivalence.permutations(identity)) {
+                const outcome = compare(permutation, 0);
+                if (outcome.equivalent) {
+                    return CircuitEquivalence.report('unitary', numQubits, outcome, permutation);
+                }
+            }
+        }
+
+        // Diagnose the circuits as given
+        const outcome = compare(identity, settings.maxDifferences);
+        const differences = outcome.differences.map(({ position, ...entry }) =>
+            ({ row: Math.floor(position / size), column: position % size, ...entry }));
+        return CircuitEquivalence.report('unitary', numQubits, { ...outcome, differences },
+            settings.upToQubitPermutation ? identity : null);
+    }
+
+    /**
+     * Compare the output states of two circuits for random input states. Inputs are prepared with
+     * random single-qubit rotations around a ladder of CNOTs, so they are generally entangled.
+     * @param {QuantumCircuit} a - First circuit
+     * @param {QuantumCircuit} b - Second circuit
+     * @param {Object} settings - Options of areEquivalent (with defaults applied)
+     * @returns {Object} Diagnostic (see areEquivalent)
+     */
+    static compareStates(a, b, settings) {
+        const { numStates = 8 } = settings;
+        const rng = new SeededRandom(settings.seed);
+        const simulator = new QuantumSimulator();
+        const numQubits = a.numQubits;
+        const output = (preparation, circuit) => simulator.simulate(
+            new QuantumCircuit(numQubits, circuit.numClbits).compose(preparation).compose(circuit), { shots: 1, rng }
+        ).stateVector;
+
+        const states = [];
+        for (let input = 0; input < numStates; input++) {
+            const preparation = CircuitEquivalence.randomPreparation(numQubits, rng);
+            states.push({ a: output(preparation, a), b: output(preparation, b) });
+        }
+
+        // One global phase for all inputs: a phase per input would hide relative phases
+        const size = 1 << numQubits;
+        const outcome = CircuitEquivalence.compareEntries(numStates * size,
+            k => states[Math.floor(k / size)].a[k % size],
+            k => states[Math.floor(k / size)].b[k % size],
+            settings);
+        const differences = outcome.differences.map(({ position, ...entry }) =>
+            ({ input: Math.floor(position / size), index: position % size, ...entry }));
+        return CircuitEquivalence.report('state', numQubits, { ...outcome, differences }, null);
+    }
+
+    /**
+     * Compare two lists of complex entries
+     * @param {number} count - Number of entries
+     * @param {Function} entryA - Entry k of the first list
+     * @param {Function} entryB - Entry k of the second list
+     * @param {Object} settings - {upToGlobalPhase, tolerance, maxDifferences}; with maxDifferences 0
+     *        the comparison stops at the first difference
+     * @returns {Object} {equivalent, globalPhase, maxDifference, differences: [{position, a, b, difference}]}
+     */
+    static compareEntries(count, entryA, entryB, settings) {
+        const { upToGlobalPhase, tolerance, maxDifferences } = settings;
+
+        // The global phase is read from the largest entry of a
+        let globalPhase = 0;
+        if (upToGlobalPhase) {
+            let largest = 0;
+            for (let k = 0; k < count; k++) {
+                if (complexMath.abs(entryA(k)) > complexMath.abs(entryA(largest))) {
+                    largest = k;
+                }
+            }
+            globalPhase = complexMath.arg(complexMath.multiply(entryB(largest), complexMath.conj(entryA(largest))));
+        }
+
+        const phase = complexMath.exp(globalPhase);
+        const differences = [];
+        let maxDifference = 0;
+        for (let k = 0; k < count; k++) {
+            const difference = complexMath.abs(complexMath.subtract(entryB(k), complexMath.multiply(phase, entryA(k))));
+            if (difference <= tolerance) continue;
+
+            if (maxDifferences === 0) {
+                return { equivalent: false, globalPhase, maxDifference: difference, differences };
+            }
+            if (differences.length < maxDifferences) {
+                differences.push({ position: k, a: entryA(k), b: entryB(k), difference });
+            }
+            maxDifference = Math.max(maxDifference, difference);
+        }
+
+        return { equivalent: maxDifference === 0, globalPhase, maxDifference, differences };
+    }
+
+    /**
+     * Build the diagnostic returned by areEquivalent
+     * @param {string} method - 'unitary' or 'state'
+     * @param {number} numQubits - Number of qubits
+     * @param {Object} outcome - Result of compareEntries with differences in their final form
+     * @param {Array<number>|null} permutation - Qubit of b for each qubit of a, if permutations were tried
+     * @returns {Object} Diagnostic
+     */
+    static report(method, numQubits, outcome, permutation) {
+        const { equivalent, globalPhase, maxDifference, differences } = outcome;
+        const what = method === 'unitary' ? 'Unitaries' : 'Output states for random inputs';
+
+        const phase = Math.abs(globalPhase) > 1e-12 ? `a global phase of ${globalPhase.toFixed(4)} rad` : null;
+
+        let message;
+        if (equivalent) {
+            message = `${what} match`;
+            if (phase) {
+                message += ` up to ${phase}`;
+            }
+            if (permutation && permutation.some((target, qubit) => target !== qubit)) {
+                message += ` with qubits relabeled as [${permutation.join(', ')}]`;
+            }
+        } else {
+            const first = differences[0];
+            const where = method === 'unitary'
+                ? `row ${first.row}, column ${first.column}`
+                : `input ${first.input}, amplitude ${first.index}`;
+            // Compare b with a after the global phase, which is what the difference measures
+            const entries = phase
+                ? `e^(iφ)·a = ${complexMath.format(complexMath.multiply(complexMath.exp(globalPhase), first.a))} vs b = ${complexMath.format(first.b)}`
+                : `${complexMath.format(first.a)} vs ${complexMath.format(first.b)}`;
+            message = `${what} differ by up to ${maxDifference.toExponential(2)}` +
+                `${phase ? ` (after removing ${phase})` : ''}; first difference at ${where}: ${entries}`;
+        }
+
+        return { equivalent, method, numQubits, globalPhase, permutation, maxDifference, differences, message };
+    }
+
+    /**
+     * Check that a circuit is a unitary that can be compared
+     * @param {QuantumCircuit} circuit - Circuit to check
+     * @param {string} label - 'First' or 'Second', for error messages
+     */
+    static validate(circuit, label) {
+        if (!(circuit instanceof QuantumCircuit)) {
+            throw new Error(`${label} circuit must be a QuantumCircuit`);
+        }
+        if (circuit.parameters.length > 0) {
+            throw new Error(`${label} circuit has unbound parameters: ${circuit.parameters.map(p => p.name).join(', ')}`);
+        }
+
+        const deferred = new QuantumSimulator().findDeferredMeasurements(circuit);
+        circuit.forEachGate(gate => {
+            if (gate.name === 'reset' || gate.name === 'noise') {
+                throw new Error(`${label} circuit is not unitary: it contains ${gate.name === 'noise' ? 'noise' : 'a reset'}`);
+            }
+            if (gate.options?.condition) {
+                throw new Error(`${label} circuit is not unitary: ${gate.name} is classically controlled`);
+            }
+            if (gate.name === 'measure' && !deferred.has(gate.id)) {
+                throw new Error(`${label} circuit is not unitary: it measures mid-circuit`);
+            }
+        });
+    }
+
+    /**
+     * Random state preparation: rotations, a CNOT ladder, then rotations again
+     * @param {number} numQubits - Number of qubits
+     * @param {SeededRandom} rng - Random number generator
+     * @returns {QuantumCircuit} Preparation circuit
+     */
+    static randomPreparation(numQubits, rng) {
+        const circuit = new QuantumCircuit(numQubits);
+        const angle = () => (2 * rng.random() - 1) * Math.PI;
+        const rotations = () => {
+            for (let qubit = 0; qubit < numQubits; qubit++) {
+                circuit.u3(angle(), angle(), angle(), qubit);
+            }
+        };
+
+        rotations();
+        for (let qubit = 0; qubit + 1 < numQubits; qubit++) {
+            circuit.cx(qubit, qubit + 1);
+        }
+        rotations();
+        return circuit;
+    }
+
+    /**
+     * Permutations of a list, starting with the list itself
+     * @param {Array} items - Items to permute
+     * @returns {Generator<Array>} Permutations in lexicographic order of positions
+     */
+    static *permutations(items) {
+        if (items.length <= 1) {
+            yield [...items];
+            return;
+        }
+        for (let i = 0; i < items.length; i++) {
+            const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+            for (const permutation of CircuitEquivalence.permutations(rest)) {
+                yield [items[i], ...permutation];
+            }
+        }
+    }
+}
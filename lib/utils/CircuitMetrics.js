@@ -28,9 +28,11 @@ export class CircuitMetrics {
 
             // Measurement
             'measure': 1, 'm': 1,
+            'reset': 1,
 
-            // Barrier (0 cost)
-            'barrier': 0
+            // Barrier and noise channels (0 cost)
+            'barrier': 0,
+            'noise': 0
         };
     }
 
@@ -5,6 +5,7 @@
 
 import { QasmTranspiler } from '../transpiler/QasmTranspiler.js';
 import { QuantumCircuit } from '../quantum/QuantumCircuit.js';
+import { NoiseModel } from '../quantum/NoiseModel.js';
 
 export class CircuitSerializer {
     constructor() {
@@ -15,17 +16,23 @@ export class CircuitSerializer {
      * Convert circuit to JSON format
      * @param {QuantumCircuit} circuit - The circuit to serialize
      * @param {Object} metadata - Additional metadata to include
-     * @returns {Object} JSON representation of the circuit
+     * @returns {Object} JSON representation of the circuit (with its noise model, if any)
      */
     toJSON(circuit, metadata = {}) {
         const circuitData = circuit.toJSON();
-        return {
+        const json = {
             version: '1.0',
             type: 'quantum-circuit',
             timestamp: new Date().toISOString(),
             ...metadata,
             circuit: circuitData
         };
+
+        if (circuit.noiseModel) {
+            json.noiseModel = circuit.noiseModel.toJSON();
+        }
+
+        return json;
     }
 
     /**
@@ -35,16 +42,10 @@ export class CircuitSerializer {
      */
     fromJSON(jsonData) {
         const circuitData = jsonData.circuit || jsonData;
-        const circuit = new QuantumCircuit();
+        const circuit = QuantumCircuit.fromJSON(circuitData);
 
-        // Use the circuit's fromJSON method if available
-        if (typeof circuit.fromJSON === 'function') {
-            circuit.fromJSON(circuitData);
-        } else {
-            // Manual reconstruction
-            circuit.numQubits = circuitData.numQubits || 0;
-            circuit.numClassicalBits = circuitData.numClassicalBits || 0;
-            circuit.gates = circuitData.gates || [];
+        if (jsonData.noiseModel) {
+            circuit.setNoiseModel(NoiseModel.fromJSON(jsonData.noiseModel));
         }
 
         return circuit;
@@ -61,8 +62,9 @@ export class CircuitSerializer {
 
     /**
      * Parse QASM string into a circuit
-     * @param {string} qasmCode - QASM code to parse
+     * @param {string} qasmCode - OpenQASM 3 or 2.0 code to parse
      * @returns {QuantumCircuit} Parsed circuit
+     * @throws {Error} If the code is invalid, with `line` and `column` properties
      */
     fromQASM(qasmCode) {
         return this.qasmTranspiler.parse(qasmCode);
@@ -0,0 +1,308 @@
+/**
+ * ExpressionEvaluator - Complex-valued expression engine for gate matrix entries
+ * Evaluates strings such as "e^(i*(phi+lambda))*cos(theta/2)" with named parameters
+ */
+
+import { ComplexMath } from '../quantum/ComplexMath.js';
+
+export class ExpressionEvaluator {
+    constructor() {
+        this.complexMath = new ComplexMath();
+
+        // Parsed expressions, keyed by source string
+        this.cache = new Map();
+
+        this.constants = {
+            'pi': this.complexMath.complex(Math.PI, 0),
+            'π': this.complexMath.complex(Math.PI, 0),
+            'e': this.complexMath.complex(Math.E, 0),
+            'i': this.complexMath.complex(0, 1)
+        };
+
+        this.functions = {
+            'sqrt': z => this.sqrt(z),
+            'exp': z => this.exp(z),
+            'ln': z => this.log(z),
+            'cos': z => this.cos(z),
+            'sin': z => this.sin(z)
+        };
+    }
+
+    /**
+     * Evaluate an expression
+     * @param {string} expr - Expression, e.g. "-i*sin(theta/2)"
+     * @param {Object} params - Values of named parameters (real numbers or complex {re, im})
+     * @returns {Object} Complex result {re, im}
+     * @throws {Error} On syntax errors and unknown symbols
+     */
+    evaluate(expr, params = {}) {
+        return this.evaluateNode(this.parse(expr), params, expr);
+    }
+
+    /**
+     * Parse an expression into a syntax tree (cached)
+     * @param {string} expr - Expression
+     * @returns {Object} Syntax tree
+     */
+    parse(expr) {
+        if (this.cache.has(expr)) {
+            return this.cache.get(expr);
+        }
+
+        const tokens = this.tokenize(expr);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const fail = message => {
+            throw new Error(`Invalid matrix expression "${expr}": ${message}`);
+        };
+        const expect = value => {
+            if (peek() !== value) {
+                fail(`expected '${value}'${peek() === undefined ? ' at end' : `, found '${peek()}'`}`);
+            }
+            position++;
+        };
+
+        // expression := term (('+' | '-') term)*
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (peek() === '+' || peek() === '-') {
+                const op = tokens[position++];
+                node = { type: 'binary', op, left: node, right: parseTerm() };
+            }
+            return node;
+        };
+
+        // term := unary (('*' | '/') unary)*
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek() === '*' || peek() === '/') {
+                const op = tokens[position++];
+                node = { type: 'binary', op, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        // unary := ('-' | '+') unary | power
+        const parseUnary = () => {
+            if (peek() === '-') {
+                position++;
+                return { type: 'negate', operand: parseUnary() };
+            }
+            if (peek() === '+') {
+                position++;
+                return parseUnary();
+            }
+            return parsePower();
+        };
+
+        // power := primary ('^' unary)?   (right-associative)
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() === '^') {
+                position++;
+                return { type: 'binary', op: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        };
+
+        // primary := number | name | name '(' expression ')' | '(' expression ')'
+        const parsePrimary = () => {
+            const token = peek();
+            if (token === undefined) {
+                fail('unexpected end of expression');
+            }
+            position++;
+
+            if (token === '(') {
+                const node = parseExpression();
+                expect(')');
+                return node;
+            }
+            if (typeof token === 'number') {
+                return { type: 'number', value: token };
+            }
+            if (/^[A-Za-z_π]/.test(token)) {
+                if (peek() === '(') {
+                    position++;
+                    const argument = parseExpression();
+                    expect(')');
+                    return { type: 'call', name: token, argument };
+                }
+                return { type: 'symbol', name: token };
+            }
+            fail(`unexpected '${token}'`);
+        };
+
+        const tree = parseExpression();
+        if (position < tokens.length) {
+            fail(`unexpected '${peek()}'`);
+        }
+
+        this.cache.set(expr, tree);
+        return tree;
+    }
+
+    /**
+     * Split an expression into numbers, names and operator characters
+     * @param {string} expr - Expression
+     * @returns {Array} Tokens
+     */
+    tokenize(expr) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_π][A-Za-z0-9_]*)|([-+*/^()]))/y;
+        let position = 0;
+
+        while (position < expr.length) {
+            if (/^\s*$/.test(expr.slice(position))) {
+                break;
+            }
+
+            pattern.lastIndex = position;
+            const match = pattern.exec(expr);
+            if (!match) {
+                throw new Error(`Invalid matrix expression "${expr}": unexpected character '${expr.slice(position).trim()[0]}'`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push(parseFloat(match[1]));
+            } else {
+                tokens.push(match[2] ?? match[3]);
+            }
+            position = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Evaluate a syntax tree node
+     * @param {Object} node - Syntax tree node
+     * @param {Object} params - Named parameter values
+     * @param {string} expr - Source expression (for error messages)
+     * @returns {Object} Complex value
+     */
+    evaluateNode(node, params, expr) {
+        const cm = this.complexMath;
+
+        switch (node.type) {
+            case 'number':
+                return cm.complex(node.value, 0);
+
+            case 'symbol': {
+                if (Object.prototype.hasOwnProperty.call(params, node.name)) {
+                    const value = params[node.name];
+                    if (typeof value === 'number') {
+                        return cm.complex(value, 0);
+                    }
+                    if (value && typeof value.re === 'number') {
+                        return cm.complex(value.re, value.im || 0);
+                    }
+                    throw new Error(`Parameter '${node.name}' in matrix expression "${expr}" must be a number`);
+                }
+                if (node.name in this.constants) {
+                    return this.constants[node.name];
+                }
+                throw new Error(`Unknown symbol '${node.name}' in matrix expression "${expr}"`);
+            }
+
+            case 'call': {
+                const fn = this.functions[node.name];
+                if (!fn) {
+                    throw new Error(`Unknown function '${node.name}' in matrix expression "${expr}"`);
+                }
+                return fn(this.evaluateNode(node.argument, params, expr));
+            }
+
+            case 'negate': {
+                const value = this.evaluateNode(node.operand, params, expr);
+                return cm.complex(-value.re, -value.im);
+            }
+
+            case 'binary': {
+                const left = this.evaluateNode(node.left, params, expr);
+                const right = this.evaluateNode(node.right, params, expr);
+
+                switch (node.op) {
+                    case '+': return cm.add(left, right);
+                    case '-': return cm.subtract(left, right);
+                    case '*': return cm.multiply(left, right);
+                    case '/': return cm.divide(left, right);
+                    case '^': return this.power(left, right);
+                }
+            }
+        }
+
+        throw new Error(`Invalid matrix expression "${expr}"`);
+    }
+
+    /**
+     * Complex exponential e^z
+     * @param {Object} z - Complex number
+     * @returns {Object} e^z
+     */
+    exp(z) {
+        const magnitude = Math.exp(z.re);
+        return this.complexMath.complex(magnitude * Math.cos(z.im), magnitude * Math.sin(z.im));
+    }
+
+    /**
+     * Principal complex logarithm
+     * @param {Object} z - Complex number
+     * @returns {Object} ln z
+     */
+    log(z) {
+        return this.complexMath.complex(Math.log(Math.hypot(z.re, z.im)), Math.atan2(z.im, z.re));
+    }
+
+    /**
+     * Complex power a^b (exact for base e)
+     * @param {Object} a - Base
+     * @param {Object} b - Exponent
+     * @returns {Object} a^b
+     */
+    power(a, b) {
+        if (a.re === Math.E && a.im === 0) {
+            return this.exp(b);
+        }
+        if (a.re === 0 && a.im === 0) {
+            return this.complexMath.complex(b.re === 0 && b.im === 0 ? 1 : 0, 0);
+        }
+        return this.exp(this.complexMath.multiply(b, this.log(a)));
+    }
+
+    /**
+     * Principal complex square root
+     * @param {Object} z - Complex number
+     * @returns {Object} √z
+     */
+    sqrt(z) {
+        if (z.im === 0) {
+            return z.re >= 0
+                ? this.complexMath.complex(Math.sqrt(z.re), 0)
+                : this.complexMath.complex(0, Math.sqrt(-z.re));
+        }
+        const r = Math.hypot(z.re, z.im);
+        const re = Math.sqrt((r + z.re) / 2);
+        const im = Math.sign(z.im) * Math.sqrt((r - z.re) / 2);
+        return this.complexMath.complex(re, im);
+    }
+
+    /**
+     * Complex cosine
+     * @param {Object} z - Complex number
+     * @returns {Object} cos z
+     */
+    cos(z) {
+        return this.complexMath.complex(Math.cos(z.re) * Math.cosh(z.im), -Math.sin(z.re) * Math.sinh(z.im));
+    }
+
+    /**
+     * Complex sine
+     * @param {Object} z - Complex number
+     * @returns {Object} sin z
+     */
+    sin(z) {
+        return this.complexMath.complex(Math.sin(z.re) * Math.cosh(z.im), Math.cos(z.re) * Math.sinh(z.im));
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ * Makes measurement sampling, gate ids and noise sampling reproducible
+ */
+
+export class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number|string} seed - Integer or string seed (random if omitted)
+     */
+    constructor(seed = null) {
+        this.seed = seed === null || seed === undefined ? SeededRandom.generateSeed() : seed;
+        this.state = SeededRandom.normalizeSeed(this.seed);
+    }
+
+    /**
+     * Generate a fresh random seed
+     * @returns {number} Unsigned 32-bit integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Convert a seed to the generator's 32-bit internal state
+     * @param {number|string} seed - Integer or string seed
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isInteger(seed)) {
+            return seed >>> 0;
+        }
+
+        if (typeof seed === 'string') {
+            // FNV-1a hash of the string
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        throw new Error('Seed must be an integer or a string');
+    }
+
+    /**
+     * Get the next random number (Mulberry32)
+     * @returns {number} Uniform random number in [0, 1)
+     */
+    random() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get a random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    randomInt(max) {
+        return Math.floor(this.random() * max);
+    }
+}
@@ -306,6 +306,25 @@ const tests = {
                 const results = circuit.run();
                 assertApprox(results.probabilities['100'], 1.0, 0.001, 'CCX does not flip when one control is 0');
             }
+        },
+        {
+            name: 'Fredkin gate (CSWAP) swaps targets when control is 1',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.x(2).x(1).cswap(2, 1, 0).measure_all();
+                const results = circuit.run({ shots: 10 });
+                assertApprox(results.idealProbabilities['101'], 1.0, 1e-9, 'CSWAP should move the 1 from q1 to q0');
+            }
+        },
+        {
+            name: 'Controls below targets keep their role',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.x(2).cx(2, 0).ccx(2, 0, 1).measure_all();
+                const results = circuit.run({ shots: 10 });
+                assertApprox(results.idealProbabilities['111'], 1.0, 1e-9, 'cx(2, 0) then ccx(2, 0, 1) should give |111⟩');
+                assert(circuit.qasm().includes('cx q[2], q[0];'), 'QASM should keep the control first');
+            }
         }
     ],
 
@@ -521,6 +540,24 @@ const tests = {
                 assertApprox(bloch.z, 0.0, 0.001, 'Z should be 0');
             }
         },
+        {
+            name: 'Calculate Bloch vector for |+i⟩',
+            test: () => {
+                const calc = new BlochSphereCalculator();
+                const sqrt2 = 1 / Math.sqrt(2);
+                const stateVector = [
+                    { re: sqrt2, im: 0 },
+                    { re: 0, im: sqrt2 }
+                ];
+
+                const bloch = calc.stateVectorToBlochVector(stateVector);
+                assertApprox(bloch.y, 1.0, 0.001, 'Y should be 1');
+
+                const rho = calc.computeReducedDensityMatrix(stateVector, 0, 1);
+                assertApprox(calc.densityMatrixToBlochVector(rho).y, 1.0, 0.001, 'Y from the density matrix should be 1');
+                assert(calc.identifyState(bloch) === '|+i⟩', 'Should identify |+i⟩');
+            }
+        },
         {
             name: 'Identify standard states',
             test: () => {
@@ -565,6 +602,70 @@ const tests = {
                 assert(json.numQubits === 2, 'Should have qubit count');
                 assert(Array.isArray(json.gates), 'Should have gates array');
             }
+        },
+        {
+            name: 'Import from QASM 3',
+            test: () => {
+                const circuit = QuantumCircuit.fromQASM(`
+                    OPENQASM 3;
+                    include "stdgates.inc";
+                    qubit[2] q;
+                    bit[2] c;
+                    h q[0];
+                    cx q[0], q[1];
+                    rz(-pi/4) q[1];
+                    c = measure q;
+                `);
+
+                assert(circuit.numQubits === 2, 'Should have 2 qubits');
+                assert(circuit.numClbits === 2, 'Should have 2 classical bits');
+                const rz = circuit.gates[1].find(gate => gate && gate.name === 'rz');
+                assert(rz, 'Should contain RZ gate on qubit 1');
+                assertApprox(rz.options.params.theta, -Math.PI / 4);
+
+                const probs = circuit.run().probabilities;
+                assertApprox(probs[0], 0.5);
+                assertApprox(probs[3], 0.5);
+            }
+        },
+        {
+            name: 'Import from QASM 2.0 with register broadcast',
+            test: () => {
+                const circuit = QuantumCircuit.fromQASM(
+                    'OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[3];\ncreg c[3];\nh q;\nmeasure q -> c;'
+                );
+
+                const countOnEveryWire = name => circuit.gates.every(row => row.filter(gate => gate && gate.name === name).length === 1);
+                assert(countOnEveryWire('h'), 'H should be applied to every qubit');
+                assert(countOnEveryWire('measure'), 'Every qubit should be measured');
+            }
+        },
+        {
+            name: 'QASM export/import round trip',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.h(0).cx(0, 1).ccx(0, 1, 2).rx(Math.PI / 2, 2).cp(Math.PI / 8, 1, 2).barrier().measure_all();
+
+                const qasm = circuit.qasm({ includeComments: false });
+                const imported = QuantumCircuit.fromQASM(qasm);
+
+                assert(imported.qasm({ includeComments: false }) === qasm, 'Re-exported QASM should match');
+            }
+        },
+        {
+            name: 'QASM parse errors report line and column',
+            test: () => {
+                let error = null;
+                try {
+                    QuantumCircuit.fromQASM('OPENQASM 3;\nqubit[2] q;\nh q[2];');
+                } catch (e) {
+                    error = e;
+                }
+
+                assert(error !== null, 'Should throw on out-of-range index');
+                assert(error.line === 3, `Should report line 3, got ${error.line}`);
+                assert(error.column === 5, `Should report column 5, got ${error.column}`);
+            }
         }
     ],
 
@@ -688,6 +789,23 @@ const tests = {
                 const validation = builder.validateGateGrid(validGrid, 2, 2);
                 assert(validation.valid === true, 'Valid grid should pass validation');
             }
+        },
+        {
+            name: 'Parsed QASM survives the gate grid',
+            test: () => {
+                const source = qft(3).compose(new QuantumCircuit(3).u3(0.3, 0.7, -1.1, 0).cswap(0, 1, 2).crx(0.4, 2, 1));
+                const parsed = QuantumCircuit.fromQASM(source.qasm());
+
+                const builder = new CircuitBuilder();
+                const grid = builder.buildGridFromCircuit(parsed, 3, parsed.numCols());
+                const rebuilt = builder.buildCircuitFromGrid(grid, 3, parsed.numCols());
+
+                const names = [];
+                rebuilt.forEachGate(gate => names.push(gate.name));
+                assert(names.includes('cswap') && !names.includes('ccx'), `cswap should stay a Fredkin gate, got ${names}`);
+                const result = CircuitEquivalence.areEquivalent(source, rebuilt);
+                assert(result.equivalent, `Rebuilt circuit should match the source: ${result.message}`);
+            }
         }
     ],
 
@@ -853,6 +971,1694 @@ const tests = {
                 assert(Object.keys(results.probabilities).length === 8, 'Should have 8 states');
             }
         }
+    ],
+    'Shot Sampling': [
+        {
+            name: 'Counts sum to the number of shots',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).h(1).measure_all();
+
+                const results = circuit.run({ shots: 500 });
+                const total = Object.values(results.counts).reduce((sum, n) => sum + n, 0);
+
+                assert(results.shots === 500, 'Should record shot count');
+                assert(total === 500, `Counts should sum to 500, got ${total}`);
+                assert(results.memory.length === 500, 'Memory should have one entry per shot');
+            }
+        },
+        {
+            name: 'Bell pair outcomes are correlated',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).cx(0, 1).measure_all();
+
+                const results = circuit.run({ shots: 200 });
+
+                assert(results.memory.every(outcome => outcome === '00' || outcome === '11'),
+                    'Every shot should be 00 or 11');
+                assert(results.measurements['creg[0]'] === results.measurements['creg[1]'],
+                    'Measured bits should agree');
+                assertApprox(results.idealProbabilities['00'], 0.5);
+                assertApprox(results.idealProbabilities['11'], 0.5);
+            }
+        },
+        {
+            name: 'Counts are keyed by classical register bits',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 2);
+                circuit.x(2).measure(2, 0).measure(0, 1);
+
+                const results = circuit.run(10);
+
+                assert(results.counts['01'] === 10, `Expected all shots to read 01, got ${JSON.stringify(results.counts)}`);
+            }
+        },
+        {
+            name: 'Invalid shot count throws error',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.h(0).measure(0, 0);
+
+                let threw = false;
+                try {
+                    circuit.run({ shots: 0 });
+                } catch (e) {
+                    threw = true;
+                }
+                assert(threw, 'Should throw for zero shots');
+            }
+        }
+    ],
+    'Reproducible Randomness': [
+        {
+            name: 'Same seed gives identical shots',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.h(0).h(1).h(2).measure_all();
+
+                const first = circuit.run({ shots: 100, seed: 1234 });
+                const second = circuit.run({ shots: 100, seed: 1234 });
+
+                assert(first.seed === 1234, 'Seed should be recorded in results');
+                assert(first.memory.join() === second.memory.join(), 'Shots should match');
+            }
+        },
+        {
+            name: 'Recorded seed replays an unseeded run',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).h(1).measure_all();
+
+                const original = circuit.run({ shots: 50 });
+                const replay = circuit.run({ shots: 50, seed: original.seed });
+
+                assert(original.seed !== null, 'Unseeded run should record its seed');
+                assert(original.memory.join() === replay.memory.join(), 'Replay should match');
+            }
+        },
+        {
+            name: 'Seeded circuits generate identical gate ids',
+            test: () => {
+                const a = new QuantumCircuit(2).setSeed('lesson-1');
+                const b = new QuantumCircuit(2).setSeed('lesson-1');
+                a.h(0).cx(0, 1);
+                b.h(0).cx(0, 1);
+
+                assert(JSON.stringify(a.toJSON()) === JSON.stringify(b.toJSON()), 'Circuits should serialize identically');
+            }
+        }
+    ],
+    'Mid-Circuit Measurement': [
+        {
+            name: 'Measurement collapses the state',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 1);
+                circuit.h(0).cx(0, 1).measure(0, 0).x(0);
+
+                const results = circuit.run({ shots: 1, seed: 5 });
+                const nonZero = results.stateVector.filter(a => a.re * a.re + a.im * a.im > 1e-10);
+
+                assert(nonZero.length === 1, 'Collapsed state should be a single basis state');
+            }
+        },
+        {
+            name: 'Gates after measurement see the collapsed state',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 2);
+                circuit.h(0).measure(0, 0).h(0).measure(0, 1);
+
+                const results = circuit.run({ shots: 100, seed: 11 });
+
+                assert(Object.keys(results.idealProbabilities).length === 4, 'All four outcomes should be possible');
+                assertApprox(results.idealProbabilities['00'], 0.25);
+            }
+        },
+        {
+            name: 'Reset returns qubit to |0⟩',
+            test: () => {
+                const circuit = new QuantumCircuit(2);
+                circuit.x(0).h(1).reset(0).reset(1);
+
+                const results = circuit.run();
+                assertApprox(results.probabilities[0], 1.0);
+            }
+        },
+        {
+            name: 'Measurement writes classical register',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.x(1).measure(1, 0).measure(0, 1);
+
+                circuit.run();
+                assert(circuit.creg.getBit(0) === 1, 'Bit 0 should be 1');
+                assert(circuit.creg.getBit(1) === 0, 'Bit 1 should be 0');
+            }
+        },
+        {
+            name: 'Reset and mid-circuit measurement export to QASM',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.h(0).measure(0, 0).reset(0).x(0);
+
+                const qasm = circuit.qasm();
+                assert(qasm.includes('reset q;'), 'Should contain reset');
+                assert(qasm.indexOf('measure') < qasm.indexOf('reset'), 'Measurement should stay before reset');
+            }
+        },
+        {
+            name: 'Reset of an entangled qubit gives the exact mixture',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).cx(0, 1).reset(0);
+
+                for (const seed of [1, 2, 3]) {
+                    const results = circuit.run({ shots: 1, seed });
+                    assertApprox(results.probabilities[0], 0.5, 1e-12, 'P(00)');
+                    assertApprox(results.probabilities[2], 0.5, 1e-12, 'P(10)');
+                }
+
+                const stabilizer = circuit.run({ backend: 'stabilizer', shots: 1, seed: 1 });
+                assertApprox(stabilizer.probabilities[0], 0.5, 1e-12, 'Stabilizer P(00)');
+            }
+        },
+        {
+            name: 'Many mid-circuit measurements follow the shots',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 30);
+                for (let i = 0; i < 30; i++) {
+                    circuit.h(0).cx(0, 1).measure(1, i).reset(1);
+                }
+
+                // 2^30 measurement histories: only the ones the shots take are simulated
+                const results = circuit.run({ shots: 300, seed: 4 });
+                assert(results.memory.length === 300, 'Every shot should be recorded');
+                const ones = results.memory.reduce((total, outcome) => total + outcome.split('1').length - 1, 0);
+                assertApprox(ones / (300 * 30), 0.5, 0.05, 'Each measurement should read 1 half of the time');
+                const total = Object.values(results.idealProbabilities).reduce((sum, p) => sum + p, 0);
+                assertApprox(total, 1, 1e-9, 'Outcome probabilities should sum to 1');
+            }
+        },
+        {
+            name: 'Density matrix branches with the same bits are mixed',
+            test: () => {
+                const circuit = new QuantumCircuit(3, 2);
+                circuit.h(0);
+                for (let i = 0; i < 30; i++) {
+                    circuit.cx(0, 2).cx(1, 2).measure(2, 0).reset(2).h(1).measure(1, 1);
+                }
+
+                const results = circuit.run({ backend: 'density_matrix', shots: 100 });
+                for (const outcome of ['00', '01', '10', '11']) {
+                    assertApprox(results.idealProbabilities[outcome], 0.25, 1e-9, `P(${outcome})`);
+                }
+            }
+        }
+    ],
+    'Classical Control': [
+        {
+            name: 'c_if applies gate only when condition holds',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.x(0).measure(0, 0);
+                circuit.x(1).c_if(0, 1);
+                circuit.z(1).c_if(0, 0);
+                circuit.measure(1, 1);
+
+                const results = circuit.run({ shots: 20 });
+                assert(results.counts['11'] === 20, `Expected all shots to read 11, got ${JSON.stringify(results.counts)}`);
+            }
+        },
+        {
+            name: 'Teleportation with classical corrections',
+            test: () => {
+                const theta = 1.2;
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.ry(theta, 0);
+                circuit.h(1).cx(1, 2);
+                circuit.cx(0, 1).h(0);
+                circuit.measure(0, 0).measure(1, 1);
+                circuit.if_test([1, 1], qc => qc.x(2));
+                circuit.if_test([0, 1], qc => qc.z(2));
+                circuit.measure(2, 2);
+
+                const results = circuit.run({ shots: 1 });
+                let p1 = 0;
+                for (const [outcome, p] of Object.entries(results.idealProbabilities)) {
+                    if (outcome[0] === '1') p1 += p;
+                }
+                assertApprox(p1, Math.pow(Math.sin(theta / 2), 2), 1e-6, 'Teleported qubit should match input');
+            }
+        },
+        {
+            name: 'Conditions export to QASM if statements',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).measure(0, 0).x(1).c_if('creg', 1).measure(1, 1);
+
+                const qasm = circuit.qasm();
+                assert(qasm.includes('if (c == 1) { x q[1]; }'), 'Should contain if statement');
+
+                const imported = QuantumCircuit.fromQASM(qasm);
+                assert(imported.qasm().includes('if (c == 1) { x q[1]; }'), 'Condition should survive round trip');
+            }
+        },
+        {
+            name: 'c_if without classical register throws error',
+            test: () => {
+                const circuit = new QuantumCircuit(1);
+                circuit.x(0);
+
+                let threw = false;
+                try {
+                    circuit.c_if(0, 1);
+                } catch (e) {
+                    threw = true;
+                }
+                assert(threw, 'Should throw without classical register');
+            }
+        }
+    ],
+    'Noise Simulation': [
+        {
+            name: 'Density matrix of a noiseless Bell state is pure',
+            test: () => {
+                const circuit = new QuantumCircuit(2);
+                circuit.h(0).cx(0, 1);
+
+                const results = circuit.run({ backend: 'density_matrix', shots: 1 });
+                assertApprox(results.purity, 1, 1e-9, 'Bell state should be pure');
+                assertApprox(results.densityMatrix[0][3].re, 0.5, 1e-9, 'Coherence ρ[00][11] should be 0.5');
+                assertApprox(results.probabilities[3], 0.5, 1e-9, 'P(|11⟩) should be 0.5');
+            }
+        },
+        {
+            name: 'Full depolarizing channel gives the maximally mixed state',
+            test: () => {
+                const circuit = new QuantumCircuit(1);
+                circuit.h(0).noise(NoiseChannel.depolarizing(1), 0);
+
+                const results = circuit.run({ shots: 1 });
+                assertApprox(results.purity, 0.5, 1e-9, 'Purity should be 1/2');
+
+                const bloch = new BlochSphereCalculator().computeAllBlochVectors(results.densityMatrix, 1)[0];
+                assertApprox(bloch.purity, 0, 1e-9, 'Bloch vector should shrink to the origin');
+            }
+        },
+        {
+            name: 'Amplitude damping decays |1⟩',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.x(0).noise(NoiseChannel.amplitudeDamping(0.3), 0).measure(0, 0);
+
+                const results = circuit.run({ shots: 100, seed: 7 });
+                assertApprox(results.idealProbabilities['0'], 0.3, 1e-9, 'P(0) should equal γ');
+                assertApprox(results.idealProbabilities['1'], 0.7, 1e-9, 'P(1) should equal 1 - γ');
+            }
+        },
+        {
+            name: 'Readout error flips recorded bits',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.x(0).measure(0, 0);
+
+                const results = circuit.run({ shots: 100, seed: 7, readoutErrors: { 0: NoiseChannel.readoutError(0, 0.2) } });
+                assertApprox(results.idealProbabilities['0'], 0.2, 1e-9, 'A 1 should be read as 0 with probability 0.2');
+                assertApprox(results.purity, 1, 1e-9, 'Readout errors should not affect the quantum state');
+            }
+        },
+        {
+            name: 'Noise channels require the density matrix backend',
+            test: () => {
+                const circuit = new QuantumCircuit(1);
+                circuit.noise(NoiseChannel.bitFlip(0.1), 0);
+
+                let threw = false;
+                try {
+                    circuit.run({ backend: 'statevector' });
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Statevector backend should reject noise channels');
+            }
+        }
+    ],
+    'Noise Models': [
+        {
+            name: 'Gate errors and readout errors from a noise model',
+            test: () => {
+                const noiseModel = new NoiseModel()
+                    .addGateError(NoiseChannel.depolarizing(0.1), 'x')
+                    .addReadoutError(NoiseChannel.readoutError(0.05, 0.05));
+
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.x(0).measure(0, 0);
+
+                const results = circuit.run({ noiseModel, shots: 100, seed: 1 });
+                // Depolarizing leaves P(0) = 0.05, then readout mixes in another 5%
+                assertApprox(results.idealProbabilities['0'], 0.05 * 0.95 + 0.95 * 0.05, 1e-9, 'Unexpected P(0)');
+            }
+        },
+        {
+            name: 'T1/T2 relaxation during a gate',
+            test: () => {
+                const noiseModel = new NoiseModel().setRelaxation(0, 100, 50).setGateTime('h', 50);
+
+                const circuit = new QuantumCircuit(1);
+                circuit.h(0);
+
+                const results = circuit.run({ noiseModel, shots: 1 });
+                assertApprox(results.densityMatrix[0][1].re, 0.5 * Math.exp(-1), 1e-9, 'Coherence should decay as e^(-t/T2)');
+                assertApprox(results.probabilities[1], 0.5 * Math.exp(-0.5), 1e-9, 'Population should decay as e^(-t/T1)');
+            }
+        },
+        {
+            name: 'Network links carry their own fidelity',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 1);
+                const bob = network.addNode('Bob', 1);
+                network.addEntanglement(alice.id, 0, bob.id, 0, 'EPR', 0.9);
+
+                const circuit = network.toCircuit({ noiseModel: new NoiseModel().setLinkFidelity(0.8) });
+                const rho = circuit.run({ shots: 1 }).densityMatrix;
+
+                // ⟨Φ+|ρ|Φ+⟩ with |Φ+⟩ = (|00⟩ + |11⟩)/√2
+                const fidelity = (rho[0][0].re + rho[3][3].re + 2 * rho[0][3].re) / 2;
+                assertApprox(fidelity, 0.9, 1e-9, 'Link fidelity should override the model default');
+            }
+        },
+        {
+            name: 'Noise model JSON round trip',
+            test: () => {
+                const noiseModel = new NoiseModel()
+                    .addGateError(NoiseChannel.depolarizing(0.01, 2), ['cx'])
+                    .setRelaxation([0, 1], 50, 70)
+                    .addReadoutError(NoiseChannel.readoutError(0.02, 0.03), 1);
+
+                const json = JSON.parse(JSON.stringify(noiseModel.toJSON()));
+                const restored = NoiseModel.fromJSON(json);
+
+                assert(JSON.stringify(restored.toJSON()) === JSON.stringify(json), 'Round trip should preserve the model');
+                assert(restored.getGateChannels('cx', [0, 1]).length === 3, 'cx should get a two-qubit error and relaxation on both qubits');
+            }
+        }
+    ],
+    'Gate Matrix Expressions': [
+        {
+            name: 'U3(π/2, 0, π) equals Hadamard',
+            test: () => {
+                const simulator = new QuantumSimulator();
+                const u3 = simulator.getGateMatrix({ name: 'u3', options: { params: { theta: Math.PI / 2, phi: 0, lambda: Math.PI } } });
+                const h = simulator.getGateMatrix({ name: 'h' });
+
+                for (let i = 0; i < 2; i++) {
+                    for (let j = 0; j < 2; j++) {
+                        assertComplexApprox(u3[i][j], h[i][j], 1e-12);
+                    }
+                }
+            }
+        },
+        {
+            name: 'CRX rotates the target when the control is 1',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.x(0).crx(Math.PI / 3, 0, 1).measure_all();
+
+                const results = circuit.run({ shots: 1 });
+                assertApprox(results.idealProbabilities['11'], Math.pow(Math.sin(Math.PI / 6), 2), 1e-9, 'P(11) should be sin²(θ/2)');
+            }
+        },
+        {
+            name: 'Every basic gate matrix is unitary',
+            test: () => {
+                const simulator = new QuantumSimulator();
+                const params = { theta: 0.7, phi: 1.1, lambda: -0.4, gamma: 0.3 };
+
+                for (const [name, definition] of Object.entries(QuantumGates.getBasicGates())) {
+                    if (!definition.matrix) continue;
+
+                    const m = simulator.getGateMatrix({ name, options: { params } });
+                    for (let i = 0; i < m.length; i++) {
+                        for (let j = 0; j < m.length; j++) {
+                            // (M†M)[i][j]
+                            let re = 0, im = 0;
+                            for (let k = 0; k < m.length; k++) {
+                                re += m[k][i].re * m[k][j].re + m[k][i].im * m[k][j].im;
+                                im += m[k][i].re * m[k][j].im - m[k][i].im * m[k][j].re;
+                            }
+                            assertApprox(re, i === j ? 1 : 0, 1e-9, `${name} is not unitary`);
+                            assertApprox(im, 0, 1e-9, `${name} is not unitary`);
+                        }
+                    }
+                }
+            }
+        },
+        {
+            name: 'Unknown symbols in matrix expressions throw',
+            test: () => {
+                const simulator = new QuantumSimulator();
+                let threw = false;
+                try {
+                    simulator.evaluateMatrixElement('cos(alpha/2)', { theta: 1 });
+                } catch (error) {
+                    threw = error.message.includes('alpha');
+                }
+                assert(threw, 'Should throw an error naming the unknown symbol');
+            }
+        }
+    ],
+    'Custom Gates': [
+        {
+            name: 'Subcircuit gate acts on its qubits in order',
+            test: () => {
+                const bell = new QuantumCircuit(2).h(0).cx(0, 1);
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.defineGate('bell', bell).gate('bell', [2, 0]);
+
+                const results = circuit.run({ shots: 1 });
+                assertApprox(results.idealProbabilities['000'], 0.5, 1e-9, 'P(000) should be 0.5');
+                assertApprox(results.idealProbabilities['101'], 0.5, 1e-9, 'q2 should control q0');
+            }
+        },
+        {
+            name: 'Matrix gate with expression entries',
+            test: () => {
+                const circuit = new QuantumCircuit(1, 1);
+                circuit.defineGate('sqrtx', [['(1+i)/2', '(1-i)/2'], ['(1-i)/2', '(1+i)/2']]);
+                circuit.gate('sqrtx', 0).gate('sqrtx', 0);
+
+                const results = circuit.run({ shots: 1 });
+                assertApprox(results.idealProbabilities['1'], 1, 1e-9, '√X·√X should flip the qubit');
+
+                let threw = false;
+                try {
+                    circuit.defineGate('bad', [[1, 1], [0, 1]]);
+                } catch (error) {
+                    threw = error.message.includes('not unitary');
+                }
+                assert(threw, 'Non-unitary matrices should be rejected');
+            }
+        },
+        {
+            name: 'Custom gates export as QASM gate declarations',
+            test: () => {
+                const circuit = new QuantumCircuit(3);
+                circuit.defineGate('bell', new QuantumCircuit(2).h(0).cx(0, 1));
+                circuit.gate('bell', [0, 2]);
+
+                const qasm = circuit.qasm();
+                assert(qasm.includes('gate bell q0, q1 {'), 'Should declare the gate');
+                assert(qasm.includes('cx q0, q1;'), 'Gate body should use the arguments');
+                assert(qasm.includes('bell q[0], q[2];'), 'Should call the gate');
+
+                const parsed = QuantumCircuit.fromQASM(qasm);
+                assert(parsed.customGates.bell, 'Parsed circuit should define the gate');
+                assertApprox(parsed.run({ shots: 1 }).idealProbabilities['101'], 0.5, 1e-9, 'Parsed circuit should behave the same');
+            }
+        },
+        {
+            name: 'Multi-qubit matrix gates survive a QASM round trip',
+            test: () => {
+                const circuit = new QuantumCircuit(3);
+                circuit.defineGate('myswap', [[1, 0, 0, 0], [0, 0, 1, 0], [0, 1, 0, 0], [0, 0, 0, 1]]);
+                // A three-qubit matrix with no simple structure, taken from a subcircuit gate
+                const source = new QuantumCircuit(3).defineGate('mix', new QuantumCircuit(3).h(0).ccx(0, 1, 2).t(2).cx(2, 0).ry(0.3, 1));
+                circuit.defineGate('mix', source.customGates.mix.matrix);
+                circuit.x(0).gate('myswap', [0, 2]).gate('mix', [2, 0, 1]);
+
+                const qasm = circuit.qasm();
+                assert(!qasm.includes('opaque'), 'Matrix gates should get a gate body');
+
+                const parsed = QuantumCircuit.fromQASM(qasm);
+                const result = CircuitEquivalence.areEquivalent(circuit, parsed, { upToGlobalPhase: false, tolerance: 1e-5 });
+                assert(result.equivalent, `Parsed circuit should have the same unitary: ${result.message}`);
+            }
+        },
+        {
+            name: 'Custom gates survive a JSON round trip',
+            test: () => {
+                const circuit = new QuantumCircuit(2);
+                circuit.defineGate('flip', [[0, 1], [1, 0]]).gate('flip', 1);
+
+                const copy = QuantumCircuit.fromJSON(JSON.parse(JSON.stringify(circuit.toJSON())));
+                assert(copy.customGates.flip, 'Definition should be restored');
+                assertApprox(copy.run({ shots: 1 }).idealProbabilities['10'], 1, 1e-9, 'Restored gate should flip q1');
+            }
+        }
+    ],
+    'Circuit Parameters': [
+        {
+            name: 'Bound parameters match numeric gates',
+            test: () => {
+                const theta = new Parameter('theta');
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.ry(theta, 0).cp(theta.mul(2), 0, 1);
+
+                assert(circuit.parameters.length === 1 && circuit.parameters[0].name === 'theta', 'Circuit should list theta');
+
+                const bound = circuit.assignParameters({ theta: 0.8 });
+                const expected = new QuantumCircuit(2, 2).ry(0.8, 0).cp(1.6, 0, 1);
+                const actual = bound.run({ shots: 1 }).idealProbabilities;
+                const reference = expected.run({ shots: 1 }).idealProbabilities;
+                for (const outcome in reference) {
+                    assertApprox(actual[outcome], reference[outcome], 1e-12, `P(${outcome}) should match`);
+                }
+                assert(bound.parameters.length === 0, 'Bound circuit should have no parameters');
+                assert(circuit.parameters.length === 1, 'Original circuit should stay symbolic');
+            }
+        },
+        {
+            name: 'Unbound parameters cannot be simulated',
+            test: () => {
+                const circuit = new QuantumCircuit(1);
+                circuit.rx(new Parameter('alpha'), 0);
+
+                let threw = false;
+                try {
+                    circuit.run();
+                } catch (error) {
+                    threw = error.message.includes('alpha');
+                }
+                assert(threw, 'Should throw an error naming the unbound parameter');
+            }
+        },
+        {
+            name: 'Parameters export as QASM inputs',
+            test: () => {
+                const gamma = new Parameter('gamma');
+                const circuit = new QuantumCircuit(1);
+                circuit.rz(gamma.mul(2), 0);
+
+                const qasm = circuit.qasm();
+                assert(qasm.includes('input float gamma;'), 'Should declare the input');
+                assert(qasm.includes('rz(gamma*2) q;'), 'Should use the expression');
+
+                const parsed = QuantumCircuit.fromQASM(qasm);
+                assert(parsed.parameters[0].name === 'gamma', 'Parsed circuit should be symbolic');
+                const gate = parsed.gates[0].find(g => g);
+                assertApprox(parsed.assignParameters({ gamma: 0.25 }).gates[0].find(g => g).options.params.theta, 0.5, 1e-12);
+                assert(gate.options.params.theta.names.includes('gamma'), 'Parsed gate should keep the expression');
+            }
+        }
+    ],
+    'Circuit Composition': [
+        {
+            name: 'Circuit followed by its inverse is the identity',
+            test: () => {
+                const circuit = new QuantumCircuit(3);
+                circuit.h(0).s(1).sx(2).cx(0, 1).rx(0.3, 2).u3(0.1, 0.2, 0.3, 1);
+                circuit.cp(0.7, 1, 2).ccx(0, 1, 2).addGate('iswap', -1, [0, 2]);
+
+                const inverse = circuit.inverse();
+                assert(inverse.gates[0].some(gate => gate && gate.name === 'h'), 'Inverse should keep gate names where possible');
+
+                const unitary = new QuantumSimulator().calculateUnitaryMatrix(circuit.compose(inverse));
+                unitary.forEach((row, i) => row.forEach((z, j) => {
+                    assertApprox(z.re, i === j ? 1 : 0, 1e-9, `U[${i}][${j}] should match the identity`);
+                    assertApprox(z.im, 0, 1e-9, `U[${i}][${j}] should be real`);
+                }));
+            }
+        },
+        {
+            name: 'Compose maps qubits and classical bits',
+            test: () => {
+                const bell = new QuantumCircuit(2, 2);
+                bell.h(0).cx(0, 1).measure(0, 0).measure(1, 1);
+
+                const circuit = new QuantumCircuit(3, 3).compose(bell, [2, 0], [2, 1]);
+                const cx = circuit.gates[2].find(gate => gate && gate.name === 'cx');
+                assert(cx.wires[0] === 2 && cx.wires[1] === 0, 'cx should act on qubits 2 and 0');
+
+                const counts = circuit.run({ shots: 100, seed: 3 }).counts;
+                for (const outcome of Object.keys(counts)) {
+                    assert(outcome === '000' || outcome === '110', `Unexpected outcome ${outcome}`);
+                }
+            }
+        },
+        {
+            name: 'Tensor and power keep the column layout',
+            test: () => {
+                const a = new QuantumCircuit(1).x(0);
+                const b = new QuantumCircuit(2).h(1);
+                const tensor = b.tensor(a);
+
+                assert(tensor.numQubits === 3, 'Tensor should have 3 qubits');
+                assert(tensor.gates[0].findIndex(g => g) === a.gates[0].findIndex(g => g), 'x should stay in its column');
+                assert(tensor.gates[2].findIndex(g => g) === b.gates[1].findIndex(g => g), 'h should stay in its column');
+
+                const power = new QuantumCircuit(1).t(0).power(4);
+                assert(power.gates[0].filter(g => g && g.name === 't').length === 4, 'T^4 should have 4 T gates');
+                assert(new QuantumCircuit(1).t(0).power(-2).gates[0].filter(g => g && g.name === 'tdg').length === 2,
+                    'Negative powers should repeat the inverse');
+            }
+        },
+        {
+            name: 'Controlled circuits act only when all controls are set',
+            test: () => {
+                const theta = new Parameter('theta');
+                const circuit = new QuantumCircuit(2);
+                circuit.x(0).rz(theta, 1).sx(1);
+
+                const names = [];
+                circuit.control(1).forEachGate(gate => names.push(gate.name));
+                assert(names[0] === 'cx' && names[1] === 'crz', 'x and rz should become cx and crz');
+
+                const controlled = circuit.assignParameters({ theta: 0.4 }).control(2);
+                assert(controlled.customGates.c2_sx.numQubits === 3, 'sx should become a 3-qubit custom gate');
+
+                const off = controlled.run({ shots: 1 }).idealProbabilities;
+                assertApprox(off[0], 1, 1e-9, 'Nothing should happen with the controls off');
+
+                const on = new QuantumCircuit(4).x(0).x(1).compose(controlled).run({ shots: 1 }).idealProbabilities;
+                assertApprox(on[0b0111], 0.5, 1e-9, 'x should flip qubit 2');
+                assertApprox(on[0b1111], 0.5, 1e-9, 'sx should put qubit 3 in superposition');
+
+                const restored = QuantumCircuit.fromJSON(JSON.parse(JSON.stringify(controlled.toJSON())));
+                assert(restored.customGates.c2_sx, 'Controlled gates should survive a JSON round trip');
+            }
+        },
+        {
+            name: 'Controlling symbolic gates without a built-in form asks for bound parameters',
+            test: () => {
+                const circuit = new QuantumCircuit(1).rx(new Parameter('a'), 0);
+                assert(circuit.control(1).gates[1].some(gate => gate && gate.name === 'crx'), 'One control should give crx');
+
+                let message = '';
+                try {
+                    circuit.control(2);
+                } catch (error) {
+                    message = error.message;
+                }
+                assert(message.includes('control(2) needs bound parameters for gate rx'), `Should explain the error, got: ${message}`);
+                assert(circuit.assignParameters({ a: 0.5 }).control(2).customGates.c1_crx, 'Bound gates should be controlled');
+            }
+        }
+    ],
+    'Pauli Observables': [
+        {
+            name: 'Observable parsing and qubit order',
+            test: () => {
+                const observable = SparsePauliOp.parse('0.5*ZZ + 0.3*XI - IY');
+                assert(observable.numQubits === 2, 'Observable should act on 2 qubits');
+                assert(observable.terms.length === 3 && observable.terms[2].coeff === -1, 'Should parse three terms');
+                assert(observable.toString() === '0.5*ZZ + 0.3*XI - IY', 'Should format back to the same text');
+
+                const sparse = SparsePauliOp.fromSparseList([['Z', [0], 1]], 3);
+                assert(sparse.terms[0].pauli === 'IIZ', 'Qubit 0 should be the rightmost character');
+
+                // X on qubit 0 flips the rightmost bit: ⟨IZ⟩ = -1, ⟨ZI⟩ = 1
+                const circuit = new QuantumCircuit(2).x(0);
+                assertApprox(new SparsePauliOp({ IZ: 1 }).expectation(circuit), -1, 1e-12);
+                assertApprox(new SparsePauliOp({ ZI: 1 }).expectation(circuit), 1, 1e-12);
+            }
+        },
+        {
+            name: 'Exact expectation from state vector and density matrix',
+            test: () => {
+                const bell = new QuantumCircuit(2).h(0).cx(0, 1);
+                const observable = SparsePauliOp.parse('0.5*ZZ + 0.3*XX - 0.2*YY + 2*II');
+
+                // Bell state: ⟨ZZ⟩ = ⟨XX⟩ = 1, ⟨YY⟩ = -1
+                assertApprox(observable.expectation(bell), 3, 1e-12, 'State vector expectation');
+                assertApprox(observable.expectation(bell, { backend: 'density_matrix' }), 3, 1e-12, 'Density matrix expectation');
+
+                const noisy = bell.copy().noise(NoiseChannel.depolarizing(0.5), 0);
+                assertApprox(new SparsePauliOp({ ZZ: 1 }).expectation(noisy), 0.5, 1e-12, 'Depolarizing noise should shrink ⟨ZZ⟩ to 1 - p');
+
+                let threw = false;
+                try {
+                    new SparsePauliOp({ ZZ: 1 }).expectation(new QuantumCircuit(2, 2).measure(0, 0));
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Circuits with measurements should be rejected');
+            }
+        },
+        {
+            name: 'Shot-based estimate matches the exact value',
+            test: () => {
+                const circuit = new QuantumCircuit(2).ry(0.7, 0).rx(0.4, 1).cx(0, 1);
+                const observable = SparsePauliOp.parse('0.5*ZZ + 0.3*XI - 0.2*IY + ZI');
+
+                const exact = observable.expectation(circuit);
+                const estimate = observable.estimate(circuit, { shots: 4000, seed: 11 });
+                assert(estimate.groups === 2, 'ZZ and ZI share a basis; XI and IY share another');
+                assert(Math.abs(estimate.value - exact) < 4 * estimate.standardError + 1e-9,
+                    `Estimate ${estimate.value} should be within 4σ of ${exact}`);
+
+                const again = observable.estimate(circuit, { shots: 4000, seed: 11 });
+                assert(again.value === estimate.value, 'Seeded estimates should be reproducible');
+            }
+        }
+    ],
+    'Variational Algorithms': [
+        {
+            name: 'Optimizers minimize a quadratic',
+            test: () => {
+                const f = x => (x[0] - 1) ** 2 + 2 * (x[1] + 0.5) ** 2;
+                for (const optimizer of [new NelderMead(), new COBYLA(), new GradientDescent()]) {
+                    const result = optimizer.minimize(f, [0, 0]);
+                    assert(result.converged, `${optimizer.constructor.name} should converge`);
+                    assertApprox(result.x[0], 1, 1e-3, `${optimizer.constructor.name} x`);
+                    assertApprox(result.x[1], -0.5, 1e-3, `${optimizer.constructor.name} y`);
+                    assert(result.history.length === result.iterations, 'History should have one entry per iteration');
+                }
+
+                const spsa = new SPSA({ maxIterations: 200, seed: 1 }).minimize(f, [0, 0]);
+                assert(spsa.value < 1e-3, `SPSA should get close to the minimum, got ${spsa.value}`);
+
+                let calls = 0;
+                const stopped = new COBYLA().minimize(f, [0, 0], { callback: () => ++calls < 3 });
+                assert(stopped.iterations === 3, 'Returning false from the callback should stop the optimizer');
+            }
+        },
+        {
+            name: 'Parameter-shift gradient matches finite differences',
+            test: () => {
+                const a = new Parameter('a');
+                const b = new Parameter('b');
+                const ansatz = new QuantumCircuit(2)
+                    .ry(a, 0).crx(b, 0, 1).cry(a.mul(2), 1, 0).h(1)
+                    .cu(a, b, a.mul(0.5), b, 0, 1).cp(a, 1, 0).rz(a.add(b), 1);
+                const vqe = new VQE({ ansatz, observable: SparsePauliOp.parse('0.7*ZX + 0.3*XY - 0.5*ZI + YY') });
+
+                const point = [0.4, -1.1];
+                const gradient = vqe.gradient(point);
+                const h = 1e-5;
+                point.forEach((_, i) => {
+                    const plus = [...point];
+                    const minus = [...point];
+                    plus[i] += h;
+                    minus[i] -= h;
+                    const numeric = (vqe.energy(plus) - vqe.energy(minus)) / (2 * h);
+                    assertApprox(gradient[i], numeric, 1e-6, `dE/d${vqe.parameterNames[i]}`);
+                });
+            }
+        },
+        {
+            name: 'VQE finds the ground state energy',
+            test: () => {
+                const theta = [0, 1, 2, 3].map(i => new Parameter(`t${i}`));
+                const ansatz = new QuantumCircuit(2)
+                    .ry(theta[0], 0).ry(theta[1], 1).cx(0, 1).ry(theta[2], 0).ry(theta[3], 1);
+                const observable = SparsePauliOp.parse('ZZ + 0.5*XI + 0.5*IX');
+
+                const energies = [];
+                const result = new VQE({
+                    ansatz, observable, seed: 7,
+                    callback: entry => { energies.push(entry.energy); }
+                }).run();
+
+                // Ground state energy of ZZ + 0.5(X₁ + X₀) is -√2
+                assertApprox(result.energy, -Math.SQRT2, 1e-6, 'Ground state energy');
+                assertApprox(observable.expectation(result.circuit), result.energy, 1e-9, 'Bound circuit energy');
+                assert(energies.length === result.history.length, 'Callback should see every iteration');
+                assert(result.history[result.history.length - 1].energy <= result.history[0].energy, 'Energy should decrease');
+                assert(Object.keys(result.parameters).join() === 't0,t1,t2,t3', 'Parameters should be named');
+            }
+        },
+        {
+            name: 'QAOA solves max-cut on a ring',
+            test: () => {
+                const costOperator = QAOA.maxCut([[0, 1], [1, 2], [2, 3], [3, 0]]);
+                assertApprox(costOperator.expectation(new QuantumCircuit(4).x(0).x(2)), -4, 1e-12, 'Cut 0101 has weight 4');
+
+                const result = new QAOA({ costOperator, reps: 2, seed: 5 }).run();
+                assert(result.energy < -3.9, `QAOA should reach the maximum cut, got ${result.energy}`);
+                assert(['0101', '1010'].includes(result.bitstring), `Best cut should alternate, got ${result.bitstring}`);
+                assert(Object.keys(result.parameters).join() === 'beta_0,beta_1,gamma_0,gamma_1', 'One beta and gamma per layer');
+
+                let threw = false;
+                try {
+                    new QAOA({ costOperator: SparsePauliOp.parse('XX') });
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Non-diagonal cost operators should be rejected');
+            }
+        }
+    ],
+    'Algorithm Library': [
+        {
+            name: 'QFT matches the discrete Fourier transform',
+            test: () => {
+                const n = 3;
+                const x = 5;
+                const input = new QuantumCircuit(n).x(0).x(2);
+                const state = input.compose(qft(n)).run().stateVector;
+                state.forEach((amplitude, y) => {
+                    const angle = 2 * Math.PI * x * y / 8;
+                    assertApprox(amplitude.re, Math.cos(angle) / Math.sqrt(8), 1e-10, `Re amplitude ${y}`);
+                    assertApprox(amplitude.im, Math.sin(angle) / Math.sqrt(8), 1e-10, `Im amplitude ${y}`);
+                });
+
+                const roundTrip = input.compose(qft(n)).compose(qft(n, { inverse: true })).run();
+                assertApprox(roundTrip.probabilities[x], 1, 1e-10, 'Inverse QFT should undo the QFT');
+                assert(qft(n, { inverse: true }).name === 'iqft', 'Inverse should be named iqft');
+
+                const count = circuit => { let gates = 0; circuit.forEachGate(() => gates++); return gates; };
+                assert(count(qft(4)) === 12 && count(qft(4, { approxDegree: 2 })) === 9,
+                    'approxDegree should drop the smallest controlled phases');
+            }
+        },
+        {
+            name: 'Grover search amplifies the marked states',
+            test: () => {
+                const circuit = amplitudeAmplification(['101']);
+                const results = circuit.run({ shots: 1000, seed: 3 });
+                assert(results.probabilities[5] > 0.9, `|101⟩ should have probability above 0.9, got ${results.probabilities[5]}`);
+
+                // Uses only standard gates, so it survives a QASM round trip
+                const imported = QuantumCircuit.fromQASM(circuit.qasm());
+                assertApprox(imported.run().probabilities[5], results.probabilities[5], 1e-9, 'QASM round trip');
+
+                const two = amplitudeAmplification(['0110', '1001']).run();
+                assert(two.probabilities[6] + two.probabilities[9] > 0.9, 'Both marked states should be found');
+
+                const manual = new QuantumCircuit(2, 2).h(0).h(1).compose(groverOperator(phaseOracle(['11'])));
+                manual.measure_all();
+                assertApprox(manual.run().probabilities[3], 1, 1e-10, 'One iteration finds |11⟩ among 4 states');
+            }
+        },
+        {
+            name: 'Phase estimation reads out the eigenphase',
+            test: () => {
+                // p(2π·5/16)|1⟩ = e^(2πi·5/16)|1⟩
+                const unitary = new QuantumCircuit(1).p(2 * Math.PI * 5 / 16, 0);
+                const circuit = phaseEstimation(unitary, 4, { statePreparation: new QuantumCircuit(1).x(0) });
+                assert(circuit.numQubits === 5 && circuit.numClbits === 4, 'Four counting qubits and bits');
+
+                const results = circuit.run({ shots: 100, seed: 1 });
+                assert(results.counts['0101'] === 100, `Should measure 0101 (5/16), got ${JSON.stringify(results.counts)}`);
+            }
+        },
+        {
+            name: 'Deutsch-Jozsa and Bernstein-Vazirani',
+            test: () => {
+                const constant = new QuantumCircuit(3).x(2);
+                const balanced = new QuantumCircuit(3).cx(0, 2);
+                assert(deutschJozsa(constant).run({ shots: 50, seed: 1 }).counts['00'] === 50, 'Constant oracle measures 00');
+                assert(!deutschJozsa(balanced).run({ shots: 50, seed: 1 }).counts['00'], 'Balanced oracle never measures 00');
+
+                const results = bernsteinVazirani('1011').run({ shots: 50, seed: 2 });
+                assert(results.counts['1011'] === 50, 'Should measure the secret');
+
+                let threw = false;
+                try {
+                    bernsteinVazirani('10a1');
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Invalid secrets should be rejected');
+            }
+        }
+    ],
+    'Circuit Equivalence': [
+        {
+            name: 'Equivalent unitaries up to global phase',
+            test: () => {
+                const cnot = new QuantumCircuit(2).cx(0, 1);
+                const viaCz = new QuantumCircuit(2).h(1).cz(0, 1).h(1);
+                const result = CircuitEquivalence.areEquivalent(cnot, viaCz);
+                assert(result.equivalent && result.method === 'unitary', result.message);
+
+                // rz(π) = e^(-iπ/2)·Z
+                const z = new QuantumCircuit(1).z(0);
+                const rz = new QuantumCircuit(1).rz(Math.PI, 0);
+                const phased = CircuitEquivalence.areEquivalent(z, rz);
+                assert(phased.equivalent, 'Z and rz(π) differ only by a global phase');
+                assertApprox(phased.globalPhase, -Math.PI / 2, 1e-12, 'Global phase');
+                assert(!CircuitEquivalence.areEquivalent(z, rz, { upToGlobalPhase: false }).equivalent,
+                    'Global phase should matter when upToGlobalPhase is false');
+
+                const measured = new QuantumCircuit(2, 2).cx(0, 1).measure_all();
+                assert(CircuitEquivalence.areEquivalent(cnot, measured).equivalent, 'Final measurements are ignored');
+            }
+        },
+        {
+            name: 'Differences and qubit permutations are reported',
+            test: () => {
+                const a = new QuantumCircuit(2).cx(0, 1);
+                const b = new QuantumCircuit(2).cx(1, 0);
+                const result = CircuitEquivalence.areEquivalent(a, b);
+                assert(!result.equivalent, 'CNOTs with swapped roles differ');
+                const first = result.differences[0];
+                assert(first.row === 1 && first.column === 1, `First difference should be at (1, 1), got (${first.row}, ${first.column})`);
+                assertApprox(first.a.re, 0, 1e-12, 'Entry of the first circuit');
+                assertApprox(first.b.re, 1, 1e-12, 'Entry of the second circuit');
+
+                const relabeled = CircuitEquivalence.areEquivalent(a, b, { upToQubitPermutation: true });
+                assert(relabeled.equivalent, 'Relabeling the qubits makes them equal');
+                assert(relabeled.permutation.join() === '1,0', 'Permutation should swap the qubits');
+
+                let threw = false;
+                try {
+                    CircuitEquivalence.areEquivalent(new QuantumCircuit(1, 1).measure(0, 0).x(0), new QuantumCircuit(1));
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Mid-circuit measurements should be rejected');
+            }
+        },
+        {
+            name: 'State equivalence for larger circuits',
+            test: () => {
+                const exact = CircuitEquivalence.areEquivalent(qft(7), qft(7).inverse().inverse(), { seed: 1 });
+                assert(exact.method === 'state' && exact.equivalent, exact.message);
+
+                const approximate = CircuitEquivalence.areEquivalent(qft(7), qft(7, { approxDegree: 1 }), { seed: 1 });
+                assert(!approximate.equivalent && approximate.differences.length === 5, 'Approximate QFT should differ');
+
+                const z = new QuantumCircuit(7).z(3);
+                const s = new QuantumCircuit(7).s(3);
+                assert(!CircuitEquivalence.areEquivalent(z, s, { seed: 2 }).equivalent, 'Z and S differ by a relative phase');
+
+                // The message compares b with a after the global phase, so the entries shown differ
+                const phased = CircuitEquivalence.areEquivalent(qft(8), qft(8).s(3), { seed: 1 });
+                const [shownA, shownB] = phased.message.split('e^(iφ)·a = ')[1].split(' vs b = ');
+                assert(!phased.equivalent && shownA !== shownB, `Message should show the phase-corrected entry: ${phased.message}`);
+            }
+        }
+    ],
+    'Unitary Calculation': [
+        {
+            name: 'Unitary matches the product of full gate matrices',
+            test: () => {
+                const simulator = new QuantumSimulator();
+                const circuit = new QuantumCircuit(3);
+                circuit.h(0).cx(0, 2).rx(0.3, 1).ccx(0, 1, 2).cp(0.7, 2, 1).swap(0, 2).barrier();
+
+                let expected = simulator.createIdentityMatrix(8);
+                circuit.forEachGate(gate => {
+                    if (gate.name !== 'barrier') {
+                        expected = simulator.multiplyMatrices(simulator.buildFullGateMatrix(gate, circuit, 3), expected);
+                    }
+                });
+
+                const unitary = circuit.getUnitary();
+                unitary.forEach((row, i) => row.forEach((z, j) => {
+                    assertComplexApprox(z, expected[i][j], 1e-12);
+                }));
+            }
+        },
+        {
+            name: 'Run only builds the unitary on request',
+            test: () => {
+                const circuit = new QuantumCircuit(2).h(0).cx(0, 1);
+                assert(!('unitaryMatrix' in circuit.run()), 'Unitary is omitted by default');
+                assert(!('unitaryMatrix' in circuit.run({ unitary: false })), 'run({ unitary: false }) should omit the unitary');
+
+                const results = circuit.run({ unitary: true });
+                assert(results.unitaryMatrix.length === 4, 'run({ unitary: true }) should include the unitary');
+                assertApprox(results.probabilities[3], 0.5, 1e-12, 'Simulation is unaffected');
+
+                const large = new QuantumCircuit(16).h(0);
+                assert(large.run().probabilities.length === 1 << 16, '16-qubit runs do not build a 4^16 unitary');
+            }
+        },
+        {
+            name: 'Classically controlled gates have no unitary',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 1);
+                circuit.h(0).measure(0, 0).x(1).c_if(0, 1);
+                assertApprox(circuit.run().idealProbabilities['1'], 0.5, 1e-12, 'Conditioned circuits still run');
+
+                let threw = false;
+                try {
+                    circuit.getUnitary();
+                } catch (error) {
+                    threw = error.message.includes('x is classically controlled');
+                }
+                assert(threw, 'getUnitary() should reject classically controlled gates');
+            }
+        }
+    ],
+    'State Vector Engine': [
+        {
+            name: 'In-place kernels match the circuit unitary',
+            test: () => {
+                const circuit = new QuantumCircuit(4);
+                circuit.h(0).u3(0.4, 1.1, -0.7, 3).cx(0, 2).cp(0.9, 3, 1).swap(1, 3)
+                    .ccx(0, 1, 2).cry(1.3, 2, 0).cswap(3, 0, 1).cz(1, 2).sx(3);
+
+                const unitary = circuit.getUnitary();
+                const simulator = new QuantumSimulator();
+                const state = StateVector.fromArray(Array.from({ length: 16 }, (_, i) => ({ re: i === 4 ? 1 : 0, im: 0 })));
+                circuit.forEachGate(gate => simulator.applyGate(state, gate, circuit, 4));
+
+                // Column 4 of the unitary is the circuit applied to |0100⟩
+                state.toArray().forEach((amplitude, i) => {
+                    assertComplexApprox(amplitude, unitary[i][4], 1e-12);
+                });
+            }
+        },
+        {
+            name: 'Mid-circuit measurement and reset on typed buffers',
+            test: () => {
+                const circuit = new QuantumCircuit(2, 2);
+                circuit.h(0).measure(0, 0).cx(0, 1).reset(0).measure(1, 1);
+                const results = circuit.run({ shots: 200, seed: 3 });
+
+                assertApprox(results.idealProbabilities['00'], 0.5, 1e-12, 'P(00)');
+                assertApprox(results.idealProbabilities['11'], 0.5, 1e-12, 'P(11)');
+                assert(Object.keys(results.counts).every(outcome => outcome === '00' || outcome === '11'),
+                    'Both bits should agree in every shot');
+                assertApprox(results.stateVector[0].re ** 2 + results.stateVector[2].re ** 2, 1, 1e-12,
+                    'Qubit 0 is reset to |0⟩');
+                assert(results.state instanceof StateVector && !Object.keys(results).includes('state'),
+                    'The final StateVector should be available without changing the result keys');
+                assertApprox(results.state.data[2 * results.stateVector.findIndex(a => a.re ** 2 > 0.5)] ** 2, 1, 1e-12,
+                    'results.state should hold the same amplitudes as stateVector');
+            }
+        },
+        {
+            name: 'Twenty-qubit GHZ state',
+            test: () => {
+                const n = 20;
+                const circuit = new QuantumCircuit(n);
+                circuit.h(0);
+                for (let i = 0; i < n - 1; i++) {
+                    circuit.cx(i, i + 1);
+                }
+
+                const results = circuit.run({ unitary: false, shots: 100, seed: 1 });
+                assertApprox(results.probabilities[0], 0.5, 1e-12, 'P(0...0)');
+                assertApprox(results.probabilities[(1 << n) - 1], 0.5, 1e-12, 'P(1...1)');
+                assert(Object.keys(results.counts).every(outcome => /^(0{20}|1{20})$/.test(outcome)),
+                    'Only all zeros and all ones should be sampled');
+
+                const rho = new BlochSphereCalculator().computeReducedDensityMatrix(results.stateVector, 7, n);
+                assertApprox(rho[0][0].re, 0.5, 1e-12, 'Each qubit is maximally mixed');
+                assertApprox(Math.hypot(rho[0][1].re, rho[0][1].im), 0, 1e-12, 'No coherence on a single qubit');
+            }
+        }
+    ],
+    'Simulation Progress': [
+        {
+            name: 'Progress is reported after each column',
+            test: () => {
+                const circuit = new QuantumCircuit(3);
+                circuit.h(0).cx(0, 1).cx(1, 2);
+
+                const progress = [];
+                circuit.run({ unitary: false, onProgress: update => progress.push(update) });
+
+                assert(progress.length === circuit.numCols(), `Expected one update per column, got ${progress.length}`);
+                progress.forEach((update, i) => {
+                    assert(update.completed === i + 1 && update.total === progress.length, 'Columns should be counted in order');
+                });
+            }
+        },
+        {
+            name: 'Density matrix backend reports progress',
+            test: () => {
+                const circuit = new QuantumCircuit(2);
+                circuit.h(0).cx(0, 1);
+                circuit.setNoiseModel(new NoiseModel().addGateError(NoiseChannel.depolarizing(0.1), 'h'));
+
+                let last = null;
+                circuit.run({ unitary: false, onProgress: update => { last = update; } });
+
+                assert(last !== null && last.completed === last.total, 'Last update should complete the circuit');
+            }
+        }
+    ],
+    'Stabilizer Simulator': [
+        {
+            name: 'Clifford gates match the state vector backend',
+            test: () => {
+                const circuit = new QuantumCircuit(3);
+                circuit.h(0).s(0).cx(0, 1).sdg(1).cy(1, 2).sx(2).cz(0, 2).swap(0, 1);
+                circuit.addGate('iswap', -1, [1, 2]);
+                circuit.y(0).h(2);
+
+                const expected = circuit.run({ unitary: false });
+                const results = circuit.run({ backend: 'stabilizer' });
+                const calc = new BlochSphereCalculator();
+
+                expected.probabilities.forEach((p, i) => {
+                    assertApprox(results.probabilities[i], p, 1e-9, `Probability of state ${i}`);
+                });
+                results.blochVectors.forEach((vector, qubit) => {
+                    const reference = calc.densityMatrixToBlochVector(calc.reduceToQubit(expected.stateVector, qubit, 3));
+                    assertApprox(vector.x, reference.x, 1e-9, `Bloch x of q${qubit}`);
+                    assertApprox(vector.y, reference.y, 1e-9, `Bloch y of q${qubit}`);
+                    assertApprox(vector.z, reference.z, 1e-9, `Bloch z of q${qubit}`);
+                });
+                results.stabilizers.forEach(generator => {
+                    const sign = generator[0] === '-' ? -1 : 1;
+                    const op = new SparsePauliOp([[generator.slice(1), sign]]);
+                    assertApprox(op.expectation(expected.stateVector), 1, 1e-9, `${generator} should stabilize the state`);
+                });
+            }
+        },
+        {
+            name: 'Mid-circuit measurement and classical control',
+            test: () => {
+                // Teleport |1⟩ from qubit 0 to qubit 2
+                const circuit = new QuantumCircuit(3, 3);
+                circuit.x(0).h(1).cx(1, 2).cx(0, 1).h(0).measure(0, 0).measure(1, 1);
+                circuit.x(2).c_if(1, 1);
+                circuit.z(2).c_if(0, 1);
+                circuit.reset(0).measure(2, 2);
+
+                const results = circuit.run({ backend: 'stabilizer', shots: 200, seed: 5 });
+                const ideal = circuit.run({ unitary: false }).idealProbabilities;
+
+                assert(results.memory.every(outcome => outcome[0] === '1'), 'Teleported qubit should always read 1');
+                for (const [outcome, p] of Object.entries(ideal)) {
+                    assertApprox(results.idealProbabilities[outcome], p, 1e-9, `Probability of ${outcome}`);
+                }
+            }
+        },
+        {
+            name: 'Auto backend selects stabilizer for Clifford circuits',
+            test: () => {
+                const bell = new QuantumCircuit(2);
+                bell.h(0).cx(0, 1);
+                const tGate = new QuantumCircuit(1);
+                tGate.h(0).t(0);
+
+                assert(bell.isClifford() && !tGate.isClifford(), 'Only the Bell circuit is Clifford');
+                assert(bell.run({ backend: 'auto' }).backend === 'stabilizer', 'Bell circuit should use the stabilizer backend');
+                assert(tGate.run({ backend: 'auto' }).backend === 'statevector', 'T gate needs the state vector backend');
+                assert(bell.run().backend === 'statevector', 'Default backend is unchanged');
+                assert(!bell.run({ backend: 'auto' }).unitaryMatrix, 'Stabilizer runs skip the unitary');
+
+                let threw = false;
+                try {
+                    tGate.run({ backend: 'stabilizer' });
+                } catch (error) {
+                    threw = error.message.includes('not a Clifford gate');
+                }
+                assert(threw, 'Non-Clifford gates should be rejected');
+            }
+        },
+        {
+            name: 'Three-hundred-qubit GHZ state',
+            test: () => {
+                const n = 300;
+                const circuit = new QuantumCircuit(n);
+                circuit.h(0);
+                for (let i = 0; i < n - 1; i++) {
+                    circuit.cx(i, i + 1);
+                }
+
+                const results = circuit.run({ backend: 'stabilizer', shots: 100, seed: 2 });
+                const outcomes = Object.keys(results.counts);
+
+                assert(outcomes.every(outcome => outcome === '0'.repeat(n) || outcome === '1'.repeat(n)), 'Only all zeros and all ones');
+                assertApprox(results.idealProbabilities['0'.repeat(n)], 0.5, 1e-12, 'Ideal probability of all zeros');
+                assert(results.probabilities === null, 'No basis state probabilities for 300 qubits');
+                assert(results.stabilizers.length === n && results.stabilizers[0] === '+' + 'X'.repeat(n), 'First generator should be X on every qubit');
+            }
+        },
+        {
+            name: 'Hundreds of random mid-circuit measurements',
+            test: () => {
+                // 400 random outcomes, then an active reset that reads the last round
+                const n = 20;
+                const circuit = new QuantumCircuit(n, n);
+                for (let round = 0; round < 20; round++) {
+                    for (let q = 0; q < n; q++) {
+                        circuit.h(q).measure(q, q);
+                    }
+                }
+                for (let q = 0; q < n; q++) {
+                    circuit.x(q).c_if(q, 1);
+                    circuit.measure(q, q);
+                }
+
+                const results = circuit.run({ backend: 'stabilizer', shots: 200, seed: 8 });
+                assert(results.memory.length === 200, 'Every shot should be recorded');
+                assert(results.counts['0'.repeat(n)] === 200, `Every qubit should be reset, got ${JSON.stringify(results.counts)}`);
+            }
+        }
+    ],
+    'Entangled States': [
+        {
+            name: 'Bell, GHZ and W state preparations',
+            test: () => {
+                const s = 1 / Math.sqrt(2);
+                const expected = {
+                    'phi+': [s, 0, 0, s],
+                    'phi-': [s, 0, 0, -s],
+                    'psi+': [0, s, s, 0],
+                    'psi-': [0, s, -s, 0]
+                };
+                for (const [variant, amplitudes] of Object.entries(expected)) {
+                    const state = bellState(variant).run().stateVector;
+                    amplitudes.forEach((amplitude, i) => assertApprox(state[i].re, amplitude, 1e-10, `${variant} amplitude ${i}`));
+                }
+
+                const ghz = ghzState(4).run().probabilities;
+                assertApprox(ghz[0] + ghz[15], 1, 1e-10, 'GHZ should only have |0000⟩ and |1111⟩');
+
+                const w = wState(3).run().probabilities;
+                [1, 2, 4].forEach(index => assertApprox(w[index], 1 / 3, 1e-10, `W state P(${index})`));
+            }
+        },
+        {
+            name: 'Network links prepare their entanglement type',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 2);
+                const bob = network.addNode('Bob', 1);
+                const carol = network.addNode('Carol', 1);
+                network.addEntanglement(alice.id, 0, bob.id, 0, 'Psi-');
+                network.addEntanglement(alice.id, 1, carol.id, 0, 'Werner', 0.85);
+
+                const rho = network.toCircuit().run({ backend: 'auto' }).densityMatrix;
+                // Qubits: Alice 0, 1, Bob 2, Carol 3; ⟨Ψ-| on qubits 0 and 2 and ⟨Φ+| on qubits 1 and 3
+                let singlet = 0;
+                let phiPlus = 0;
+                for (let i = 0; i < 16; i++) {
+                    const bits = [0, 1, 2, 3].map(q => (i >> q) & 1);
+                    if (bits[0] !== bits[2]) singlet += rho[i][i].re - rho[i][i ^ 0b0101].re;
+                    if (bits[1] === bits[3]) phiPlus += rho[i][i].re + rho[i][i ^ 0b1010].re;
+                }
+                assertApprox(singlet / 2, 1, 1e-9, 'Alice and Bob should share |Ψ-⟩');
+                assertApprox(phiPlus / 2, 0.85, 1e-9, 'Alice and Carol should share a Werner state of fidelity 0.85');
+
+                const ghz = new QuantumNetwork();
+                const nodes = ['A', 'B', 'C'].map(name => ghz.addNode(name, 1));
+                ghz.addEntanglement(nodes[0].id, 0, nodes[1].id, 0, 'GHZ', null, { parties: [{ nodeId: nodes[2].id, qubit: 0 }] });
+                const probabilities = ghz.toCircuit().run().probabilities;
+                assertApprox(probabilities[0] + probabilities[7], 1, 1e-10, 'Three nodes should share a GHZ state');
+            }
+        },
+        {
+            name: 'Custom entanglement survives a JSON round trip',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 1);
+                const bob = network.addNode('Bob', 1);
+                const preparation = new QuantumCircuit(2).h(0).cx(0, 1).s(1);
+                network.addEntanglement(alice.id, 0, bob.id, 0, 'custom', null, { circuit: preparation });
+
+                const restored = QuantumNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+                const state = restored.toCircuit().run().stateVector;
+                assertApprox(state[3].im, 1 / Math.sqrt(2), 1e-10, 'Custom preparation should give (|00⟩ + i|11⟩)/√2');
+
+                const invalid = [
+                    () => network.addEntanglement(alice.id, 0, bob.id, 0),
+                    () => new QuantumEntanglement(0, 0, 1, 0, 'Werner'),
+                    () => new QuantumEntanglement(0, 0, 1, 0, 'Phi+', null, { parties: [{ nodeId: 2, qubit: 0 }] }),
+                    () => new QuantumEntanglement(0, 0, 1, 0, 'custom', null, { circuit: new QuantumCircuit(3) })
+                ];
+                invalid.forEach((create, i) => {
+                    let threw = false;
+                    try {
+                        create();
+                    } catch (error) {
+                        threw = true;
+                    }
+                    assert(threw, `Invalid entanglement ${i} should be rejected`);
+                });
+            }
+        }
+    ],
+    'Multi-Party Entanglement': [
+        {
+            name: 'GHZ resource across three nodes for secret sharing',
+            test: () => {
+                const network = new QuantumNetwork();
+                const nodes = ['Dealer', 'Bob', 'Charlie'].map(name => network.addNode(name, 1));
+                network.addMultipartyEntanglement(nodes.map(node => ({ nodeId: node.id, qubit: 0 })));
+
+                const circuit = network.toCircuit();
+                assert(circuit.run({ backend: 'auto' }).backend === 'stabilizer', 'GHZ distribution is a Clifford circuit');
+
+                // X-basis outcomes of all three parties have even parity, so two parties together
+                // recover the dealer's bit
+                const state = new StabilizerState(3);
+                circuit.forEachGate(gate => state.applyGate(gate.name, gate.wires));
+                assert(state.expectation('XXX') === 1, 'XXX should stabilize the shared state');
+                assert(state.expectation('XXI') === 0, 'Two parties alone should learn nothing');
+            }
+        },
+        {
+            name: 'Graph state resource stabilizers',
+            test: () => {
+                const network = new QuantumNetwork();
+                const nodes = ['A', 'B', 'C', 'D'].map(name => network.addNode(name, 1));
+                const endpoints = nodes.map(node => ({ nodeId: node.id, qubit: 0 }));
+                network.addMultipartyEntanglement(endpoints, 'graph', { edges: [[0, 1], [0, 2], [0, 3]] });
+
+                // Star graph: K_0 = X0 Z1 Z2 Z3 and K_i = Z0 X_i
+                const state = new StabilizerState(4);
+                network.toCircuit().forEachGate(gate => state.applyGate(gate.name, gate.wires));
+                assert(state.expectation('ZZZX') === 1, 'X on the center with Z on the leaves');
+                assert(state.expectation('IIXZ') === 1 && state.expectation('XIIZ') === 1, 'Z on the center with X on a leaf');
+
+                const linear = graphState(3).run().stateVector;
+                linear.forEach((amplitude, i) => {
+                    // CZ between 0-1 and 1-2 flips the sign of |x⟩ once per adjacent pair of ones
+                    const sign = (((i & 3) === 3) + ((i & 6) === 6)) % 2 ? -1 : 1;
+                    assertApprox(amplitude.re, sign / Math.sqrt(8), 1e-10, `Cluster state amplitude ${i}`);
+                });
+            }
+        },
+        {
+            name: 'Multi-party resources in JSON and node removal',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 2);
+                const bob = network.addNode('Bob', 1);
+                const carol = network.addNode('Carol', 1);
+                network.addMultipartyEntanglement([
+                    { nodeId: alice.id, qubit: 1 }, { nodeId: bob.id, qubit: 0 }, { nodeId: carol.id, qubit: 0 }
+                ], 'W');
+                assert(network.getNetworkStats().multipartyEntanglements === 1, 'Stats should count the resource');
+
+                const restored = QuantumNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+                const [entanglement] = restored.getEntanglements();
+                assert(entanglement.isMultiparty && entanglement.endpoints.length === 3, 'Endpoints should survive JSON');
+                const probabilities = restored.toCircuit().run().probabilities;
+                [2, 4, 8].forEach(index => assertApprox(probabilities[index], 1 / 3, 1e-10, `W state P(${index})`));
+
+                let threw = false;
+                try {
+                    network.addMultipartyEntanglement([{ nodeId: alice.id, qubit: 0 }, { nodeId: carol.id, qubit: 0 }]);
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Qubits of a resource cannot be entangled again');
+
+                network.removeNode(carol.id);
+                assert(network.getEntanglements().length === 0, 'Removing a party should remove the resource');
+            }
+        }
+    ],
+    'Classical Communication': [
+        {
+            name: 'Teleportation between nodes over a classical link',
+            test: () => {
+                const network = new QuantumNetwork();
+                // Bob comes first so his corrections have to wait for Alice's message
+                const bob = network.addNode('Bob', 1, { x: 0, y: 0 }, 3);
+                const alice = network.addNode('Alice', 2);
+                network.addEntanglement(alice.id, 1, bob.id, 0);
+                network.addClassicalLink(alice.id, bob.id, { messageTypes: ['bits'] });
+
+                alice.circuit.ry(1.1, 0).cx(0, 1).h(0).measure(0, 0).measure(1, 1);
+                alice.send([0, 1], bob.id);
+                bob.ifReceived(1, 1, circuit => circuit.x(0));
+                bob.ifReceived(0, 1, circuit => circuit.z(0));
+                bob.circuit.ry(-1.1, 0).measure(0, 2);
+
+                const circuit = network.toCircuit();
+                assert(circuit.numClbits === 5, 'Global circuit should hold every node\'s classical bits');
+
+                // Bob's bits come first; his received bits stand for Alice's (global bits 3 and 4)
+                const conditions = [];
+                circuit.forEachGate(gate => {
+                    if (gate.options.condition) conditions.push(gate.options.condition.bits[0]);
+                });
+                assert(conditions.sort().join() === '3,4', 'Corrections should read Alice\'s measured bits');
+
+                const counts = circuit.run({ shots: 200 }).counts;
+                for (const bits of Object.keys(counts)) {
+                    assert(bits[bits.length - 3] === '0', `Bob should always recover the state, got ${bits}`);
+                }
+            }
+        },
+        {
+            name: 'Messages need a link that carries their type',
+            test: () => {
+                const network = new QuantumNetwork();
+                const a = network.addNode('A', 1, { x: 0, y: 0 }, 2);
+                const b = network.addNode('B', 1, { x: 0, y: 0 }, 2);
+                a.circuit.h(0).measure(0, 0);
+                a.send(0, b.id, { type: 'syndrome' });
+
+                const expectError = (action, text) => {
+                    let message = '';
+                    try {
+                        action();
+                    } catch (error) {
+                        message = error.message;
+                    }
+                    assert(message.includes(text), `Expected "${text}", got "${message}"`);
+                };
+
+                expectError(() => network.toCircuit(), 'No classical link');
+                const link = network.addClassicalLink(a.id, b.id, { messageTypes: ['bits'], bidirectional: false });
+                expectError(() => network.toCircuit(), 'does not carry syndrome');
+                expectError(() => network.addClassicalLink(b.id, a.id), 'already have a classical link');
+                expectError(() => a.send(5, b.id), 'out of range');
+
+                // Nodes waiting on each other's messages cannot be scheduled
+                network.removeClassicalLink(link.id);
+                network.addClassicalLink(a.id, b.id);
+                a.messages = [];
+                a.ifReceived(1, 1, circuit => circuit.x(0));
+                a.circuit.measure(0, 0);
+                a.send(0, b.id, { into: 1 });
+                b.ifReceived(1, 1, circuit => circuit.x(0));
+                b.circuit.measure(0, 0);
+                b.send(0, a.id, { into: 1 });
+                expectError(() => network.toCircuit(), 'wait for each other');
+            }
+        },
+        {
+            name: 'Classical links and messages in JSON and node removal',
+            test: () => {
+                const network = new QuantumNetwork();
+                const a = network.addNode('A', 1);
+                const b = network.addNode('B', 1, { x: 0, y: 0 }, 2);
+                network.addClassicalLink(a.id, b.id, { messageTypes: ['bits'] });
+                a.circuit.x(0).measure(0, 0);
+                a.send(0, b.id, { into: 1 });
+                b.ifReceived(1, 1, circuit => circuit.x(0));
+                assert(network.getNetworkStats().classicalLinks === 1, 'Stats should count the link');
+
+                const restored = QuantumNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+                assert(restored.findClassicalLink(b.id, a.id)?.carries('bits'), 'Link should survive JSON');
+                assert(restored.getNode(a.id).messages.length === 1, 'Messages should survive JSON');
+                const probabilities = restored.toCircuit().run().probabilities;
+                assertApprox(probabilities[3], 1, 1e-10, 'Received 1 should flip B\'s qubit');
+
+                network.removeNode(b.id);
+                assert(network.getClassicalLinks().length === 0, 'Removing a node should remove its links');
+                assert(a.messages.length === 0, 'Messages to a removed node should be dropped');
+            }
+        },
+        {
+            name: 'Node gates of every kind reach the global circuit',
+            test: () => {
+                const network = new QuantumNetwork();
+                const node = network.addNode('A', 3, { x: 0, y: 0 }, 1);
+                node.circuit.defineGate('bell', new QuantumCircuit(2).h(0).cx(0, 1));
+                node.circuit.h(0).sdg(0).sx(1).cp(0.7, 0, 1).barrier().u3(0.3, 0.9, -0.4, 2)
+                    .measure(0, 0).ry(0.5, 2).c_if(0, 1).gate('bell', [1, 2]);
+
+                const circuit = network.toCircuit();
+                const names = [];
+                circuit.forEachGate(gate => names.push(gate.name));
+                assert(names.join() === 'h,sdg,sx,cp,barrier,u3,measure,ry,bell', `All gates should be kept, got ${names}`);
+                assert(circuit.customGates.bell, 'Custom gate definitions should be carried over');
+
+                const expected = node.circuit.run({ shots: 1 }).idealProbabilities;
+                const actual = circuit.run({ shots: 1 }).idealProbabilities;
+                Object.entries(expected).forEach(([bits, probability]) => {
+                    assertApprox(actual[bits], probability, 1e-10, `P(${bits}) should match the node circuit`);
+                });
+            }
+        }
+    ],
+    'Network Event Simulation': [
+        {
+            name: 'Teleportation waits for the entangled pair and the message',
+            test: () => {
+                const network = new QuantumNetwork();
+                const bob = network.addNode('Bob', 1, { x: 0, y: 0 }, 3);
+                const alice = network.addNode('Alice', 2);
+                network.addEntanglement(alice.id, 1, bob.id, 0, 'EPR', null, { latency: 2 });
+                network.addClassicalLink(alice.id, bob.id, { latency: 5 });
+
+                alice.circuit.ry(1.1, 0).cx(0, 1).h(0).measure(0, 0).measure(1, 1);
+                alice.send([0, 1], bob.id);
+                bob.ifReceived(1, 1, circuit => circuit.x(0));
+                bob.ifReceived(0, 1, circuit => circuit.z(0));
+                bob.circuit.ry(-1.1, 0).measure(0, 2);
+
+                const results = new NetworkEventSimulator(network).run({ shots: 200 });
+                const { events } = results.timeline;
+                const find = (type, nodeId) => events.find(event => event.type === type && event.nodeId === nodeId);
+
+                // Alice: ry at 0, waits for the pair, then cx, h and two measurements until t = 6
+                assert(events.find(event => event.type === 'entanglement').time === 2, 'Pair should arrive after its latency');
+                assert(find('send', alice.id).time === 6, 'Alice should send after her measurements');
+                assert(find('receive', bob.id).time === 11, 'Message should take the link latency');
+                assert(find('wait', bob.id).reason === 'entanglement', 'Bob should first wait for the pair');
+                const corrections = events.filter(event => event.type === 'gates' && event.nodeId === bob.id);
+                assert(corrections[0].time === 11, 'Bob should correct when the message arrives');
+                assert(results.timeline.duration === 15, 'Run should end after Bob\'s measurement');
+
+                for (const bits of Object.keys(results.counts)) {
+                    assert(bits[bits.length - 3] === '0', `Bob should always recover the state, got ${bits}`);
+                }
+            }
+        },
+        {
+            name: 'Gate times, node logs and snapshots',
+            test: () => {
+                const network = new QuantumNetwork();
+                const a = network.addNode('A', 1);
+                const b = network.addNode('B', 1);
+                const c = network.addNode('C', 1);
+                network.addClassicalLink(a.id, b.id, { latency: 2 });
+                network.addClassicalLink(b.id, c.id, { latency: 3 });
+
+                // B relays A's bit to C
+                a.circuit.x(0).measure(0, 0);
+                a.send(0, b.id);
+                b.send(0, c.id);
+                c.ifReceived(0, 1, circuit => circuit.x(0));
+
+                const { circuit, timeline } = new NetworkEventSimulator(network, { gateTimes: { measure: 4 } }).compile();
+                assertApprox(circuit.run().probabilities[0b101], 1, 1e-10, 'C should apply X after the relay');
+
+                // A: x [0, 1), measure [1, 5); relay at 5 arrives at B at 7 and at C at 10
+                assert(timeline.getNodeLog(b.id).map(event => `${event.type}@${event.time}`).join() === 'wait@0,receive@7,send@7,done@7',
+                    'B should wait for A\'s bit before relaying it');
+                const snapshot = timeline.snapshot(8);
+                assert(snapshot.messages.length === 1 && snapshot.messages[0].to === c.id, 'One message should be in flight at t = 8');
+                assertApprox(snapshot.messages[0].progress, 1 / 3, 1e-10, 'Message progress');
+                assert(snapshot.waitingNodes.includes(c.id) && snapshot.doneNodes.includes(a.id), 'C waits while A is done');
+
+                const restored = NetworkTimeline.fromJSON(JSON.parse(JSON.stringify(timeline.toJSON())));
+                assert(restored.duration === 11 && restored.events.length === timeline.events.length, 'Timeline should survive JSON');
+            }
+        },
+        {
+            name: 'Latencies in JSON and waiting nodes',
+            test: () => {
+                const network = new QuantumNetwork();
+                const x = network.addNode('X', 1, { x: 0, y: 0 }, 2);
+                const y = network.addNode('Y', 1, { x: 0, y: 0 }, 2);
+                network.addEntanglement(x.id, 0, y.id, 0, 'EPR', null, { latency: 1.5 });
+                network.addClassicalLink(x.id, y.id, { latency: 0.5 });
+
+                const restored = QuantumNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+                assert(restored.getEntanglements()[0].latency === 1.5, 'Entanglement latency should survive JSON');
+                assert(restored.getClassicalLinks()[0].latency === 0.5, 'Link latency should survive JSON');
+
+                let threw = false;
+                try {
+                    network.addClassicalLink(x.id, y.id, { latency: -1 });
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'Negative latencies should be rejected');
+
+                // Each node waits for the other's bit before sending its own
+                x.ifReceived(1, 1, circuit => circuit.x(0));
+                x.circuit.measure(0, 0);
+                x.send(0, y.id, { into: 1 });
+                y.ifReceived(1, 1, circuit => circuit.x(0));
+                y.circuit.measure(0, 0);
+                y.send(0, x.id, { into: 1 });
+                let message = '';
+                try {
+                    new NetworkEventSimulator(network).compile();
+                } catch (error) {
+                    message = error.message;
+                }
+                assert(message.includes('wait for each other'), `Expected a deadlock error, got "${message}"`);
+            }
+        }
+    ],
+    'Quantum Channels': [
+        {
+            name: 'Attenuation, loss and depolarizing noise',
+            test: () => {
+                const channel = new QuantumChannel({ length: 50, attenuation: 0.2, lossProbability: 0.5, depolarizing: 0.002, generationRate: 10 });
+
+                // 10 dB over 50 km, then half of the photons are lost
+                assertApprox(channel.transmissivity, 0.05, 1e-12, 'Transmissivity');
+                assertApprox(channel.successRate, 0.05, 1e-12, 'Success rate');
+                assertApprox(channel.pairRate, 0.5, 1e-12, 'Pairs per time unit');
+
+                const kept = Math.pow(0.998, 50);
+                assertApprox(channel.fidelity(), kept + (1 - kept) / 4, 1e-12, 'Fidelity of a perfect pair');
+                assertApprox(channel.fidelity(0.9), 0.9 * kept + (1 - kept) / 4, 1e-12, 'Fidelity of a Werner pair');
+                assert(new QuantumChannel().fidelity() === 1 && new QuantumChannel().successRate === 1, 'Zero length is lossless');
+
+                let threw = false;
+                try {
+                    new QuantumChannel({ lossProbability: 1 });
+                } catch (error) {
+                    threw = true;
+                }
+                assert(threw, 'A channel that loses every photon should be rejected');
+            }
+        },
+        {
+            name: 'Channels lower the fidelity of distributed pairs',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 1);
+                const bob = network.addNode('Bob', 1);
+                network.addEntanglement(alice.id, 0, bob.id, 0, 'EPR', null, { channel: { length: 20, depolarizing: 0.01 } });
+
+                const [link] = network.getNetworkStats().links;
+                const kept = Math.pow(0.99, 20);
+                assertApprox(link.fidelity, kept + (1 - kept) / 4, 1e-12, 'Stats should show the delivered fidelity');
+                assertApprox(link.successRate, Math.pow(10, -0.4), 1e-12, 'Stats should show the success rate');
+
+                // Werner state: the pair agrees with probability F + (1 - F) / 3
+                const probabilities = network.toCircuit().run().probabilities;
+                const agree = link.fidelity + (1 - link.fidelity) / 3;
+                assertApprox(probabilities[0] + probabilities[3], agree, 1e-10, 'Both qubits should agree less often');
+
+                const restored = QuantumNetwork.fromJSON(JSON.parse(JSON.stringify(network.toJSON())));
+                const [entanglement] = restored.getEntanglements();
+                assert(entanglement.channel instanceof QuantumChannel && entanglement.channel.length === 20, 'Channel should survive JSON');
+            }
+        },
+        {
+            name: 'Lossy channels delay distribution in the event simulator',
+            test: () => {
+                const network = new QuantumNetwork();
+                const alice = network.addNode('Alice', 1);
+                const bob = network.addNode('Bob', 1);
+                network.addEntanglement(alice.id, 0, bob.id, 0, 'EPR', null, {
+                    latency: 1, channel: { length: 50, generationRate: 4 }
+                });
+                alice.circuit.h(0);
+
+                const first = new NetworkEventSimulator(network, { seed: 11 }).compile().timeline;
+                const second = new NetworkEventSimulator(network, { seed: 11 }).compile().timeline;
+                const distributed = first.events.find(event => event.type === 'entanglement');
+                assert(distributed.attempts >= 1, 'Distribution should take at least one attempt');
+                assertApprox(distributed.time, 1 + distributed.attempts / 4, 1e-12, 'One attempt per 1 / generationRate');
+                assert(JSON.stringify(first.toJSON()) === JSON.stringify(second.toJSON()), 'Seeded runs should repeat');
+
+                // Success probability 0.1: ten attempts on average
+                const rng = new SeededRandom(3);
+                const channel = new QuantumChannel({ length: 50 });
+                let total = 0;
+                for (let i = 0; i < 4000; i++) {
+                    total += channel.sampleAttempts(rng);
+                }
+                assertApprox(total / 4000, 10, 0.6, 'Mean number of attempts');
+
+                // 1000 km at 0.2 dB/km: success probability 1e-20 still takes many attempts
+                assert(new QuantumChannel({ length: 1000 }).sampleAttempts(rng) > 1e15, 'Long links should not be instant');
+
+                let message = '';
+                try {
+                    const parties = ['Carol', 'Dave', 'Erin'].map(name => ({ nodeId: network.addNode(name, 1).id, qubit: 0 }));
+                    network.addMultipartyEntanglement(parties, 'GHZ', { channel: { length: 1 } });
+                } catch (error) {
+                    message = error.message;
+                }
+                assert(message.includes('two-party'), 'Multi-party resources should not take a channel');
+            }
+        }
     ]
 };
 